@@ -1,5 +1,8 @@
 import { Component, OnInit, ViewChild, ElementRef, AfterViewChecked } from '@angular/core';
-import { ApiService } from '../services/api.service';
+import { ApiService, apiErrorOf, LANGUAGE_CODES, LanguageCode, Rating } from '../services/api.service';
+
+// localStorage key for the server-side conversation session
+const SESSION_STORAGE_KEY = 'travelbuddy.sessionId';
 
 interface Message {
   text: string;
@@ -11,6 +14,9 @@ interface Message {
     outputTokens: number;
   };
   error?: boolean; // Changed to boolean to match usage
+  requestId?: string; // Request that answered (assistant messages), used to rate the answer
+  queryHash?: string | null; // Cache entry of the answer
+  rating?: Rating; // The user's thumbs up/down
 }
 
 @Component({
@@ -26,19 +32,26 @@ export class ChatComponent implements OnInit, AfterViewChecked {
   userMessage: string = '';
   isLoading: boolean = false;
   apiUrl: string = '';
+  streamUrl: string = '';
+  isStreaming: boolean = false;
   showApiConfig: boolean = false;
   suggestions: string[] = [];
   isLoadingSuggestions: boolean = false;
   suggestionsCollapsed: boolean = false;
+  sessionId: string | null = null;
 
   constructor(private apiService: ApiService) {
     // Load API URL from environment or use default
     this.apiUrl = this.apiService.getApiUrl();
+    this.streamUrl = this.apiService.getStreamUrl();
   }
 
   ngOnInit(): void {
     // Add welcome message
     this.addWelcomeMessage();
+
+    // Restore the previous conversation (history lives server-side)
+    this.restoreSession();
     
     // Load initial suggestions
     this.loadSuggestions();
@@ -63,6 +76,42 @@ export class ChatComponent implements OnInit, AfterViewChecked {
     });
   }
 
+  /**
+   * Reload the stored session's turns so a page reload doesn't lose the conversation
+   */
+  private restoreSession(): void {
+    const storedSessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!storedSessionId) {
+      return;
+    }
+
+    this.apiService.getSession(storedSessionId).subscribe({
+      next: (session) => {
+        this.sessionId = session.sessionId;
+        this.messages.push(...session.turns.map(turn => ({
+          text: turn.content,
+          sender: turn.role,
+          timestamp: new Date(turn.timestamp),
+          requestId: turn.requestId,
+          queryHash: turn.queryHash
+        })));
+      },
+      error: () => {
+        // Expired or deleted - start fresh
+        this.setSessionId(null);
+      }
+    });
+  }
+
+  private setSessionId(sessionId: string | null): void {
+    this.sessionId = sessionId;
+    if (sessionId) {
+      localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }
+
   sendMessage(): void {
     if (!this.userMessage.trim() || this.isLoading) {
       return;
@@ -81,18 +130,17 @@ export class ChatComponent implements OnInit, AfterViewChecked {
     // Show loading state
     this.isLoading = true;
 
-    // Build conversation history for context (last 10 messages to limit token usage)
-    const conversationHistory = this.messages
-      .slice(-10) // Last 10 messages
-      .map(msg => ({
-        role: msg.sender === 'user' ? 'user' as const : 'assistant' as const,
-        content: msg.text
-      }));
+    // Stream tokens when a streaming endpoint is configured
+    if (this.apiService.getStreamUrl()) {
+      this.streamMessage(userMsg);
+      return;
+    }
 
-    // Send to API with conversation history
-    this.apiService.sendMessage(userMsg, conversationHistory).subscribe({
+    // Send to API; the server keeps the conversation history for this session
+    this.apiService.sendMessage(userMsg, this.sessionId || undefined).subscribe({
       next: (response) => {
         this.isLoading = false;
+        this.setSessionId(response.sessionId);
         
         // Add assistant response
         this.messages.push({
@@ -100,7 +148,9 @@ export class ChatComponent implements OnInit, AfterViewChecked {
           sender: 'assistant',
           timestamp: new Date(),
           cached: response.cached,
-          usage: response.usage
+          usage: response.usage,
+          requestId: response.requestId,
+          queryHash: response.queryHash
         });
         
         // Update suggestions with follow-up questions
@@ -110,26 +160,102 @@ export class ChatComponent implements OnInit, AfterViewChecked {
       },
       error: (error) => {
         this.isLoading = false;
-        console.error('API Error:', error);
-        
-        let errorMessage = 'Sorry, I encountered an error. Please try again.';
-        
-        if (error.error?.message) {
-          errorMessage = `Error: ${error.error.message}`;
-        } else if (error.message) {
-          errorMessage = `Error: ${error.message}`;
+        this.showError(error);
+      }
+    });
+  }
+
+  /**
+   * Stream the assistant reply, appending tokens to a single message as they arrive
+   */
+  private streamMessage(userMsg: string): void {
+    const assistantMsg: Message = {
+      text: '',
+      sender: 'assistant',
+      timestamp: new Date()
+    };
+
+    this.apiService.streamMessage(userMsg, this.sessionId || undefined).subscribe({
+      next: (event) => {
+        if (event.type === 'token') {
+          if (!this.isStreaming) {
+            // First token: replace the loading indicator with the live message
+            this.isStreaming = true;
+            this.messages.push(assistantMsg);
+          }
+          assistantMsg.text += event.text;
+        } else if (event.type === 'replace') {
+          assistantMsg.text = event.text;
+        } else {
+          this.setSessionId(event.data.sessionId);
+          assistantMsg.cached = event.data.cached;
+          assistantMsg.usage = event.data.usage;
+          assistantMsg.requestId = event.data.requestId;
+          assistantMsg.queryHash = event.data.queryHash;
+          if (event.data.suggestions && event.data.suggestions.length > 0) {
+            this.suggestions = event.data.suggestions;
+          }
         }
+      },
+      error: (error) => {
+        if (this.isStreaming && apiErrorOf(error)?.code === 'ContentBlocked') {
+          // Drop the guardrail's canned text that was streamed before the block was reported
+          this.messages = this.messages.filter(message => message !== assistantMsg);
+        }
+        this.isLoading = false;
+        this.isStreaming = false;
+        this.showError(error);
+      },
+      complete: () => {
+        this.isLoading = false;
+        this.isStreaming = false;
+      }
+    });
+  }
 
-        this.messages.push({
-          text: errorMessage,
-          sender: 'assistant',
-          timestamp: new Date(),
-          error: true
-        });
+  /**
+   * Thumbs up/down on an answer; a failed request reverts the button
+   */
+  rate(message: Message, rating: Rating): void {
+    if (!this.sessionId || !message.requestId || message.rating === rating) {
+      return;
+    }
+    const previous = message.rating;
+    message.rating = rating;
+    this.apiService.sendFeedback(this.sessionId, message.requestId, rating, message.queryHash).subscribe({
+      error: (error) => {
+        console.error('Error sending feedback:', error);
+        message.rating = previous;
       }
     });
   }
 
+  private showError(error: any): void {
+    console.error('API Error:', error);
+
+    let errorMessage = 'Sorry, I encountered an error. Please try again.';
+    const apiError = apiErrorOf(error);
+
+    if (apiError?.code === 'SessionNotFound') {
+      // Session expired server-side: the next message starts a new one
+      this.setSessionId(null);
+      errorMessage = 'Your previous conversation has expired. Please send your message again to start a new one.';
+    } else if (apiError?.code === 'ContentBlocked' || apiError?.code === 'QuotaExceeded') {
+      errorMessage = apiError.message;
+    } else if (apiError) {
+      errorMessage = `Error: ${apiError.message}`;
+    } else if (error.message) {
+      errorMessage = `Error: ${error.message}`;
+    }
+
+    this.messages.push({
+      text: errorMessage,
+      sender: 'assistant',
+      timestamp: new Date(),
+      error: true
+    });
+  }
+
   onEnterKey(event: KeyboardEvent): void {
     if (event.key === 'Enter' && !event.shiftKey) {
       event.preventDefault();
@@ -140,6 +266,7 @@ export class ChatComponent implements OnInit, AfterViewChecked {
   updateApiUrl(): void {
     if (this.apiUrl.trim()) {
       this.apiService.setApiUrl(this.apiUrl.trim());
+      this.apiService.setStreamUrl(this.streamUrl.trim());
       this.showApiConfig = false;
       alert('API URL updated successfully!');
     }
@@ -150,6 +277,12 @@ export class ChatComponent implements OnInit, AfterViewChecked {
   }
 
   clearChat(): void {
+    if (this.sessionId) {
+      this.apiService.deleteSession(this.sessionId).subscribe({
+        error: (error) => console.error('Error deleting session:', error)
+      });
+      this.setSessionId(null);
+    }
     this.messages = [];
     this.addWelcomeMessage();
     this.loadSuggestions(); // Reload initial suggestions
@@ -157,7 +290,7 @@ export class ChatComponent implements OnInit, AfterViewChecked {
 
   loadSuggestions(): void {
     this.isLoadingSuggestions = true;
-    this.apiService.getSuggestions().subscribe({
+    this.apiService.getSuggestions(this.browserLanguage()).subscribe({
       next: (response) => {
         this.suggestions = response.suggestions || [];
         this.isLoadingSuggestions = false;
@@ -175,6 +308,14 @@ export class ChatComponent implements OnInit, AfterViewChecked {
     });
   }
 
+  /**
+   * The browser's language if the assistant supports it (starter suggestions are shown in it), else English
+   */
+  private browserLanguage(): LanguageCode {
+    const code = (navigator.language || 'en').split('-')[0].toLowerCase();
+    return LANGUAGE_CODES.find(language => language === code) || 'en';
+  }
+
   selectSuggestion(suggestion: string): void {
     this.userMessage = suggestion;
     // Focus input and send message
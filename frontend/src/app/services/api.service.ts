@@ -1,5 +1,5 @@
 import { Injectable } from '@angular/core';
-import { HttpClient, HttpHeaders } from '@angular/common/http';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 
 export interface ChatMessage {
@@ -21,26 +21,237 @@ export interface ConversationMessage {
 }
 
 export interface ChatRequest {
-  input: string;
-  conversationHistory?: ConversationMessage[]; // Optional: send conversation history for context
+  input: string; // Non-blank, at most MAX_INPUT_LENGTH (default 1000) characters
+  sessionId?: string; // Omit on the first message; the server creates a session and returns its id
+}
+
+/**
+ * One specific problem behind an error, e.g. { field: 'body.input', message: 'is required' }
+ * Non-validation errors carry extra context here (retryAfter for QuotaExceeded, category for ContentBlocked)
+ */
+export interface ApiErrorDetail {
+  field?: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Error envelope returned by every failing request (and by the stream's error event)
+ * code is e.g. 'ValidationFailed', 'SessionNotFound', 'ContentBlocked', 'QuotaExceeded', 'NotFound'
+ */
+export interface ApiErrorResponse {
+  error: {
+    code: string;
+    message: string;
+    details: ApiErrorDetail[];
+    requestId: string | null;
+  };
+}
+
+/**
+ * The error envelope inside an HttpErrorResponse (or a stream error), if the server sent one
+ */
+export function apiErrorOf(response: { error?: unknown } | null | undefined): ApiErrorResponse['error'] | undefined {
+  const body = response?.error as Partial<ApiErrorResponse> | undefined;
+  return body && typeof body.error === 'object' && typeof body.error.code === 'string' ? body.error : undefined;
+}
+
+export interface SessionTurn extends ConversationMessage {
+  timestamp: number;
+  requestId?: string; // Assistant turns: the request that answered (used to rate the answer)
+  queryHash?: string; // Assistant turns with a cached answer: its cache key
+}
+
+export interface SessionResponse {
+  sessionId: string;
+  turns: SessionTurn[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ContextChunk {
+  id: string;
+  title: string;
+  score: number;
+  source?: string; // S3 key of the knowledge base document the chunk came from
+}
+
+export interface SemanticMatch {
+  similarity: number;
+  queryText: string;
+  threshold: number;
+}
+
+export interface ValidationIssue {
+  type: 'unknown_package' | 'wrong_price' | 'wrong_duration';
+  text: string;
+  message: string;
+}
+
+export interface AnswerValidation {
+  passed: boolean;
+  issues: ValidationIssue[];
+  action: 'none' | 'retried' | 'fallback'; // 'fallback' = answer replaced by catalog-safe text
+}
+
+export interface CatalogIntent {
+  type: 'package_lookup' | 'price_filter' | 'duration_filter' | 'destination_list' | 'quote';
+  filters: {
+    maxPrice?: number;
+    nights?: number;
+    destinations?: string[];
+    travellers?: QuoteTravellers; // Quote intents
+    currency?: string;
+  };
+  packageIds: string[];
+}
+
+export interface QuoteTravellers {
+  adults: number;
+  children: (number | null)[]; // Ages (null = not given, priced at the child rate)
+  singleRooms?: number;
+}
+
+export interface Quote {
+  packageId: string;
+  packageName: string;
+  nights: number;
+  days: number;
+  pricePerPersonInr: number;
+  travellers: QuoteTravellers;
+  currency: string;
+  exchangeRate: { inrPerUnit: number; asOf: string | null; source: 's3' | 'env' | 'none' } | null; // null for INR
+  lines: { item: 'adult' | 'child' | 'infant' | 'singleSupplement'; description: string; quantity: number; unitPrice: number; amount: number }[];
+  total: number; // In `currency`
+  totalInr: number;
+  notes: string[];
+}
+
+/**
+ * Languages the assistant answers in (detected from the script of each message)
+ */
+export type LanguageCode = 'en' | 'hi' | 'kn' | 'ta';
+
+export const LANGUAGE_CODES: LanguageCode[] = ['en', 'hi', 'kn', 'ta'];
+
+export interface CacheKey {
+  strategy: 'input' | 'rewrite' | 'entities' | 'bypass';
+  references: { type: 'pronoun' | 'demonstrative' | 'ordinal' | 'ellipsis' | 'fragment'; text: string }[];
+  scope: string[]; // Package ids an entity-scoped follow-up was keyed on
+  language: LanguageCode; // Language the cached answer is written in
+  rewrittenQuery?: string; // Standalone question a rewritten follow-up was keyed on
+  reason?: 'generic' | 'follow-up' | 'unresolved'; // Why the cache was bypassed
+}
+
+export interface Lead {
+  status: 'collecting' | 'submitted' | 'cancelled';
+  leadId: string | null; // Set once submitted
+  kind: 'booking' | 'custom';
+  fields: {
+    packageId: string | null;
+    packageName: string | null;
+    startDate: string | null;
+    endDate: string | null;
+    travellers: number | null;
+    budget: number | null; // Total, in ₹
+    contact: { name: string | null; email: string | null; phone: string | null };
+  };
+  missing: ('packageId' | 'travelDates' | 'travellers' | 'budget' | 'contact')[];
+  issues: { field: string; message: string }[]; // Values rejected by validation (asked for again)
+  warnings: { field: string; message: string }[];
+}
+
+/**
+ * A catalog tool call made by the model while generating an answer
+ */
+export interface ToolCall {
+  iteration: number; // Model call (1-based) that asked for the tool
+  id: string;
+  name: 'search_packages' | 'get_package' | 'compare_packages' | 'get_quote';
+  input: Record<string, unknown>;
+  output: unknown | null;
+  error: string | null; // Bad input, returned to the model instead of an output
+  durationMs: number;
 }
 
 export interface ApiResponse {
   message: string;
+  sessionId: string;
   bedrockResponse: string;
   cached: boolean;
+  source?: 'catalog' | 'cache' | 'bedrock' | 'lead'; // Where the answer came from
+  language?: LanguageCode; // Language of the question (the answer and suggestions are in it too)
+  intent?: CatalogIntent; // Present when source is 'catalog'
+  cacheType?: 'exact' | 'semantic';
+  semanticMatch?: SemanticMatch; // Present when answered from a similar (not identical) cached query
+  cacheKey?: CacheKey; // What the answer was cached (or looked up) under; absent for catalog answers
+  lead?: Lead; // Booking lead being collected in this session (or just submitted/cancelled)
+  quote?: Quote | null; // Quote intents (null when the package was unclear or the quote couldn't be given)
   suggestions?: string[]; // Suggested follow-up questions
+  contextChunks?: ContextChunk[]; // Catalog chunks the answer was generated from
+  validation?: AnswerValidation | null; // Catalog cross-check of a generated answer
+  toolCalls?: ToolCall[]; // Catalog tools the model called (Bedrock answers only)
+  queryHash?: string | null; // Cache entry the answer came from or was stored as (null when not cached)
+  usage: {
+    inputTokens: number;
+    outputTokens: number;
+    model: string;
+    summarizedTurns?: number; // Older turns covered by the conversation summary
+    keptTurns?: number; // Turns sent verbatim
+  };
+  timestamp: string;
+  requestId: string;
+}
+
+/**
+ * Final event of a streamed answer (everything in ApiResponse except the text itself)
+ */
+export interface StreamDoneEvent {
+  sessionId: string;
+  cached: boolean;
+  source?: 'catalog' | 'cache' | 'bedrock' | 'lead';
+  language?: LanguageCode;
+  intent?: CatalogIntent;
+  cacheType?: 'exact' | 'semantic';
+  semanticMatch?: SemanticMatch;
+  cacheKey?: CacheKey;
+  lead?: Lead;
+  quote?: Quote | null;
+  suggestions?: string[];
   usage: {
     inputTokens: number;
     outputTokens: number;
     model: string;
+    summarizedTurns?: number; // Older turns covered by the conversation summary
+    keptTurns?: number; // Turns sent verbatim
   };
+  contextChunks?: ContextChunk[];
+  validation?: AnswerValidation | null;
+  toolCalls?: ToolCall[];
+  queryHash?: string | null;
   timestamp: string;
   requestId: string;
 }
 
+export type StreamEvent =
+  | { type: 'token'; text: string }
+  | { type: 'replace'; text: string } // Streamed text failed validation; show this answer instead
+  | { type: 'done'; data: StreamDoneEvent };
+
+export type Rating = 'up' | 'down';
+
+export interface FeedbackResponse {
+  requestId: string;
+  rating: Rating;
+  previousRating: Rating | null;
+  queryHash: string | null;
+  votes: { upVotes: number; downVotes: number } | null; // Counts on the cached answer (null when not cached)
+  evicted: boolean; // The rating pushed the cached answer below the eviction score
+}
+
 export interface SuggestionsResponse {
   suggestions: string[];
+  language?: LanguageCode;
   timestamp: string;
 }
 
@@ -52,6 +263,9 @@ export class ApiService {
   // Get it from: aws cloudformation describe-stacks --stack-name aws-gameday --query 'Stacks[0].Outputs[?OutputKey==`HelloWorldApi`].OutputValue' --output text
   private apiUrl = 'https://5xezz9agp5.execute-api.ap-south-1.amazonaws.com/dev/hello';
 
+  // Streaming Function URL (StreamingFunctionUrl stack output). Empty = use the buffered API above.
+  private streamUrl = '';
+
   constructor(private http: HttpClient) { }
 
   /**
@@ -69,32 +283,161 @@ export class ApiService {
   }
 
   /**
-   * Send a message to the TravelBuddy API with conversation history
+   * Update the streaming Function URL (empty string disables streaming)
+   */
+  setStreamUrl(url: string): void {
+    this.streamUrl = url;
+  }
+
+  /**
+   * Get the current streaming Function URL
    */
-  sendMessage(input: string, conversationHistory?: ConversationMessage[]): Observable<ApiResponse> {
+  getStreamUrl(): string {
+    return this.streamUrl;
+  }
+
+  /**
+   * Send a message to the TravelBuddy API
+   * Conversation history is kept server-side in the session identified by sessionId
+   */
+  sendMessage(input: string, sessionId?: string): Observable<ApiResponse> {
     const headers = new HttpHeaders({
       'Content-Type': 'application/json'
     });
 
-    const requestBody: ChatRequest = {
-      input,
-      conversationHistory: conversationHistory || []
-    };
+    const requestBody: ChatRequest = { input, sessionId };
 
     return this.http.post<ApiResponse>(this.apiUrl, requestBody, { headers });
   }
 
   /**
-   * Get initial suggestions when chat opens
+   * Send a message to the streaming endpoint and emit tokens as they arrive
+   * Parses the server-sent events (token / done / error) from the fetch response body
+   */
+  streamMessage(input: string, sessionId?: string): Observable<StreamEvent> {
+    const requestBody: ChatRequest = { input, sessionId };
+
+    return new Observable<StreamEvent>(subscriber => {
+      const controller = new AbortController();
+
+      const handleFrame = (frame: string): void => {
+        let eventName = 'message';
+        let data = '';
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+          }
+        }
+        if (!data) {
+          return;
+        }
+
+        const payload = JSON.parse(data);
+        if (eventName === 'token') {
+          subscriber.next({ type: 'token', text: payload.text });
+        } else if (eventName === 'replace') {
+          subscriber.next({ type: 'replace', text: payload.text });
+        } else if (eventName === 'done') {
+          subscriber.next({ type: 'done', data: payload });
+          subscriber.complete();
+        } else if (eventName === 'error') {
+          // Same shape as an HttpErrorResponse: the envelope is in .error
+          const envelope = payload as ApiErrorResponse;
+          subscriber.error({ error: envelope, message: envelope.error?.message });
+        }
+      };
+
+      fetch(this.streamUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      })
+        .then(async response => {
+          if (!response.body) {
+            throw new Error(`Streaming not supported (HTTP ${response.status})`);
+          }
+
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = '';
+
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
+            }
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+              handleFrame(buffer.slice(0, boundary));
+              buffer = buffer.slice(boundary + 2);
+              boundary = buffer.indexOf('\n\n');
+            }
+          }
+
+          if (buffer.trim()) {
+            handleFrame(buffer);
+          }
+          subscriber.complete();
+        })
+        .catch(error => {
+          if (error.name !== 'AbortError') {
+            subscriber.error(error);
+          }
+        });
+
+      return () => controller.abort();
+    });
+  }
+
+  /**
+   * Load the stored turns of a conversation session
+   */
+  getSession(sessionId: string): Observable<SessionResponse> {
+    const sessionUrl = this.apiUrl.replace('/hello', `/sessions/${encodeURIComponent(sessionId)}`);
+    return this.http.get<SessionResponse>(sessionUrl);
+  }
+
+  /**
+   * Delete a conversation session
+   */
+  deleteSession(sessionId: string): Observable<{ sessionId: string; deleted: boolean }> {
+    const sessionUrl = this.apiUrl.replace('/hello', `/sessions/${encodeURIComponent(sessionId)}`);
+    return this.http.delete<{ sessionId: string; deleted: boolean }>(sessionUrl);
+  }
+
+  /**
+   * Rate an answer (requestId of the response that gave it); rating it again replaces the earlier rating
+   */
+  sendFeedback(sessionId: string, requestId: string, rating: Rating, queryHash?: string | null, comment?: string): Observable<FeedbackResponse> {
+    const feedbackUrl = this.apiUrl.replace('/hello', '/feedback');
+    const body: { sessionId: string; requestId: string; rating: Rating; queryHash?: string; comment?: string } = { sessionId, requestId, rating };
+    if (queryHash) {
+      body.queryHash = queryHash;
+    }
+    if (comment) {
+      body.comment = comment;
+    }
+    return this.http.post<FeedbackResponse>(feedbackUrl, body);
+  }
+
+  /**
+   * Get initial suggestions when chat opens, in the given language
    */
-  getSuggestions(): Observable<SuggestionsResponse> {
+  getSuggestions(language: LanguageCode = 'en'): Observable<SuggestionsResponse> {
     // Use GET /suggestions endpoint
     const suggestionsUrl = this.apiUrl.replace('/hello', '/suggestions');
     const headers = new HttpHeaders({
       'Content-Type': 'application/json'
     });
+    const params = language === 'en' ? undefined : new HttpParams().set('language', language);
 
-    return this.http.get<SuggestionsResponse>(suggestionsUrl, { headers });
+    return this.http.get<SuggestionsResponse>(suggestionsUrl, { headers, params });
   }
 }
 
@@ -0,0 +1,286 @@
+/**
+ * Bedrock runtime fake for the local dev server and tests
+ * Implements send(command) for InvokeModel, InvokeModelWithResponseStream, Converse and ConverseStream.
+ * Request bodies are read and responses written in the Anthropic, Titan Text and Llama 3 formats,
+ * and Titan embedding calls return deterministic vectors.
+ *
+ * Responses come from a script (enqueue / throttle) and, once it is empty, from the responder.
+ * A scripted response is one of:
+ * - 'text' or { text, inputTokens?, outputTokens?, delayMs? }
+ * - { toolUse: [{ name, input, id? }], text? } to ask for tool calls (Anthropic and Converse requests)
+ * - { text, guardrail: trace } for a guardrail intervention (buffered InvokeModel; trace as in amazon-bedrock-trace)
+ * - { error: 'ThrottlingException', status?: 429, message? } to fail the call
+ * - (request) => response, called with the parsed request
+ */
+const crypto = require('crypto');
+const { createLocalHashEmbedder } = require('../src/embeddings');
+const { modelFamily } = require('../src/modelClient');
+
+/**
+ * Text of an Anthropic content block list (tool results are kept as "[tool_result <id>] <content>")
+ */
+function blocksText(blocks) {
+    return blocks.map(block => (block.type === 'tool_result'
+        ? `[tool_result ${block.tool_use_id}] ${block.content}`
+        : block.text || '')).join('');
+}
+
+/**
+ * Parse an InvokeModel body into { system, messages, maxTokens, tools }
+ */
+function parseInvokeBody(family, body) {
+    if (family === 'anthropic') {
+        const messages = body.messages.map(message => ({
+            role: message.role,
+            content: typeof message.content === 'string' ? message.content : blocksText(message.content)
+        }));
+        return { system: body.system || '', messages, maxTokens: body.max_tokens, tools: (body.tools || []).map(tool => tool.name) };
+    }
+    if (family === 'titan') {
+        return { system: '', messages: [{ role: 'user', content: body.inputText }], maxTokens: body.textGenerationConfig?.maxTokenCount };
+    }
+    if (family === 'llama') {
+        return { system: '', messages: [{ role: 'user', content: body.prompt }], maxTokens: body.max_gen_len };
+    }
+    throw new Error(`Fake Bedrock has no request format for model family ${family}`);
+}
+
+/**
+ * InvokeModel response body for a family
+ */
+function invokeResponseBody(family, { text, toolUse, inputTokens, outputTokens, guardrail }) {
+    const intervention = guardrail ? { 'amazon-bedrock-guardrailAction': 'INTERVENED', 'amazon-bedrock-trace': guardrail } : {};
+    if (family === 'anthropic') {
+        const content = text ? [{ type: 'text', text }] : [];
+        content.push(...toolUse.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input })));
+        return {
+            type: 'message',
+            role: 'assistant',
+            content,
+            stop_reason: toolUse.length > 0 ? 'tool_use' : 'end_turn',
+            usage: { input_tokens: inputTokens, output_tokens: outputTokens },
+            ...intervention
+        };
+    }
+    if (family === 'titan') {
+        return { inputTextTokenCount: inputTokens, results: [{ tokenCount: outputTokens, outputText: text, completionReason: 'FINISH' }], ...intervention };
+    }
+    return { generation: text, prompt_token_count: inputTokens, generation_token_count: outputTokens, stop_reason: 'stop', ...intervention };
+}
+
+/**
+ * InvokeModelWithResponseStream chunk payloads for a family (text is split into word-sized deltas)
+ */
+function streamPayloads(family, { text, inputTokens, outputTokens }) {
+    const deltas = text.match(/\S+\s*|\s+/g) || [];
+    const metrics = { 'amazon-bedrock-invocationMetrics': { inputTokenCount: inputTokens, outputTokenCount: outputTokens } };
+    if (family === 'anthropic') {
+        return [
+            { type: 'message_start', message: { usage: { input_tokens: inputTokens } } },
+            ...deltas.map(delta => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta } })),
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: outputTokens } },
+            { type: 'message_stop', ...metrics }
+        ];
+    }
+    const field = family === 'titan' ? 'outputText' : 'generation';
+    return [
+        ...deltas.map(delta => ({ [field]: delta })),
+        { [field]: '', ...metrics }
+    ];
+}
+
+/**
+ * Rough token count for responses that don't script one
+ */
+function estimateTokens(text) {
+    return Math.max(1, Math.ceil((text || '').length / 4));
+}
+
+/**
+ * Default responder: a JSON array for suggestion prompts, the follow-up itself for rewrite prompts,
+ * otherwise an answer echoing the question
+ */
+function defaultResponder(request) {
+    if (request.system.includes('JSON array')) {
+        return JSON.stringify([
+            'What packages are available to Thailand?',
+            'Which package is the cheapest?',
+            'What is included in the Bali package?'
+        ]);
+    }
+    const followUp = request.messages[request.messages.length - 1]?.content.match(/^Follow-up question: (.*)$/m);
+    if (request.system.includes('standalone questions') && followUp) {
+        return followUp[1];
+    }
+    const question = request.messages[request.messages.length - 1]?.content || '';
+    return `(offline answer from ${request.modelId}) You asked: ${question.split('\n').pop()}`;
+}
+
+/**
+ * Create a fake Bedrock runtime client
+ * - responder(request) returns a response (see above) when nothing is scripted
+ * - request: { modelId, api: 'invoke' | 'converse', stream, system, messages, maxTokens, tools (names) }
+ */
+function createFakeBedrock({ responder = defaultResponder } = {}) {
+    const script = [];
+    const calls = [];
+    const embedder = createLocalHashEmbedder({ dimensions: 512 });
+
+    /**
+     * Resolve the next response for a request (scripted first, then the responder)
+     */
+    async function respond(request, abortSignal) {
+        let response = script.length > 0 ? script.shift() : responder;
+        if (typeof response === 'function') response = response(request);
+        if (typeof response === 'string') response = { text: response };
+
+        if (response.delayMs) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, response.delayMs);
+                abortSignal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('Request aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            });
+        }
+        if (response.error) {
+            const error = new Error(response.message || `${response.error} (simulated)`);
+            error.name = response.error;
+            error.$metadata = { httpStatusCode: response.status || (response.error === 'ThrottlingException' ? 429 : 400) };
+            throw error;
+        }
+        const prompt = [request.system, ...request.messages.map(message => message.content)].join('\n');
+        const text = response.text || '';
+        const toolUse = (response.toolUse || []).map(call => ({ id: call.id || `toolu_${crypto.randomUUID()}`, name: call.name, input: call.input || {} }));
+        return {
+            text,
+            toolUse,
+            inputTokens: response.inputTokens ?? estimateTokens(prompt),
+            outputTokens: response.outputTokens ?? estimateTokens(text || JSON.stringify(toolUse)),
+            guardrail: response.guardrail || null
+        };
+    }
+
+    async function invokeModel(input, stream, abortSignal) {
+        const body = JSON.parse(typeof input.body === 'string' ? input.body : new TextDecoder().decode(input.body));
+
+        if (/embed/.test(input.modelId)) {
+            const vector = await embedder.embed(body.inputText);
+            const dimensions = body.dimensions || vector.length;
+            const embedding = Array.from({ length: dimensions }, (value, index) => vector[index % vector.length]);
+            calls.push({ modelId: input.modelId, api: 'embed', stream: false, text: body.inputText });
+            return { body: new TextEncoder().encode(JSON.stringify({ embedding, inputTextTokenCount: estimateTokens(body.inputText) })) };
+        }
+
+        const family = modelFamily(input.modelId);
+        const request = { modelId: input.modelId, api: 'invoke', stream, guardrail: input.guardrailIdentifier || null, ...parseInvokeBody(family, body) };
+        calls.push(request);
+        const result = await respond(request, abortSignal);
+
+        if (!stream) {
+            return { body: new TextEncoder().encode(JSON.stringify(invokeResponseBody(family, result))), contentType: 'application/json' };
+        }
+        const payloads = streamPayloads(family, result);
+        return {
+            body: (async function* chunks() {
+                for (const payload of payloads) {
+                    yield { chunk: { bytes: new TextEncoder().encode(JSON.stringify(payload)) } };
+                }
+            })()
+        };
+    }
+
+    async function converse(input, stream, abortSignal) {
+        const request = {
+            modelId: input.modelId,
+            api: 'converse',
+            stream,
+            guardrail: input.guardrailConfig?.guardrailIdentifier || null,
+            system: (input.system || []).map(block => block.text).join('\n'),
+            messages: input.messages.map(message => ({
+                role: message.role,
+                content: message.content.map(block => (block.toolResult
+                    ? `[tool_result ${block.toolResult.toolUseId}] ${block.toolResult.content.map(part => part.text || JSON.stringify(part.json)).join('')}`
+                    : block.text || '')).join('')
+            })),
+            maxTokens: input.inferenceConfig?.maxTokens,
+            tools: (input.toolConfig?.tools || []).map(tool => tool.toolSpec.name)
+        };
+        calls.push(request);
+        const result = await respond(request, abortSignal);
+        const usage = { inputTokens: result.inputTokens, outputTokens: result.outputTokens, totalTokens: result.inputTokens + result.outputTokens };
+
+        if (!stream) {
+            const content = result.text ? [{ text: result.text }] : [];
+            content.push(...result.toolUse.map(call => ({ toolUse: { toolUseId: call.id, name: call.name, input: call.input } })));
+            return { output: { message: { role: 'assistant', content } }, stopReason: result.toolUse.length > 0 ? 'tool_use' : 'end_turn', usage };
+        }
+        const deltas = result.text.match(/\S+\s*|\s+/g) || [];
+        return {
+            stream: (async function* events() {
+                yield { messageStart: { role: 'assistant' } };
+                for (const delta of deltas) {
+                    yield { contentBlockDelta: { contentBlockIndex: 0, delta: { text: delta } } };
+                }
+                yield { messageStop: { stopReason: 'end_turn' } };
+                yield { metadata: { usage } };
+            })()
+        };
+    }
+
+    const handlers = {
+        InvokeModelCommand: (input, signal) => invokeModel(input, false, signal),
+        InvokeModelWithResponseStreamCommand: (input, signal) => invokeModel(input, true, signal),
+        ConverseCommand: (input, signal) => converse(input, false, signal),
+        ConverseStreamCommand: (input, signal) => converse(input, true, signal)
+    };
+
+    return {
+        /**
+         * SDK-compatible entry point (honours options.abortSignal for delayed responses)
+         */
+        async send(command, options = {}) {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw new Error(`Fake Bedrock does not implement ${command.constructor.name}`);
+            }
+            return { ...(await handler(command.input, options.abortSignal)), $metadata: { httpStatusCode: 200 } };
+        },
+
+        /**
+         * Script the next responses, in order
+         */
+        enqueue(...responses) {
+            script.push(...responses);
+        },
+
+        /**
+         * Script `count` ThrottlingExceptions
+         */
+        throttle(count = 1) {
+            for (let i = 0; i < count; i++) {
+                script.push({ error: 'ThrottlingException', message: 'Too many requests, please wait before trying again.' });
+            }
+        },
+
+        /**
+         * Every text-generation call so far (embedding calls have api 'embed'), oldest first
+         */
+        calls,
+
+        /**
+         * Forget scripted responses and recorded calls
+         */
+        reset() {
+            script.length = 0;
+            calls.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createFakeBedrock,
+    defaultResponder
+};
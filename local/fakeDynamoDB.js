@@ -0,0 +1,368 @@
+/**
+ * In-memory DynamoDB fake for the local dev server and tests
+ * Implements send(command) for GetItem, PutItem, UpdateItem, DeleteItem, Query, Scan and BatchWriteItem,
+ * with the expression syntax the handler modules use:
+ * - conditions/filters: attribute_exists(), attribute_not_exists(), size(), = <> < <= > >=, joined by AND / OR
+ * - updates: SET a = :v, SET a = list_append(if_not_exists(a, :empty), :v), SET a = if_not_exists(a, :v),
+ *   ADD a :n, REMOVE a
+ *
+ * TTL semantics: an item whose ttl attribute (epoch seconds) is in the past is deleted when it is next
+ * read or updated, so expired entries behave as missing (DynamoDB deletes them in the background)
+ */
+
+/**
+ * Error shaped like an SDK service exception
+ */
+function serviceError(name, message, statusCode = 400) {
+    const error = new Error(message);
+    error.name = name;
+    error.$metadata = { httpStatusCode: statusCode };
+    return error;
+}
+
+/**
+ * Split on a separator outside parentheses ("a = f(b, c), d = :e" → ["a = f(b, c)", "d = :e"])
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Compare two attribute values: negative, zero or positive (numbers numerically, strings lexically)
+ */
+function compareValues(a, b) {
+    if (a.N !== undefined && b.N !== undefined) {
+        return Number(a.N) - Number(b.N);
+    }
+    const left = a.S ?? a.N ?? '';
+    const right = b.S ?? b.N ?? '';
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Size of an attribute value for size()
+ */
+function sizeOf(value) {
+    if (!value) return 0;
+    if (value.S !== undefined) return value.S.length;
+    if (value.L !== undefined) return value.L.length;
+    if (value.M !== undefined) return Object.keys(value.M).length;
+    if (value.B !== undefined) return value.B.length;
+    return 0;
+}
+
+/**
+ * Create a fake DynamoDB client
+ * - tables: { [tableName]: { hashKey, rangeKey?, indexes?: { [indexName]: { hashKey, rangeKey? } } } }
+ * - now: clock in milliseconds (tests move it to expire items)
+ */
+function createFakeDynamoDB({ tables, now = () => Date.now() }) {
+    // tableName -> Map(keyString -> item)
+    const store = new Map(Object.keys(tables).map(name => [name, new Map()]));
+
+    function tableFor(name) {
+        if (!tables[name]) {
+            throw serviceError('ResourceNotFoundException', `Requested resource not found: Table: ${name} not found`);
+        }
+        return { schema: tables[name], items: store.get(name) };
+    }
+
+    function keyString(schema, item) {
+        const hash = item[schema.hashKey];
+        if (!hash) {
+            throw serviceError('ValidationException', `Missing the key ${schema.hashKey} in the item`);
+        }
+        const range = schema.rangeKey ? item[schema.rangeKey] : null;
+        return JSON.stringify([hash, range]);
+    }
+
+    function isExpired(item) {
+        return item.ttl?.N !== undefined && Number(item.ttl.N) <= now() / 1000;
+    }
+
+    /**
+     * Current items of a table, dropping expired ones
+     */
+    function liveItems(items) {
+        for (const [key, item] of items) {
+            if (isExpired(item)) items.delete(key);
+        }
+        return [...items.values()];
+    }
+
+    function readItem(items, key) {
+        const item = items.get(key);
+        if (item && isExpired(item)) {
+            items.delete(key);
+            return undefined;
+        }
+        return item;
+    }
+
+    /**
+     * Expression context: resolves #names, :values, attribute paths and size()
+     */
+    function createContext(input, item) {
+        const names = input.ExpressionAttributeNames || {};
+        const values = input.ExpressionAttributeValues || {};
+        const name = token => names[token] || token;
+        const operand = token => {
+            const trimmed = token.trim();
+            if (trimmed.startsWith(':')) {
+                if (!values[trimmed]) throw serviceError('ValidationException', `Value ${trimmed} is not defined`);
+                return values[trimmed];
+            }
+            const size = trimmed.match(/^size\((.+)\)$/);
+            if (size) return { N: String(sizeOf(item[name(size[1].trim())])) };
+            return item[name(trimmed)];
+        };
+        return { name, operand };
+    }
+
+    /**
+     * Evaluate a condition or filter expression against an item ({} when it doesn't exist)
+     */
+    function evaluateCondition(expression, input, item) {
+        const { name, operand } = createContext(input, item);
+        const evaluateTerm = term => {
+            const exists = term.match(/^attribute_(not_)?exists\((.+)\)$/);
+            if (exists) {
+                const present = item[name(exists[2].trim())] !== undefined;
+                return exists[1] ? !present : present;
+            }
+            const comparison = term.match(/^(.+?)\s*(<>|<=|>=|=|<|>)\s*(.+)$/);
+            if (!comparison) {
+                throw serviceError('ValidationException', `Unsupported expression term: ${term}`);
+            }
+            const left = operand(comparison[1]);
+            const right = operand(comparison[3]);
+            if (left === undefined || right === undefined) {
+                return comparison[2] === '<>';
+            }
+            const order = compareValues(left, right);
+            return {
+                '=': order === 0,
+                '<>': order !== 0,
+                '<': order < 0,
+                '<=': order <= 0,
+                '>': order > 0,
+                '>=': order >= 0
+            }[comparison[2]];
+        };
+        return expression.split(/\s+OR\s+/).some(clause =>
+            clause.split(/\s+AND\s+/).every(term => evaluateTerm(term.trim()))
+        );
+    }
+
+    /**
+     * Apply an update expression to a copy of the item; returns the new item and the updated attribute names
+     */
+    function applyUpdate(expression, input, item) {
+        const { name, operand } = createContext(input, item);
+        const updated = { ...item };
+        const touched = new Set();
+
+        const evaluateValue = text => {
+            const trimmed = text.trim();
+            const call = trimmed.match(/^(list_append|if_not_exists)\((.+)\)$/);
+            if (!call) return operand(trimmed);
+            const [first, second] = splitTopLevel(call[2], ',');
+            if (call[1] === 'if_not_exists') {
+                return item[name(first)] !== undefined ? item[name(first)] : evaluateValue(second);
+            }
+            return { L: [...(evaluateValue(first)?.L || []), ...(evaluateValue(second)?.L || [])] };
+        };
+
+        const sections = expression.split(/\b(SET|ADD|REMOVE)\b/).map(part => part.trim()).filter(Boolean);
+        for (let i = 0; i < sections.length; i += 2) {
+            const action = sections[i];
+            for (const clause of splitTopLevel(sections[i + 1] || '', ',')) {
+                if (action === 'SET') {
+                    const [path, value] = clause.split(/=(.+)/).map(part => part.trim());
+                    updated[name(path)] = evaluateValue(value);
+                    touched.add(name(path));
+                } else if (action === 'ADD') {
+                    const [path, value] = clause.split(/\s+/);
+                    const current = Number(item[name(path)]?.N || 0);
+                    updated[name(path)] = { N: String(current + Number(operand(value).N)) };
+                    touched.add(name(path));
+                } else {
+                    delete updated[name(clause)];
+                }
+            }
+        }
+        return { item: updated, touched };
+    }
+
+    function checkCondition(input, item) {
+        if (input.ConditionExpression && !evaluateCondition(input.ConditionExpression, input, item || {})) {
+            throw serviceError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    }
+
+    function project(item, projection, names = {}) {
+        if (!projection) return structuredClone(item);
+        const fields = projection.split(',').map(field => names[field.trim()] || field.trim());
+        return Object.fromEntries(fields.filter(field => item[field] !== undefined).map(field => [field, structuredClone(item[field])]));
+    }
+
+    /**
+     * Query/Scan paging: items after ExclusiveStartKey, cut at Limit (filter applied after the limit, as in DynamoDB)
+     * keyAttributes: attributes of LastEvaluatedKey (table keys, plus the index keys for index queries)
+     */
+    function page(input, keyAttributes, candidates) {
+        const positionOf = item => JSON.stringify(keyAttributes.map(attribute => item[attribute] || null));
+        let start = 0;
+        if (input.ExclusiveStartKey) {
+            const startKey = positionOf(input.ExclusiveStartKey);
+            start = candidates.findIndex(item => positionOf(item) === startKey) + 1;
+        }
+        const limit = input.Limit || candidates.length;
+        const slice = candidates.slice(start, start + limit);
+        const more = start + limit < candidates.length;
+        const filtered = input.FilterExpression
+            ? slice.filter(item => evaluateCondition(input.FilterExpression, input, item))
+            : slice;
+        const last = slice[slice.length - 1];
+        const lastKey = more && last
+            ? Object.fromEntries(keyAttributes.map(attribute => [attribute, last[attribute]]))
+            : undefined;
+        return {
+            Items: filtered.map(item => project(item, input.ProjectionExpression, input.ExpressionAttributeNames)),
+            Count: filtered.length,
+            ScannedCount: slice.length,
+            LastEvaluatedKey: lastKey
+        };
+    }
+
+    const handlers = {
+        GetItemCommand(input) {
+            const { schema, items } = tableFor(input.TableName);
+            const item = readItem(items, keyString(schema, input.Key));
+            return { Item: item ? project(item, input.ProjectionExpression, input.ExpressionAttributeNames) : undefined };
+        },
+
+        PutItemCommand(input) {
+            const { schema, items } = tableFor(input.TableName);
+            const key = keyString(schema, input.Item);
+            const existing = readItem(items, key);
+            checkCondition(input, existing);
+            items.set(key, structuredClone(input.Item));
+            return { Attributes: input.ReturnValues === 'ALL_OLD' && existing ? structuredClone(existing) : undefined };
+        },
+
+        UpdateItemCommand(input) {
+            const { schema, items } = tableFor(input.TableName);
+            const key = keyString(schema, input.Key);
+            const existing = readItem(items, key);
+            checkCondition(input, existing);
+            const { item, touched } = applyUpdate(input.UpdateExpression, input, { ...(existing || {}), ...input.Key });
+            items.set(key, structuredClone(item));
+            const returned = {
+                ALL_NEW: item,
+                ALL_OLD: existing,
+                UPDATED_NEW: Object.fromEntries([...touched].map(name => [name, item[name]]))
+            }[input.ReturnValues];
+            return { Attributes: returned ? structuredClone(returned) : undefined };
+        },
+
+        DeleteItemCommand(input) {
+            const { schema, items } = tableFor(input.TableName);
+            const key = keyString(schema, input.Key);
+            const existing = readItem(items, key);
+            checkCondition(input, existing);
+            items.delete(key);
+            return { Attributes: input.ReturnValues === 'ALL_OLD' && existing ? structuredClone(existing) : undefined };
+        },
+
+        QueryCommand(input) {
+            const { schema: tableSchema, items } = tableFor(input.TableName);
+            const schema = input.IndexName ? tableSchema.indexes?.[input.IndexName] : tableSchema;
+            if (!schema) {
+                throw serviceError('ValidationException', `The table does not have the specified index: ${input.IndexName}`);
+            }
+            const keyCondition = { ...input, FilterExpression: undefined };
+            const matches = liveItems(items)
+                // Index queries only see items that carry the index keys (sparse index)
+                .filter(item => item[schema.hashKey] && (!schema.rangeKey || item[schema.rangeKey]))
+                .filter(item => evaluateCondition(input.KeyConditionExpression, keyCondition, item));
+            if (schema.rangeKey) {
+                matches.sort((a, b) => compareValues(a[schema.rangeKey], b[schema.rangeKey]));
+            }
+            if (input.ScanIndexForward === false) {
+                matches.reverse();
+            }
+            return page(input, [...new Set([schema.hashKey, schema.rangeKey, tableSchema.hashKey, tableSchema.rangeKey].filter(Boolean))], matches);
+        },
+
+        ScanCommand(input) {
+            const { schema, items } = tableFor(input.TableName);
+            return page(input, [schema.hashKey, schema.rangeKey].filter(Boolean), liveItems(items));
+        },
+
+        BatchWriteItemCommand(input) {
+            for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+                const { schema, items } = tableFor(tableName);
+                for (const request of requests) {
+                    if (request.PutRequest) {
+                        items.set(keyString(schema, request.PutRequest.Item), structuredClone(request.PutRequest.Item));
+                    } else if (request.DeleteRequest) {
+                        items.delete(keyString(schema, request.DeleteRequest.Key));
+                    }
+                }
+            }
+            return { UnprocessedItems: {} };
+        }
+    };
+
+    return {
+        /**
+         * SDK-compatible entry point
+         */
+        async send(command) {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw serviceError('UnknownOperationException', `Fake DynamoDB does not implement ${command.constructor.name}`);
+            }
+            return { ...handler(command.input), $metadata: { httpStatusCode: 200 } };
+        },
+
+        /**
+         * Live items of a table (marshalled attribute values), for assertions and seeding
+         */
+        items(tableName) {
+            return liveItems(tableFor(tableName).items).map(item => structuredClone(item));
+        },
+
+        /**
+         * Write an item directly (marshalled attribute values)
+         */
+        putItem(tableName, item) {
+            const { schema, items } = tableFor(tableName);
+            items.set(keyString(schema, item), structuredClone(item));
+        },
+
+        /**
+         * Remove every item from every table
+         */
+        reset() {
+            for (const items of store.values()) items.clear();
+        }
+    };
+}
+
+module.exports = { createFakeDynamoDB };
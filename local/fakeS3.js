@@ -0,0 +1,88 @@
+/**
+ * In-memory S3 fake for the local dev server and tests
+ * Serves the files of a local directory (read on every request, so edits show up immediately)
+ * under a key prefix, plus any objects written with putObject()
+ * Implements send(command) for ListObjectsV2 and GetObject
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * Create a fake S3 client
+ * - root: directory whose files are served (e.g. knowledge_base/), or null for putObject() only
+ * - prefix: key prefix for the directory's files (e.g. "knowledge_base/")
+ */
+function createFakeS3({ root = null, prefix = '' } = {}) {
+    // key -> Buffer (or null for a deleted directory file)
+    const written = new Map();
+
+    function directoryObjects() {
+        if (!root || !fs.existsSync(root)) return new Map();
+        return new Map(fs.readdirSync(root)
+            .filter(name => fs.statSync(path.join(root, name)).isFile())
+            .map(name => [`${prefix}${name}`, fs.readFileSync(path.join(root, name))]));
+    }
+
+    function allObjects() {
+        const objects = directoryObjects();
+        for (const [key, body] of written) {
+            if (body === null) objects.delete(key);
+            else objects.set(key, body);
+        }
+        return objects;
+    }
+
+    const etagOf = body => `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+    const handlers = {
+        ListObjectsV2Command(input) {
+            const contents = [...allObjects()]
+                .filter(([key]) => !input.Prefix || key.startsWith(input.Prefix))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([key, body]) => ({ Key: key, ETag: etagOf(body), Size: body.length }));
+            return { Contents: contents, KeyCount: contents.length, IsTruncated: false };
+        },
+
+        GetObjectCommand(input) {
+            const body = allObjects().get(input.Key);
+            if (!body) {
+                const error = new Error('The specified key does not exist.');
+                error.name = 'NoSuchKey';
+                error.$metadata = { httpStatusCode: 404 };
+                throw error;
+            }
+            return { Body: Readable.from([body]), ETag: etagOf(body), ContentLength: body.length };
+        }
+    };
+
+    return {
+        /**
+         * SDK-compatible entry point
+         */
+        async send(command) {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw new Error(`Fake S3 does not implement ${command.constructor.name}`);
+            }
+            return { ...handler(command.input), $metadata: { httpStatusCode: 200 } };
+        },
+
+        /**
+         * Add or replace an object (e.g. to simulate a catalog update)
+         */
+        putObject(key, body) {
+            written.set(key, Buffer.from(body));
+        },
+
+        /**
+         * Delete an object, including one served from the directory
+         */
+        deleteObject(key) {
+            written.set(key, null);
+        }
+    };
+}
+
+module.exports = { createFakeS3 };
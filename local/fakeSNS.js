@@ -0,0 +1,54 @@
+/**
+ * In-memory SNS fake for the local dev server and tests
+ * Implements send(command) for Publish; published messages are kept in order
+ */
+const crypto = require('crypto');
+
+/**
+ * Create a fake SNS client
+ */
+function createFakeSNS() {
+    const messages = [];
+    let failWith = null;
+
+    const handlers = {
+        PublishCommand(input) {
+            if (failWith) {
+                const error = new Error(`Fake SNS ${failWith}`);
+                error.name = failWith;
+                error.$metadata = { httpStatusCode: 400 };
+                throw error;
+            }
+            const messageId = crypto.randomUUID();
+            messages.push({ ...input, MessageId: messageId });
+            return { MessageId: messageId };
+        }
+    };
+
+    return {
+        /**
+         * SDK-compatible entry point
+         */
+        async send(command) {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw new Error(`Fake SNS does not implement ${command.constructor.name}`);
+            }
+            return { ...handler(command.input), $metadata: { httpStatusCode: 200 } };
+        },
+
+        /**
+         * Published messages ({ TopicArn, Subject, Message, MessageAttributes, MessageId })
+         */
+        messages,
+
+        /**
+         * Make every Publish fail with an error of this name (null to succeed again)
+         */
+        fail(errorName) {
+            failWith = errorName;
+        }
+    };
+}
+
+module.exports = { createFakeSNS };
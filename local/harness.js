@@ -0,0 +1,170 @@
+/**
+ * Offline harness: loads src/index.js with in-memory DynamoDB, S3 and Bedrock fakes
+ * Used by the local dev server (local/server.js) and the test suite (test/)
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { setClientOverrides } = require('../src/awsClients');
+const { corsHeaders } = require('../src/http');
+const { createFakeDynamoDB } = require('./fakeDynamoDB');
+const { createFakeS3 } = require('./fakeS3');
+const { createFakeBedrock } = require('./fakeBedrock');
+const { createFakeSNS } = require('./fakeSNS');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const SRC_DIR = path.join(REPO_ROOT, 'src');
+
+// The Lambda runtime's response stream wrapper: metadata becomes the HTTP status line and headers.
+// The AWS SDK defines a partial awslambda global of its own, so only the wrapper is added to it
+globalThis.awslambda = globalThis.awslambda || {};
+if (!globalThis.awslambda.HttpResponseStream) {
+    globalThis.awslambda.HttpResponseStream = {
+        from(responseStream, metadata) {
+            responseStream.writeHead(metadata.statusCode, { ...corsHeaders(), ...metadata.headers });
+            return responseStream;
+        }
+    };
+}
+
+// Environment for offline runs; anything set here can be overridden per app
+const LOCAL_ENV = {
+    BEDROCK_API_KEY: 'local-dev-key',
+    S3_BUCKET_NAME: 'local-knowledge-base',
+    S3_KNOWLEDGE_BASE_PREFIX: 'knowledge_base/',
+    SEMANTIC_CACHE_EMBEDDER: 'local',
+    MODEL_FALLBACK_IDS: '',
+    GUARDRAIL_ID: '',
+    // Submitted leads are appended here instead of being published to SNS
+    LEAD_NOTIFIER: 'file',
+    LEAD_FILE_PATH: path.join(os.tmpdir(), 'travelbuddy-leads.jsonl'),
+    // Quotes use the sample rates table (deployments read it from S3, see FX_RATES_S3_KEY)
+    FX_RATES: fs.readFileSync(path.join(REPO_ROOT, 'config', 'fx_rates.json'), 'utf-8')
+};
+
+/**
+ * Key schemas of the SAM template's tables, under the table names the handler will use
+ */
+function tableSchemas(env) {
+    return {
+        [env.DYNAMODB_TABLE_NAME || 'travelbuddy-query-cache']: {
+            hashKey: 'queryHash',
+            indexes: {
+                [env.SEMANTIC_CACHE_INDEX_NAME || 'RecentEntriesIndex']: { hashKey: 'cacheBucket', rangeKey: 'timestamp' }
+            }
+        },
+        [env.SESSIONS_TABLE_NAME || 'travelbuddy-sessions']: { hashKey: 'sessionId' },
+        [env.QUOTA_TABLE_NAME || 'travelbuddy-quotas']: { hashKey: 'quotaKey' },
+        [env.USAGE_LEDGER_TABLE_NAME || 'travelbuddy-usage-ledger']: { hashKey: 'day', rangeKey: 'recordId' },
+        [env.LEADS_TABLE_NAME || 'travelbuddy-leads']: { hashKey: 'leadId' },
+        [env.FEEDBACK_TABLE_NAME || 'travelbuddy-answer-feedback']: { hashKey: 'requestId' }
+    };
+}
+
+// Environment keys set by the previous createLocalApp() call (cleared before the next one)
+let appliedEnv = [];
+
+/**
+ * Load a fresh copy of the handler against new fakes
+ * - env: environment overrides (on top of LOCAL_ENV and the shell environment)
+ * - knowledgeBaseDir: directory served under S3_KNOWLEDGE_BASE_PREFIX (default: the repo's knowledge_base/)
+ * - bedrock: options for createFakeBedrock (e.g. { responder })
+ * - now: clock for DynamoDB TTL expiry (milliseconds)
+ * Returns { handler, streamHandler, request, stream, dynamodb, s3, bedrock, sns, env }
+ */
+function createLocalApp({ env = {}, knowledgeBaseDir = path.join(REPO_ROOT, 'knowledge_base'), bedrock = {}, now } = {}) {
+    for (const key of appliedEnv) delete process.env[key];
+    // LOCAL_ENV values give way to the shell's environment; explicit overrides always apply
+    const resolvedEnv = {
+        ...Object.fromEntries(Object.entries(LOCAL_ENV).filter(([key]) => process.env[key] === undefined)),
+        ...env
+    };
+    appliedEnv = Object.keys(resolvedEnv);
+    Object.assign(process.env, resolvedEnv);
+
+    const fakes = {
+        dynamodb: createFakeDynamoDB({ tables: tableSchemas(process.env), now }),
+        s3: createFakeS3({ root: knowledgeBaseDir, prefix: process.env.S3_KNOWLEDGE_BASE_PREFIX }),
+        bedrock: createFakeBedrock(bedrock),
+        sns: createFakeSNS()
+    };
+
+    // src/index.js creates its clients and in-memory caches at module load, so load every module afresh
+    for (const modulePath of Object.keys(require.cache)) {
+        if (modulePath.startsWith(SRC_DIR) && !modulePath.endsWith('awsClients.js')) {
+            delete require.cache[modulePath];
+        }
+    }
+    setClientOverrides(fakes);
+    const app = require('../src/index');
+    setClientOverrides({});
+
+    /**
+     * Call the buffered handler with an API Gateway REST (v1) event
+     * Returns { statusCode, headers, body } with the JSON body parsed
+     */
+    async function request(method, requestPath, { body, headers = {}, query, sourceIp = '127.0.0.1' } = {}) {
+        const response = await app.handler({
+            httpMethod: method,
+            path: requestPath,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            queryStringParameters: query || null,
+            body: body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body),
+            isBase64Encoded: false,
+            requestContext: { requestId: crypto.randomUUID(), identity: { sourceIp } }
+        });
+        return { ...response, body: response.body ? JSON.parse(response.body) : null };
+    }
+
+    /**
+     * Call the streaming handler with a Lambda Function URL event (POST /stream)
+     * Returns { statusCode, headers, events: [{ event, data }] } with each event's data parsed
+     */
+    async function stream(body, { headers = {}, sourceIp = '127.0.0.1' } = {}) {
+        const response = { statusCode: null, headers: {}, events: [] };
+        let text = '';
+        const responseStream = {
+            writeHead(statusCode, streamHeaders) {
+                response.statusCode = statusCode;
+                response.headers = streamHeaders;
+            },
+            write(chunk) {
+                text += chunk;
+            },
+            end() {}
+        };
+        await app.streamHandler({
+            version: '2.0',
+            rawPath: '/',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body),
+            isBase64Encoded: false,
+            requestContext: {
+                requestId: crypto.randomUUID(),
+                domainName: 'local.lambda-url.us-east-1.on.aws',
+                http: { method: 'POST', path: '/', sourceIp }
+            }
+        }, responseStream);
+        for (const block of text.split('\n\n').filter(Boolean)) {
+            const [, event] = block.match(/^event: (.*)$/m);
+            const [, data] = block.match(/^data: (.*)$/m);
+            response.events.push({ event, data: JSON.parse(data) });
+        }
+        return response;
+    }
+
+    return {
+        handler: app.handler,
+        streamHandler: app.streamHandler,
+        request,
+        stream,
+        env: process.env,
+        ...fakes
+    };
+}
+
+module.exports = {
+    createLocalApp,
+    LOCAL_ENV
+};
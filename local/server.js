@@ -0,0 +1,92 @@
+/**
+ * Local offline dev server
+ * Runs exports.handler (and the streaming handler on POST /stream) behind a plain HTTP server,
+ * with in-memory DynamoDB, the repo's knowledge_base/ served as S3, and a scripted Bedrock fake.
+ * Nothing is persisted: restarting the server clears sessions, the cache, quotas and the usage ledger.
+ *
+ *   npm run dev                     # http://localhost:3000/hello
+ *   PORT=4000 npm run dev
+ *
+ * Point the frontend's ApiService at http://localhost:3000/hello (and the stream URL at /stream).
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { createLocalApp } = require('./harness');
+const { corsHeaders, preflightResponse } = require('../src/http');
+
+const PORT = parseInt(process.env.PORT || '3000', 10);
+const STREAM_PATH = '/stream';
+
+const app = createLocalApp({
+    // Admin routes (GET /usage, POST /admin/cache/purge) accept this token unless one is set
+    env: process.env.ADMIN_API_TOKEN ? {} : { ADMIN_API_TOKEN: 'local-admin-token' }
+});
+
+/**
+ * Read the request body as a string
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * API Gateway REST (v1) event for an incoming request
+ */
+function toEvent(req, body) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const query = Object.fromEntries(url.searchParams);
+    return {
+        httpMethod: req.method,
+        path: url.pathname,
+        headers: req.headers,
+        queryStringParameters: Object.keys(query).length > 0 ? query : null,
+        body: body || null,
+        isBase64Encoded: false,
+        requestContext: {
+            requestId: crypto.randomUUID(),
+            identity: { sourceIp: req.socket.remoteAddress }
+        }
+    };
+}
+
+/**
+ * Write a Lambda proxy response
+ */
+function send(res, response) {
+    res.writeHead(response.statusCode, response.headers || {});
+    res.end(response.body || '');
+}
+
+const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    try {
+        const event = toEvent(req, await readBody(req));
+        if (event.path === STREAM_PATH) {
+            if (req.method === 'OPTIONS') {
+                send(res, preflightResponse(['POST']));
+            } else {
+                await app.streamHandler(event, res);
+            }
+        } else {
+            send(res, await app.handler(event));
+        }
+    } catch (error) {
+        console.error('Local server error:', error);
+        if (!res.headersSent) {
+            send(res, { statusCode: 500, headers: corsHeaders(), body: JSON.stringify({ error: { code: 'LocalServerError', message: error.message, details: [], requestId: null } }) });
+        } else {
+            res.end();
+        }
+    }
+    console.log(`${req.method} ${req.url} -> ${res.statusCode} (${Date.now() - started}ms)`);
+});
+
+server.listen(PORT, () => {
+    console.log(`TravelBuddy offline API on http://localhost:${PORT} (POST /hello, POST ${STREAM_PATH}, GET /suggestions, ...)`);
+    console.log(`Admin token: ${process.env.ADMIN_API_TOKEN}`);
+});
@@ -0,0 +1,285 @@
+/**
+ * Post-generation answer validator
+ * Cross-checks the package names, ₹ amounts and night/day counts in a model answer against
+ * the parsed catalog, so invented packages and wrong prices are caught before the answer is
+ * returned or cached
+ *
+ * Facts are attributed to the package mentioned nearest before them: earlier on the same line,
+ * earlier in the same paragraph, or in the line introducing a list (e.g. "**Bali Romantic Escape**"
+ * followed by "- Cost: ₹88,000")
+ */
+const { formatInr } = require('./intentRouter');
+
+// "<Name> – 4 Nights / 5 Days" or "<Name> (4 Nights / 5 Days)"
+const NAMED_DURATION = /(?:\*\*)?([A-Z][^\n*:()–—]{2,60}?)(?:\*\*)?\s*(?:[–—-]|\(|:)\s*(\d+)\s*Nights?\s*(?:\/|and|,)?\s*(\d+)\s*Days?/g;
+// Bold phrases that name a package ("**Bali Getaway Package**")
+const BOLD_PACKAGE_NAME = /\*\*([^*\n]{3,60}?(?:Delight|Explorer|Fun|Combo|Fusion|Escape|Adventure|Discovery|Highlights|Getaway|Retreat|Package|Tour|Special|Express|Holiday|Experience))\*\*/g;
+const AMOUNT = /(?:₹|rs\.?\s*|inr\s*)([\d,]+(?:\.\d+)?)(\s*(?:k|lakhs?|lac)\b)?/gi;
+const DURATION = /\b(\d+)\s*Nights?(?:\s*(?:\/|and|,)?\s*(\d+)\s*Days?)?/gi;
+// Amounts quoted back as budgets or thresholds rather than as package prices
+const THRESHOLD_WORDS = /\b(?:under|below|within|less than|up ?to|budget(?: of)?|over|above|more than|max(?:imum)?|around|about)\s*$/i;
+// Group totals ("₹1,36,000 for two", "₹1,87,000 for two adults and a child") are allowed for parties up to this size
+const MAX_TRAVELLERS = 10;
+// Infants and single rooms counted in a group total
+const MAX_INFANTS = 2;
+const MAX_SINGLE_ROOMS = 2;
+// What the sentence around an amount says it is for; prices other than the adult one and its multiples
+// are only accepted when it names who they are for
+const COUNT = String.raw`(?:\d+|two|three|four|five|six|seven|eight|nine|ten)`;
+const PARTY_WORDS = new RegExp(String.raw`\b(?:${COUNT}\s+(?:adults?|people|persons|travell?ers|guests)|for\s+${COUNT}|couples?|family|families|group|together|in\s+total|total)\b`, 'i');
+const CHILD_WORDS = /\b(?:child(?:ren)?|kids?)\b/i;
+const INFANT_WORDS = /\b(?:infants?|bab(?:y|ies))\b/i;
+const SINGLE_ROOM_WORDS = /\b(?:single[\s-]+(?:rooms?|occupancy)|(?:single|solo|room)\s+supplements?)\b/i;
+
+/**
+ * Lowercase word string used for name matching ("&" and "and" are interchangeable)
+ */
+function nameKey(text) {
+    return ` ${text
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 0 && word !== 'package' && word !== 'the')
+        .join(' ')} `;
+}
+
+/**
+ * Parse a matched ₹ amount, e.g. "1,05,000" → 105000, "90" + "k" → 90000
+ */
+function parseAmount(digits, unit) {
+    let amount = Number(digits.replace(/,/g, ''));
+    const suffix = (unit || '').trim().toLowerCase();
+    if (suffix === 'k') amount *= 1000;
+    if (suffix.startsWith('lakh') || suffix === 'lac') amount *= 100000;
+    return amount;
+}
+
+/**
+ * Who the sentence (or list line) around the amount at `index` says a price is for
+ * Returns { party, child, infant, singleRoom } flags
+ */
+function amountContext(answer, index, end) {
+    const boundaries = [...answer.slice(0, index).matchAll(/[.!?]\s|\n/g)];
+    const start = boundaries.length > 0 ? boundaries.at(-1).index + boundaries.at(-1)[0].length : 0;
+    const rest = answer.slice(end).search(/[.!?](?:\s|$)|\n/);
+    const sentence = answer.slice(start, rest === -1 ? answer.length : end + rest);
+    return {
+        party: PARTY_WORDS.test(sentence),
+        child: CHILD_WORDS.test(sentence),
+        infant: INFANT_WORDS.test(sentence),
+        singleRoom: SINGLE_ROOM_WORDS.test(sentence)
+    };
+}
+
+/**
+ * ₹ amounts a package's prices can come to in a given context: the adult price and its multiples always;
+ * with pricing rules (see quotes.js), the child and infant prices when the context names a child or an infant,
+ * the single room supplement when it names a single room, and party totals of up to MAX_TRAVELLERS people
+ * that include children or infants when it names them or a party (unit prices are rounded to the rupee as in quotes)
+ */
+function packageAmounts(pkg, rules, context) {
+    const adult = pkg.costInr;
+    const amounts = new Set();
+    for (let adults = 1; adults <= MAX_TRAVELLERS; adults++) {
+        amounts.add(adults * adult);
+    }
+    if (!rules) {
+        return amounts;
+    }
+
+    const child = Math.round(pkg.costInr * rules.childRate);
+    const infant = Math.round(pkg.costInr * rules.infantRate);
+    const supplement = Math.round(pkg.costInr * rules.singleSupplementRate);
+    if (context.singleRoom) {
+        amounts.add(supplement);
+    }
+    for (let adults = 0; adults <= MAX_TRAVELLERS; adults++) {
+        for (let children = 0; adults + children <= MAX_TRAVELLERS; children++) {
+            for (let infants = 0; infants <= MAX_INFANTS; infants++) {
+                for (let rooms = 0; rooms <= Math.min(adults, MAX_SINGLE_ROOMS); rooms++) {
+                    const party = context.party && adults + children + infants > 1;
+                    if (children > 0 && !context.child && !party) continue;
+                    if (infants > 0 && !context.infant && !party) continue;
+                    if (rooms > 0 && !context.singleRoom) continue;
+                    amounts.add(adults * adult + children * child + infants * infant + rooms * supplement);
+                }
+            }
+        }
+    }
+    amounts.delete(0);
+    return amounts;
+}
+
+/**
+ * Find the catalog packages a name refers to: the full name appears in it, or it is a
+ * distinctive part of exactly one package name (e.g. "Phuket & Krabi")
+ */
+function resolvePackageName(name, packages) {
+    const key = nameKey(name);
+    if (key.trim().length === 0) return [];
+    const full = packages.filter(pkg => key.includes(nameKey(pkg.name)));
+    if (full.length > 0) return full;
+    const partial = packages.filter(pkg => nameKey(pkg.name).includes(key));
+    return partial.length === 1 ? partial : [];
+}
+
+/**
+ * Positions of every catalog package name mentioned in the answer
+ */
+function findMentions(answer, packages) {
+    const mentions = [];
+    for (const pkg of packages) {
+        const source = pkg.name
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\s*&\s*/g, ' (?:&|and) ')
+            .replace(/\s+/g, '[\\s-]+');
+        const pattern = new RegExp(source, 'gi');
+        for (const match of answer.matchAll(pattern)) {
+            mentions.push({ pkg, index: match.index, end: match.index + match[0].length });
+        }
+    }
+    return mentions.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Split the answer into paragraphs with their start offsets
+ */
+function paragraphs(answer) {
+    const blocks = [];
+    const pattern = /\n\s*\n/g;
+    let start = 0;
+    let match;
+    while ((match = pattern.exec(answer)) !== null) {
+        blocks.push({ start, end: match.index });
+        start = match.index + match[0].length;
+    }
+    blocks.push({ start, end: answer.length });
+    return blocks;
+}
+
+/**
+ * The package a fact at `index` belongs to, or null if none is in scope
+ */
+function contextPackage(index, mentions, blocks, answer) {
+    const blockIndex = blocks.findIndex(block => index >= block.start && index <= block.end);
+    const block = blocks[blockIndex];
+    let scopeStart = block.start;
+
+    // A paragraph that is a list continues the paragraph that introduced it
+    const isList = /^\s*(?:[-*•]|\d+[.)])\s/.test(answer.slice(block.start, block.end));
+    if (isList && blockIndex > 0) {
+        scopeStart = blocks[blockIndex - 1].start;
+    }
+
+    const inScope = mentions.filter(mention => mention.end <= index && mention.index >= scopeStart);
+    return inScope.length > 0 ? inScope[inScope.length - 1].pkg : null;
+}
+
+/**
+ * Validate a model answer against the catalog
+ * Returns { passed, issues } where each issue is { type, text, message }
+ * - unknown_package: a package name that is not in the catalog
+ * - wrong_price: a ₹ amount that doesn't match a price of the package it describes (or of any package)
+ * - wrong_duration: a night/day count that doesn't match the package it describes
+ * knownAmounts: ₹ amounts computed by code for this answer (tool results such as quote totals), accepted as they are
+ * pricingRules: child, infant and single-room rates (PRICING_RULES) that prices other than the adult one follow;
+ * without them only the adult prices and their multiples are accepted
+ */
+function validateAnswer(answer, packages, { knownAmounts = [], pricingRules = null } = {}) {
+    const issues = [];
+    if (!answer || packages.length === 0) {
+        return { passed: true, issues };
+    }
+    const amountsByPackage = new Map();
+    const matchesCost = (amount, pkg, context) => {
+        const key = `${pkg.id}|${context.party}|${context.child}|${context.infant}|${context.singleRoom}`;
+        if (!amountsByPackage.has(key)) {
+            amountsByPackage.set(key, packageAmounts(pkg, pricingRules, context));
+        }
+        return amountsByPackage.get(key).has(amount);
+    };
+
+    const mentions = findMentions(answer, packages);
+    const blocks = paragraphs(answer);
+    const addIssue = (type, text, message) => {
+        if (!issues.some(issue => issue.type === type && issue.text === text)) {
+            issues.push({ type, text, message });
+        }
+    };
+
+    // Named packages with a duration, and bold package-like names
+    for (const match of answer.matchAll(NAMED_DURATION)) {
+        const name = match[1].replace(/^\s*\d+[.)]\s*/, '').trim();
+        const resolved = resolvePackageName(name, packages);
+        if (resolved.length === 0) {
+            addIssue('unknown_package', name, `"${name}" is not a package in the catalog`);
+        }
+    }
+    for (const match of answer.matchAll(BOLD_PACKAGE_NAME)) {
+        const name = match[1].replace(/^\s*\d+[.)]\s*/, '').trim();
+        if (resolvePackageName(name, packages).length === 0) {
+            addIssue('unknown_package', name, `"${name}" is not a package in the catalog`);
+        }
+    }
+
+    // ₹ amounts
+    for (const match of answer.matchAll(AMOUNT)) {
+        const amount = parseAmount(match[1], match[2]);
+        if (!Number.isFinite(amount) || amount <= 0) continue;
+        if (THRESHOLD_WORDS.test(answer.slice(Math.max(0, match.index - 20), match.index))) continue;
+        if (knownAmounts.includes(amount)) continue;
+
+        const context = amountContext(answer, match.index, match.index + match[0].length);
+        const pkg = contextPackage(match.index, mentions, blocks, answer);
+        if (pkg) {
+            if (!matchesCost(amount, pkg, context)) {
+                addIssue('wrong_price', match[0].trim(), `${match[0].trim()} does not match the ${pkg.name} cost of ${formatInr(pkg.costInr)} per person`);
+            }
+        } else if (!packages.some(candidate => matchesCost(amount, candidate, context))) {
+            addIssue('wrong_price', match[0].trim(), `${match[0].trim()} is not the cost of any package in the catalog`);
+        }
+    }
+
+    // Night/day counts
+    for (const match of answer.matchAll(DURATION)) {
+        const pkg = contextPackage(match.index, mentions, blocks, answer);
+        if (!pkg) continue;
+        const nights = parseInt(match[1], 10);
+        const days = match[2] ? parseInt(match[2], 10) : null;
+        // "2 nights in Pattaya" style accommodation splits are shorter than the whole package
+        const isSplit = days === null && nights < pkg.nights && /^\s*(?:in|at)\b/i.test(answer.slice(match.index + match[0].length));
+        if (isSplit) continue;
+        if (nights !== pkg.nights || (days !== null && days !== pkg.days)) {
+            addIssue('wrong_duration', match[0].trim(), `${match[0].trim()} does not match the ${pkg.name} duration of ${pkg.nights} Nights / ${pkg.days} Days`);
+        }
+    }
+
+    return { passed: issues.length === 0, issues };
+}
+
+/**
+ * Corrective instruction appended to the system prompt for the single retry
+ */
+function buildCorrectionPrompt(issues) {
+    return 'CORRECTION REQUIRED: A previous draft of this answer contained facts that are not in the catalog:\n' +
+        issues.map(issue => `- ${issue.message}`).join('\n') +
+        '\nRewrite the answer using ONLY the exact package names, prices and durations from the Travel Package Information.';
+}
+
+/**
+ * Catalog-safe fallback answer: the relevant packages rendered straight from the catalog
+ */
+function buildFallbackAnswer(packages) {
+    const contact = 'Please contact us at travelbuddy@asia.com or +91-98765-43210 for anything not covered here.';
+    if (packages.length === 0) {
+        return `I couldn't verify an answer to that against our catalog. ${contact}`;
+    }
+    const lines = packages.map(pkg => `• **${pkg.name}** – ${pkg.nights} Nights / ${pkg.days} Days – ${formatInr(pkg.costInr)} ${pkg.costNote}`);
+    return `I couldn't verify a detailed answer against our catalog, so here are the matching packages exactly as listed:\n\n${lines.join('\n')}\n\n${contact}`;
+}
+
+module.exports = {
+    validateAnswer,
+    buildCorrectionPrompt,
+    buildFallbackAnswer
+};
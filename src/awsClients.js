@@ -0,0 +1,36 @@
+/**
+ * AWS SDK clients used by the handler
+ * Created once per container at module load (connection reuse). The local dev server and the tests
+ * install in-memory fakes with setClientOverrides() before src/index.js is required; a fake is any
+ * object with the client's send(command) method.
+ */
+const { BedrockRuntimeClient } = require('@aws-sdk/client-bedrock-runtime');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SNSClient } = require('@aws-sdk/client-sns');
+
+let overrides = {};
+
+/**
+ * Replace clients for the next createClients() call: { bedrock, dynamodb, s3, sns } (each optional)
+ */
+function setClientOverrides(clients = {}) {
+    overrides = clients;
+}
+
+/**
+ * Create the Bedrock runtime, DynamoDB, S3 and SNS clients for a region
+ */
+function createClients(region) {
+    return {
+        bedrock: overrides.bedrock || new BedrockRuntimeClient({ region }),
+        dynamodb: overrides.dynamodb || new DynamoDBClient({ region }),
+        s3: overrides.s3 || new S3Client({ region }),
+        sns: overrides.sns || new SNSClient({ region })
+    };
+}
+
+module.exports = {
+    createClients,
+    setClientOverrides
+};
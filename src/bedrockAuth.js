@@ -0,0 +1,33 @@
+/**
+ * Bedrock API key authentication
+ * Replaces the SigV4 Authorization header with the Bedrock API key bearer token
+ */
+
+/**
+ * Attach the API key auth middleware to a Bedrock command
+ * Returns the same command for chaining
+ */
+function applyApiKeyAuth(command, apiKey) {
+    command.middlewareStack.add(
+        (next) => async (args) => {
+            if (args.request?.headers) {
+                const headerKeys = Object.keys(args.request.headers);
+                for (const key of headerKeys) {
+                    if (key.toLowerCase() === 'authorization') {
+                        delete args.request.headers[key];
+                    }
+                }
+                args.request.headers['authorization'] = `Bearer ${apiKey}`;
+            }
+            return next(args);
+        },
+        {
+            step: 'finalizeRequest',
+            priority: 999,
+            name: 'bedrockApiKeyAuthOverride'
+        }
+    );
+    return command;
+}
+
+module.exports = { applyApiKeyAuth };
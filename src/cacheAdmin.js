@@ -0,0 +1,250 @@
+/**
+ * Query cache administration: list, inspect and delete entries of the cache table
+ * (entries are read and written through cacheRepository.js, which defines the item shapes and hit counters)
+ */
+const { GetItemCommand, DeleteItemCommand, ScanCommand, BatchWriteItemCommand } = require('@aws-sdk/client-dynamodb');
+const { decodeItem, entityTypeOf } = require('./cacheRepository');
+
+// BatchWriteItem accepts at most 25 requests
+const BATCH_WRITE_SIZE = 25;
+
+// Characters of the answer shown in list results
+const RESPONSE_PREVIEW_LENGTH = 160;
+
+// List orders accepted by listEntries (and the admin list route's query schema)
+const SORT_ORDERS = ['key', 'hits', 'recent'];
+
+const isoTime = milliseconds => (milliseconds ? new Date(milliseconds).toISOString() : null);
+
+/**
+ * Convert a cache item to the admin representation
+ * full = false trims an answer to a preview (list results); legacy items only show the shared attributes
+ */
+function toEntry(item, full = true) {
+    const decoded = decodeItem(item);
+    const entry = {
+        queryHash: decoded.key,
+        kind: decoded.type,
+        queryText: decoded.queryText,
+        docVersion: decoded.docVersion,
+        hitCount: decoded.hitCount,
+        lastHitAt: isoTime(decoded.lastHitAt),
+        createdAt: isoTime(decoded.timestamp),
+        expiresAt: isoTime(decoded.ttl * 1000)
+    };
+    if (decoded.type === 'answer') {
+        const response = decoded.response;
+        Object.assign(entry, {
+            response: full || response.length <= RESPONSE_PREVIEW_LENGTH ? response : `${response.slice(0, RESPONSE_PREVIEW_LENGTH)}…`,
+            model: decoded.usage.model,
+            modelFamily: decoded.modelFamily,
+            language: decoded.language,
+            scope: decoded.scope,
+            semantic: Boolean(decoded.embedding),
+            upVotes: decoded.upVotes,
+            downVotes: decoded.downVotes
+        });
+        if (full) {
+            entry.contextChunks = decoded.contextChunks;
+        }
+    } else if (decoded.type === 'suggestions') {
+        Object.assign(entry, { suggestions: decoded.suggestions, model: decoded.usage.model });
+    }
+    return entry;
+}
+
+/**
+ * Encode a list cursor ({ key } = DynamoDB ExclusiveStartKey, { offset } = position in a sorted list)
+ */
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a list cursor; returns null if it is malformed
+ */
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf-8'));
+        if (cursor && typeof cursor === 'object' && ((cursor.key && typeof cursor.key === 'object') || Number.isInteger(cursor.offset))) {
+            return cursor;
+        }
+    } catch (error) {
+        // Fall through to null
+    }
+    return null;
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+}
+
+/**
+ * Create the cache admin
+ * - maxScanItems: most entries read to sort a list by hits or recency (the table has no index for either)
+ */
+function createCacheAdmin({ client, tableName, maxScanItems = 5000 }) {
+    const isExpired = item => item.ttl && parseInt(item.ttl.N, 10) <= Math.floor(Date.now() / 1000);
+
+    /**
+     * Scan the table, calling onPage(items) for every page of unexpired items
+     * Stops when onPage returns false or the table ends; returns the LastEvaluatedKey it stopped at
+     */
+    async function scan(onPage, { exclusiveStartKey, pageSize } = {}) {
+        let startKey = exclusiveStartKey;
+        do {
+            const page = await client.send(new ScanCommand({
+                TableName: tableName,
+                ExclusiveStartKey: startKey,
+                Limit: typeof pageSize === 'function' ? pageSize() : pageSize
+            }));
+            startKey = page.LastEvaluatedKey;
+            if (onPage((page.Items || []).filter(item => !isExpired(item))) === false) {
+                break;
+            }
+        } while (startKey);
+        return startKey;
+    }
+
+    /**
+     * List entries
+     * - sort: 'key' (table order, paged by DynamoDB), 'hits' (most hits first) or 'recent' (newest first);
+     *   sorted lists read up to maxScanItems entries and report truncated when the table is larger
+     * - kind: 'answer' | 'suggestions' | 'legacy' to filter
+     * - cursor: decoded cursor from a previous page
+     * Returns { entries, nextCursor, scanned, truncated }
+     */
+    async function listEntries({ limit = 20, sort = 'key', kind = null, cursor = null } = {}) {
+        const matchesKind = item => !kind || entityTypeOf(item) === kind;
+
+        if (sort === 'key') {
+            const items = [];
+            let scanned = 0;
+            // Each page asks only for the entries still missing, so none are skipped between pages
+            const lastKey = await scan(page => {
+                scanned += page.length;
+                items.push(...page.filter(matchesKind));
+                return items.length < limit;
+            }, { exclusiveStartKey: cursor?.key, pageSize: () => limit - items.length });
+            return {
+                entries: items.map(item => toEntry(item, false)),
+                nextCursor: lastKey ? encodeCursor({ key: lastKey }) : null,
+                scanned,
+                truncated: false
+            };
+        }
+
+        const items = [];
+        let scanned = 0;
+        const lastKey = await scan(page => {
+            scanned += page.length;
+            items.push(...page.filter(matchesKind));
+            return scanned < maxScanItems;
+        });
+        const sortValue = sort === 'hits'
+            ? item => parseInt(item.hitCount?.N || '0', 10) * 1e13 + parseInt(item.lastHitAt?.N || '0', 10)
+            : item => parseInt(item.timestamp?.N || '0', 10);
+        items.sort((a, b) => sortValue(b) - sortValue(a) || a.queryHash.S.localeCompare(b.queryHash.S));
+
+        const offset = cursor?.offset || 0;
+        const pageItems = items.slice(offset, offset + limit);
+        return {
+            entries: pageItems.map(item => toEntry(item, false)),
+            nextCursor: offset + limit < items.length ? encodeCursor({ offset: offset + limit }) : null,
+            scanned,
+            truncated: Boolean(lastKey)
+        };
+    }
+
+    /**
+     * Full entry for a key, or null if there is none (or it has expired)
+     */
+    async function getEntry(queryHash) {
+        const response = await client.send(new GetItemCommand({
+            TableName: tableName,
+            Key: { queryHash: { S: queryHash } }
+        }));
+        return response.Item && !isExpired(response.Item) ? toEntry(response.Item) : null;
+    }
+
+    /**
+     * Delete one entry; returns the deleted entry, or null if there was none
+     */
+    async function deleteEntry(queryHash) {
+        const response = await client.send(new DeleteItemCommand({
+            TableName: tableName,
+            Key: { queryHash: { S: queryHash } },
+            ReturnValues: 'ALL_OLD'
+        }));
+        return response.Attributes ? toEntry(response.Attributes) : null;
+    }
+
+    /**
+     * Delete entries by key in batches (unprocessed deletes are retried twice)
+     * Returns the number of deleted entries
+     */
+    async function deleteKeys(queryHashes) {
+        let deleted = 0;
+        for (let i = 0; i < queryHashes.length; i += BATCH_WRITE_SIZE) {
+            let requests = queryHashes.slice(i, i + BATCH_WRITE_SIZE).map(queryHash => ({ DeleteRequest: { Key: { queryHash: { S: queryHash } } } }));
+            for (let attempt = 0; requests.length > 0 && attempt < 3; attempt++) {
+                const result = await client.send(new BatchWriteItemCommand({
+                    RequestItems: { [tableName]: requests }
+                }));
+                const unprocessed = result.UnprocessedItems?.[tableName] || [];
+                deleted += requests.length - unprocessed.length;
+                requests = unprocessed;
+            }
+            if (requests.length > 0) {
+                console.warn('Cache delete left unprocessed deletes:', requests.length);
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Delete every entry whose query text contains `text` (case-insensitive, no pattern syntax)
+     * dryRun = true only reports the matches
+     * Returns { matched: [{ queryHash, kind, queryText }], deleted }
+     */
+    async function deleteMatching(text, { dryRun = false } = {}) {
+        const needle = text.toLowerCase();
+        const matched = [];
+        await scan(page => {
+            for (const item of page) {
+                if (item.queryText && item.queryText.S.toLowerCase().includes(needle)) {
+                    matched.push({ queryHash: item.queryHash.S, kind: entityTypeOf(item), queryText: item.queryText.S });
+                }
+            }
+        });
+        const deleted = dryRun ? 0 : await deleteKeys(matched.map(entry => entry.queryHash));
+        return { matched, deleted };
+    }
+
+    return {
+        listEntries,
+        getEntry,
+        deleteEntry,
+        deleteKeys,
+        deleteMatching
+    };
+}
+
+module.exports = {
+    createCacheAdmin,
+    decodeCursor,
+    mapWithConcurrency,
+    SORT_ORDERS
+};
@@ -0,0 +1,344 @@
+/**
+ * Typed access to the query cache table
+ * Every item kind has its own key prefix and entity type, and one codec reads and writes it,
+ * so no caller parses raw attributes. Items whose ttl has passed are misses even before
+ * DynamoDB's (lazy) TTL deletion removes them.
+ *
+ * Item shapes (formatVersion 2):
+ *   answer:      queryHash (S answer:<sha256>), entityType (S answer), formatVersion (N), queryText (S), response (S),
+ *                usage (M { model S, inputTokens N, outputTokens N }), contextChunks (S JSON), docVersion (S),
+ *                modelFamily (S), language (S), timestamp (N), ttl (N), hitCount (N), lastHitAt (N)
+ *                + cacheBucket (S), embedding (B), embeddingModel (S) for semantic-cache candidates
+ *                + scope (L of S: package ids) for follow-ups keyed on the packages of the conversation
+ *                + upVotes (N), downVotes (N) once the answer has been rated (see recordRating)
+ *                + sourceVersions (M { <document key> S }) for the knowledge base documents its context chunks came from
+ *   suggestions: queryHash (S suggestions:initial | suggestions:<hash>, plus :<language> other than English),
+ *                entityType (S suggestions), formatVersion (N),
+ *                queryText (S initial_suggestions | follow_up_suggestions), suggestions (L of S), usage (M), docVersion (S),
+ *                timestamp (N), ttl (N), hitCount (N), lastHitAt (N)
+ *
+ * Answers written before languages were recorded have no language attribute and are read as English.
+ * Items written before entity types existed (unprefixed keys, usage stored as JSON or a map) are legacy:
+ * they are never read as cache hits and are removed by the cache purge or their ttl.
+ */
+const { GetItemCommand, PutItemCommand, QueryCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { serializeEmbedding, deserializeEmbedding } = require('./embeddings');
+
+const FORMAT_VERSION = 2;
+
+const ENTITY_TYPES = {
+    answer: { prefix: 'answer:' },
+    suggestions: { prefix: 'suggestions:' }
+};
+
+/**
+ * Table key of an answer (queryHash: generateQueryHash output)
+ */
+function answerKey(queryHash) {
+    return `${ENTITY_TYPES.answer.prefix}${queryHash}`;
+}
+
+/**
+ * Table key of a suggestion list ('initial' or a hash of the last exchange, with ':<language>' other than English)
+ */
+function suggestionsKey(name) {
+    return `${ENTITY_TYPES.suggestions.prefix}${name}`;
+}
+
+/**
+ * Entity type of a stored item ('legacy' for items written before entity types existed)
+ */
+function entityTypeOf(item) {
+    const type = item.entityType?.S;
+    return ENTITY_TYPES[type] && item.queryHash.S.startsWith(ENTITY_TYPES[type].prefix) ? type : 'legacy';
+}
+
+/**
+ * First source document of an answer whose version has changed since the answer was generated (null if none)
+ * documentVersions: { [document key]: current version }; a document that is gone counts as changed
+ */
+function changedSource(entry, documentVersions) {
+    const changed = Object.entries(entry.sourceVersions || {}).find(([source, version]) => documentVersions[source] !== version);
+    return changed ? changed[0] : null;
+}
+
+/**
+ * Usage map attribute <-> { model, inputTokens, outputTokens }
+ */
+function toUsageAttribute(usage = {}) {
+    return {
+        M: {
+            model: { S: usage.model || 'unknown' },
+            inputTokens: { N: String(usage.inputTokens || 0) },
+            outputTokens: { N: String(usage.outputTokens || 0) }
+        }
+    };
+}
+
+function fromUsageAttribute(attribute) {
+    const usage = attribute?.M || {};
+    return {
+        model: usage.model?.S || null,
+        inputTokens: parseInt(usage.inputTokens?.N || '0', 10),
+        outputTokens: parseInt(usage.outputTokens?.N || '0', 10)
+    };
+}
+
+/**
+ * Decode a stored item
+ * Returns { key, type, queryText, docVersion, usage, timestamp, ttl, hitCount, lastHitAt, ... } with
+ * answers adding response, contextChunks, sourceVersions, scope, modelFamily, language, embedding, embeddingModel,
+ * upVotes and downVotes
+ * and suggestions adding suggestions;
+ * legacy items only get the attributes every format shares (type 'legacy')
+ */
+function decodeItem(item) {
+    const type = entityTypeOf(item);
+    const entry = {
+        key: item.queryHash.S,
+        type,
+        queryText: item.queryText?.S || null,
+        docVersion: item.docVersion?.S || null,
+        timestamp: parseInt(item.timestamp?.N || '0', 10),
+        ttl: parseInt(item.ttl?.N || '0', 10),
+        hitCount: parseInt(item.hitCount?.N || '0', 10),
+        lastHitAt: parseInt(item.lastHitAt?.N || '0', 10)
+    };
+    if (type === 'answer') {
+        return {
+            ...entry,
+            response: item.response.S,
+            usage: fromUsageAttribute(item.usage),
+            contextChunks: item.contextChunks ? JSON.parse(item.contextChunks.S) : [],
+            sourceVersions: Object.fromEntries(Object.entries(item.sourceVersions?.M || {}).map(([source, value]) => [source, value.S])),
+            scope: (item.scope?.L || []).map(value => value.S),
+            modelFamily: item.modelFamily?.S || null,
+            language: item.language?.S || 'en',
+            embedding: item.embedding?.B ? deserializeEmbedding(item.embedding.B) : null,
+            embeddingModel: item.embeddingModel?.S || null,
+            upVotes: parseInt(item.upVotes?.N || '0', 10),
+            downVotes: parseInt(item.downVotes?.N || '0', 10)
+        };
+    }
+    if (type === 'suggestions') {
+        return {
+            ...entry,
+            suggestions: (item.suggestions?.L || []).map(value => value.S),
+            usage: fromUsageAttribute(item.usage)
+        };
+    }
+    return entry;
+}
+
+/**
+ * Create the cache repository
+ * - answerTtlSeconds / suggestionsTtlSeconds: lifetime of each entity type
+ * - indexName / semanticBucket: sparse index of embedded answers for semantic-cache candidates
+ */
+function createCacheRepository({ client, tableName, answerTtlSeconds, suggestionsTtlSeconds, indexName, semanticBucket }) {
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+    const isExpired = entry => entry.ttl > 0 && entry.ttl <= nowSeconds();
+
+    /**
+     * Attributes every entity type shares
+     */
+    function baseItem(key, type, { queryText, docVersion, usage }, ttlSeconds) {
+        const now = Date.now();
+        return {
+            queryHash: { S: key },
+            entityType: { S: type },
+            formatVersion: { N: String(FORMAT_VERSION) },
+            queryText: { S: queryText },
+            docVersion: { S: docVersion || '' },
+            usage: toUsageAttribute(usage),
+            timestamp: { N: String(now) },
+            ttl: { N: String(Math.floor(now / 1000) + ttlSeconds) }
+        };
+    }
+
+    /**
+     * Read an entry of one type
+     * Returns { entry } on a hit, { entry: null, reason } otherwise (reason: 'missing' | 'expired' | 'legacy' | 'stale')
+     * docVersion: entries stamped with another document version are stale
+     * documentVersions: current versions by document key; answers are stale when one of their sources changed
+     */
+    async function getEntry(key, type, docVersion, documentVersions = {}) {
+        const response = await client.send(new GetItemCommand({
+            TableName: tableName,
+            Key: { queryHash: { S: key } }
+        }));
+        if (!response.Item) {
+            return { entry: null, reason: 'missing' };
+        }
+        const entry = decodeItem(response.Item);
+        if (entry.type !== type) {
+            return { entry: null, reason: 'legacy' };
+        }
+        if (isExpired(entry)) {
+            return { entry: null, reason: 'expired' };
+        }
+        if (entry.docVersion !== docVersion) {
+            return { entry: null, reason: 'stale', entryVersion: entry.docVersion };
+        }
+        const source = changedSource(entry, documentVersions);
+        if (source) {
+            return { entry: null, reason: 'stale', entryVersion: entry.sourceVersions[source], source };
+        }
+        return { entry };
+    }
+
+    /**
+     * Cached answer for a query hash (see getEntry)
+     */
+    function getAnswer(queryHash, docVersion, documentVersions) {
+        return getEntry(answerKey(queryHash), 'answer', docVersion, documentVersions);
+    }
+
+    /**
+     * Store an answer
+     * - usage: { model, inputTokens, outputTokens }; modelFamily: family of usage.model
+     * - embedding + embeddingModel (semantic mode) make the entry a semantic-cache candidate
+     * - scope: package ids the key was scoped to (entity-scoped follow-ups)
+     * - language: language the answer is written in
+     * - sourceVersions: { [document key]: version } of the documents the context chunks came from
+     */
+    async function putAnswer({ queryHash, queryText, response, usage, docVersion, modelFamily, contextChunks = [], sourceVersions = {}, scope = [], language = 'en', embedding = null, embeddingModel = null }) {
+        const item = {
+            ...baseItem(answerKey(queryHash), 'answer', { queryText, docVersion, usage }, answerTtlSeconds),
+            response: { S: response },
+            contextChunks: { S: JSON.stringify(contextChunks) },
+            modelFamily: { S: modelFamily },
+            language: { S: language }
+        };
+        if (Object.keys(sourceVersions).length > 0) {
+            item.sourceVersions = { M: Object.fromEntries(Object.entries(sourceVersions).map(([source, version]) => [source, { S: version }])) };
+        }
+        if (scope.length > 0) {
+            item.scope = { L: scope.map(id => ({ S: id })) };
+        }
+        if (embedding && embeddingModel) {
+            item.cacheBucket = { S: semanticBucket };
+            item.embedding = { B: serializeEmbedding(embedding) };
+            item.embeddingModel = { S: embeddingModel };
+        }
+        await client.send(new PutItemCommand({ TableName: tableName, Item: item }));
+    }
+
+    /**
+     * Most recent embedded answers (newest first), unexpired, for semantic-cache matching
+     */
+    async function recentAnswers(limit) {
+        const response = await client.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: indexName,
+            KeyConditionExpression: 'cacheBucket = :bucket',
+            ExpressionAttributeValues: { ':bucket': { S: semanticBucket } },
+            ScanIndexForward: false,
+            Limit: limit
+        }));
+        return (response.Items || [])
+            .map(decodeItem)
+            .filter(entry => entry.type === 'answer' && entry.embedding && !isExpired(entry));
+    }
+
+    /**
+     * Cached suggestion list (name: 'initial' or a hash of the last exchange; see getEntry)
+     */
+    function getSuggestions(name, docVersion) {
+        return getEntry(suggestionsKey(name), 'suggestions', docVersion);
+    }
+
+    /**
+     * Store a suggestion list
+     */
+    async function putSuggestions(name, { suggestions, usage, docVersion }) {
+        await client.send(new PutItemCommand({
+            TableName: tableName,
+            Item: {
+                ...baseItem(suggestionsKey(name), 'suggestions', {
+                    queryText: name.split(':')[0] === 'initial' ? 'initial_suggestions' : 'follow_up_suggestions',
+                    docVersion,
+                    usage
+                }, suggestionsTtlSeconds),
+                suggestions: { L: suggestions.map(text => ({ S: text })) }
+            }
+        }));
+    }
+
+    /**
+     * Count a cache hit on an entry
+     * The condition keeps an entry deleted since the read from being recreated as a bare counter;
+     * failures are logged and never fail the request
+     */
+    async function recordHit(key) {
+        try {
+            await client.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: { queryHash: { S: key } },
+                UpdateExpression: 'ADD hitCount :one SET lastHitAt = :now',
+                ConditionExpression: 'attribute_exists(queryHash)',
+                ExpressionAttributeValues: { ':one': { N: '1' }, ':now': { N: String(Date.now()) } }
+            }));
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                console.error('Error recording cache hit:', error.name || error.message);
+            }
+        }
+    }
+
+    /**
+     * Count a rating of a cached answer (replacing previousRating when the same person changed their mind)
+     * Only counted while the entry still holds the rated answer text: an entry regenerated since then starts
+     * with its own counts. Returns { upVotes, downVotes } after the update, or null when the answer is gone
+     */
+    async function recordRating(key, response, rating, previousRating = null) {
+        const delta = { up: 0, down: 0 };
+        delta[rating] += 1;
+        if (previousRating) {
+            delta[previousRating] -= 1;
+        }
+        try {
+            const result = await client.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: { queryHash: { S: key } },
+                UpdateExpression: 'ADD upVotes :up, downVotes :down',
+                ConditionExpression: 'attribute_exists(queryHash) AND #response = :response',
+                ExpressionAttributeNames: { '#response': 'response' },
+                ExpressionAttributeValues: {
+                    ':up': { N: String(delta.up) },
+                    ':down': { N: String(delta.down) },
+                    ':response': { S: response }
+                },
+                ReturnValues: 'ALL_NEW'
+            }));
+            return {
+                upVotes: parseInt(result.Attributes.upVotes.N, 10),
+                downVotes: parseInt(result.Attributes.downVotes.N, 10)
+            };
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    return {
+        getAnswer,
+        putAnswer,
+        recentAnswers,
+        getSuggestions,
+        putSuggestions,
+        recordHit,
+        recordRating,
+        isExpired
+    };
+}
+
+module.exports = {
+    createCacheRepository,
+    answerKey,
+    changedSource,
+    decodeItem,
+    entityTypeOf
+};
@@ -0,0 +1,227 @@
+/**
+ * Structured travel catalog
+ * Parses travel_details.md into typed package records and reports malformed sections with line numbers
+ *
+ * Expected package section format:
+ *   ## 🇹🇭 Thailand Packages
+ *   ### 1. Bangkok & Pattaya Delight – 4 Nights / 5 Days
+ *   **Cost:** ₹68,000 per person (including flights)
+ *   **Meals:** Daily Breakfast + 2 Dinners
+ *   **Highlights:**
+ *   - Coral Island Tour with Lunch
+ *   **Accommodation:**   (optional)
+ *   - 2 nights in Pattaya
+ */
+
+const PACKAGE_HEADING = /^(?:(\d+)\.\s*)?(.+?)\s+[–—-]\s+(\d+)\s+Nights?\s*\/\s*(\d+)\s+Days?\s*$/i;
+const FIELD_LINE = /^\*\*([^*:]+):\*\*\s*(.*)$/;
+
+/**
+ * Strip emoji and other symbols from a heading
+ */
+function cleanText(text) {
+    return text.replace(/[^\p{L}\p{N}\s&–\-\/.,()'+₹]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Derive the country from a section heading, e.g. "🇯🇵 Japan Express Tour" → "Japan"
+ */
+function countryFromSection(heading) {
+    return cleanText(heading)
+        .replace(/\b(packages?|tours?|express|holidays?)\b/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Stable package id from its name, e.g. "Bangkok & Pattaya Delight" → "bangkok-pattaya-delight"
+ */
+function packageId(name) {
+    return name
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(part => part.length > 0)
+        .join('-');
+}
+
+/**
+ * Parse an INR amount written with Indian digit grouping ("₹1,05,000") into a number
+ * Returns null if no amount is present
+ */
+function parseInr(text) {
+    const match = text.match(/(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d+)?)/i);
+    if (!match) return null;
+    const value = Number(match[1].replace(/,/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Validate a collected package section and convert it into a record
+ * Pushes problems onto errors; returns null if the section cannot be used
+ */
+function buildPackage(section, errors) {
+    const problems = [];
+    const fields = section.fields;
+
+    const costField = fields.cost;
+    const costInr = costField ? parseInr(costField.value) : null;
+    if (!costField) {
+        problems.push({ line: section.line, message: 'Missing **Cost:** line' });
+    } else if (costInr === null) {
+        problems.push({ line: costField.line, message: `Cost "${costField.value}" has no ₹ amount` });
+    }
+
+    if (!fields.meals || !fields.meals.value) {
+        problems.push({ line: fields.meals ? fields.meals.line : section.line, message: 'Missing **Meals:** line' });
+    }
+
+    const highlights = fields.highlights ? fields.highlights.items : [];
+    if (highlights.length === 0) {
+        problems.push({ line: fields.highlights ? fields.highlights.line : section.line, message: 'Missing **Highlights:** list' });
+    }
+
+    if (!section.country) {
+        problems.push({ line: section.line, message: 'Package is not under a "## <Country> Packages" heading' });
+    }
+
+    for (const problem of problems) {
+        errors.push({ ...problem, section: section.heading });
+    }
+    if (problems.length > 0) {
+        return null;
+    }
+
+    // Text after the amount, e.g. "per person (including flights)"
+    const costNote = costField.value.replace(/^.*?₹\s*[\d,]+(?:\.\d+)?\s*/, '').trim();
+
+    return {
+        id: packageId(section.name),
+        number: section.number,
+        name: section.name,
+        country: section.country,
+        nights: section.nights,
+        days: section.days,
+        costInr,
+        costNote,
+        meals: fields.meals.value,
+        highlights,
+        accommodation: fields.accommodation ? fields.accommodation.items : [],
+        line: section.line
+    };
+}
+
+/**
+ * Parse the travel catalog markdown
+ * Returns { packages, errors } where errors are [{ line, section, message }] (1-based line numbers)
+ */
+function parseCatalog(markdown) {
+    const packages = [];
+    const errors = [];
+    if (!markdown) {
+        return { packages, errors };
+    }
+
+    const lines = markdown.split(/\r?\n/);
+    let country = '';
+    let current = null;
+    let currentListField = null;
+
+    const flush = () => {
+        if (current) {
+            const record = buildPackage(current, errors);
+            if (record) {
+                if (packages.some(pkg => pkg.id === record.id)) {
+                    errors.push({ line: current.line, section: current.heading, message: `Duplicate package id "${record.id}"` });
+                } else {
+                    packages.push(record);
+                }
+            }
+        }
+        current = null;
+        currentListField = null;
+    };
+
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+
+        if (heading) {
+            flush();
+            const level = heading[1].length;
+            if (level === 1) {
+                // Top-level sections (Notes, Contact) end the package list
+                country = '';
+            } else if (level === 2) {
+                country = countryFromSection(heading[2]);
+            } else {
+                const title = cleanText(heading[2]);
+                const match = title.match(PACKAGE_HEADING);
+                if (!match) {
+                    errors.push({
+                        line: lineNumber,
+                        section: title,
+                        message: 'Package heading must look like "### N. Name – X Nights / Y Days"'
+                    });
+                    return;
+                }
+                current = {
+                    heading: title,
+                    number: match[1] ? parseInt(match[1], 10) : null,
+                    name: match[2].trim(),
+                    nights: parseInt(match[3], 10),
+                    days: parseInt(match[4], 10),
+                    country,
+                    line: lineNumber,
+                    fields: {}
+                };
+            }
+            return;
+        }
+
+        if (!current || !line || line === '---') {
+            return;
+        }
+
+        const field = line.match(FIELD_LINE);
+        if (field) {
+            const name = field[1].trim().toLowerCase();
+            current.fields[name] = { line: lineNumber, value: field[2].trim(), items: [] };
+            currentListField = field[2].trim() ? null : current.fields[name];
+            return;
+        }
+
+        const listItem = line.match(/^[-*]\s+(.*)$/);
+        if (listItem && currentListField) {
+            currentListField.items.push(listItem[1].trim());
+            return;
+        }
+
+        errors.push({ line: lineNumber, section: current.heading, message: `Unrecognized line: "${line}"` });
+    });
+    flush();
+
+    return { packages, errors };
+}
+
+/**
+ * Filter packages by { country, maxPrice, nights, minNights, maxNights }
+ * Country matching is case-insensitive; numeric filters are inclusive
+ */
+function filterPackages(packages, filters = {}) {
+    return packages.filter(pkg => {
+        if (filters.country && pkg.country.toLowerCase() !== filters.country.toLowerCase()) return false;
+        if (filters.maxPrice !== undefined && pkg.costInr > filters.maxPrice) return false;
+        if (filters.nights !== undefined && pkg.nights !== filters.nights) return false;
+        if (filters.minNights !== undefined && pkg.nights < filters.minNights) return false;
+        if (filters.maxNights !== undefined && pkg.nights > filters.maxNights) return false;
+        return true;
+    });
+}
+
+module.exports = {
+    parseCatalog,
+    filterPackages,
+    parseInr,
+    packageId
+};
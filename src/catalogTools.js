@@ -0,0 +1,197 @@
+/**
+ * Catalog tools for the Bedrock tool-use loop
+ * The model can search, look up, compare and price packages instead of reading the whole catalog
+ * and improvising tables. Tools run server-side against the parsed catalog (see catalog.js) and the
+ * quote engine (see quotes.js); results are JSON, so every number the model quotes comes from code.
+ */
+const { filterPackages } = require('./catalog');
+const { mentionedPackageIds } = require('./followUps');
+const { buildQuote } = require('./quotes');
+
+// Most packages compare_packages takes at once (keeps the result within the answer's token budget)
+const MAX_COMPARED_PACKAGES = 4;
+
+const TOOL_DEFINITIONS = [
+    {
+        name: 'search_packages',
+        description: 'Search the TravelBuddy catalog. Returns a short summary (id, name, country, nights, days, price per person in INR) ' +
+            'of every package matching all the given filters. Call with no filters to list the whole catalog.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                destination: { type: 'string', description: 'Country, city or island, e.g. "Thailand", "Bali", "Langkawi"' },
+                maxPrice: { type: 'number', description: 'Highest price per person in INR' },
+                minNights: { type: 'integer', description: 'Fewest nights' },
+                maxNights: { type: 'integer', description: 'Most nights' }
+            }
+        }
+    },
+    {
+        name: 'get_package',
+        description: 'Full details of one package: price and what it includes, meals, highlights and accommodation.',
+        inputSchema: {
+            type: 'object',
+            properties: { packageId: { type: 'string', description: 'Package id from search_packages' } },
+            required: ['packageId']
+        }
+    },
+    {
+        name: 'compare_packages',
+        description: `Side-by-side comparison of 2 to ${MAX_COMPARED_PACKAGES} packages: price, price per night, duration, meals, ` +
+            'highlights and accommodation, plus which is cheapest, longest and the best value per night.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                packageIds: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: MAX_COMPARED_PACKAGES }
+            },
+            required: ['packageIds']
+        }
+    },
+    {
+        name: 'get_quote',
+        description: 'Itemised total price of a package for a group (children and single rooms priced by our rules), ' +
+            'optionally converted to another currency. Use this for any total, group or currency question instead of calculating.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                packageId: { type: 'string' },
+                adults: { type: 'integer', minimum: 1 },
+                childAges: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 17 } },
+                singleRooms: { type: 'integer', minimum: 0 },
+                currency: { type: 'string', description: 'ISO code such as USD; defaults to INR' }
+            },
+            required: ['packageId', 'adults']
+        }
+    }
+];
+
+/**
+ * Error for a tool call the model got wrong (returned to the model as an error result)
+ */
+function toolInputError(message) {
+    const error = new Error(message);
+    error.name = 'ToolInputError';
+    return error;
+}
+
+const summary = pkg => ({ id: pkg.id, name: pkg.name, country: pkg.country, nights: pkg.nights, days: pkg.days, costInr: pkg.costInr });
+
+/**
+ * ₹ amounts the tools computed in a tool loop (quote totals, INR line items, prices per night), which an
+ * answer may quote although they aren't catalog prices
+ * toolCalls: traces ({ name, output }) of the executed calls
+ */
+function toolAmountsInr(toolCalls) {
+    const amounts = [];
+    for (const { name, output } of toolCalls) {
+        if (!output) continue;
+        if (name === 'get_quote') {
+            amounts.push(output.totalInr);
+            if (output.currency === 'INR') {
+                output.lines.forEach(line => amounts.push(line.unitPrice, line.amount));
+            }
+        } else if (name === 'compare_packages') {
+            output.packages.forEach(row => amounts.push(row.costPerNightInr));
+        }
+    }
+    return amounts;
+}
+
+/**
+ * Create the catalog tools
+ * - getCatalog(): parsed catalog ({ packages })
+ * - getRates(): exchange-rate table for get_quote (see fxRates.js)
+ * - pricingRules: quote pricing rules (see quotes.js)
+ */
+function createCatalogTools({ getCatalog, getRates, pricingRules }) {
+    async function findPackage(packageId) {
+        const { packages } = await getCatalog();
+        const pkg = packages.find(candidate => candidate.id === packageId);
+        if (!pkg) {
+            throw toolInputError(`No package with id "${packageId}". Use search_packages to find package ids.`);
+        }
+        return pkg;
+    }
+
+    const handlers = {
+        async search_packages({ destination, maxPrice, minNights, maxNights }) {
+            const { packages } = await getCatalog();
+            let matches = filterPackages(packages, { maxPrice, minNights, maxNights });
+            if (destination) {
+                const ids = mentionedPackageIds(destination, packages);
+                matches = matches.filter(pkg => ids.includes(pkg.id));
+            }
+            return { count: matches.length, packages: matches.map(summary) };
+        },
+
+        async get_package({ packageId }) {
+            return findPackage(packageId);
+        },
+
+        async compare_packages({ packageIds = [] }) {
+            const ids = [...new Set(packageIds)];
+            if (ids.length < 2 || ids.length > MAX_COMPARED_PACKAGES) {
+                throw toolInputError(`Compare 2 to ${MAX_COMPARED_PACKAGES} different packages (got ${ids.length})`);
+            }
+            const compared = await Promise.all(ids.map(findPackage));
+            const rows = compared.map(pkg => ({
+                ...summary(pkg),
+                costPerNightInr: Math.round(pkg.costInr / pkg.nights),
+                costNote: pkg.costNote,
+                meals: pkg.meals,
+                highlights: pkg.highlights,
+                accommodation: pkg.accommodation
+            }));
+            const best = (score) => rows.reduce((a, b) => (score(b) < score(a) ? b : a)).id;
+            return {
+                packages: rows,
+                cheapest: best(row => row.costInr),
+                longest: best(row => -row.nights),
+                bestValuePerNight: best(row => row.costPerNightInr)
+            };
+        },
+
+        async get_quote({ packageId, adults, childAges = [], singleRooms, currency = 'INR' }) {
+            const pkg = await findPackage(packageId);
+            try {
+                return buildQuote(pkg, { adults, children: childAges, singleRooms }, String(currency).toUpperCase(), await getRates(), pricingRules);
+            } catch (error) {
+                if (error.name === 'UnsupportedCurrency' || error.name === 'ValidationFailed') {
+                    throw toolInputError(`${error.message}: ${error.details.map(detail => `${detail.field} ${detail.message}`).join('; ')}`);
+                }
+                throw error;
+            }
+        }
+    };
+
+    /**
+     * Run a tool call: { output } on success, { error } for unknown tools and bad input
+     * (other errors are thrown: they are server faults, not something the model can fix)
+     */
+    async function execute(name, input) {
+        const handler = handlers[name];
+        if (!handler) {
+            return { error: `Unknown tool "${name}"` };
+        }
+        try {
+            return { output: await handler(input || {}) };
+        } catch (error) {
+            if (error.name === 'ToolInputError') {
+                return { error: error.message };
+            }
+            throw error;
+        }
+    }
+
+    return {
+        definitions: TOOL_DEFINITIONS,
+        execute
+    };
+}
+
+module.exports = {
+    createCatalogTools,
+    toolAmountsInr,
+    TOOL_DEFINITIONS,
+    MAX_COMPARED_PACKAGES
+};
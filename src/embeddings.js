@@ -0,0 +1,136 @@
+/**
+ * Query embedders for the semantic cache
+ * An embedder is any object with { name, embed(text) => Promise<number[]> }
+ * - titan: Amazon Titan Text Embeddings on Bedrock (production)
+ * - local: deterministic feature-hashing embedder (tests / offline, no Bedrock call)
+ */
+const { InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const crypto = require('crypto');
+const { applyApiKeyAuth } = require('./bedrockAuth');
+const { tokenize } = require('./retrieval');
+
+/**
+ * Titan Text Embeddings embedder
+ * v2 models accept an explicit dimension count and return a normalized vector
+ */
+function createTitanEmbedder({ client, apiKey, modelId = 'amazon.titan-embed-text-v2:0', dimensions = 512 }) {
+    const isV2 = modelId.includes('embed-text-v2');
+
+    return {
+        name: `titan:${modelId}${isV2 ? `:${dimensions}` : ''}`,
+        async embed(text) {
+            const body = isV2
+                ? { inputText: text, dimensions, normalize: true }
+                : { inputText: text };
+
+            const command = applyApiKeyAuth(new InvokeModelCommand({
+                modelId,
+                contentType: 'application/json',
+                accept: 'application/json',
+                body: JSON.stringify(body)
+            }), apiKey);
+
+            const response = await client.send(command);
+            const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+            return responseBody.embedding;
+        }
+    };
+}
+
+/**
+ * Deterministic local embedder using feature hashing
+ * Each token (and adjacent token pair) is hashed into a fixed-size vector; word order is ignored
+ * Not semantic in the Titan sense, but stable across runs, which is what tests need
+ */
+function createLocalHashEmbedder({ dimensions = 256 } = {}) {
+    const bucketFor = (feature) => {
+        const digest = crypto.createHash('md5').update(feature).digest();
+        return {
+            index: digest.readUInt32BE(0) % dimensions,
+            sign: (digest[4] & 1) === 0 ? 1 : -1
+        };
+    };
+
+    return {
+        name: `local-hash:${dimensions}`,
+        async embed(text) {
+            const vector = new Array(dimensions).fill(0);
+            const tokens = tokenize(text);
+            const features = [...tokens];
+            const sorted = [...tokens].sort();
+            for (let i = 0; i < sorted.length - 1; i++) {
+                features.push(`${sorted[i]}|${sorted[i + 1]}`);
+            }
+
+            for (const feature of features) {
+                const { index, sign } = bucketFor(feature);
+                vector[index] += sign;
+            }
+
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+            return norm > 0 ? vector.map(value => value / norm) : vector;
+        }
+    };
+}
+
+/**
+ * Create an embedder by name ('titan' or 'local')
+ */
+function createEmbedder(name, options = {}) {
+    switch (name) {
+        case 'titan':
+            return createTitanEmbedder(options);
+        case 'local':
+            return createLocalHashEmbedder(options);
+        default:
+            throw new Error(`Unknown embedder: ${name}`);
+    }
+}
+
+/**
+ * Cosine similarity of two equal-length vectors (0 when either is empty or zero)
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Pack an embedding as Float32 bytes for a DynamoDB binary attribute
+ */
+function serializeEmbedding(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Unpack an embedding stored by serializeEmbedding
+ */
+function deserializeEmbedding(bytes) {
+    // Copy into a fresh, 4-byte aligned buffer (SDK buffers may be pooled at odd offsets)
+    const copy = new Uint8Array(bytes);
+    return Array.from(new Float32Array(copy.buffer, 0, Math.floor(copy.byteLength / 4)));
+}
+
+module.exports = {
+    createTitanEmbedder,
+    createLocalHashEmbedder,
+    createEmbedder,
+    cosineSimilarity,
+    serializeEmbedding,
+    deserializeEmbedding
+};
@@ -0,0 +1,127 @@
+/**
+ * Thumbs up/down feedback on answers, stored in DynamoDB (one rating per answered request)
+ * The counts that decide whether a cached answer is evicted live on the cache entry (see cacheRepository.js);
+ * this table keeps every rating with its comment for the worst-rated report.
+ *
+ * Item shape:
+ *   requestId (S), sessionId (S), rating (S up | down), queryText (S: the question), answer (S: the rated answer),
+ *   createdAt (N), updatedAt (N)
+ *   + queryHash (S) when the answer was cached, comment (S) when one was given, evicted (BOOL) when the rating evicted it
+ */
+const { ScanCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+
+// Comments shown per query in the report (newest first)
+const REPORT_COMMENTS = 5;
+
+/**
+ * Create the feedback store
+ */
+function createFeedbackStore({ client, tableName }) {
+    /**
+     * Store a rating, replacing an earlier one for the same request
+     * Returns the previous rating ('up' | 'down') or null
+     */
+    async function record({ requestId, sessionId, rating, comment, queryHash, queryText, answer }) {
+        const now = Date.now();
+        const values = {
+            ':sessionId': { S: sessionId },
+            ':rating': { S: rating },
+            ':queryText': { S: queryText },
+            ':answer': { S: answer },
+            ':now': { N: String(now) }
+        };
+        const sets = ['sessionId = :sessionId', 'rating = :rating', 'queryText = :queryText', 'answer = :answer',
+            'createdAt = if_not_exists(createdAt, :now)', 'updatedAt = :now'];
+        const removes = [];
+        if (queryHash) {
+            sets.push('queryHash = :queryHash');
+            values[':queryHash'] = { S: queryHash };
+        }
+        if (comment) {
+            sets.push('#comment = :comment');
+            values[':comment'] = { S: comment };
+        } else {
+            removes.push('#comment');
+        }
+
+        const result = await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { requestId: { S: requestId } },
+            UpdateExpression: `SET ${sets.join(', ')}${removes.length > 0 ? ` REMOVE ${removes.join(', ')}` : ''}`,
+            ExpressionAttributeNames: { '#comment': 'comment' },
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_OLD'
+        }));
+        return result.Attributes?.rating?.S || null;
+    }
+
+    /**
+     * Note that a rating evicted the answer it was given on
+     */
+    async function markEvicted(requestId) {
+        await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { requestId: { S: requestId } },
+            UpdateExpression: 'SET evicted = :true',
+            ExpressionAttributeValues: { ':true': { BOOL: true } }
+        }));
+    }
+
+    /**
+     * Worst-rated questions: ratings grouped by cache key (or by question text for answers that weren't cached),
+     * lowest score (upVotes - downVotes) first; only questions with at least one down vote are listed
+     * Returns { totalRatings, queries: [{ queryHash, queryText, upVotes, downVotes, score, evicted, lastRatedAt, comments }] }
+     */
+    async function worstRated(limit) {
+        const items = [];
+        let startKey;
+        do {
+            const page = await client.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey: startKey }));
+            items.push(...(page.Items || []));
+            startKey = page.LastEvaluatedKey;
+        } while (startKey);
+
+        const groups = new Map();
+        for (const item of items) {
+            const queryHash = item.queryHash?.S || null;
+            const queryText = item.queryText.S;
+            const key = queryHash || `text:${queryText.trim().toLowerCase()}`;
+            if (!groups.has(key)) {
+                groups.set(key, { queryHash, queryText, upVotes: 0, downVotes: 0, evicted: false, lastRatedAt: 0, comments: [] });
+            }
+            const group = groups.get(key);
+            const ratedAt = parseInt(item.updatedAt.N, 10);
+            group[item.rating.S === 'up' ? 'upVotes' : 'downVotes'] += 1;
+            group.evicted = group.evicted || Boolean(item.evicted?.BOOL);
+            group.lastRatedAt = Math.max(group.lastRatedAt, ratedAt);
+            if (item.comment) {
+                group.comments.push({ rating: item.rating.S, comment: item.comment.S, ratedAt });
+            }
+        }
+
+        const queries = [...groups.values()]
+            .filter(group => group.downVotes > 0)
+            .map(group => ({
+                ...group,
+                score: group.upVotes - group.downVotes,
+                lastRatedAt: new Date(group.lastRatedAt).toISOString(),
+                comments: group.comments
+                    .sort((a, b) => b.ratedAt - a.ratedAt)
+                    .slice(0, REPORT_COMMENTS)
+                    .map(entry => ({ ...entry, ratedAt: new Date(entry.ratedAt).toISOString() }))
+            }))
+            .sort((a, b) => a.score - b.score || b.downVotes - a.downVotes || b.lastRatedAt.localeCompare(a.lastRatedAt))
+            .slice(0, limit);
+        return { totalRatings: items.length, queries };
+    }
+
+    return {
+        record,
+        markEvicted,
+        worstRated
+    };
+}
+
+module.exports = {
+    createFeedbackStore
+};
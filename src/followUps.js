@@ -0,0 +1,118 @@
+/**
+ * Follow-up detection for context-aware cache keys
+ * A question that leans on the conversation ("what about the meals?", "its price", "that one") means
+ * different things in different conversations, so it can't be cached under its own text.
+ * detectReferences() finds those markers; the handler then keys the cache on a standalone rewrite
+ * of the question or on the catalog packages the recent turns were about (see resolveCacheKey in index.js)
+ */
+const { words, packagePlaces } = require('./intentRouter');
+
+// Reference patterns, matched against the lower-cased question
+const REFERENCE_PATTERNS = [
+    { type: 'pronoun', pattern: /\b(it|its|itself|they|them|their|theirs)\b/ },
+    // "that one", "those packages", or a demonstrative closing the question ("how much is that?")
+    { type: 'demonstrative', pattern: /\b(this|that|these|those)\s+(ones?|packages?|trips?|tours?|places?|hotels?|options?|deals?|destinations?|itinerar(y|ies))\b|\b(this|that|these|those)\s*[?.!]*$/ },
+    // "there" as a place ("how do I get there"), not "is there / are there"
+    { type: 'demonstrative', pattern: /(?<!\b(is|are|was|were)\s+)\bthere\b/ },
+    { type: 'ordinal', pattern: /\b(first|second|third|last|other|former|latter|same|cheaper|cheapest|shorter|longer)\s+(one|ones|package|trip|tour|option)\b|\bthe\s+(former|latter|same)\b|\bboth\b/ },
+    { type: 'ellipsis', pattern: /^(what|how)\s+about\b|^(and|also|plus|but|or)\b|^what\s+else\b|^same\s+(for|with)\b/ },
+    // Hindi, Kannada and Tamil "this / that / its / there" (\b only knows ASCII word characters)
+    { type: 'demonstrative', pattern: /(?<![\p{L}\p{M}])(यह|ये|वह|वो|इस|उस|इसका|इसकी|इसके|उसका|उसकी|उसके|वहाँ|वहां|ಈ|ಆ|ಇದು|ಅದು|ಇದರ|ಅದರ|ಅಲ್ಲಿ|இந்த|அந்த|இது|அது|இதன்|அதன்|அங்கே)(?![\p{L}\p{M}])/u }
+];
+
+// Questions this short (content words after normalization) that name no package are fragments
+// of a longer thought ("meals?", "visa?"); "Bali?" or "tell me about Bali" stand on their own
+const FRAGMENT_MAX_WORDS = 2;
+
+// Turns searched (newest first) for the packages a follow-up refers to
+const SCOPE_MAX_TURNS = 4;
+
+/**
+ * Find the words that make a question depend on the conversation
+ * - normalizedQuery: the question after stop-word normalization (used for the fragment check)
+ * - packages: parsed catalog packages (a short question naming one is not a fragment)
+ * Returns [{ type: 'pronoun' | 'demonstrative' | 'ordinal' | 'ellipsis' | 'fragment', text }] (empty = standalone)
+ */
+function detectReferences(input, normalizedQuery, packages = []) {
+    const text = input.toLowerCase().replace(/[’]/g, "'").trim();
+    const references = [];
+    for (const { type, pattern } of REFERENCE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            references.push({ type, text: match[0].replace(/[?.!\s]+$/, '') });
+        }
+    }
+    const contentWords = normalizedQuery.split(' ').filter(word => word.length > 0);
+    if (references.length === 0 && contentWords.length > 0 && contentWords.length <= FRAGMENT_MAX_WORDS &&
+        mentionedPackageIds(input, packages).length === 0) {
+        references.push({ type: 'fragment', text: normalizedQuery });
+    }
+    return references;
+}
+
+/**
+ * Ids of the catalog packages a text mentions, by package name or by a place the package covers (sorted)
+ */
+function mentionedPackageIds(text, packages) {
+    const tokens = words(text.replace(/&/g, ' and '));
+    const joined = ` ${tokens.join(' ')} `;
+    const tokenSet = new Set(tokens);
+    const ids = packages
+        .filter(pkg => joined.includes(` ${words(pkg.name.replace(/&/g, ' and ')).join(' ')} `) ||
+            [...packagePlaces(pkg)].some(place => tokenSet.has(place)))
+        .map(pkg => pkg.id);
+    return [...new Set(ids)].sort();
+}
+
+/**
+ * Packages a follow-up refers to: those mentioned by the newest turn that mentions any
+ * (checked back to SCOPE_MAX_TURNS turns); [] when the recent turns name no package
+ */
+function scopeFromHistory(conversationHistory, packages) {
+    for (const turn of conversationHistory.slice(-SCOPE_MAX_TURNS).reverse()) {
+        const ids = mentionedPackageIds(turn.content, packages);
+        if (ids.length > 0) {
+            return ids;
+        }
+    }
+    return [];
+}
+
+/**
+ * Prompt asking the model to rewrite a follow-up as a standalone question
+ * Returns { system, messages } for the model client
+ */
+function buildRewritePrompt(conversationHistory, input) {
+    const transcript = conversationHistory
+        .slice(-SCOPE_MAX_TURNS)
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+        .join('\n');
+    return {
+        system: 'You rewrite follow-up questions from a travel chat into standalone questions. Replace pronouns and references with the packages, destinations and topics they refer to. Do not answer the question.',
+        messages: [{
+            role: 'user',
+            content: `Conversation:\n${transcript}\n\nFollow-up question: ${input}\n\nReturn only the standalone question on one line.`
+        }]
+    };
+}
+
+/**
+ * Standalone question from the rewrite reply (first line, without quotes or a label)
+ * Returns null if the reply is empty or longer than maxLength
+ */
+function parseRewrite(text, maxLength) {
+    const line = (text || '').split('\n').map(part => part.trim()).find(part => part.length > 0) || '';
+    const question = line
+        .replace(/^(standalone question|rewritten question|question)\s*:\s*/i, '')
+        .replace(/^["'“”]+|["'“”]+$/g, '')
+        .trim();
+    return question.length > 0 && question.length <= maxLength ? question : null;
+}
+
+module.exports = {
+    detectReferences,
+    mentionedPackageIds,
+    scopeFromHistory,
+    buildRewritePrompt,
+    parseRewrite
+};
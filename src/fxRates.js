@@ -0,0 +1,78 @@
+/**
+ * Exchange-rate table for quotes
+ * Rates are configured, never fetched from a live FX service: a JSON object in S3 (FX_RATES_S3_KEY)
+ * and/or the FX_RATES environment variable. Both use the same format, in INR per unit of each currency:
+ *   { "asOf": "2026-10-01", "rates": { "USD": 83.2, "EUR": 90.4 } }
+ * The S3 table wins when it loads; it is re-read after refreshMs, and the last good table is kept if a
+ * refresh fails.
+ */
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { readBody } = require('./knowledgeBase');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Parse a rates table; invalid entries are dropped with a warning
+ * Returns { asOf, rates: { CODE: inrPerUnit } } (INR itself is always 1)
+ */
+function parseRatesTable(text, source) {
+    const table = typeof text === 'string' ? JSON.parse(text) : text;
+    const rates = { INR: 1 };
+    for (const [code, value] of Object.entries(table.rates || {})) {
+        if (CURRENCY_CODE.test(code) && typeof value === 'number' && value > 0) {
+            rates[code] = value;
+        } else {
+            console.warn(`Ignoring invalid exchange rate in ${source}:`, code, value);
+        }
+    }
+    return { asOf: typeof table.asOf === 'string' ? table.asOf : null, rates };
+}
+
+/**
+ * Create the rates source
+ * - bucket / key: S3 object holding the table (key '' = environment table only)
+ * - envRates: FX_RATES value ('' = none)
+ * - refreshMs: how long an S3 table is used before it is read again
+ */
+function createFxRates({ client, bucket, key = '', envRates = '', refreshMs = 60 * 60 * 1000 }) {
+    let envTable = { asOf: null, rates: { INR: 1 }, source: 'none' };
+    if (envRates) {
+        try {
+            envTable = { ...parseRatesTable(envRates, 'FX_RATES'), source: 'env' };
+        } catch (error) {
+            console.error('FX_RATES is not valid JSON - only INR quotes are available:', error.message);
+        }
+    }
+
+    let s3Table = null;
+    let loadedAt = 0;
+
+    /**
+     * Current table: { asOf, rates, source: 's3' | 'env' | 'none' }
+     */
+    async function getRates() {
+        if (!key) {
+            return envTable;
+        }
+        if (s3Table && Date.now() - loadedAt < refreshMs) {
+            return s3Table;
+        }
+        try {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            s3Table = { ...parseRatesTable(await readBody(response.Body), key), source: 's3' };
+            console.log('Loaded exchange rates:', key, s3Table.asOf, Object.keys(s3Table.rates).length, 'currencies');
+        } catch (error) {
+            console.error(`Error loading exchange rates from ${key}:`, error.name || error.message);
+        }
+        // Failures are retried after the same interval rather than on every quote
+        loadedAt = Date.now();
+        return s3Table || envTable;
+    }
+
+    return { getRates };
+}
+
+module.exports = {
+    createFxRates,
+    parseRatesTable
+};
@@ -0,0 +1,79 @@
+/**
+ * Token-budget-aware conversation history compaction
+ * Keeps the newest turns verbatim while the prompt fits the budget;
+ * older turns are folded into a running LLM-generated summary (cached on the session)
+ */
+
+// Rough heuristic for Claude tokenization of English text: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead for role markers and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the token count of a piece of text
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens one conversation turn adds to the prompt
+ */
+function estimateTurnTokens(turn) {
+    return estimateTokens(turn.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Split history into turns to keep verbatim and turns to summarize
+ * - fixedTokens: system prompt + catalog context + current input (always sent)
+ * - budget: total prompt token budget
+ * Walks back from the newest turn and stops at the first one that doesn't fit.
+ * The kept window always starts with a user turn so the messages still alternate correctly.
+ */
+function planCompaction({ turns, fixedTokens, budget }) {
+    let available = budget - fixedTokens;
+    let splitIndex = turns.length;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = estimateTurnTokens(turns[i]);
+        if (cost > available) break;
+        available -= cost;
+        splitIndex = i;
+    }
+
+    while (splitIndex < turns.length && turns[splitIndex].role !== 'user') {
+        splitIndex++;
+    }
+
+    const keep = turns.slice(splitIndex);
+    return {
+        keep,
+        summarize: turns.slice(0, splitIndex),
+        historyTokens: keep.reduce((sum, turn) => sum + estimateTurnTokens(turn), 0)
+    };
+}
+
+/**
+ * Build the summarizer prompt content: previous summary plus the newly aged-out turns
+ */
+function buildSummaryPrompt(previousSummary, turns) {
+    let content = '';
+    if (previousSummary) {
+        content += `Summary of the conversation so far:\n${previousSummary}\n\n`;
+    }
+    content += 'New conversation turns to fold into the summary:\n';
+    content += turns
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+        .join('\n');
+    content += '\n\nWrite an updated summary in at most 5 short bullet points. Keep the destinations, package names, prices, dates, traveller counts and preferences the user mentioned. Return only the bullet points.';
+    return content;
+}
+
+module.exports = {
+    estimateTokens,
+    estimateTurnTokens,
+    planCompaction,
+    buildSummaryPrompt
+};
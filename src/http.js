@@ -0,0 +1,80 @@
+/**
+ * Shared HTTP response builder
+ * Every buffered API response is built here so CORS headers are set in one place
+ */
+
+// Headers browsers may send (preflight) and read (quota/rate-limit headers on 429 responses)
+const ALLOWED_HEADERS = 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Admin-Token';
+const EXPOSED_HEADERS = 'Retry-After,X-RateLimit-Limit,X-RateLimit-Remaining,X-Quota-Input-Tokens-Remaining,X-Quota-Output-Tokens-Remaining';
+
+/**
+ * CORS headers for every response
+ */
+function corsHeaders() {
+    return {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+        'Access-Control-Expose-Headers': EXPOSED_HEADERS
+    };
+}
+
+/**
+ * JSON response with CORS headers; extra headers (e.g. Retry-After) are merged in
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(),
+            ...headers
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Error envelope shared by every failure: { error: { code, message, details, requestId } }
+ * - code: stable machine-readable name (e.g. 'ValidationFailed', 'SessionNotFound')
+ * - details: [{ field?, message, ... }] with the specifics (validation failures, retry hints)
+ */
+function errorBody(code, message, { details = [], requestId = null } = {}) {
+    return {
+        error: {
+            code,
+            message,
+            details,
+            requestId
+        }
+    };
+}
+
+/**
+ * Error response with CORS headers (see errorBody)
+ */
+function errorResponse(statusCode, code, message, { details, requestId, headers } = {}) {
+    return jsonResponse(statusCode, errorBody(code, message, { details, requestId }), headers);
+}
+
+/**
+ * CORS preflight response for a path that accepts `methods`
+ */
+function preflightResponse(methods) {
+    return {
+        statusCode: 204,
+        headers: {
+            ...corsHeaders(),
+            'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(','),
+            'Access-Control-Max-Age': '600'
+        },
+        body: ''
+    };
+}
+
+module.exports = {
+    corsHeaders,
+    errorBody,
+    errorResponse,
+    jsonResponse,
+    preflightResponse
+};
@@ -3,17 +3,41 @@
  * Includes query caching with DynamoDB for cost optimization
  * Uses API Key authentication for Bedrock (resolved from SSM via CloudFormation dynamic reference)
  */
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { DynamoDBClient, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { ScanCommand } = require('@aws-sdk/client-dynamodb');
 const crypto = require('crypto');
+const { createClients } = require('./awsClients');
+const { retrieveChunks, buildOutline, formatChunksForPrompt, describeChunks } = require('./retrieval');
+const { parseCatalog, filterPackages } = require('./catalog');
+const { routeQuery } = require('./intentRouter');
+const { createSessionStore } = require('./sessions');
+const { estimateTokens, planCompaction, buildSummaryPrompt } = require('./historyCompactor');
+const { screenInput, guardrailCategory, contentBlockedError } = require('./moderation');
+const { validateAnswer, buildCorrectionPrompt, buildFallbackAnswer } = require('./answerValidator');
+const { createKnowledgeBase } = require('./knowledgeBase');
+const { createEmbedder, cosineSimilarity } = require('./embeddings');
+const { createModelClient, modelFamily } = require('./modelClient');
+const { createQuotaStore, identifyCaller, quotaHeaders } = require('./quotas');
+const { createUsageLedger, MAX_RANGE_DAYS } = require('./usageLedger');
+const { createCacheAdmin, decodeCursor, mapWithConcurrency } = require('./cacheAdmin');
+const { createCacheRepository, answerKey, changedSource } = require('./cacheRepository');
+const { detectReferences, scopeFromHistory, buildRewritePrompt, parseRewrite } = require('./followUps');
+const { detectLeadIntent, isLeadCancel, extractLeadFields, mergeLeadFields, checkLead, renderLeadPrompt, renderLeadConfirmation, toLeadSummary } = require('./leadCapture');
+const { createLeadStore } = require('./leadStore');
+const { createFeedbackStore } = require('./feedbackStore');
+const { createLeadNotifier } = require('./leadNotifier');
+const { buildQuote, renderQuote, quoteFromMessage, isQuoteRequest, parsePricingRules } = require('./quotes');
+const { createFxRates } = require('./fxRates');
+const { createCatalogTools, toolAmountsInr } = require('./catalogTools');
+const { detectLanguage, conversationLanguage, languageLabel, normalizeQuery, fallbackSuggestions, DEFAULT_LANGUAGE } = require('./language');
+const { createRouter, normalizeRequest } = require('./router');
+const { errorBody, errorResponse, jsonResponse } = require('./http');
+const { describeFailure, validateRequest } = require('./validation');
+const { createSchemas } = require('./schemas');
 
 const region = process.env.APP_REGION || 'ap-south-1';
 
 // Initialize clients outside handler for connection reuse (cost optimization)
-const bedrockClient = new BedrockRuntimeClient({ region });
-const dynamoDBClient = new DynamoDBClient({ region });
-const s3Client = new S3Client({ region });
+const { bedrock: bedrockClient, dynamodb: dynamoDBClient, s3: s3Client, sns: snsClient } = createClients(region);
 
 // Bedrock API Key resolved from SSM Parameter Store via CloudFormation dynamic reference
 const BEDROCK_API_KEY = process.env.BEDROCK_API_KEY;
@@ -22,64 +46,277 @@ const BEDROCK_API_KEY = process.env.BEDROCK_API_KEY;
 const MAX_INPUT_LENGTH = parseInt(process.env.MAX_INPUT_LENGTH || '1000', 10);
 const MAX_TOKENS = parseInt(process.env.MAX_TOKENS || '256', 10);
 const MODEL_ID = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-haiku-20240307-v1:0';
+// Models tried in order after MODEL_ID when it is throttled, times out or returns a 5xx
+// (comma-separated; prefix an id with "converse:" to call it through the Converse API)
+const MODEL_FALLBACK_IDS = (process.env.MODEL_FALLBACK_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS || '12000', 10);
 const DYNAMODB_TABLE_NAME = process.env.DYNAMODB_TABLE_NAME || 'travelbuddy-query-cache';
 const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'gameday-bedrock';
 const S3_DOCUMENT_KEY = process.env.S3_DOCUMENT_KEY || 'travel_details.md';
+// Every markdown object under this prefix is loaded into the knowledge base ('' = whole bucket);
+// the travel catalog is the object at <prefix><S3_DOCUMENT_KEY>
+const S3_KNOWLEDGE_BASE_PREFIX = process.env.S3_KNOWLEDGE_BASE_PREFIX || '';
+const CATALOG_DOCUMENT_KEY = `${S3_KNOWLEDGE_BASE_PREFIX}${S3_DOCUMENT_KEY}`;
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '3', 10);
+// Answer structured price/duration/destination questions from the parsed catalog without Bedrock
+const INTENT_ROUTER_ENABLED = (process.env.INTENT_ROUTER_ENABLED || 'true') === 'true';
 
-// Cache TTL: 24 hours (86400 seconds)
-const CACHE_TTL_SECONDS = 24 * 60 * 60;
+// Server-side conversation sessions
+const SESSIONS_TABLE_NAME = process.env.SESSIONS_TABLE_NAME || 'travelbuddy-sessions';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || String(24 * 60 * 60), 10);
+const SESSION_MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS || '40', 10);
+// Longest content of one conversationHistory message a client may send (the field itself is ignored)
+const MAX_HISTORY_MESSAGE_LENGTH = parseInt(process.env.MAX_HISTORY_MESSAGE_LENGTH || '4000', 10);
 
-// In-memory cache for S3 travel document (reused across Lambda invocations)
-let cachedTravelDoc = null;
-let travelDocCacheTimestamp = null;
-const TRAVEL_DOC_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour cache TTL
+// History compaction: total prompt budget (system prompt + catalog context + history + input);
+// older turns that don't fit are replaced by a running summary
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET || '6000', 10);
+const SUMMARY_MAX_TOKENS = parseInt(process.env.SUMMARY_MAX_TOKENS || '300', 10);
 
-// Common stop words to remove during normalization for better cache hits
-const STOP_WORDS = new Set([
-    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
-    'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
-    'to', 'was', 'were', 'will', 'with', 'what', 'which', 'who',
-    'where', 'when', 'how', 'can', 'could', 'should', 'would'
-]);
+// Content safety: Bedrock Guardrail applied to chat and suggestion calls (disabled when GUARDRAIL_ID is empty)
+// and the local pre-flight screen for prompt injection and PII
+const GUARDRAIL_ID = process.env.GUARDRAIL_ID || '';
+const GUARDRAIL_VERSION = process.env.GUARDRAIL_VERSION || 'DRAFT';
+const MODERATION_ENABLED = (process.env.MODERATION_ENABLED || 'true') === 'true';
+
+// HTTP status for blocked content (distinct from 400 validation errors)
+const CONTENT_BLOCKED_STATUS = 422;
+
+// Cross-check generated answers against the parsed catalog (retry once, then catalog-safe fallback)
+const ANSWER_VALIDATION_ENABLED = (process.env.ANSWER_VALIDATION_ENABLED || 'true') === 'true';
+
+// Per-caller quotas for chat requests (keyed by API key, Cognito subject or source IP); 0 = unlimited
+const QUOTAS_ENABLED = (process.env.QUOTAS_ENABLED || 'true') === 'true';
+const QUOTA_TABLE_NAME = process.env.QUOTA_TABLE_NAME || 'travelbuddy-quotas';
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10);
+const DAILY_INPUT_TOKEN_QUOTA = parseInt(process.env.DAILY_INPUT_TOKEN_QUOTA || '200000', 10);
+const DAILY_OUTPUT_TOKEN_QUOTA = parseInt(process.env.DAILY_OUTPUT_TOKEN_QUOTA || '50000', 10);
+
+// Usage ledger: one record per Bedrock call and cache hit, with cost from the price table
+// (MODEL_PRICES overrides the built-in table: {"<model id substring>": {"input": <USD per 1M>, "output": <USD per 1M>}})
+const USAGE_LEDGER_ENABLED = (process.env.USAGE_LEDGER_ENABLED || 'true') === 'true';
+const USAGE_LEDGER_TABLE_NAME = process.env.USAGE_LEDGER_TABLE_NAME || 'travelbuddy-usage-ledger';
+const USAGE_LEDGER_TTL_DAYS = parseInt(process.env.USAGE_LEDGER_TTL_DAYS || '90', 10);
+
+// Cache TTLs: answers and suggestion lists (24 hours each by default)
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS || String(24 * 60 * 60), 10);
+const SUGGESTIONS_CACHE_TTL_SECONDS = parseInt(process.env.SUGGESTIONS_CACHE_TTL_SECONDS || String(24 * 60 * 60), 10);
+
+// Cache mode: 'exact' (SHA-256 of normalized query only) or 'semantic' (exact, then embedding similarity)
+const CACHE_MODE = process.env.CACHE_MODE || 'exact';
+const SEMANTIC_CACHE_EMBEDDER = process.env.SEMANTIC_CACHE_EMBEDDER || 'titan';
+const SEMANTIC_CACHE_THRESHOLD = parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.9');
+const SEMANTIC_CACHE_MAX_CANDIDATES = parseInt(process.env.SEMANTIC_CACHE_MAX_CANDIDATES || '50', 10);
+const SEMANTIC_CACHE_INDEX_NAME = process.env.SEMANTIC_CACHE_INDEX_NAME || 'RecentEntriesIndex';
+const EMBEDDING_MODEL_ID = process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0';
+
+// Cache keys for follow-ups that refer to the conversation ("what about the meals?"):
+// 'entities' scopes the key to the catalog packages of the recent turns, 'rewrite' keys on a standalone
+// rewrite of the question (one extra model call), 'bypass' never caches them
+const FOLLOW_UP_CACHE_STRATEGIES = ['entities', 'rewrite', 'bypass'];
+const FOLLOW_UP_CACHE_STRATEGY = FOLLOW_UP_CACHE_STRATEGIES.includes(process.env.FOLLOW_UP_CACHE_STRATEGY)
+    ? process.env.FOLLOW_UP_CACHE_STRATEGY
+    : 'entities';
+if (process.env.FOLLOW_UP_CACHE_STRATEGY && process.env.FOLLOW_UP_CACHE_STRATEGY !== FOLLOW_UP_CACHE_STRATEGY) {
+    console.warn(`Unknown FOLLOW_UP_CACHE_STRATEGY ${process.env.FOLLOW_UP_CACHE_STRATEGY}, using ${FOLLOW_UP_CACHE_STRATEGY}`);
+}
+const REWRITE_MAX_TOKENS = 100;
+
+// Partition value for answer entries in the recent-entries index (sparse GSI: only items with embeddings)
+const SEMANTIC_CACHE_BUCKET = 'answer';
+
+// Booking-intent capture: leads are stored in LEADS_TABLE_NAME and published by LEAD_NOTIFIER
+// ('sns' to LEAD_TOPIC_ARN, 'file' as JSON lines to LEAD_FILE_PATH, or 'none')
+const LEAD_CAPTURE_ENABLED = process.env.LEAD_CAPTURE_ENABLED !== 'false';
+const LEADS_TABLE_NAME = process.env.LEADS_TABLE_NAME || 'travelbuddy-leads';
+const LEAD_TOPIC_ARN = process.env.LEAD_TOPIC_ARN || '';
+const LEAD_NOTIFIER = process.env.LEAD_NOTIFIER || (LEAD_TOPIC_ARN ? 'sns' : 'none');
+const LEAD_FILE_PATH = process.env.LEAD_FILE_PATH || '';
+
+// Answer feedback: ratings are stored in FEEDBACK_TABLE_NAME and counted on the cached answer they rate;
+// an entry whose score (upVotes - downVotes) falls to FEEDBACK_EVICTION_SCORE is deleted and regenerated on its next request
+const FEEDBACK_TABLE_NAME = process.env.FEEDBACK_TABLE_NAME || 'travelbuddy-answer-feedback';
+const FEEDBACK_EVICTION_SCORE = parseInt(process.env.FEEDBACK_EVICTION_SCORE || '-3', 10);
+
+// Price quotes: exchange rates (INR per unit) from the S3 object FX_RATES_S3_KEY, falling back to the
+// FX_RATES JSON; no live FX calls. PRICING_RULES overrides the child/infant/single-room rules in quotes.js
+const FX_RATES_S3_KEY = process.env.FX_RATES_S3_KEY || '';
+const FX_RATES = process.env.FX_RATES || '';
+const FX_RATES_REFRESH_SECONDS = parseInt(process.env.FX_RATES_REFRESH_SECONDS || '3600', 10);
+const PRICING_RULES = parsePricingRules(process.env.PRICING_RULES);
+
+// Tool use: buffered answers may call the catalog tools (catalogTools.js) before answering, with at most
+// TOOL_USE_MAX_ITERATIONS model calls per answer (streamed answers don't use tools)
+const TOOL_USE_ENABLED = (process.env.TOOL_USE_ENABLED || 'true') === 'true';
+const TOOL_USE_MAX_ITERATIONS = Math.max(1, parseInt(process.env.TOOL_USE_MAX_ITERATIONS || '4', 10));
+
+// Cache admin routes: entries read to sort a list, and warm job limits
+// (a warm request runs within the API Gateway / Lambda timeout, so keep batches small)
+const CACHE_ADMIN_MAX_SCAN_ITEMS = parseInt(process.env.CACHE_ADMIN_MAX_SCAN_ITEMS || '5000', 10);
+const CACHE_WARM_CONCURRENCY = parseInt(process.env.CACHE_WARM_CONCURRENCY || '3', 10);
+const CACHE_WARM_MAX_QUESTIONS = parseInt(process.env.CACHE_WARM_MAX_QUESTIONS || '20', 10);
+
+// Request schemas for the route table and the streaming handler
+const schemas = createSchemas({
+    maxInputLength: MAX_INPUT_LENGTH,
+    maxHistoryTurns: SESSION_MAX_TURNS,
+    maxHistoryMessageLength: MAX_HISTORY_MESSAGE_LENGTH,
+    maxWarmQuestions: CACHE_WARM_MAX_QUESTIONS
+});
+
+const sessionStore = createSessionStore({
+    client: dynamoDBClient,
+    tableName: SESSIONS_TABLE_NAME,
+    ttlSeconds: SESSION_TTL_SECONDS,
+    maxTurns: SESSION_MAX_TURNS
+});
+
+const quotaStore = createQuotaStore({
+    client: dynamoDBClient,
+    tableName: QUOTA_TABLE_NAME,
+    requestsPerMinute: RATE_LIMIT_PER_MINUTE,
+    dailyInputTokens: DAILY_INPUT_TOKEN_QUOTA,
+    dailyOutputTokens: DAILY_OUTPUT_TOKEN_QUOTA
+});
+
+const cacheRepository = createCacheRepository({
+    client: dynamoDBClient,
+    tableName: DYNAMODB_TABLE_NAME,
+    answerTtlSeconds: CACHE_TTL_SECONDS,
+    suggestionsTtlSeconds: SUGGESTIONS_CACHE_TTL_SECONDS,
+    indexName: SEMANTIC_CACHE_INDEX_NAME,
+    semanticBucket: SEMANTIC_CACHE_BUCKET
+});
+
+const leadStore = createLeadStore({
+    client: dynamoDBClient,
+    tableName: LEADS_TABLE_NAME
+});
+const leadNotifier = createLeadNotifier(LEAD_NOTIFIER, {
+    client: snsClient,
+    topicArn: LEAD_TOPIC_ARN,
+    filePath: LEAD_FILE_PATH
+});
+
+const feedbackStore = createFeedbackStore({
+    client: dynamoDBClient,
+    tableName: FEEDBACK_TABLE_NAME
+});
+
+const fxRates = createFxRates({
+    client: s3Client,
+    bucket: S3_BUCKET_NAME,
+    key: FX_RATES_S3_KEY,
+    envRates: FX_RATES,
+    refreshMs: FX_RATES_REFRESH_SECONDS * 1000
+});
+
+const cacheAdmin = createCacheAdmin({
+    client: dynamoDBClient,
+    tableName: DYNAMODB_TABLE_NAME,
+    maxScanItems: CACHE_ADMIN_MAX_SCAN_ITEMS
+});
+
+// Usage ledger (null when disabled)
+const usageLedger = USAGE_LEDGER_ENABLED
+    ? createUsageLedger({
+        client: dynamoDBClient,
+        tableName: USAGE_LEDGER_TABLE_NAME,
+        prices: parseModelPrices(process.env.MODEL_PRICES),
+        ttlDays: USAGE_LEDGER_TTL_DAYS
+    })
+    : null;
+
+// Text generation clients over the model fallback chain
+// Chat and suggestion calls go through the guardrail; history summaries are internal and skip it
+const modelChain = [MODEL_ID, ...MODEL_FALLBACK_IDS];
+const modelClient = createModelClient({
+    client: bedrockClient,
+    apiKey: BEDROCK_API_KEY,
+    chain: modelChain,
+    guardrail: GUARDRAIL_ID ? { id: GUARDRAIL_ID, version: GUARDRAIL_VERSION } : null,
+    timeoutMs: MODEL_TIMEOUT_MS
+});
+const summaryModelClient = createModelClient({
+    client: bedrockClient,
+    apiKey: BEDROCK_API_KEY,
+    chain: modelChain,
+    timeoutMs: MODEL_TIMEOUT_MS
+});
+
+// Embedder for the semantic cache (null in exact mode)
+const queryEmbedder = CACHE_MODE === 'semantic'
+    ? createEmbedder(SEMANTIC_CACHE_EMBEDDER, { client: bedrockClient, apiKey: BEDROCK_API_KEY, modelId: EMBEDDING_MODEL_ID })
+    : null;
+
+// In-memory knowledge base (reused across Lambda invocations)
+// After this interval the prefix is listed again and only objects with a new ETag are refetched
+const DOCUMENT_REVALIDATE_MS = parseInt(process.env.DOCUMENT_REVALIDATE_SECONDS || '300', 10) * 1000;
+const knowledgeBase = createKnowledgeBase({
+    client: s3Client,
+    bucket: S3_BUCKET_NAME,
+    prefix: S3_KNOWLEDGE_BASE_PREFIX,
+    revalidateMs: DOCUMENT_REVALIDATE_MS
+});
+
+// Tools the model can call during an answer (run against the parsed catalog and the quote engine)
+const catalogTools = createCatalogTools({
+    getCatalog: () => getCatalog(),
+    getRates: () => fxRates.getRates(),
+    pricingRules: PRICING_RULES
+});
+
+// Admin routes (cache, usage) require this token in the X-Admin-Token header; disabled when empty
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+// Parsed package catalog (re-parsed only when the travel document text changes)
+let parsedCatalog = null;
+let parsedCatalogSource = null;
 
 /**
- * Normalize query text for better semantic cache matching
- * Handles variations like:
- * - "What are the travel packages available from Bengaluru to Bangkok?"
- * - "What are the travel packages from Bengaluru to Bangkok?"
- * Both will normalize to similar strings (removing stop words, normalizing whitespace)
+ * Parse the MODEL_PRICES override; an invalid value is ignored (built-in prices are used)
  */
-function normalizeQuery(query) {
-    if (!query) return '';
-    
-    // Convert to lowercase
-    let normalized = query.toLowerCase();
-    
-    // Remove punctuation (keep spaces and alphanumeric)
-    normalized = normalized.replace(/[^\w\s]/g, ' ');
-    
-    // Normalize whitespace (multiple spaces to single space)
-    normalized = normalized.replace(/\s+/g, ' ').trim();
-    
-    // Split into words and remove stop words
-    const words = normalized.split(' ').filter(word => {
-        // Remove empty strings and stop words
-        return word.length > 0 && !STOP_WORDS.has(word);
+function parseModelPrices(value) {
+    if (!value) {
+        return {};
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Ignoring invalid MODEL_PRICES (expected JSON):', error.message);
+        return {};
+    }
+}
+
+/**
+ * Record a Bedrock call (or, with cached = true, a call avoided by the cache) in the usage ledger
+ * usage: { model, inputTokens, outputTokens }
+ */
+async function recordUsage(kind, usage, cached = false) {
+    if (!usageLedger) {
+        return;
+    }
+    await usageLedger.record({
+        kind,
+        model: usage.model,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        cached
     });
-    
-    // Join words back with single space
-    normalized = words.join(' ').trim();
-    
-    return normalized;
 }
 
 /**
  * Generate SHA-256 hash of normalized query text for cache key
  * Normalization helps catch semantically similar queries
+ * The model family is part of the key so answers from different models are never mixed
+ * scope: package ids an entity-scoped follow-up refers to (see resolveCacheKey)
+ * language: language the answer is written in (English keys carry no marker, so they match older entries)
  */
-function generateQueryHash(query) {
-    const normalized = normalizeQuery(query);
-    return crypto.createHash('sha256').update(normalized).digest('hex');
+function generateQueryHash(query, family, scope = [], language = DEFAULT_LANGUAGE) {
+    const normalized = normalizeQuery(query, language);
+    const scoped = scope.length > 0 ? `|${scope.join(',')}` : '';
+    const localized = language !== DEFAULT_LANGUAGE ? `|lang:${language}` : '';
+    return crypto.createHash('sha256').update(`${family}:${normalized}${scoped}${localized}`).digest('hex');
 }
 
 /**
@@ -119,7 +356,18 @@ function isGenericFallbackQuery(query) {
         'nope',
         'nah',
         'yeah',
-        'yup'
+        'yup',
+        // Yes / no / okay in Hindi, Kannada and Tamil
+        'हाँ',
+        'हां',
+        'नहीं',
+        'ठीक',
+        'ಹೌದು',
+        'ಇಲ್ಲ',
+        'ಸರಿ',
+        'ஆம்',
+        'இல்லை',
+        'சரி'
     ];
     
     // Very short queries (1-2 words after normalization) are likely context-dependent
@@ -153,37 +401,42 @@ function isGenericFallbackQuery(query) {
  * Generate suggested questions based on travel document and conversation context
  * Includes caching to reduce Bedrock calls and handle scale
  * Includes retry logic with exponential backoff for throttling errors
+ * language: language the questions are written in (part of the cache name for languages other than English)
  */
-async function generateSuggestions(conversationHistory = [], retryCount = 0) {
+async function generateSuggestions(conversationHistory = [], language = DEFAULT_LANGUAGE, retryCount = 0) {
     const maxRetries = 2;
     const baseDelay = 1000; // 1 second base delay
     
-    // Create cache key for suggestions
-    // For initial suggestions (no history): use static key "initial_suggestions"
+    // Cache name for suggestions
+    // For initial suggestions (no history): "initial"
     // For follow-up: hash the last exchange (last user + assistant messages)
-    let suggestionsCacheKey;
+    let suggestionsCacheName;
     if (conversationHistory.length === 0) {
-        suggestionsCacheKey = 'initial_suggestions';
+        suggestionsCacheName = 'initial';
     } else {
         const lastExchange = conversationHistory.slice(-2);
         const exchangeText = lastExchange.map(msg => `${msg.role}:${msg.content}`).join('|');
-        suggestionsCacheKey = 'suggestions_' + crypto.createHash('sha256').update(exchangeText).digest('hex').substring(0, 16);
+        suggestionsCacheName = crypto.createHash('sha256').update(exchangeText).digest('hex').substring(0, 16);
+    }
+    if (language !== DEFAULT_LANGUAGE) {
+        suggestionsCacheName += `:${language}`;
     }
+    const followUp = conversationHistory.length > 0;
     
-    // Check cache first (24 hour TTL)
+    // Suggestions are tied to the catalog they were generated from
+    const docVersion = await getDocumentVersion();
+    
+    // Check cache first (SUGGESTIONS_CACHE_TTL_SECONDS)
     try {
-        const cacheCheck = await dynamoDBClient.send(new GetItemCommand({
-            TableName: DYNAMODB_TABLE_NAME,
-            Key: { queryHash: { S: suggestionsCacheKey } }
-        }));
-        
-        if (cacheCheck.Item && cacheCheck.Item.response) {
-            const cachedSuggestions = JSON.parse(cacheCheck.Item.response.S);
-            const ttl = parseInt(cacheCheck.Item.ttl?.N || '0');
-            if (Date.now() / 1000 < ttl) {
-                console.log('Using cached suggestions for key:', suggestionsCacheKey);
-                return cachedSuggestions;
-            }
+        const { entry, reason } = await cacheRepository.getSuggestions(suggestionsCacheName, docVersion);
+        if (entry) {
+            console.log('Using cached suggestions:', entry.key);
+            await cacheRepository.recordHit(entry.key);
+            await recordUsage('suggestions', entry.usage, true);
+            return entry.suggestions;
+        }
+        if (reason !== 'missing') {
+            console.log(`Cached suggestions not used (${reason}):`, suggestionsCacheName);
         }
     } catch (cacheError) {
         console.warn('Error checking suggestions cache:', cacheError);
@@ -193,70 +446,46 @@ async function generateSuggestions(conversationHistory = [], retryCount = 0) {
     try {
         // Get travel document
         const travelDoc = await getTravelDocument();
-        
+
         // Build context for suggestions
         let contextPrompt = '';
+        let catalogContext = '';
         if (conversationHistory.length > 0) {
             // Extract last exchange for context
             const lastExchange = conversationHistory.slice(-2);
+            catalogContext = buildCatalogContext(travelDoc, lastExchange.map(msg => msg.content).join(' ')).context;
             contextPrompt = `Based on the recent conversation:\n`;
             lastExchange.forEach(msg => {
                 contextPrompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
             });
             contextPrompt += '\nGenerate 3-4 relevant follow-up questions the user might want to ask about travel packages.';
         } else {
-            // Initial suggestions - based on travel document
+            // Initial suggestions - the package outline is enough to suggest diverse questions
+            catalogContext = travelDoc ? buildOutline(travelDoc) || travelDoc : '';
             contextPrompt = `Based on the following travel package information, generate 4-5 interesting questions a user might ask to get started. Make them diverse and cover different aspects like pricing, destinations, package details, etc.`;
         }
         
-        const systemPrompt = `You are a helpful travel assistant for TravelBuddy. ${travelDoc ? 'Here is the travel package information:\n\n' + travelDoc + '\n\nIMPORTANT: Only suggest questions about destinations and packages that are ACTUALLY listed in the information above. Do NOT suggest questions about destinations not in the catalog (e.g., Sri Lanka, Maldives, etc.).' : ''}Generate suggested questions that are:\n- Short and conversational (10-15 words max)\n- Relevant to travel packages listed in the information\n- Easy to understand\n- Specific enough to be useful\n- Based ONLY on destinations/countries mentioned in the provided information\n\nReturn ONLY a JSON array of question strings, no other text. Example: ["What packages are available to Thailand?", "Show me Singapore travel options", "What's the cost for a 5-night package?"]`;
+        const systemPrompt = `You are a helpful travel assistant for TravelBuddy. ${catalogContext ? 'Here is the travel package information:\n\n' + catalogContext + '\n\nIMPORTANT: Only suggest questions about destinations and packages that are ACTUALLY listed in the information above. Do NOT suggest questions about destinations not in the catalog (e.g., Sri Lanka, Maldives, etc.).' : ''}Generate suggested questions that are:\n- Short and conversational (10-15 words max)\n- Relevant to travel packages listed in the information\n- Easy to understand\n- Specific enough to be useful\n- Based ONLY on destinations/countries mentioned in the provided information\n\nReturn ONLY a JSON array of question strings, no other text. Example: ["What packages are available to Thailand?", "Show me Singapore travel options", "What's the cost for a 5-night package?"]`;
+        const languagePrompt = language !== DEFAULT_LANGUAGE
+            ? `\n\nWrite the questions in ${languageLabel(language)}. Keep package names and place names as they appear in the information.`
+            : '';
         
         const userContent = contextPrompt;
         
-        // Prepare Bedrock request for suggestions
-        const bedrockRequest = {
-            modelId: MODEL_ID,
-            contentType: 'application/json',
-            accept: 'application/json',
-            body: JSON.stringify({
-                anthropic_version: 'bedrock-2023-05-31',
-                max_tokens: 200, // Shorter for suggestions
-                system: systemPrompt,
-                messages: [
-                    {
-                        role: 'user',
-                        content: userContent
-                    }
-                ]
-            })
-        };
-        
-        const command = new InvokeModelCommand(bedrockRequest);
-        
-        // Add API key authentication
-        command.middlewareStack.add(
-            (next) => async (args) => {
-                if (args.request?.headers) {
-                    const headerKeys = Object.keys(args.request.headers);
-                    for (const key of headerKeys) {
-                        if (key.toLowerCase() === 'authorization') {
-                            delete args.request.headers[key];
-                        }
-                    }
-                    args.request.headers['authorization'] = `Bearer ${BEDROCK_API_KEY}`;
+        const result = await modelClient.invoke({
+            system: systemPrompt + languagePrompt,
+            messages: [
+                {
+                    role: 'user',
+                    content: userContent
                 }
-                return next(args);
-            },
-            {
-                step: 'finalizeRequest',
-                priority: 999,
-                name: 'bedrockApiKeyAuthOverride'
-            }
-        );
-        
-        const response = await bedrockClient.send(command);
-        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-        const suggestionsText = responseBody.content[0].text.trim();
+            ],
+            maxTokens: 200 // Shorter for suggestions
+        });
+        await recordUsage('suggestions', { model: result.model, ...result.usage });
+        // A blocked suggestion call falls back to the (uncached) default suggestions below
+        assertNotBlocked(result.guardrail);
+        const suggestionsText = result.text.trim();
         
         // Parse JSON array from response
         // Try to extract JSON array from the response (might have markdown code blocks)
@@ -277,7 +506,9 @@ async function generateSuggestions(conversationHistory = [], retryCount = 0) {
         } catch (parseError) {
             console.error('Error parsing suggestions JSON:', parseError);
             // Fallback: return default suggestions
-            if (conversationHistory.length > 0) {
+            if (language !== DEFAULT_LANGUAGE) {
+                suggestions = fallbackSuggestions(language, followUp);
+            } else if (followUp) {
                 suggestions = [
                     'Tell me more about this package',
                     'What are the highlights?',
@@ -295,34 +526,22 @@ async function generateSuggestions(conversationHistory = [], retryCount = 0) {
         
         // Ensure we have valid suggestions array
         if (!Array.isArray(suggestions) || suggestions.length === 0) {
-            suggestions = conversationHistory.length > 0 
+            suggestions = fallbackSuggestions(language, followUp) || (followUp
                 ? ['Tell me more', 'What else can you help with?']
-                : ['What packages are available?', 'Show me travel options'];
+                : ['What packages are available?', 'Show me travel options']);
         }
         
         // Limit to 4-5 suggestions
         const finalSuggestions = suggestions.slice(0, 5);
         
-        // Cache the suggestions for 24 hours
+        // Cache the suggestions, with the tokens they took so cache hits can be costed as savings
         try {
-            const ttl = Math.floor(Date.now() / 1000) + (24 * 60 * 60); // 24 hours
-            await dynamoDBClient.send(new PutItemCommand({
-                TableName: DYNAMODB_TABLE_NAME,
-                Item: {
-                    queryHash: { S: suggestionsCacheKey },
-                    response: { S: JSON.stringify(finalSuggestions) },
-                    queryText: { S: conversationHistory.length === 0 ? 'initial_suggestions' : 'follow_up_suggestions' },
-                    ttl: { N: ttl.toString() },
-                    usage: { 
-                        M: {
-                            inputTokens: { N: '0' },
-                            outputTokens: { N: '0' },
-                            model: { S: 'suggestions_cache' }
-                        }
-                    }
-                }
-            }));
-            console.log('Cached suggestions for key:', suggestionsCacheKey);
+            await cacheRepository.putSuggestions(suggestionsCacheName, {
+                suggestions: finalSuggestions,
+                usage: { model: result.model, ...result.usage },
+                docVersion
+            });
+            console.log('Cached suggestions:', suggestionsCacheName);
         } catch (cacheError) {
             console.warn('Error caching suggestions:', cacheError);
             // Continue even if caching fails
@@ -335,45 +554,41 @@ async function generateSuggestions(conversationHistory = [], retryCount = 0) {
             const delay = baseDelay * Math.pow(2, retryCount); // Exponential backoff
             console.warn(`ThrottlingException for suggestions, retrying after ${delay}ms (attempt ${retryCount + 1}/${maxRetries})`);
             await new Promise(resolve => setTimeout(resolve, delay));
-            return generateSuggestions(conversationHistory, retryCount + 1);
+            return generateSuggestions(conversationHistory, language, retryCount + 1);
         }
         
         // For other errors or max retries reached, return default suggestions
         console.error('Error generating suggestions:', error.name || error.message);
         
         // Return default suggestions based on context (don't cache defaults)
-        return conversationHistory.length > 0
+        return fallbackSuggestions(language, followUp) || (followUp
             ? ['Tell me more', 'What else can you help with?', 'Show me other packages']
-            : ['What packages are available?', 'Show me travel options', 'Tell me about pricing'];
+            : ['What packages are available?', 'Show me travel options', 'Tell me about pricing']);
     }
 }
 
 /**
  * Check DynamoDB cache for existing response
+ * Entries stamped with another travel document version, or generated from a knowledge base document that has
+ * changed since (documentVersions), are stale; expired ones (not yet reaped by TTL) are misses
  */
-async function getCachedResponse(queryHash) {
+async function getCachedResponse(queryHash, docVersion, documentVersions) {
     try {
-        const command = new GetItemCommand({
-            TableName: DYNAMODB_TABLE_NAME,
-            Key: {
-                queryHash: { S: queryHash }
-            }
-        });
+        const { entry, reason, entryVersion, source } = await cacheRepository.getAnswer(queryHash, docVersion, documentVersions);
         
-        const response = await dynamoDBClient.send(command);
+        if (reason === 'stale') {
+            console.log('Cache STALE for query hash:', queryHash, source
+                ? { source, entryVersion, currentVersion: documentVersions[source] || null }
+                : { entryVersion: entryVersion || null, docVersion });
+            return { cached: false, stale: true };
+        }
         
-        if (response.Item) {
+        if (entry) {
             console.log('Cache HIT for query hash:', queryHash);
-            return {
-                cached: true,
-                response: response.Item.response?.S,
-                queryText: response.Item.queryText?.S,
-                timestamp: response.Item.timestamp?.N,
-                usage: response.Item.usage ? JSON.parse(response.Item.usage.S) : null
-            };
+            return toCacheResult(entry);
         }
         
-        console.log('Cache MISS for query hash:', queryHash);
+        console.log(`Cache MISS (${reason}) for query hash:`, queryHash);
         return { cached: false };
     } catch (error) {
         console.error('Error checking cache:', error);
@@ -383,25 +598,108 @@ async function getCachedResponse(queryHash) {
 }
 
 /**
- * Store response in DynamoDB cache
+ * Cache lookup result for a cached answer entry
+ */
+function toCacheResult(entry) {
+    return {
+        cached: true,
+        key: entry.key,
+        response: entry.response,
+        queryText: entry.queryText,
+        timestamp: String(entry.timestamp),
+        usage: entry.usage,
+        contextChunks: entry.contextChunks
+    };
+}
+
+/**
+ * Embed a query for the semantic cache
+ * Returns null if embedding fails so the request falls through to the LLM
  */
-async function cacheResponse(queryHash, queryText, response, usage) {
+async function embedQuery(input) {
     try {
-        const ttl = Math.floor(Date.now() / 1000) + CACHE_TTL_SECONDS;
-        
-        const command = new PutItemCommand({
-            TableName: DYNAMODB_TABLE_NAME,
-            Item: {
-                queryHash: { S: queryHash },
-                queryText: { S: queryText },
-                response: { S: response },
-                usage: { S: JSON.stringify(usage || {}) },
-                timestamp: { N: Date.now().toString() },
-                ttl: { N: ttl.toString() }
+        return await queryEmbedder.embed(input);
+    } catch (error) {
+        console.error('Error embedding query for semantic cache:', error.name || error.message);
+        return null;
+    }
+}
+
+/**
+ * Find the most similar recent cached answer by cosine similarity
+ * Only compares against entries embedded with the same embedder (vectors from different models are not comparable),
+ * answered by the same model family in the same language and generated from the current versions of its documents
+ */
+async function getSemanticCachedResponse(queryEmbedding, docVersion, documentVersions, family, language = DEFAULT_LANGUAGE) {
+    try {
+        const candidates = await cacheRepository.recentAnswers(SEMANTIC_CACHE_MAX_CANDIDATES);
+
+        let bestEntry = null;
+        let bestSimilarity = -1;
+        for (const entry of candidates) {
+            if (entry.embeddingModel !== queryEmbedder.name) continue;
+            if (entry.docVersion !== docVersion || changedSource(entry, documentVersions)) continue;
+            if (entry.modelFamily !== family) continue;
+            if (entry.language !== language) continue;
+
+            const similarity = cosineSimilarity(queryEmbedding, entry.embedding);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                bestEntry = entry;
             }
+        }
+
+        const roundedSimilarity = Math.round(bestSimilarity * 10000) / 10000;
+        if (bestEntry && bestSimilarity >= SEMANTIC_CACHE_THRESHOLD) {
+            console.log('Semantic cache HIT:', { similarity: roundedSimilarity, matchedQuery: bestEntry.queryText });
+            return {
+                ...toCacheResult(bestEntry),
+                semanticMatch: {
+                    similarity: roundedSimilarity,
+                    queryText: bestEntry.queryText,
+                    threshold: SEMANTIC_CACHE_THRESHOLD
+                }
+            };
+        }
+
+        console.log('Semantic cache MISS', bestEntry ? { bestSimilarity: roundedSimilarity, threshold: SEMANTIC_CACHE_THRESHOLD } : '(no candidates)');
+        return { cached: false };
+    } catch (error) {
+        console.error('Error checking semantic cache:', error);
+        return { cached: false };
+    }
+}
+
+/**
+ * Store response in DynamoDB cache
+ * docVersion stamps the travel document version the answer was generated from
+ * (queryHash must be generated for the family of usage.model, the model that answered)
+ * contextChunks records which document chunks the answer was generated from (for audit)
+ * sourceVersions: versions of the documents those chunks came from (a later edit to one makes the entry stale)
+ * embedding (semantic mode only) makes the entry a candidate for similarity matches
+ * scope: package ids an entity-scoped follow-up was keyed on (such entries are never semantic candidates)
+ * language: language the answer is written in (semantic matches never cross languages)
+ */
+async function cacheResponse(queryHash, queryText, response, usage, docVersion, contextChunks = [], sourceVersions = {}, embedding = null, scope = [], language = DEFAULT_LANGUAGE) {
+    if (!docVersion) {
+        console.log('Skipping cache storage - travel document not loaded');
+        return;
+    }
+    try {
+        await cacheRepository.putAnswer({
+            queryHash,
+            queryText,
+            response,
+            usage,
+            docVersion,
+            modelFamily: modelFamily(usage.model),
+            contextChunks,
+            sourceVersions,
+            scope,
+            language,
+            embedding: queryEmbedder && scope.length === 0 ? embedding : null,
+            embeddingModel: queryEmbedder ? queryEmbedder.name : null
         });
-        
-        await dynamoDBClient.send(command);
         console.log('Cached response for query hash:', queryHash);
     } catch (error) {
         console.error('Error caching response:', error);
@@ -410,58 +708,323 @@ async function cacheResponse(queryHash, queryText, response, usage) {
 }
 
 /**
- * Get travel document from S3 with in-memory caching
- * Cache is reused across Lambda invocations (container reuse)
+ * Get the travel catalog document from the knowledge base
+ * Returns '' if it could not be loaded (graceful degradation)
+ * forceRefresh lists the S3 prefix immediately (used by the admin purge route)
+ */
+async function getTravelDocument(options = {}) {
+    const travelDoc = await knowledgeBase.getDocument(CATALOG_DOCUMENT_KEY, options);
+    if (!travelDoc) {
+        console.warn(`Travel document ${CATALOG_DOCUMENT_KEY} is not in the knowledge base`);
+    }
+    return travelDoc;
+}
+
+/**
+ * Get every knowledge base document: [{ source, version, content }]
+ */
+async function getKnowledgeDocuments() {
+    return knowledgeBase.getDocuments();
+}
+
+/**
+ * Version stamp for cache entries: the version of the travel catalog (null if it could not be loaded)
+ * A catalog edit makes every cached answer and suggestion list stale; an edit to another document only
+ * makes the answers generated from its chunks stale (see getDocumentVersions)
+ */
+async function getDocumentVersion() {
+    await knowledgeBase.getDocuments();
+    return knowledgeBase.getVersion(CATALOG_DOCUMENT_KEY);
+}
+
+/**
+ * Current version of every knowledge base document: { [document key]: version }
+ */
+async function getDocumentVersions() {
+    const documents = await knowledgeBase.getDocuments();
+    return Object.fromEntries(documents.map(document => [document.source, document.version]));
+}
+
+/**
+ * Versions of the documents a set of retrieved chunks came from: { [document key]: version }
+ */
+function sourceVersionsOf(chunks) {
+    return Object.fromEntries(chunks.filter(chunk => chunk.source && chunk.version).map(chunk => [chunk.source, chunk.version]));
+}
+
+/**
+ * Get the structured package catalog parsed from the travel document
+ * Malformed sections are logged with line numbers and returned as errors
+ */
+async function getCatalog() {
+    const travelDoc = await getTravelDocument();
+    if (parsedCatalog && parsedCatalogSource === travelDoc) {
+        return parsedCatalog;
+    }
+    
+    parsedCatalog = parseCatalog(travelDoc);
+    parsedCatalogSource = travelDoc;
+    console.log('Parsed travel catalog:', parsedCatalog.packages.length, 'packages');
+    for (const error of parsedCatalog.errors) {
+        console.warn(`Catalog error at ${CATALOG_DOCUMENT_KEY}:${error.line} (${error.section}): ${error.message}`);
+    }
+    return parsedCatalog;
+}
+
+/**
+ * Try to answer a question deterministically from the catalog
+ * Price quotes for a party or another currency are worked out by quotes.js (the package may come from
+ * the conversation); other structured questions go to the intent router
+ * Catalog answers are English templates, so questions in other languages go to the model instead
+ * Returns { text, intent, quote? } or null when the question should go through cache → LLM
+ */
+async function answerFromCatalog(input, conversationHistory = []) {
+    if (!INTENT_ROUTER_ENABLED || conversationLanguage(input, conversationHistory) !== DEFAULT_LANGUAGE) {
+        return null;
+    }
+    try {
+        const { packages } = await getCatalog();
+        const quoted = quoteFromMessage(input, packages, conversationHistory, await fxRates.getRates(), PRICING_RULES);
+        if (quoted) {
+            console.log('Quote answer - Bedrock call skipped:', quoted.intent);
+            return quoted;
+        }
+        const routed = routeQuery(input, packages);
+        if (routed) {
+            console.log('Catalog answer - Bedrock call skipped:', routed.intent);
+        }
+        return routed;
+    } catch (error) {
+        console.error('Error routing query to catalog (falling through to LLM):', error);
+        return null;
+    }
+}
+
+/**
+ * Parse an optional numeric query string parameter
+ * Returns undefined if absent
+ */
+function parseNumberParam(params, name) {
+    if (params[name] === undefined || params[name] === '') {
+        return undefined;
+    }
+    return Number(params[name]);
+}
+
+/**
+ * GET /packages (filters: country, maxPrice, nights, minNights, maxNights) and GET /packages/{id}
+ */
+async function handlePackagesRequest(request) {
+    const { packages, errors } = await getCatalog();
+    
+    // GET /packages/{id}
+    const packageIdParam = request.params.id;
+    if (packageIdParam) {
+        const pkg = packages.find(candidate => candidate.id === packageIdParam);
+        if (!pkg) {
+            return errorResponse(404, 'PackageNotFound', `No package with id "${packageIdParam}"`, { requestId: request.requestId });
+        }
+        return jsonResponse(200, { package: pkg });
+    }
+    
+    // GET /packages (numeric filters are checked by the route schema)
+    const params = request.query;
+    const filters = {
+        country: params.country || undefined,
+        maxPrice: parseNumberParam(params, 'maxPrice'),
+        nights: parseNumberParam(params, 'nights'),
+        minNights: parseNumberParam(params, 'minNights'),
+        maxNights: parseNumberParam(params, 'maxNights')
+    };
+    const results = filterPackages(packages, filters);
+    return jsonResponse(200, {
+        packages: results,
+        count: results.length,
+        // Surfaced so content authors see typos in the S3 document
+        catalogErrors: errors,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * POST /quote - itemised price for a package, traveller composition and currency
+ * Body { packageId, travellers: { adults, children: [ages], singleRooms }, currency } (currency defaults to INR)
  */
-async function getTravelDocument() {
-    // Check if cache is valid (exists and not expired)
-    if (cachedTravelDoc && travelDocCacheTimestamp && 
-        (Date.now() - travelDocCacheTimestamp) < TRAVEL_DOC_CACHE_TTL_MS) {
-        console.log('Using cached travel document (cache age:', Math.floor((Date.now() - travelDocCacheTimestamp) / 1000), 'seconds)');
-        return cachedTravelDoc;
+async function handleQuoteRequest(request) {
+    const { packageId, travellers, currency = 'INR' } = request.json;
+    const { packages } = await getCatalog();
+    const pkg = packages.find(candidate => candidate.id === packageId);
+    if (!pkg) {
+        return errorResponse(404, 'PackageNotFound', `No package with id "${packageId}"`, { requestId: request.requestId });
     }
     
     try {
-        console.log('Fetching travel document from S3...');
-        const command = new GetObjectCommand({
-            Bucket: S3_BUCKET_NAME,
-            Key: S3_DOCUMENT_KEY
+        const quote = buildQuote(pkg, travellers, currency, await fxRates.getRates(), PRICING_RULES);
+        return jsonResponse(200, {
+            quote,
+            text: renderQuote(quote),
+            timestamp: new Date().toISOString()
         });
-        
-        const response = await s3Client.send(command);
-        
-        // Convert stream to string
-        const chunks = [];
-        for await (const chunk of response.Body) {
-            chunks.push(chunk);
+    } catch (error) {
+        if (error.name === 'UnsupportedCurrency' || error.name === 'ValidationFailed') {
+            // Reported on body fields, like the schema's own validation failures
+            const details = error.details.map(detail => ({ ...detail, field: `body.${detail.field}` }));
+            return errorResponse(400, error.name, error.message, { details, requestId: request.requestId });
         }
-        const content = Buffer.concat(chunks).toString('utf-8');
-        
-        // Cache it
-        cachedTravelDoc = content;
-        travelDocCacheTimestamp = Date.now();
+        throw error;
+    }
+}
+
+/**
+ * Build prompt context for a query
+ * Sends a short outline of every package plus the full text of only the top-K matching chunks,
+ * retrieved from every knowledge base document when `documents` is given (chunks keep their source)
+ * Falls back to the whole travel document when nothing scores (e.g. "which is the cheapest?")
+ */
+function buildCatalogContext(travelDoc, query, documents = null) {
+    const corpus = documents && documents.length > 0 ? documents : travelDoc;
+    if (!corpus) {
+        return { context: '', chunks: [] };
+    }
+
+    const chunks = retrieveChunks(corpus, query, RETRIEVAL_TOP_K);
+    if (chunks.length === 0) {
+        console.log('Retrieval found no matching chunks - using full travel document');
+        return { context: travelDoc, chunks: [] };
+    }
+
+    console.log('Retrieved chunks:', chunks.map(chunk => `${chunk.source ? chunk.source + '#' : ''}${chunk.id} (${chunk.score})`).join(', '));
+    const outline = travelDoc ? `All packages in the catalog:\n${buildOutline(travelDoc)}\n\n` : '';
+    const context = outline +
+        `Details of the sections relevant to this question:\n\n${formatChunksForPrompt(chunks)}`;
+    return { context, chunks };
+}
+
+/**
+ * Throw a ContentBlocked error if the guardrail intervened on a model response
+ * (the response text is then the guardrail's canned message, which must not be cached or stored)
+ * guardrail is the model client's { action, trace } result (null when no guardrail ran)
+ */
+function assertNotBlocked(guardrail) {
+    if (guardrail?.action === 'INTERVENED') {
+        const blocked = guardrailCategory(guardrail.trace);
+        console.warn('Bedrock guardrail intervened:', blocked);
+        throw contentBlockedError(blocked, 'guardrail');
+    }
+}
+
+/**
+ * Internal usage record for a model client result (the model that answered is kept for reporting and cache keys)
+ */
+function toUsage(result) {
+    return {
+        input_tokens: result.usage.inputTokens,
+        output_tokens: result.usage.outputTokens,
+        model: result.model,
+        modelFamily: result.family
+    };
+}
+
+/**
+ * Client-facing body for a blocked request (pre-flight screen or guardrail)
+ */
+function contentBlockedBody(blocked, requestId) {
+    return errorBody('ContentBlocked', 'Your message was blocked by our content safety policy. Please rephrase your travel question.', {
+        details: [{ category: blocked.category, layer: blocked.layer, message: `Blocked by the ${blocked.layer} check` }],
+        requestId
+    });
+}
+
+/**
+ * Fold aged-out conversation turns into a running summary with Bedrock
+ */
+async function summarizeTurns(previousSummary, turns) {
+    const result = await summaryModelClient.invoke({
+        system: 'You maintain a running summary of a conversation between a customer and the TravelBuddy travel assistant.',
+        messages: [
+            {
+                role: 'user',
+                content: buildSummaryPrompt(previousSummary, turns)
+            }
+        ],
+        maxTokens: SUMMARY_MAX_TOKENS
+    });
+    await recordUsage('summary', { model: result.model, ...result.usage });
+    
+    return {
+        summary: result.text.trim(),
+        usage: toUsage(result)
+    };
+}
+
+/**
+ * Fit conversation history into the prompt token budget
+ * Newest turns are kept verbatim; older ones are covered by the session's running summary,
+ * which is only regenerated when new turns age out (and saved back to the session)
+ * Returns { turns, summary, summarizedTurns, keptTurns, summaryUsage }
+ */
+async function compactConversation(session, conversationHistory, fixedTokens) {
+    const plan = planCompaction({
+        turns: conversationHistory,
+        fixedTokens,
+        budget: PROMPT_TOKEN_BUDGET
+    });
+    const result = {
+        turns: plan.keep,
+        summary: null,
+        summarizedTurns: plan.summarize.length,
+        keptTurns: plan.keep.length,
+        summaryUsage: null
+    };
+    if (plan.summarize.length === 0) {
+        return result;
+    }
+    
+    const previousSummary = session?.summary || null;
+    const summaryThrough = session?.summaryThrough || 0;
+    const newTurns = plan.summarize.filter(turn => !turn.timestamp || turn.timestamp > summaryThrough);
+    if (newTurns.length === 0) {
+        console.log('Using cached conversation summary', { summarizedTurns: result.summarizedTurns });
+        result.summary = previousSummary;
+        return result;
+    }
+    
+    try {
+        const { summary, usage } = await summarizeTurns(previousSummary, newTurns);
+        result.summary = summary;
+        result.summaryUsage = usage;
+        console.log('Updated conversation summary', { newlySummarized: newTurns.length, summarizedTurns: result.summarizedTurns, usage });
         
-        console.log('Travel document cached (size:', content.length, 'characters)');
-        return cachedTravelDoc;
-    } catch (error) {
-        console.error('Error fetching travel document from S3:', error);
-        // Return empty string if S3 read fails (graceful degradation)
-        // Could also return cached version if available, even if expired
-        if (cachedTravelDoc) {
-            console.log('Using expired cache due to S3 error');
-            return cachedTravelDoc;
+        if (session) {
+            const through = Math.max(...plan.summarize.map(turn => turn.timestamp || 0));
+            await sessionStore.saveSummary(session.sessionId, summary, through);
+            session.summary = summary;
+            session.summaryThrough = through;
         }
-        return '';
+    } catch (error) {
+        // Without a summary the older turns are simply dropped
+        console.error('Error summarizing conversation history:', error.name || error.message);
+        result.summary = previousSummary;
     }
+    return result;
 }
 
 /**
- * Invoke Bedrock LLM to generate response with travel document context and conversation history
+ * Build the model request (system prompt, retrieved context, compacted history)
+ * Shared by the buffered and streaming invocation paths
+ * correction: optional instruction listing the catalog errors of a rejected draft (validator retry)
  */
-async function invokeBedrockLLM(input, conversationHistory = []) {
-    // Get travel document (cached or from S3)
+async function buildBedrockRequest(input, conversationHistory = [], session = null, correction = null) {
+    // Get the travel catalog and the rest of the knowledge base (cached or from S3)
     const travelDoc = await getTravelDocument();
-    
+    const documents = await getKnowledgeDocuments();
+
+    // Retrieve only the relevant chunks; include the previous user turn so follow-ups
+    // like "what about the meals?" still match the package being discussed
+    const previousUserTurn = [...conversationHistory].reverse().find(msg => msg && msg.role === 'user');
+    const retrievalQuery = previousUserTurn ? `${previousUserTurn.content} ${input}` : input;
+    const { context: catalogContext, chunks: contextChunks } = buildCatalogContext(travelDoc, retrievalQuery, documents);
+
     // Build system prompt with travel document context
     let systemPrompt = 'You are a helpful travel assistant for TravelBuddy, a travel booking company specializing in Asia packages from Bengaluru.';
     systemPrompt += '\n\nPERSONA & BEHAVIOR:';
@@ -471,7 +1034,13 @@ async function invokeBedrockLLM(input, conversationHistory = []) {
     systemPrompt += '\n- If asked about being an AI or technical questions, politely redirect: "I\'m here to help you with travel packages to Asia. How can I assist you with planning your trip?"';
     systemPrompt += '\n- Focus exclusively on travel-related queries and travel package information.';
     
-    if (travelDoc) {
+    const language = conversationLanguage(input, conversationHistory);
+    if (language !== DEFAULT_LANGUAGE) {
+        systemPrompt += `\n\nLANGUAGE:\nThe customer is writing in ${languageLabel(language)}. Reply in ${languageLabel(language)}.`;
+        systemPrompt += '\nKeep package names exactly as they appear in the catalog (do not translate or transliterate them), and write prices as ₹ amounts with digits.';
+    }
+    
+    if (catalogContext) {
         systemPrompt += '\n\nCRITICAL - ABSOLUTE PROHIBITION AGAINST HALLUCINATION:';
         systemPrompt += '\n\nYOU MUST NEVER:';
         systemPrompt += '\n- Create, invent, or make up ANY package that is not EXACTLY listed below';
@@ -486,20 +1055,36 @@ async function invokeBedrockLLM(input, conversationHistory = []) {
         systemPrompt += '\n- Quote the information verbatim from the travel package information';
         systemPrompt += '\n\nWHEN USER ASKS FOR MODIFICATIONS:';
         systemPrompt += '\nIf a user asks for: different duration, lower price, shorter package, budget option, customization, or ANY modification:';
-        systemPrompt += '\nRespond EXACTLY: "I can only offer the packages exactly as listed in our catalog. I don\'t have any shorter, longer, or modified versions available. For customized packages that match your requirements, please contact our team at travelbuddy@asia.com or +91-98765-43210 and they can help create a package tailored to your needs."';
+        systemPrompt += '\nRespond EXACTLY: "I can only offer the packages exactly as listed in our catalog. I don\'t have any shorter, longer, or modified versions available. For a customized package that matches your requirements, tell me you would like a custom package and I will collect your travel dates, number of travellers, budget and contact details for our team."';
         systemPrompt += '\nDO NOT create a fake package even if the user asks for one.';
         systemPrompt += '\n\nWHEN DESTINATION NOT AVAILABLE:';
         systemPrompt += '\nIf the user asks about a destination NOT in the information below, respond: "I don\'t have any packages available for [destination] in our current catalog. Please contact us at travelbuddy@asia.com or +91-98765-43210 for custom packages."';
         systemPrompt += '\nDO NOT create packages for unavailable destinations.';
-        systemPrompt += `\n\nTravel Package Information:\n\n${travelDoc}`;
+        if (contextChunks.length > 0) {
+            systemPrompt += '\n\nOnly the packages relevant to the question are shown in detail. If the user asks about a package that is listed but not detailed, mention it by name and invite them to ask about it.';
+        }
+        if (contextChunks.some(chunk => chunk.source && chunk.source !== CATALOG_DOCUMENT_KEY)) {
+            systemPrompt += `\n\nEach detailed section is labelled with its [Source: ...] document. Package names, prices and durations come ONLY from ${CATALOG_DOCUMENT_KEY}. When you use a section from any other document, name that document in your answer.`;
+        }
+        systemPrompt += `\n\nTravel Package Information:\n\n${catalogContext}`;
+    }
+    
+    if (correction) {
+        systemPrompt += `\n\n${correction}`;
+    }
+    
+    // Keep as much recent history as fits the token budget; older turns become a summary
+    const fixedTokens = estimateTokens(systemPrompt) + estimateTokens(input) + estimateTokens(session?.summary);
+    const compaction = await compactConversation(session, conversationHistory, fixedTokens);
+    if (compaction.summary) {
+        systemPrompt += `\n\nSUMMARY OF THE EARLIER CONVERSATION (older messages are not shown):\n${compaction.summary}`;
     }
     
     // Build messages array with conversation history + current input
     // Claude 3 requires: messages must start with 'user' and alternate user/assistant
     const messages = [];
     
-    // Add conversation history (limit to last 10 exchanges to control token usage)
-    const recentHistory = conversationHistory.slice(-20); // Last 20 messages (10 exchanges)
+    const recentHistory = compaction.turns;
     
     // Filter and validate history messages
     const validHistory = [];
@@ -584,236 +1169,1094 @@ async function invokeBedrockLLM(input, conversationHistory = []) {
         });
     }
     
-    // Prepare Bedrock request with cost controls
-    // Claude 3 Messages API uses 'system' as top-level parameter, not in messages array
+    // Model-neutral request with cost controls; the model client renders it in each provider's format
     const bedrockRequest = {
-        modelId: MODEL_ID,
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify({
-            anthropic_version: 'bedrock-2023-05-31',
-            max_tokens: MAX_TOKENS,
-            system: systemPrompt,
-            messages: messages
-        })
+        system: systemPrompt,
+        messages: messages,
+        maxTokens: MAX_TOKENS
     };
     
-    console.log(`Calling Bedrock with model: ${MODEL_ID}, max_tokens: ${MAX_TOKENS}, input_length: ${input.length}`);
-    
-    const command = new InvokeModelCommand(bedrockRequest);
+    const historyStats = {
+        summarizedTurns: compaction.summarizedTurns,
+        keptTurns: compaction.keptTurns,
+        summaryUsage: compaction.summaryUsage
+    };
+    return { bedrockRequest, contextChunks, historyStats };
+}
+
+// System prompt additions for answers that may call the catalog tools
+const TOOL_USE_INSTRUCTIONS = '\n\nTOOLS:\nUse the catalog tools for comparisons, searches, group totals and currency conversions ' +
+    'instead of working them out yourself. Quote package names, prices and totals exactly as the tools return them.';
+const TOOL_BUDGET_SPENT = '\n\nYou have used all your tool calls. Answer now from the tool results above; do not call any more tools.';
+const TOOL_LOOP_UNFINISHED = 'Sorry, I could not finish looking that up. Could you ask about one or two specific packages?';
+
+/**
+ * Run one answer through the tool-use loop (TOOL_USE_ENABLED)
+ * While the model asks for tools, the calls are executed against the catalog and their results sent back.
+ * At most TOOL_USE_MAX_ITERATIONS model calls are made; the last one is told to answer without tools
+ * Returns { result (final model call), usage (summed over calls), toolCalls: [{ iteration, id, name, input, output?, error?, durationMs }] }
+ */
+async function runToolLoop(bedrockRequest) {
+    const messages = [...bedrockRequest.messages];
+    const toolCalls = [];
+    const totals = { inputTokens: 0, outputTokens: 0 };
+    let result = null;
     
-    // Override Authorization header with API key
-    command.middlewareStack.add(
-        (next) => async (args) => {
-            if (args.request?.headers) {
-                const headerKeys = Object.keys(args.request.headers);
-                for (const key of headerKeys) {
-                    if (key.toLowerCase() === 'authorization') {
-                        delete args.request.headers[key];
-                    }
-                }
-                args.request.headers['authorization'] = `Bearer ${BEDROCK_API_KEY}`;
-            }
-            return next(args);
-        },
-        {
-            step: 'finalizeRequest',
-            priority: 999,
-            name: 'bedrockApiKeyAuthOverride'
+    for (let iteration = 1; iteration <= TOOL_USE_MAX_ITERATIONS; iteration++) {
+        const lastCall = iteration === TOOL_USE_MAX_ITERATIONS;
+        result = await modelClient.invoke({
+            ...bedrockRequest,
+            system: bedrockRequest.system + TOOL_USE_INSTRUCTIONS + (lastCall && iteration > 1 ? TOOL_BUDGET_SPENT : ''),
+            messages,
+            tools: catalogTools.definitions
+        });
+        await recordUsage('chat', { model: result.model, ...result.usage });
+        assertNotBlocked(result.guardrail);
+        totals.inputTokens += result.usage.inputTokens;
+        totals.outputTokens += result.usage.outputTokens;
+        
+        if (result.toolCalls.length === 0) {
+            break;
         }
-    );
-    
-    const bedrockResponse = await bedrockClient.send(command);
-    const responseBody = JSON.parse(new TextDecoder().decode(bedrockResponse.body));
+        if (lastCall) {
+            console.warn(`Tool loop stopped after ${iteration} model calls with tool calls pending:`, result.toolCalls.map(call => call.name));
+            result = { ...result, text: result.text || TOOL_LOOP_UNFINISHED };
+            break;
+        }
+        
+        const toolResults = [];
+        for (const call of result.toolCalls) {
+            const started = Date.now();
+            const { output, error } = await catalogTools.execute(call.name, call.input);
+            toolCalls.push({ iteration, id: call.id, name: call.name, input: call.input, output, error, durationMs: Date.now() - started });
+            toolResults.push({ type: 'tool_result', tool_use_id: call.id, content: JSON.stringify(error ? { error } : output), ...(error ? { is_error: true } : {}) });
+        }
+        console.log('Tool calls:', toolCalls.filter(call => call.iteration === iteration).map(call => `${call.name}${call.error ? ' (error)' : ''}`));
+        messages.push({ role: 'assistant', content: result.content });
+        messages.push({ role: 'user', content: toolResults });
+    }
     
-    return {
-        output: responseBody.content[0].text,
-        usage: responseBody.usage || {}
-    };
+    return { result, usage: { ...toUsage(result), input_tokens: totals.inputTokens, output_tokens: totals.outputTokens }, toolCalls };
 }
 
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+/**
+ * Invoke Bedrock LLM to generate response with travel document context and conversation history
+ * With TOOL_USE_ENABLED the model may call the catalog tools first; only its final text is the answer
+ * (toolCalls holds the traces, or is null when tools are disabled)
+ */
+async function invokeBedrockLLM(input, conversationHistory = [], session = null, correction = null) {
+    const { bedrockRequest, contextChunks, historyStats } = await buildBedrockRequest(input, conversationHistory, session, correction);
     
-    // Handle OPTIONS request for CORS preflight
-    if (event.httpMethod === 'OPTIONS') {
+    console.log(`Calling Bedrock with model: ${modelClient.primaryModel}, max_tokens: ${MAX_TOKENS}, input_length: ${input.length}`);
+    
+    if (TOOL_USE_ENABLED) {
+        const { result, usage, toolCalls } = await runToolLoop(bedrockRequest);
         return {
-            statusCode: 200,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
-            },
-            body: ''
+            output: result.text,
+            usage,
+            contextChunks: describeChunks(contextChunks),
+            sourceVersions: sourceVersionsOf(contextChunks),
+            historyStats,
+            toolCalls
         };
     }
     
-    // Handle GET request for initial suggestions (when chat opens)
-    // Check if this is a GET request via API Gateway
-    const isGetRequest = event.httpMethod === 'GET' || 
-                         event.requestContext?.http?.method === 'GET' ||
-                         (event.requestContext && !event.body && event.path === '/suggestions');
+    const result = await modelClient.invoke(bedrockRequest);
+    await recordUsage('chat', { model: result.model, ...result.usage });
+    assertNotBlocked(result.guardrail);
     
-    if (isGetRequest || event.path === '/suggestions' || (event.pathParameters && event.pathParameters.proxy === 'suggestions')) {
-        try {
-            const suggestions = await generateSuggestions([]);
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type',
-                    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
-                },
-                body: JSON.stringify({
-                    suggestions: suggestions,
-                    timestamp: new Date().toISOString()
-                })
-            };
-        } catch (error) {
-            console.error('Error generating initial suggestions:', error);
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    suggestions: [
-                        'What packages are available?',
-                        'Show me travel options',
-                        'Tell me about pricing'
-                    ]
-                })
-            };
+    return {
+        output: result.text,
+        usage: toUsage(result),
+        contextChunks: describeChunks(contextChunks),
+        sourceVersions: sourceVersionsOf(contextChunks),
+        historyStats,
+        toolCalls: null
+    };
+}
+
+/**
+ * Invoke Bedrock LLM with a streaming response
+ * Calls onDelta(text) for every token delta and resolves with the assembled output once the stream ends
+ * (same result shape as the buffered path)
+ */
+async function streamBedrockLLM(input, conversationHistory = [], session = null, onDelta = () => {}) {
+    const { bedrockRequest, contextChunks, historyStats } = await buildBedrockRequest(input, conversationHistory, session);
+    
+    console.log(`Streaming from Bedrock with model: ${modelClient.primaryModel}, max_tokens: ${MAX_TOKENS}, input_length: ${input.length}`);
+    
+    const result = await modelClient.stream(bedrockRequest, onDelta);
+    await recordUsage('chat', { model: result.model, ...result.usage });
+    // The intervention flag arrives with the final chunk, after the canned guardrail text was streamed
+    assertNotBlocked(result.guardrail);
+    
+    return {
+        output: result.text,
+        usage: toUsage(result),
+        contextChunks: describeChunks(contextChunks),
+        sourceVersions: sourceVersionsOf(contextChunks),
+        historyStats
+    };
+}
+
+/**
+ * Validate a generated answer against the catalog before it is returned or cached
+ * A failing answer is regenerated once with a corrective prompt; if that also fails it is
+ * replaced by the catalog-safe fallback listing the retrieved packages
+ * Returns the result to use, with validation: { passed, issues, action: 'none' | 'retried' | 'fallback' }
+ * (validation is null when the validator is disabled)
+ */
+async function checkAnswer(input, conversationHistory, session, bedrockResult) {
+    if (!ANSWER_VALIDATION_ENABLED) {
+        return { ...bedrockResult, validation: null };
+    }
+    
+    const { packages } = await getCatalog();
+    const draft = validateAnswer(bedrockResult.output, packages, { knownAmounts: toolAmountsInr(bedrockResult.toolCalls || []), pricingRules: PRICING_RULES });
+    if (draft.passed) {
+        return { ...bedrockResult, validation: { passed: true, issues: [], action: 'none' } };
+    }
+    console.warn('Answer failed catalog validation:', draft.issues);
+    
+    let issues = draft.issues;
+    let usage = bedrockResult.usage;
+    try {
+        const retry = await invokeBedrockLLM(input, conversationHistory, session, buildCorrectionPrompt(draft.issues));
+        usage = {
+            input_tokens: (usage.input_tokens || 0) + (retry.usage.input_tokens || 0),
+            output_tokens: (usage.output_tokens || 0) + (retry.usage.output_tokens || 0),
+            model: retry.usage.model,
+            modelFamily: retry.usage.modelFamily
+        };
+        const retried = validateAnswer(retry.output, packages, { knownAmounts: toolAmountsInr(retry.toolCalls || []), pricingRules: PRICING_RULES });
+        if (retried.passed) {
+            console.log('Corrected answer passed catalog validation');
+            return { ...retry, usage, validation: { passed: true, issues, action: 'retried' } };
         }
+        console.warn('Corrected answer failed catalog validation:', retried.issues);
+        issues = issues.concat(retried.issues.filter(issue => !issues.some(seen => seen.type === issue.type && seen.text === issue.text)));
+    } catch (error) {
+        if (error.name === 'ContentBlocked') {
+            throw error;
+        }
+        console.error('Error regenerating answer (using catalog fallback):', error.name || error.message);
     }
     
-    // Validate API key is present (resolved from SSM at deployment time)
-    if (!BEDROCK_API_KEY) {
+    const relevant = packages.filter(pkg => bedrockResult.contextChunks.some(chunk => chunk.title.includes(pkg.name)));
+    return {
+        ...bedrockResult,
+        usage,
+        output: buildFallbackAnswer(relevant),
+        validation: { passed: false, issues, action: 'fallback' }
+    };
+}
+
+/**
+ * Map an error to a helpful client-facing message
+ */
+function describeError(error) {
+    if (error.name === 'AccessDeniedException' || error.name === 'UnauthorizedException') {
+        return 'Bedrock access denied. Check your API key is valid and not expired.';
+    } else if (error.name === 'ValidationException') {
+        return 'Invalid Bedrock request. Check model ID and request format.';
+    } else if (error.statusCode === 401 || error.statusCode === 403) {
+        return 'Authentication failed. Verify your Bedrock API key.';
+    } else if (error.message) {
+        return error.message;
+    }
+    return 'Internal Server Error';
+}
+
+/**
+ * Resolve the conversation session for a chat request
+ * No sessionId starts a new session; an unknown or expired sessionId is an error so the client can start over
+ * Returns { session, history } or { error: { statusCode, code, message } }
+ */
+async function resolveSession(sessionId) {
+    if (sessionId === undefined || sessionId === null || sessionId === '') {
+        const session = await sessionStore.createSession();
+        return { session, history: [] };
+    }
+    
+    const session = await sessionStore.getSession(sessionId);
+    if (!session) {
         return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            },
-            body: JSON.stringify({
-                message: 'Bedrock API Key not configured. Please ensure the SSM parameter /poc/bedrock-api-key exists and is accessible.',
-                error: 'MissingConfiguration'
-            })
+            error: {
+                statusCode: 404,
+                code: 'SessionNotFound',
+                message: `Session ${sessionId} not found or expired. Start a new conversation without a sessionId.`
+            }
         };
     }
     
+    // Timestamps are kept for history compaction; buildBedrockRequest sends only role/content
+    // and runs its alternation repair over these stored turns
+    const history = session.turns.map(turn => ({ role: turn.role, content: turn.content, timestamp: turn.timestamp }));
+    return { session, history };
+}
+
+/**
+ * Persist the latest exchange to the session (failures are logged, not surfaced)
+ * requestId / queryHash: the request that answered and the cache entry the answer came from or was stored as,
+ * so feedback can find the answer (see handleFeedbackRequest)
+ */
+async function recordExchange(session, input, answer, { requestId, queryHash = null } = {}) {
+    try {
+        await sessionStore.appendTurns(session.sessionId, [
+            { role: 'user', content: input },
+            { role: 'assistant', content: answer, requestId, queryHash }
+        ]);
+    } catch (error) {
+        console.error('Error saving session turns:', error);
+    }
+}
+
+/**
+ * Publish a stored lead and record the delivery
+ * Failures are logged, not surfaced: the lead is already stored for the team
+ */
+async function notifyLead(record) {
     try {
-        // Parse the request body
-        let body = {};
-        let input = '';
-        let conversationHistory = [];
-        
-        if (event.body) {
-            try {
-                body = JSON.parse(event.body);
-                input = body.input || '';
-                conversationHistory = body.conversationHistory || [];
-            } catch (parseError) {
-                // If JSON parsing fails, try to use body as string
-                input = event.body || '';
-                conversationHistory = [];
+        await leadNotifier.publish(record);
+        await leadStore.markNotified(record.leadId, leadNotifier.name);
+    } catch (error) {
+        console.error('Error publishing lead:', record.leadId, error.name || error.message);
+    }
+}
+
+/**
+ * Booking-intent capture (see leadCapture.js)
+ * A booking or custom-package request opens a lead on the session; later messages fill in its fields
+ * until it is complete, then it is stored and published. Returns:
+ * - { reply, lead } when the message is a lead turn (the reply is sent without calling Bedrock)
+ * - { reply: null, lead } when a lead is open but the message is a question for the normal answer path
+ * - null when no lead is involved
+ */
+async function captureLead(session, input, conversationHistory) {
+    if (!LEAD_CAPTURE_ENABLED) {
+        return null;
+    }
+    const draft = session.lead || null;
+    const { packages } = await getCatalog();
+    
+    if (draft && isLeadCancel(input)) {
+        await sessionStore.saveLead(session.sessionId, null);
+        return {
+            reply: 'No problem - I have cancelled your request. Ask me anything else about our packages.',
+            lead: toLeadSummary('cancelled', { lead: draft })
+        };
+    }
+    
+    const intent = detectLeadIntent(input);
+    const fields = extractLeadFields(input, packages, { candidates: draft?.packageCandidates });
+    if (!draft && !intent) {
+        return null;
+    }
+    // With a lead open, a message that only names a package is a question about it, unless the lead still
+    // needs one (and, after an ambiguous request, the package is one of the candidates offered); so is a
+    // price question like "total for 2 adults in USD", whatever counts it mentions
+    const fillsDraft = draft && !isQuoteRequest(input) && (Object.keys(fields).some(field => field !== 'packageId' && field !== 'packageCandidates') ||
+        (fields.packageId && !draft.packageId && (!draft.packageCandidates || draft.packageCandidates.includes(fields.packageId))));
+    if (draft && !intent && !fillsDraft) {
+        return { reply: null, lead: toLeadSummary('collecting', checkLead(draft, packages)) };
+    }
+    
+    const lead = mergeLeadFields(draft || { kind: intent, request: input, contact: {} }, fields);
+    if (intent === 'custom') {
+        lead.kind = 'custom';
+    }
+    // "I'd like to book it" after a question about one package refers to that package
+    if (!draft && !lead.packageId && !lead.packageCandidates) {
+        const scope = scopeFromHistory(conversationHistory, packages);
+        if (scope.length === 1) {
+            lead.packageId = scope[0];
+        } else if (scope.length > 1) {
+            lead.packageCandidates = scope;
+        }
+    }
+    
+    const check = checkLead(lead, packages);
+    if (check.missing.length > 0) {
+        await sessionStore.saveLead(session.sessionId, check.lead);
+        return { reply: renderLeadPrompt(check, packages), lead: toLeadSummary('collecting', check) };
+    }
+    
+    const record = await leadStore.createLead(session.sessionId, check.lead, check.warnings);
+    await sessionStore.saveLead(session.sessionId, null);
+    await notifyLead(record);
+    return {
+        reply: renderLeadConfirmation(check.lead, record.leadId),
+        lead: toLeadSummary('submitted', check, record.leadId)
+    };
+}
+
+/**
+ * GET /sessions/{id} (stored turns) and DELETE /sessions/{id}
+ */
+async function handleSessionRequest(request) {
+    const sessionId = request.params.id;
+    const notFound = errorResponse(404, 'SessionNotFound', `Session ${sessionId} not found or expired`, { requestId: request.requestId });
+    
+    if (request.method === 'DELETE') {
+        const deleted = await sessionStore.deleteSession(sessionId);
+        if (!deleted) {
+            return notFound;
+        }
+        return jsonResponse(200, { sessionId, deleted: true });
+    }
+    
+    const session = await sessionStore.getSession(sessionId);
+    if (!session) {
+        return notFound;
+    }
+    return jsonResponse(200, {
+        sessionId: session.sessionId,
+        turns: session.turns,
+        createdAt: new Date(session.createdAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString()
+    });
+}
+
+/**
+ * POST /feedback - thumbs up/down (and an optional comment) on an answer
+ * Body { sessionId, requestId, rating: 'up' | 'down', comment?, queryHash? }: the answer is found in the session by
+ * the requestId of the response that gave it, so only answers actually served can be rated; queryHash, when sent,
+ * must be the cache key the response reported. Rating the same answer again replaces the earlier rating.
+ * A cached answer counts the vote while it still holds the rated text; when its score falls to
+ * FEEDBACK_EVICTION_SCORE it is deleted, so the next request for it is answered afresh
+ */
+async function handleFeedbackRequest(request) {
+    const { sessionId, requestId, rating, comment } = request.json;
+    const session = await sessionStore.getSession(sessionId);
+    if (!session) {
+        return errorResponse(404, 'SessionNotFound', `Session ${sessionId} not found or expired`, { requestId: request.requestId });
+    }
+    
+    const index = session.turns.findIndex(turn => turn.role === 'assistant' && turn.requestId === requestId);
+    if (index === -1) {
+        return errorResponse(404, 'AnswerNotFound', `No answer for request ${requestId} in session ${sessionId}`, { requestId: request.requestId });
+    }
+    const answer = session.turns[index];
+    const queryHash = answer.queryHash || null;
+    if (request.json.queryHash && request.json.queryHash !== queryHash) {
+        return errorResponse(400, 'ValidationFailed', 'Invalid request: body.queryHash is not the cache key of this answer', {
+            details: [{ field: 'body.queryHash', message: 'is not the cache key of this answer' }],
+            requestId: request.requestId
+        });
+    }
+    const question = session.turns.slice(0, index).reverse().find(turn => turn.role === 'user');
+    
+    const previousRating = await feedbackStore.record({
+        requestId,
+        sessionId,
+        rating,
+        comment: comment?.trim() || null,
+        queryHash,
+        queryText: question?.content || '',
+        answer: answer.content
+    });
+    const votes = queryHash ? await cacheRepository.recordRating(queryHash, answer.content, rating, previousRating) : null;
+    
+    let evicted = false;
+    if (votes && rating === 'down' && votes.upVotes - votes.downVotes <= FEEDBACK_EVICTION_SCORE) {
+        evicted = Boolean(await cacheAdmin.deleteEntry(queryHash));
+        if (evicted) {
+            await feedbackStore.markEvicted(requestId);
+            console.log('Evicted badly rated cache entry:', { queryHash, queryText: question?.content, ...votes });
+        }
+    }
+    return jsonResponse(200, {
+        requestId,
+        rating,
+        previousRating,
+        queryHash,
+        votes,
+        evicted
+    });
+}
+
+/**
+ * Delete cache entries generated from a travel document version
+ * docVersion: version to purge; omitted = every entry not stamped with currentVersion (including unstamped ones)
+ * and every legacy entry (written before entity types; see cacheRepository.js)
+ * Sessions live in their own table and are never touched
+ * Returns the number of deleted entries
+ */
+async function purgeCacheEntries(docVersion, currentVersion) {
+    const filter = docVersion
+        ? { FilterExpression: 'docVersion = :version', ExpressionAttributeValues: { ':version': { S: docVersion } } }
+        : {
+            FilterExpression: 'attribute_not_exists(entityType) OR attribute_not_exists(docVersion) OR docVersion <> :current',
+            ExpressionAttributeValues: { ':current': { S: currentVersion || '' } }
+        };
+    
+    let purged = 0;
+    let exclusiveStartKey;
+    do {
+        const page = await dynamoDBClient.send(new ScanCommand({
+            TableName: DYNAMODB_TABLE_NAME,
+            ProjectionExpression: 'queryHash',
+            ExclusiveStartKey: exclusiveStartKey,
+            ...filter
+        }));
+        
+        purged += await cacheAdmin.deleteKeys((page.Items || []).map(item => item.queryHash.S));
+        exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    return purged;
+}
+
+/**
+ * Whether the request carries the configured X-Admin-Token (always false when admin routes are disabled)
+ */
+function hasAdminToken(request) {
+    if (!ADMIN_API_TOKEN) return false;
+    // Compared as bytes: a non-ASCII header can have the token's length in characters but not in bytes
+    const token = Buffer.from(request.headers['x-admin-token'] || '');
+    const expected = Buffer.from(ADMIN_API_TOKEN);
+    return token.byteLength === expected.byteLength && crypto.timingSafeEqual(token, expected);
+}
+
+/**
+ * 403 response for a missing or wrong admin token
+ */
+function adminForbiddenResponse(request) {
+    return errorResponse(403, 'Forbidden',
+        ADMIN_API_TOKEN ? 'Invalid or missing X-Admin-Token header' : 'Admin API is disabled (ADMIN_API_TOKEN not configured)',
+        { requestId: request.requestId });
+}
+
+/**
+ * POST /admin/cache/purge
+ * Body { docVersion } purges entries for that document version; an empty body purges every entry
+ * that doesn't match the current document (the document is reloaded from S3 first)
+ */
+async function handleCachePurgeRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const body = request.json;
+    
+    // Reload so this container serves (and stamps) the new documents immediately
+    await knowledgeBase.getDocuments({ forceRefresh: true });
+    const currentVersion = knowledgeBase.getVersion(CATALOG_DOCUMENT_KEY);
+    if (body.docVersion && body.docVersion === currentVersion) {
+        return errorResponse(400, 'ValidationFailed', 'docVersion is the current document version; purge a prior version', {
+            details: [{ field: 'body.docVersion', message: 'must not be the current document version', currentVersion }],
+            requestId: request.requestId
+        });
+    }
+    
+    const purged = await purgeCacheEntries(body.docVersion, currentVersion);
+    console.log('Purged cache entries:', { purged, docVersion: body.docVersion || '(all prior versions)', currentVersion });
+    return jsonResponse(200, {
+        purged,
+        docVersion: body.docVersion || null,
+        currentVersion
+    });
+}
+
+/**
+ * GET /admin/cache/entries?limit=&cursor=&sort=key|hits|recent&kind=answer|suggestions - page through cache entries
+ * sort=hits lists the most-hit entries first, sort=recent the newest; pass nextCursor back as cursor for the next page
+ */
+async function handleCacheListRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const params = request.query;
+    const sort = params.sort || 'key';
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    // A cursor only continues a list in the order it was issued for
+    if (params.cursor && (!cursor || (sort === 'key') !== Boolean(cursor.key))) {
+        return errorResponse(400, 'ValidationFailed', 'Invalid request: query.cursor is not a cursor for this sort order', {
+            details: [{ field: 'query.cursor', message: 'is not a cursor for this sort order' }],
+            requestId: request.requestId
+        });
+    }
+    
+    const page = await cacheAdmin.listEntries({
+        limit: parseInt(params.limit || '20', 10),
+        sort,
+        kind: params.kind || null,
+        cursor
+    });
+    return jsonResponse(200, { ...page, sort, timestamp: new Date().toISOString() });
+}
+
+/**
+ * GET /admin/cache/entries/{key} - one cache entry with its full response
+ * DELETE /admin/cache/entries/{key} - delete it (e.g. a bad answer)
+ */
+async function handleCacheEntryRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const key = request.params.key;
+    const entry = request.method === 'DELETE' ? await cacheAdmin.deleteEntry(key) : await cacheAdmin.getEntry(key);
+    if (!entry) {
+        return errorResponse(404, 'CacheEntryNotFound', `No cache entry with key ${key}`, { requestId: request.requestId });
+    }
+    if (request.method === 'DELETE') {
+        console.log('Deleted cache entry:', { queryHash: key, queryText: entry.queryText });
+        return jsonResponse(200, { deleted: true, entry });
+    }
+    return jsonResponse(200, { entry });
+}
+
+/**
+ * GET /admin/cache/lookup?query=...&model=...&language=... - find the entry a chat question would hit
+ * The key is computed as the chat route does (normalized query + model family; default: the primary model's)
+ * and in the language of the query unless one is given
+ */
+async function handleCacheLookupRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const query = request.query.query;
+    const family = request.query.model ? modelFamily(request.query.model) : modelClient.primaryFamily;
+    const language = request.query.language || detectLanguage(query) || DEFAULT_LANGUAGE;
+    const lookup = {
+        query,
+        normalizedQuery: normalizeQuery(query, language),
+        queryHash: answerKey(generateQueryHash(query, family, [], language)),
+        modelFamily: family,
+        language,
+        // Generic queries are never cached, so they never have an entry
+        generic: isGenericFallbackQuery(query)
+    };
+    
+    const entry = await cacheAdmin.getEntry(lookup.queryHash);
+    if (!entry) {
+        return errorResponse(404, 'CacheEntryNotFound', `No cache entry for "${query}"`, {
+            details: [{ ...lookup, message: lookup.generic ? 'generic queries are never cached' : 'not cached' }],
+            requestId: request.requestId
+        });
+    }
+    return jsonResponse(200, { ...lookup, entry });
+}
+
+/**
+ * POST /admin/cache/delete - delete every entry whose query text contains some text
+ * Body { pattern, dryRun }: pattern is matched as plain text, ignoring case; dryRun only lists the matches
+ */
+async function handleCacheDeleteRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const { pattern, dryRun = false } = request.json;
+    const { matched, deleted } = await cacheAdmin.deleteMatching(pattern, { dryRun });
+    console.log('Cache pattern delete:', { pattern, dryRun, matched: matched.length, deleted });
+    return jsonResponse(200, { pattern, dryRun, matched: matched.length, deleted, entries: matched });
+}
+
+/**
+ * Answer one question the way a first-turn chat request would and cache the answer
+ * Returns { question, status: 'warmed' | 'cached' | 'skipped', reason?, queryHash?, usage? }
+ * (skipped: blocked by moderation, generic, answered from the catalog, or failed answer validation)
+ */
+async function warmQuestion(question) {
+    if (MODERATION_ENABLED && screenInput(question)) {
+        return { question, status: 'skipped', reason: 'blocked' };
+    }
+    if (isGenericFallbackQuery(question)) {
+        return { question, status: 'skipped', reason: 'generic' };
+    }
+    if (await answerFromCatalog(question)) {
+        return { question, status: 'skipped', reason: 'catalog' };
+    }
+    
+    const { cacheKey, queryEmbedding, docVersion, cacheResult } = await lookupCachedAnswer(question);
+    if (cacheResult.cached) {
+        return { question, status: 'cached', queryHash: cacheResult.key };
+    }
+    
+    const bedrockResult = await checkAnswer(question, [], null, await invokeBedrockLLM(question, [], null));
+    const usage = {
+        inputTokens: bedrockResult.usage.input_tokens || 0,
+        outputTokens: bedrockResult.usage.output_tokens || 0,
+        model: bedrockResult.usage.model
+    };
+    if (bedrockResult.validation && !bedrockResult.validation.passed) {
+        return { question, status: 'skipped', reason: 'validation', usage };
+    }
+    const queryHash = await storeAnswer(cacheKey, bedrockResult, usage, docVersion, queryEmbedding);
+    return { question, status: 'warmed', queryHash, usage };
+}
+
+/**
+ * POST /admin/cache/warm - pre-load answers for common questions
+ * Body { questions: [...], concurrency }: at most `concurrency` Bedrock calls run at once
+ * (default CACHE_WARM_CONCURRENCY); questions that normalize to the same key are answered once
+ */
+async function handleCacheWarmRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    if (!BEDROCK_API_KEY) {
+        return errorResponse(500, 'MissingConfiguration', 'Bedrock API Key not configured.', { requestId: request.requestId });
+    }
+    
+    const { questions, concurrency = CACHE_WARM_CONCURRENCY } = request.json;
+    const seen = new Set();
+    const results = await mapWithConcurrency(questions, concurrency, async (question) => {
+        const key = generateQueryHash(question, modelClient.primaryFamily, [], conversationLanguage(question));
+        if (seen.has(key)) {
+            return { question, status: 'skipped', reason: 'duplicate', queryHash: answerKey(key) };
+        }
+        seen.add(key);
+        try {
+            return await warmQuestion(question);
+        } catch (error) {
+            if (error.name === 'ContentBlocked') {
+                return { question, status: 'skipped', reason: 'blocked' };
             }
+            console.error('Error warming cache for question:', question, error.name || error.message);
+            return { question, status: 'failed', error: { code: error.name || 'UnknownError', message: describeError(error) } };
+        }
+    });
+    
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+        total: results.length,
+        warmed: count('warmed'),
+        cached: count('cached'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        concurrency,
+        usage: {
+            inputTokens: results.reduce((sum, result) => sum + (result.usage?.inputTokens || 0), 0),
+            outputTokens: results.reduce((sum, result) => sum + (result.usage?.outputTokens || 0), 0)
+        }
+    };
+    console.log('Cache warm finished:', summary);
+    return jsonResponse(200, { ...summary, results, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Whether a YYYY-MM-DD string is a real calendar date (Date.parse rolls 2026-02-30 over into March)
+ */
+function isCalendarDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * GET /usage?from=YYYY-MM-DD&to=YYYY-MM-DD - cost and cache-savings report from the usage ledger
+ * Defaults to the last 7 days (UTC); requires the X-Admin-Token header
+ */
+async function handleUsageRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    if (!usageLedger) {
+        return errorResponse(404, 'NotFound', 'Usage ledger is disabled (USAGE_LEDGER_ENABLED=false)', { requestId: request.requestId });
+    }
+    
+    // The route schema checks the YYYY-MM-DD shape; calendar validity and the range are checked here
+    const params = request.query;
+    const invalidDates = ['from', 'to']
+        .filter(name => params[name] && !isCalendarDate(params[name]))
+        .map(name => ({ field: `query.${name}`, message: 'must be a valid calendar date' }));
+    if (invalidDates.length > 0) {
+        return errorResponse(400, 'ValidationFailed', describeFailure(invalidDates), { details: invalidDates, requestId: request.requestId });
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const to = params.to || today;
+    const from = params.from || new Date(Date.parse(`${to}T00:00:00Z`) - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rangeDays = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+        return errorResponse(400, 'ValidationFailed', `from must not be after to, and the range can cover at most ${MAX_RANGE_DAYS} days`, {
+            details: [{ field: 'query', message: `range covers ${rangeDays} days`, maxRangeDays: MAX_RANGE_DAYS }],
+            requestId: request.requestId
+        });
+    }
+    
+    const report = await usageLedger.summarize(from, to);
+    return jsonResponse(200, { ...report, timestamp: new Date().toISOString() });
+}
+
+/**
+ * GET /admin/feedback?limit= - the worst-rated questions (lowest upVotes - downVotes first) with recent comments
+ */
+async function handleFeedbackReportRequest(request) {
+    if (!hasAdminToken(request)) {
+        return adminForbiddenResponse(request);
+    }
+    
+    const report = await feedbackStore.worstRated(parseInt(request.query.limit || '20', 10));
+    return jsonResponse(200, { ...report, evictionScore: FEEDBACK_EVICTION_SCORE, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Rewrite a follow-up as a standalone question with Bedrock (FOLLOW_UP_CACHE_STRATEGY=rewrite)
+ * Returns null if the call fails or the reply is unusable, so the caller can fall back
+ */
+async function rewriteFollowUp(input, conversationHistory) {
+    try {
+        const result = await summaryModelClient.invoke({
+            ...buildRewritePrompt(conversationHistory, input),
+            maxTokens: REWRITE_MAX_TOKENS
+        });
+        await recordUsage('rewrite', { model: result.model, ...result.usage });
+        return parseRewrite(result.text, MAX_INPUT_LENGTH);
+    } catch (error) {
+        console.error('Error rewriting follow-up question:', error.name || error.message);
+        return null;
+    }
+}
+
+/**
+ * Decide what a question is cached under
+ * Standalone questions use their own text; follow-ups that refer to the conversation are rewritten
+ * or scoped to the packages the recent turns mention (FOLLOW_UP_CACHE_STRATEGY), and bypass the cache
+ * when neither resolves them. Generic fallback queries always bypass it.
+ * Every key carries the language the answer will be written in (see conversationLanguage)
+ * Returns { strategy: 'input' | 'rewrite' | 'entities' | 'bypass', text, scope, references, language, rewrittenQuery?, reason? }
+ */
+async function resolveCacheKey(input, conversationHistory = []) {
+    const language = conversationLanguage(input, conversationHistory);
+    if (isGenericFallbackQuery(input)) {
+        return { strategy: 'bypass', text: input, scope: [], references: [], language, reason: 'generic' };
+    }
+    const { packages } = await getCatalog();
+    const references = detectReferences(input, normalizeQuery(input, language), packages);
+    if (references.length === 0 || conversationHistory.length === 0) {
+        return { strategy: 'input', text: input, scope: [], references, language };
+    }
+    
+    if (FOLLOW_UP_CACHE_STRATEGY === 'rewrite') {
+        const rewrittenQuery = await rewriteFollowUp(input, conversationHistory);
+        if (rewrittenQuery) {
+            return { strategy: 'rewrite', text: rewrittenQuery, scope: [], references, language, rewrittenQuery };
+        }
+    } else if (FOLLOW_UP_CACHE_STRATEGY === 'entities') {
+        const scope = scopeFromHistory(conversationHistory, packages);
+        if (scope.length > 0) {
+            return { strategy: 'entities', text: input, scope, references, language };
+        }
+    }
+    return { strategy: 'bypass', text: input, scope: [], references, language, reason: FOLLOW_UP_CACHE_STRATEGY === 'bypass' ? 'follow-up' : 'unresolved' };
+}
+
+/**
+ * Cache key description returned to clients
+ */
+function cacheKeySummary(cacheKey) {
+    return {
+        strategy: cacheKey.strategy,
+        references: cacheKey.references,
+        scope: cacheKey.scope,
+        language: cacheKey.language,
+        rewrittenQuery: cacheKey.rewrittenQuery,
+        reason: cacheKey.reason
+    };
+}
+
+/**
+ * Look up a cached answer for the input (exact hash first, then semantic similarity if enabled)
+ * The key comes from resolveCacheKey; bypassed questions skip the cache, and entity-scoped
+ * follow-ups skip the semantic match (similar text says nothing about the packages they refer to)
+ */
+async function lookupCachedAnswer(input, conversationHistory = []) {
+    // Step 1: Resolve the cache key - generic queries and unresolved follow-ups need the conversation
+    // and always go to the LLM with the history
+    const cacheKey = await resolveCacheKey(input, conversationHistory);
+    
+    // Step 2: Generate hash of normalized query for cache lookup
+    // Lookups use the primary model's family; a fallback model's answer is stored under its own family
+    const queryHash = generateQueryHash(cacheKey.text, modelClient.primaryFamily, cacheKey.scope, cacheKey.language);
+    console.log('Original query:', input);
+    console.log('Normalized query:', normalizeQuery(cacheKey.text, cacheKey.language));
+    console.log('Query hash:', queryHash);
+    console.log('Cache key:', cacheKeySummary(cacheKey));
+    
+    // Entries are only valid for the document versions they were generated from
+    const docVersion = await getDocumentVersion();
+    const documentVersions = await getDocumentVersions();
+    
+    // Step 3: Check DynamoDB cache (skipped for bypassed questions)
+    let cacheResult = { cached: false };
+    if (cacheKey.strategy !== 'bypass') {
+        cacheResult = await getCachedResponse(queryHash, docVersion, documentVersions);
+    } else {
+        console.log('Question needs conversation context - skipping cache, going directly to LLM:', input);
+    }
+    
+    // Step 3b: Semantic cache - on an exact-hash miss, compare against recent entries by embedding
+    let queryEmbedding = null;
+    if (!cacheResult.cached && cacheKey.strategy !== 'bypass' && cacheKey.scope.length === 0 && queryEmbedder) {
+        queryEmbedding = await embedQuery(cacheKey.text);
+        if (queryEmbedding) {
+            cacheResult = await getSemanticCachedResponse(queryEmbedding, docVersion, documentVersions, modelClient.primaryFamily, cacheKey.language);
+        }
+    }
+    
+    return { cacheKey, queryEmbedding, docVersion, cacheResult };
+}
+
+/**
+ * Cache an answer under its resolved key (see lookupCachedAnswer); bypassed questions are not stored
+ * Returns the table key, or null when nothing was stored
+ */
+async function storeAnswer(cacheKey, bedrockResult, usage, docVersion, queryEmbedding) {
+    if (cacheKey.strategy === 'bypass') {
+        console.log('Skipping cache storage for question that needs conversation context:', cacheKey.text);
+        return null;
+    }
+    const queryHash = generateQueryHash(cacheKey.text, bedrockResult.usage.modelFamily, cacheKey.scope, cacheKey.language);
+    await cacheResponse(queryHash, cacheKey.text, bedrockResult.output, usage, docVersion, bedrockResult.contextChunks, bedrockResult.sourceVersions, queryEmbedding, cacheKey.scope, cacheKey.language);
+    return answerKey(queryHash);
+}
+
+/**
+ * Count a chat request against the caller's quota
+ * Returns { caller, status } (null when quotas are disabled); every answered request counts,
+ * including cache hits and catalog answers - only Bedrock calls add tokens (see recordBedrockUsage)
+ */
+async function checkQuota(event) {
+    if (!QUOTAS_ENABLED) {
+        return null;
+    }
+    const caller = identifyCaller(event);
+    const status = await quotaStore.consume(caller);
+    if (!status.allowed) {
+        console.warn('Quota exceeded:', { caller: caller.key, reason: status.reason, retryAfter: status.retryAfter });
+    }
+    return { caller, status };
+}
+
+/**
+ * Client-facing body for an over-quota request
+ */
+function quotaExceededBody(status, requestId) {
+    const message = status.reason === 'rate_limit'
+        ? `Too many requests. Please wait ${status.retryAfter} seconds and try again.`
+        : 'Daily usage limit reached. Please try again tomorrow.';
+    return errorBody('QuotaExceeded', message, {
+        details: [{ reason: status.reason, retryAfter: status.retryAfter, message: `Retry after ${status.retryAfter} seconds` }],
+        requestId
+    });
+}
+
+/**
+ * Add the Bedrock tokens used for an answer (including any history summary) to the caller's daily quota
+ */
+async function recordBedrockUsage(quota, bedrockResult) {
+    if (!quota) {
+        return;
+    }
+    const summaryUsage = bedrockResult.historyStats?.summaryUsage || {};
+    await quotaStore.recordTokens(quota.caller, {
+        inputTokens: (bedrockResult.usage.input_tokens || 0) + (summaryUsage.input_tokens || 0),
+        outputTokens: (bedrockResult.usage.output_tokens || 0) + (summaryUsage.output_tokens || 0)
+    });
+}
+
+/**
+ * Generate follow-up suggestions for the latest exchange, in the language of the conversation
+ * Bounded by a 3s timeout so suggestions never hold up the answer
+ */
+async function getFollowUpSuggestions(conversationHistory, input, answer) {
+    const language = conversationLanguage(input, conversationHistory);
+    const updatedHistory = conversationHistory.concat([
+        { role: 'user', content: input },
+        { role: 'assistant', content: answer }
+    ]);
+    
+    try {
+        return await Promise.race([
+            generateSuggestions(updatedHistory, language),
+            new Promise((resolve) => setTimeout(() => resolve(fallbackSuggestions(language, true) || ['Tell me more', 'What else?']), 3000)) // 3s timeout
+        ]);
+    } catch (error) {
+        console.error('Error generating suggestions (non-blocking):', error);
+        return fallbackSuggestions(language, true) || ['Tell me more', 'What else can you help with?'];
+    }
+}
+
+/**
+ * GET /suggestions?language=hi - starter questions shown when the chat opens (default: English)
+ */
+async function handleSuggestionsRequest(request) {
+    const language = request.query.language || DEFAULT_LANGUAGE;
+    try {
+        const suggestions = await generateSuggestions([], language);
+        return jsonResponse(200, {
+            suggestions: suggestions,
+            language,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error generating initial suggestions:', error);
+        return jsonResponse(200, {
+            suggestions: fallbackSuggestions(language, false) || [
+                'What packages are available?',
+                'Show me travel options',
+                'Tell me about pricing'
+            ],
+            language
+        });
+    }
+}
+
+/**
+ * POST /hello - answer a chat message (catalog, cache, then Bedrock)
+ */
+async function handleChatRequest(request, event) {
+    const requestId = request.requestId;
+    
+    // Validate API key is present (resolved from SSM at deployment time)
+    if (!BEDROCK_API_KEY) {
+        return errorResponse(500, 'MissingConfiguration',
+            'Bedrock API Key not configured. Please ensure the SSM parameter /poc/bedrock-api-key exists and is accessible.',
+            { requestId });
+    }
+    
+    try {
+        // COST CONTROL: per-caller rate limit and daily token budget
+        const quota = await checkQuota(event);
+        if (quota && !quota.status.allowed) {
+            return jsonResponse(429, quotaExceededBody(quota.status, requestId), quotaHeaders(quota.status));
         }
         
-        // COST CONTROL: Validate input length to prevent large token usage
-        if (input.length > MAX_INPUT_LENGTH) {
-            return {
-                statusCode: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    error: 'Input too long',
-                    message: `Input must be less than ${MAX_INPUT_LENGTH} characters. Current length: ${input.length}`,
-                    maxInputLength: MAX_INPUT_LENGTH
-                })
-            };
+        // Body was validated against schemas.chat by the router (input length is capped there for cost control)
+        const body = request.json;
+        const input = body.input;
+        
+        // Pre-flight moderation: blocked before the catalog, cache or Bedrock see the input
+        const screened = MODERATION_ENABLED ? screenInput(input) : null;
+        if (screened) {
+            console.warn('Input blocked by pre-flight screen:', screened);
+            return jsonResponse(CONTENT_BLOCKED_STATUS, contentBlockedBody({ ...screened, layer: 'preflight' }, requestId));
         }
         
-        // Step 1: Check if this is a generic fallback query that needs context
-        // These queries are too generic and should always hit LLM with conversation history
-        const isGenericQuery = isGenericFallbackQuery(input);
+        // Conversation history comes from the server-side session, never from the client
+        if (body.conversationHistory) {
+            console.warn('Ignoring client-supplied conversationHistory - history is loaded from the session');
+        }
+        const sessionResult = await resolveSession(body.sessionId);
+        if (sessionResult.error) {
+            const { statusCode, code, message } = sessionResult.error;
+            return errorResponse(statusCode, code, message, { requestId });
+        }
+        const { session, history: conversationHistory } = sessionResult;
+        // Language the answer and suggestions are given in (see language.js)
+        const language = conversationLanguage(input, conversationHistory);
         
-        // Step 2: Generate hash of normalized query for cache lookup
-        const normalizedQuery = normalizeQuery(input);
-        const queryHash = generateQueryHash(input);
-        console.log('Original query:', input);
-        console.log('Normalized query:', normalizedQuery);
-        console.log('Query hash:', queryHash);
-        console.log('Is generic query (will skip cache):', isGenericQuery);
+        // Booking and custom-package requests collect lead details instead of being answered;
+        // while a lead is open, every response reports it
+        const leadTurn = await captureLead(session, input, conversationHistory);
+        if (leadTurn?.reply) {
+            await recordExchange(session, input, leadTurn.reply, { requestId });
+            return jsonResponse(200, {
+                message: input,
+                sessionId: session.sessionId,
+                bedrockResponse: leadTurn.reply,
+                cached: false,
+                source: 'lead',
+                language,
+                lead: leadTurn.lead,
+                suggestions: [],
+                usage: {
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: 'lead'
+                },
+                timestamp: new Date().toISOString(),
+                requestId
+            });
+        }
+        const openLead = leadTurn?.lead;
         
-        // Step 3: Check DynamoDB cache (skip for generic queries that need context)
-        let cacheResult = { cached: false };
-        if (!isGenericQuery) {
-            cacheResult = await getCachedResponse(queryHash);
-        } else {
-            console.log('Generic fallback query detected - skipping cache, going directly to LLM:', input);
+        // Step 0: Structured catalog questions (price ceilings, night counts, destinations, package names)
+        // are answered from parsed catalog data without calling Bedrock
+        const catalogAnswer = await answerFromCatalog(input, conversationHistory);
+        if (catalogAnswer) {
+            await recordExchange(session, input, catalogAnswer.text, { requestId });
+            const suggestions = await getFollowUpSuggestions(conversationHistory, input, catalogAnswer.text);
+            
+            return jsonResponse(200, {
+                message: input,
+                sessionId: session.sessionId,
+                bedrockResponse: catalogAnswer.text,
+                cached: false,
+                source: 'catalog',
+                language,
+                intent: catalogAnswer.intent,
+                quote: catalogAnswer.quote,
+                lead: openLead,
+                suggestions: suggestions,
+                usage: {
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: 'catalog'
+                },
+                timestamp: new Date().toISOString(),
+                requestId
+            });
         }
         
+        // Steps 1-3: Cache key (standalone, rewritten or entity-scoped follow-up), exact + semantic cache lookup
+        const { cacheKey, queryEmbedding, docVersion, cacheResult } = await lookupCachedAnswer(input, conversationHistory);
+        
         if (cacheResult.cached) {
             // Cache HIT - return cached response (no Bedrock call = cost savings!)
             console.log('Returning cached response - Bedrock call skipped');
+            await recordUsage('chat', cacheResult.usage || { model: modelClient.primaryModel }, true);
+            await cacheRepository.recordHit(cacheResult.key);
             
-            // Generate follow-up suggestions even for cached responses
-            // Use fire-and-forget to avoid blocking the response
-            let suggestions = [];
-            const updatedHistory = conversationHistory.concat([
-                { role: 'user', content: input },
-                { role: 'assistant', content: cacheResult.response }
-            ]);
+            await recordExchange(session, input, cacheResult.response, { requestId, queryHash: cacheResult.key });
             
-            // Generate suggestions asynchronously with timeout
-            try {
-                suggestions = await Promise.race([
-                    generateSuggestions(updatedHistory),
-                    new Promise((resolve) => setTimeout(() => resolve(['Tell me more', 'What else?']), 3000)) // 3s timeout
-                ]);
-            } catch (error) {
-                console.error('Error generating suggestions for cached response (non-blocking):', error);
-                suggestions = ['Tell me more', 'What else can you help with?'];
-            }
+            // Generate follow-up suggestions even for cached responses
+            const suggestions = await getFollowUpSuggestions(conversationHistory, input, cacheResult.response);
             
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type',
-                    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+            return jsonResponse(200, {
+                message: input,
+                sessionId: session.sessionId,
+                bedrockResponse: cacheResult.response,
+                cached: true,
+                source: 'cache',
+                language,
+                cacheType: cacheResult.semanticMatch ? 'semantic' : 'exact',
+                semanticMatch: cacheResult.semanticMatch,
+                cacheKey: cacheKeySummary(cacheKey),
+                queryHash: cacheResult.key,
+                lead: openLead,
+                suggestions: suggestions,
+                usage: cacheResult.usage || {
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: modelClient.primaryModel
                 },
-                body: JSON.stringify({
-                    message: input,
-                    bedrockResponse: cacheResult.response,
-                    cached: true,
-                    suggestions: suggestions,
-                    usage: cacheResult.usage || {
-                        inputTokens: 0,
-                        outputTokens: 0,
-                        model: MODEL_ID
-                    },
-                    cachedTimestamp: cacheResult.timestamp,
-                    timestamp: new Date().toISOString(),
-                    requestId: event.requestContext?.requestId || 'N/A'
-                })
-            };
+                contextChunks: cacheResult.contextChunks,
+                cachedTimestamp: cacheResult.timestamp,
+                timestamp: new Date().toISOString(),
+                requestId
+            });
         }
         
-        // Step 4: Cache MISS (or generic query) - Invoke Bedrock LLM with conversation history
+        // Step 4: Cache MISS (or bypassed question) - Invoke Bedrock LLM with conversation history
         console.log('Cache miss - calling Bedrock LLM', { 
             hasHistory: conversationHistory.length > 0,
             historyLength: conversationHistory.length,
-            isGenericQuery: isGenericQuery,
-            skippedCache: isGenericQuery
+            cacheKeyStrategy: cacheKey.strategy,
+            skippedCache: cacheKey.strategy === 'bypass'
         });
-        const bedrockResult = await invokeBedrockLLM(input, conversationHistory);
+        // Step 4b: Cross-check names, prices and durations against the catalog (retry once / fallback)
+        const bedrockResult = await checkAnswer(
+            input,
+            conversationHistory,
+            session,
+            await invokeBedrockLLM(input, conversationHistory, session)
+        );
+        await recordBedrockUsage(quota, bedrockResult);
 
         // Log token usage for cost tracking
         console.log('Bedrock usage:', {
@@ -822,91 +2265,334 @@ exports.handler = async (event) => {
             totalTokens: (bedrockResult.usage.input_tokens || 0) + (bedrockResult.usage.output_tokens || 0)
         });
 
-        // Step 5: Store response in cache for future requests (skip caching for generic queries)
-        // Generic queries are context-dependent, so caching them would return irrelevant responses
-        if (!isGenericQuery) {
-            await cacheResponse(
-                queryHash,
-                input,
-                bedrockResult.output,
+        // Step 5: Store response in cache for future requests (skip caching for bypassed questions)
+        // Those are context-dependent, so caching them would return irrelevant responses
+        // Answers that failed catalog validation (fallback text) are never cached
+        let queryHash = null;
+        if (bedrockResult.validation && !bedrockResult.validation.passed) {
+            console.log('Skipping cache storage for answer that failed validation:', input);
+        } else {
+            queryHash = await storeAnswer(
+                cacheKey,
+                bedrockResult,
                 {
                     inputTokens: bedrockResult.usage.input_tokens || 0,
                     outputTokens: bedrockResult.usage.output_tokens || 0,
-                    model: MODEL_ID
-                }
+                    model: bedrockResult.usage.model
+                },
+                docVersion,
+                queryEmbedding
             );
-        } else {
-            console.log('Skipping cache storage for generic query:', input);
         }
 
+        await recordExchange(session, input, bedrockResult.output, { requestId, queryHash });
+
         // Step 6: Generate follow-up suggestions based on conversation context
-        // Use fire-and-forget to avoid blocking the response if suggestions fail
-        let suggestions = [];
-        const updatedHistory = conversationHistory.concat([
-            { role: 'user', content: input },
-            { role: 'assistant', content: bedrockResult.output }
-        ]);
-        
-        // Generate suggestions asynchronously - don't block on errors
-        try {
-            suggestions = await Promise.race([
-                generateSuggestions(updatedHistory),
-                new Promise((resolve) => setTimeout(() => resolve(['Tell me more', 'What else?']), 3000)) // 3s timeout
-            ]);
-        } catch (error) {
-            console.error('Error generating suggestions (non-blocking):', error);
-            suggestions = ['Tell me more', 'What else can you help with?'];
-        }
+        const suggestions = await getFollowUpSuggestions(conversationHistory, input, bedrockResult.output);
 
         // Step 7: Return response with suggestions
-        return {
-            statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+        return jsonResponse(200, {
+            message: input,
+            sessionId: session.sessionId,
+            bedrockResponse: bedrockResult.output,
+            cached: false,
+            source: 'bedrock',
+            language,
+            cacheKey: cacheKeySummary(cacheKey),
+            queryHash,
+            lead: openLead,
+            suggestions: suggestions,
+            usage: {
+                inputTokens: bedrockResult.usage.input_tokens || 0,
+                outputTokens: bedrockResult.usage.output_tokens || 0,
+                model: bedrockResult.usage.model,
+                summarizedTurns: bedrockResult.historyStats.summarizedTurns,
+                keptTurns: bedrockResult.historyStats.keptTurns
             },
-            body: JSON.stringify({
-                message: input,
-                bedrockResponse: bedrockResult.output,
+            contextChunks: bedrockResult.contextChunks,
+            toolCalls: bedrockResult.toolCalls || undefined,
+            validation: bedrockResult.validation,
+            timestamp: new Date().toISOString(),
+            requestId
+        });
+    } catch (error) {
+        if (error.name === 'ContentBlocked') {
+            return jsonResponse(CONTENT_BLOCKED_STATUS, contentBlockedBody(error, requestId));
+        }
+        
+        console.error('Error:', error);
+        
+        // Provide helpful error messages
+        return errorResponse(500, error.name || 'UnknownError', describeError(error), { requestId });
+    }
+}
+
+// Route table for the buffered API (API Gateway REST/HTTP API or a Function URL)
+const routeRequest = createRouter([
+    { method: 'POST', path: '/hello', handler: handleChatRequest, schema: schemas.chat },
+    { method: 'GET', path: '/suggestions', handler: handleSuggestionsRequest, schema: schemas.suggestions },
+    { method: 'GET', path: '/packages', handler: handlePackagesRequest, schema: schemas.packages },
+    { method: 'GET', path: '/packages/{id}', handler: handlePackagesRequest, schema: schemas.package },
+    { method: 'POST', path: '/quote', handler: handleQuoteRequest, schema: schemas.quote },
+    { method: 'GET', path: '/sessions/{id}', handler: handleSessionRequest, schema: schemas.session },
+    { method: 'DELETE', path: '/sessions/{id}', handler: handleSessionRequest, schema: schemas.session },
+    { method: 'POST', path: '/feedback', handler: handleFeedbackRequest, schema: schemas.feedback },
+    { method: 'GET', path: '/usage', handler: handleUsageRequest, schema: schemas.usage },
+    { method: 'POST', path: '/admin/cache/purge', handler: handleCachePurgeRequest, schema: schemas.cachePurge },
+    { method: 'GET', path: '/admin/cache/entries', handler: handleCacheListRequest, schema: schemas.cacheList },
+    { method: 'GET', path: '/admin/cache/entries/{key}', handler: handleCacheEntryRequest, schema: schemas.cacheEntry },
+    { method: 'DELETE', path: '/admin/cache/entries/{key}', handler: handleCacheEntryRequest, schema: schemas.cacheEntry },
+    { method: 'GET', path: '/admin/cache/lookup', handler: handleCacheLookupRequest, schema: schemas.cacheLookup },
+    { method: 'POST', path: '/admin/cache/delete', handler: handleCacheDeleteRequest, schema: schemas.cacheDelete },
+    { method: 'POST', path: '/admin/cache/warm', handler: handleCacheWarmRequest, schema: schemas.cacheWarm },
+    { method: 'GET', path: '/admin/feedback', handler: handleFeedbackReportRequest, schema: schemas.feedbackReport }
+], {
+    onError: (error, request) => {
+        console.error(`Error handling ${request.method} ${request.path}:`, error);
+        return errorResponse(500, error.name || 'UnknownError', describeError(error), { requestId: request.requestId });
+    }
+});
+
+exports.handler = async (event) => {
+    console.log('Event:', JSON.stringify(event, null, 2));
+    return routeRequest(event);
+};
+
+/**
+ * Write one server-sent event to the response stream
+ */
+function writeEvent(responseStream, eventName, data) {
+    responseStream.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Set the HTTP status and SSE headers on a Lambda response stream
+ * Outside the Lambda runtime (local tests) the stream is used as-is
+ */
+function openEventStream(responseStream, statusCode, headers = {}) {
+    const metadata = {
+        statusCode,
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            ...headers
+        }
+    };
+    if (typeof awslambda !== 'undefined' && awslambda.HttpResponseStream) {
+        return awslambda.HttpResponseStream.from(responseStream, metadata);
+    }
+    return responseStream;
+}
+
+/**
+ * Streaming chat handler (Lambda Function URL, RESPONSE_STREAM invoke mode)
+ * Same request body as POST /hello; responds with server-sent events:
+ * - token: { text } for each generated delta (a cache hit is sent as a single token event)
+ * - done:  { cached, usage, suggestions, contextChunks, ... } once the answer is complete
+ * - error: the error envelope { error: { code, message, details, requestId } } if the request fails
+ */
+async function handleStreamRequest(event, responseStream) {
+    const request = normalizeRequest(event);
+    const requestId = request.requestId;
+    const sendError = (statusCode, code, message, details) => {
+        const stream = openEventStream(responseStream, statusCode);
+        writeEvent(stream, 'error', errorBody(code, message, { details, requestId }));
+        stream.end();
+    };
+    
+    if (!BEDROCK_API_KEY) {
+        sendError(500, 'MissingConfiguration', 'Bedrock API Key not configured. Please ensure the SSM parameter /poc/bedrock-api-key exists and is accessible.');
+        return;
+    }
+    
+    const quota = await checkQuota(event);
+    if (quota && !quota.status.allowed) {
+        const stream = openEventStream(responseStream, 429, quotaHeaders(quota.status));
+        writeEvent(stream, 'error', quotaExceededBody(quota.status, requestId));
+        stream.end();
+        return;
+    }
+    
+    // Same body schema as POST /hello (input length is capped there for cost control)
+    const { json: body, details } = validateRequest(schemas.chat, request);
+    if (details.length > 0) {
+        sendError(400, 'ValidationFailed', describeFailure(details), details);
+        return;
+    }
+    const input = body.input;
+    
+    const screened = MODERATION_ENABLED ? screenInput(input) : null;
+    if (screened) {
+        console.warn('Input blocked by pre-flight screen:', screened);
+        const stream = openEventStream(responseStream, CONTENT_BLOCKED_STATUS);
+        writeEvent(stream, 'error', contentBlockedBody({ ...screened, layer: 'preflight' }, requestId));
+        stream.end();
+        return;
+    }
+    
+    let sessionResult;
+    try {
+        sessionResult = await resolveSession(body.sessionId);
+    } catch (error) {
+        console.error('Error loading session:', error);
+        sendError(500, error.name || 'UnknownError', describeError(error));
+        return;
+    }
+    if (sessionResult.error) {
+        sendError(sessionResult.error.statusCode, sessionResult.error.code, sessionResult.error.message);
+        return;
+    }
+    const { session, history: conversationHistory } = sessionResult;
+    const language = conversationLanguage(input, conversationHistory);
+    
+    const stream = openEventStream(responseStream, 200);
+    try {
+        const leadTurn = await captureLead(session, input, conversationHistory);
+        if (leadTurn?.reply) {
+            writeEvent(stream, 'token', { text: leadTurn.reply });
+            await recordExchange(session, input, leadTurn.reply, { requestId });
+            writeEvent(stream, 'done', {
+                sessionId: session.sessionId,
                 cached: false,
-                suggestions: suggestions,
+                source: 'lead',
+                language,
+                lead: leadTurn.lead,
+                suggestions: [],
                 usage: {
-                    inputTokens: bedrockResult.usage.input_tokens || 0,
-                    outputTokens: bedrockResult.usage.output_tokens || 0,
-                    model: MODEL_ID
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: 'lead'
                 },
                 timestamp: new Date().toISOString(),
-                requestId: event.requestContext?.requestId || 'N/A'
-            })
-        };
-    } catch (error) {
-        console.error('Error:', error);
+                requestId
+            });
+            stream.end();
+            return;
+        }
+        const openLead = leadTurn?.lead;
         
-        // Provide helpful error messages
-        let errorMessage = 'Internal Server Error';
-        if (error.name === 'AccessDeniedException' || error.name === 'UnauthorizedException') {
-            errorMessage = 'Bedrock access denied. Check your API key is valid and not expired.';
-        } else if (error.name === 'ValidationException') {
-            errorMessage = 'Invalid Bedrock request. Check model ID and request format.';
-        } else if (error.statusCode === 401 || error.statusCode === 403) {
-            errorMessage = 'Authentication failed. Verify your Bedrock API key.';
-        } else if (error.message) {
-            errorMessage = error.message;
+        const catalogAnswer = await answerFromCatalog(input, conversationHistory);
+        if (catalogAnswer) {
+            writeEvent(stream, 'token', { text: catalogAnswer.text });
+            await recordExchange(session, input, catalogAnswer.text, { requestId });
+            const suggestions = await getFollowUpSuggestions(conversationHistory, input, catalogAnswer.text);
+            writeEvent(stream, 'done', {
+                sessionId: session.sessionId,
+                cached: false,
+                source: 'catalog',
+                language,
+                intent: catalogAnswer.intent,
+                quote: catalogAnswer.quote,
+                lead: openLead,
+                suggestions,
+                usage: {
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: 'catalog'
+                },
+                timestamp: new Date().toISOString(),
+                requestId
+            });
+            stream.end();
+            return;
         }
         
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            },
-            body: JSON.stringify({
-                message: errorMessage,
-                error: error.name || 'UnknownError',
-                requestId: event.requestContext?.requestId || 'N/A'
-            })
+        const { cacheKey, queryEmbedding, docVersion, cacheResult } = await lookupCachedAnswer(input, conversationHistory);
+        
+        if (cacheResult.cached) {
+            console.log('Streaming cached response - Bedrock call skipped');
+            await recordUsage('chat', cacheResult.usage || { model: modelClient.primaryModel }, true);
+            await cacheRepository.recordHit(cacheResult.key);
+            writeEvent(stream, 'token', { text: cacheResult.response });
+            await recordExchange(session, input, cacheResult.response, { requestId, queryHash: cacheResult.key });
+            const suggestions = await getFollowUpSuggestions(conversationHistory, input, cacheResult.response);
+            writeEvent(stream, 'done', {
+                sessionId: session.sessionId,
+                cached: true,
+                source: 'cache',
+                language,
+                cacheType: cacheResult.semanticMatch ? 'semantic' : 'exact',
+                semanticMatch: cacheResult.semanticMatch,
+                cacheKey: cacheKeySummary(cacheKey),
+                queryHash: cacheResult.key,
+                lead: openLead,
+                suggestions,
+                usage: cacheResult.usage || {
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    model: modelClient.primaryModel
+                },
+                contextChunks: cacheResult.contextChunks,
+                cachedTimestamp: cacheResult.timestamp,
+                timestamp: new Date().toISOString(),
+                requestId
+            });
+            stream.end();
+            return;
+        }
+        
+        const streamed = await streamBedrockLLM(input, conversationHistory, session, (text) => {
+            writeEvent(stream, 'token', { text });
+        });
+        
+        // Tokens are already on the wire, so a corrected or fallback answer replaces the streamed text
+        const bedrockResult = await checkAnswer(input, conversationHistory, session, streamed);
+        await recordBedrockUsage(quota, bedrockResult);
+        if (bedrockResult.output !== streamed.output) {
+            writeEvent(stream, 'replace', { text: bedrockResult.output });
+        }
+        
+        const usage = {
+            inputTokens: bedrockResult.usage.input_tokens || 0,
+            outputTokens: bedrockResult.usage.output_tokens || 0,
+            model: bedrockResult.usage.model
         };
+        console.log('Bedrock usage (stream):', usage);
+        
+        // The assembled answer is cached exactly like a buffered response (never when validation failed)
+        const validationFailed = bedrockResult.validation && !bedrockResult.validation.passed;
+        const queryHash = !validationFailed && bedrockResult.output
+            ? await storeAnswer(cacheKey, bedrockResult, usage, docVersion, queryEmbedding)
+            : null;
+        
+        await recordExchange(session, input, bedrockResult.output, { requestId, queryHash });
+        
+        const suggestions = await getFollowUpSuggestions(conversationHistory, input, bedrockResult.output);
+        writeEvent(stream, 'done', {
+            sessionId: session.sessionId,
+            cached: false,
+            source: 'bedrock',
+            language,
+            cacheKey: cacheKeySummary(cacheKey),
+            queryHash,
+            lead: openLead,
+            suggestions,
+            usage: {
+                ...usage,
+                summarizedTurns: bedrockResult.historyStats.summarizedTurns,
+                keptTurns: bedrockResult.historyStats.keptTurns
+            },
+            contextChunks: bedrockResult.contextChunks,
+            toolCalls: bedrockResult.toolCalls || undefined,
+            validation: bedrockResult.validation,
+            timestamp: new Date().toISOString(),
+            requestId
+        });
+    } catch (error) {
+        if (error.name === 'ContentBlocked') {
+            // Headers are already sent, so the block is reported in the error event only
+            writeEvent(stream, 'error', contentBlockedBody(error, requestId));
+            stream.end();
+            return;
+        }
+        console.error('Streaming error:', error);
+        writeEvent(stream, 'error', errorBody(error.name || 'UnknownError', describeError(error), { requestId }));
     }
-};
+    stream.end();
+}
+
+// awslambda is a global provided by the Node.js Lambda runtime for response streaming
+// (the SDK also defines a partial awslambda object, so check for the function itself)
+exports.streamHandler = typeof awslambda !== 'undefined' && typeof awslambda.streamifyResponse === 'function'
+    ? awslambda.streamifyResponse(handleStreamRequest)
+    : handleStreamRequest;
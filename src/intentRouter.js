@@ -0,0 +1,271 @@
+/**
+ * Intent router for structured catalog questions
+ * Answers price ceilings, night counts, destination lists and package lookups by name
+ * directly from parsed catalog data, so they never reach Bedrock
+ *
+ * The router only answers when every word of the question is understood (destinations,
+ * package names, numbers and a fixed vocabulary); anything else returns null and falls
+ * through to the cache → LLM path
+ */
+
+// Words the router understands besides destinations, package names and numbers
+const KNOWN_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'for', 'of', 'in', 'to', 'from', 'on', 'at', 'with', 'and',
+    'what', 'whats', 's', 'which', 'how', 'much', 'many', 'long', 'does', 'do', 'you', 'have',
+    'i', 'me', 'my', 'we', 'us', 'can', 'get', 'there', 'any', 'all', 'some', 'please', 'tell',
+    'show', 'list', 'give', 'find', 'see', 'want', 'need', 'looking', 'about', 'available', 'offer',
+    'package', 'packages', 'trip', 'trips', 'tour', 'tours', 'holiday', 'holidays', 'option',
+    'options', 'deal', 'deals', 'travel', 'vacation', 'vacations', 'ones', 'one',
+    'cost', 'costs', 'price', 'prices', 'priced', 'pricing', 'rate', 'fare',
+    'under', 'below', 'less', 'than', 'within', 'upto', 'up', 'max', 'maximum', 'budget', 'cheaper',
+    'rs', 'inr', 'rupees', 'k', 'lakh', 'lakhs', 'lac', 'per', 'person',
+    'night', 'nights', 'day', 'days', 'duration',
+    'included', 'include', 'includes', 'inclusions', 'details', 'detail',
+    'meals', 'meal', 'food', 'highlights', 'itinerary', 'accommodation', 'hotel', 'hotels', 'stay',
+    'bengaluru', 'bangalore', 'blr'
+]);
+
+// Name words that describe a package rather than a place
+const DESCRIPTIVE_NAME_WORDS = new Set([
+    'delight', 'explorer', 'family', 'fun', 'combo', 'fusion', 'romantic', 'escape',
+    'adventure', 'discovery', 'highlights', 'express', 'island', 'islands', 'tour'
+]);
+
+const LISTING_NOUNS = /\b(packages?|trips?|tours?|holidays?|options?|deals?|vacations?)\b/;
+const PRICE_CEILING = /\b(?:under|below|less than|within|up ?to|max(?:imum)?|budget(?: of)?)\s*(?:₹|rs\.?|inr)?\s*([\d,]+(?:\.\d+)?)\s*(k|lakhs?|lac)?\b/i;
+const NIGHTS = /\b(\d+)[\s-]*nights?\b/i;
+const DAYS = /\b(\d+)[\s-]*days?\b/i;
+
+/**
+ * Lowercase word tokens (apostrophes dropped so "what's" → "whats")
+ */
+function words(text) {
+    return text
+        .toLowerCase()
+        .replace(/[’']/g, '')
+        .split(/[^\p{L}\p{N}₹]+/u)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Format an INR amount with Indian digit grouping, e.g. 105000 → "₹1,05,000"
+ */
+function formatInr(amount) {
+    return '₹' + new Intl.NumberFormat('en-IN').format(amount);
+}
+
+/**
+ * Places a package covers: its country, the place words in its name and the "in <place>" accommodation lines
+ */
+function packagePlaces(pkg) {
+    const places = new Set([pkg.country.toLowerCase()]);
+    for (const word of words(pkg.name)) {
+        if (!DESCRIPTIVE_NAME_WORDS.has(word)) {
+            places.add(word);
+        }
+    }
+    for (const line of pkg.accommodation) {
+        const match = line.match(/\bin\s+([A-Z][\p{L}\s]+?)(?:\s*\(|$)/u);
+        if (match) {
+            words(match[1]).forEach(word => places.add(word));
+        }
+    }
+    return places;
+}
+
+/**
+ * Parse a price ceiling like "under ₹90,000", "below 90k" or "within 1 lakh"
+ */
+function parsePriceCeiling(text) {
+    const match = text.match(PRICE_CEILING);
+    if (!match) return null;
+    let amount = Number(match[1].replace(/,/g, ''));
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === 'k') amount *= 1000;
+    if (unit.startsWith('lakh') || unit === 'lac') amount *= 100000;
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Classify a question against the catalog
+ * Returns { type, filters, packages, field } or null when the question is not confidently structured
+ */
+function classifyIntent(input, packages) {
+    if (!input || packages.length === 0) return null;
+
+    const text = input.toLowerCase().replace(/[’']/g, '');
+    // Comparisons and open-ended questions need the LLM
+    if (/\b(compare|comparison|vs|versus|difference|better|best|recommend|suggest)\b/.test(text)) {
+        return null;
+    }
+
+    // Package lookup by exact name ("&" and "and" are interchangeable)
+    const normalizedText = ` ${words(text).join(' ')} `;
+    const named = packages.filter(pkg => normalizedText.includes(` ${words(pkg.name.replace(/&/g, ' and ')).join(' ')} `) ||
+        normalizedText.includes(` ${words(pkg.name).join(' ')} `));
+
+    // Destinations mentioned (a word matching any package's places)
+    const placeIndex = new Map();
+    for (const pkg of packages) {
+        for (const place of packagePlaces(pkg)) {
+            if (!placeIndex.has(place)) placeIndex.set(place, new Set());
+            placeIndex.get(place).add(pkg.id);
+        }
+    }
+
+    const tokens = words(text);
+    const nameWords = new Set(named.flatMap(pkg => words(pkg.name)));
+    const destinations = [];
+    const unknown = [];
+    for (const token of tokens) {
+        if (/^[\d,.₹]+$/.test(token) || /^\d+k$/.test(token)) continue;
+        if (placeIndex.has(token)) {
+            if (!destinations.includes(token)) destinations.push(token);
+        } else if (!KNOWN_WORDS.has(token) && !nameWords.has(token)) {
+            unknown.push(token);
+        }
+    }
+    if (unknown.length > 0) {
+        return null;
+    }
+
+    // Requested field for single-package answers
+    let field = 'details';
+    if (/\b(cost|costs|price|prices|priced|pricing|how much|rate|fare)\b/.test(text)) field = 'cost';
+    else if (/\b(meals?|food)\b/.test(text)) field = 'meals';
+    else if (/\b(highlights|itinerary)\b/.test(text)) field = 'highlights';
+    else if (/\b(accommodation|hotels?|stay)\b/.test(text)) field = 'accommodation';
+    else if (/\b(how long|duration|how many (nights|days))\b/.test(text)) field = 'duration';
+
+    if (named.length === 1) {
+        return { type: 'package_lookup', filters: {}, packages: named, field };
+    }
+    if (named.length > 1) {
+        return null;
+    }
+
+    const filters = {};
+    const maxPrice = parsePriceCeiling(text);
+    if (maxPrice) filters.maxPrice = maxPrice;
+    const nightsMatch = text.match(NIGHTS);
+    const daysMatch = text.match(DAYS);
+    if (nightsMatch) filters.nights = parseInt(nightsMatch[1], 10);
+    else if (daysMatch) filters.nights = parseInt(daysMatch[1], 10) - 1;
+
+    // A bare number or destination without a listing/cost cue is too ambiguous (e.g. "what about 80000?")
+    if (!LISTING_NOUNS.test(text) && field !== 'cost') {
+        return null;
+    }
+    if (destinations.length === 0 && filters.maxPrice === undefined && filters.nights === undefined) {
+        return null;
+    }
+
+    // Every destination mentioned must be covered (e.g. "Bangkok" and "Pattaya" → same package)
+    let matches = packages;
+    for (const destination of destinations) {
+        const ids = placeIndex.get(destination);
+        matches = matches.filter(pkg => ids.has(pkg.id));
+    }
+    if (filters.maxPrice !== undefined) matches = matches.filter(pkg => pkg.costInr <= filters.maxPrice);
+    if (filters.nights !== undefined) matches = matches.filter(pkg => pkg.nights === filters.nights);
+
+    return {
+        type: filters.maxPrice !== undefined ? 'price_filter' : filters.nights !== undefined ? 'duration_filter' : 'destination_list',
+        filters: { ...filters, destinations },
+        packages: matches,
+        field
+    };
+}
+
+/**
+ * One-line package summary for lists
+ */
+function summaryLine(pkg) {
+    return `• **${pkg.name}** – ${pkg.nights} Nights / ${pkg.days} Days – ${formatInr(pkg.costInr)} per person`;
+}
+
+/**
+ * Full package details
+ */
+function detailsText(pkg) {
+    let text = `**${pkg.name}** – ${pkg.nights} Nights / ${pkg.days} Days (${pkg.country})\n`;
+    text += `**Cost:** ${formatInr(pkg.costInr)} ${pkg.costNote}\n`;
+    text += `**Meals:** ${pkg.meals}\n`;
+    text += `**Highlights:**\n${pkg.highlights.map(item => `• ${item}`).join('\n')}`;
+    if (pkg.accommodation.length > 0) {
+        text += `\n**Accommodation:**\n${pkg.accommodation.map(item => `• ${item}`).join('\n')}`;
+    }
+    return text;
+}
+
+/**
+ * Describe the filters in words, e.g. "Bali packages under ₹90,000 for 5 nights"
+ */
+function describeFilters(filters) {
+    const destinations = (filters.destinations || []).map(name => name.charAt(0).toUpperCase() + name.slice(1));
+    let text = destinations.length > 0 ? `${destinations.join(' & ')} packages` : 'packages';
+    if (filters.maxPrice !== undefined) text += ` under ${formatInr(filters.maxPrice)}`;
+    if (filters.nights !== undefined) text += ` for ${filters.nights} nights`;
+    return text;
+}
+
+/**
+ * Render a templated answer for a classified intent
+ */
+function renderAnswer(intent) {
+    const matches = intent.packages;
+
+    if (matches.length === 0) {
+        return `I don't have any ${describeFilters(intent.filters)} in our current catalog. ` +
+            'Please contact us at travelbuddy@asia.com or +91-98765-43210 for custom packages.';
+    }
+
+    if (matches.length === 1) {
+        const pkg = matches[0];
+        switch (intent.field) {
+            case 'cost':
+                return `The **${pkg.name}** (${pkg.nights} Nights / ${pkg.days} Days) costs **${formatInr(pkg.costInr)} ${pkg.costNote}**.`;
+            case 'meals':
+                return `Meals included in the **${pkg.name}**: ${pkg.meals}.`;
+            case 'highlights':
+                return `Highlights of the **${pkg.name}**:\n${pkg.highlights.map(item => `• ${item}`).join('\n')}`;
+            case 'accommodation':
+                return pkg.accommodation.length > 0
+                    ? `Accommodation for the **${pkg.name}**:\n${pkg.accommodation.map(item => `• ${item}`).join('\n')}`
+                    : `The **${pkg.name}** catalog entry doesn't list accommodation details. ` +
+                      'Please contact us at travelbuddy@asia.com or +91-98765-43210 for the hotel list.';
+            case 'duration':
+                return `The **${pkg.name}** is ${pkg.nights} Nights / ${pkg.days} Days.`;
+            default:
+                return detailsText(pkg);
+        }
+    }
+
+    return `Here are our ${describeFilters(intent.filters)}:\n\n${matches.map(summaryLine).join('\n')}\n\nAll prices are per person on twin sharing basis, including flights from Bengaluru.`;
+}
+
+/**
+ * Route a question: returns { text, intent } for catalog answers, or null to fall through to cache/LLM
+ */
+function routeQuery(input, packages) {
+    const intent = classifyIntent(input, packages);
+    if (!intent) return null;
+    return {
+        text: renderAnswer(intent),
+        intent: {
+            type: intent.type,
+            filters: intent.filters,
+            packageIds: intent.packages.map(pkg => pkg.id)
+        }
+    };
+}
+
+module.exports = {
+    classifyIntent,
+    renderAnswer,
+    routeQuery,
+    formatInr,
+    packagePlaces,
+    parsePriceCeiling,
+    words
+};
@@ -0,0 +1,167 @@
+/**
+ * Multi-document knowledge base loaded from an S3 prefix
+ * Every markdown object under the prefix is kept in memory with its ETag. On revalidation the prefix
+ * is listed (one cheap call) and only objects whose ETag changed are downloaded again; deleted
+ * objects are dropped. Each document is tagged with its S3 key as `source`.
+ */
+const { ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
+
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Version stamp for a document: its S3 ETag, or a content hash if S3 returned none
+ */
+function documentVersion(etag, content) {
+    if (etag) {
+        return etag.replace(/"/g, '');
+    }
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, 32);
+}
+
+/**
+ * Read an S3 object body into a UTF-8 string
+ */
+async function readBody(body) {
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Create a knowledge base loader
+ * - prefix: S3 key prefix to load (e.g. "knowledge_base/"); '' loads every markdown object in the bucket
+ * - revalidateMs: how long the in-memory set is used before the prefix is listed again
+ */
+function createKnowledgeBase({ client, bucket, prefix = '', revalidateMs = 5 * 60 * 1000 }) {
+    // key -> { source, etag, version, content, loadedAt }
+    const documents = new Map();
+    let lastListedAt = 0;
+    let refreshing = null;
+
+    /**
+     * List every markdown object under the prefix: [{ key, etag }]
+     */
+    async function listObjects() {
+        const objects = [];
+        let continuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix || undefined,
+                ContinuationToken: continuationToken
+            }));
+            for (const object of page.Contents || []) {
+                const key = object.Key;
+                if (DOCUMENT_EXTENSIONS.some(extension => key.toLowerCase().endsWith(extension))) {
+                    objects.push({ key, etag: object.ETag || null });
+                }
+            }
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return objects;
+    }
+
+    /**
+     * Download one object and store it under its key
+     */
+    async function loadObject(key) {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const content = await readBody(response.Body);
+        const document = {
+            source: key,
+            etag: response.ETag || null,
+            version: documentVersion(response.ETag, content),
+            content,
+            loadedAt: Date.now()
+        };
+        documents.set(key, document);
+        return document;
+    }
+
+    /**
+     * Sync the in-memory set with the prefix listing, refetching only new or changed objects
+     */
+    async function refresh() {
+        const listed = await listObjects();
+        const listedKeys = new Set(listed.map(object => object.key));
+
+        for (const key of [...documents.keys()]) {
+            if (!listedKeys.has(key)) {
+                console.log('Knowledge base document removed:', key);
+                documents.delete(key);
+            }
+        }
+
+        const changed = listed.filter(object => {
+            const cached = documents.get(object.key);
+            return !cached || !object.etag || cached.etag !== object.etag;
+        });
+        const results = await Promise.allSettled(changed.map(object => loadObject(object.key)));
+        results.forEach((result, index) => {
+            const key = changed[index].key;
+            if (result.status === 'fulfilled') {
+                console.log('Knowledge base document loaded:', key, '(version:', result.value.version + ', size:', result.value.content.length, 'characters)');
+            } else {
+                // Keep serving the previous copy (if any) until the next revalidation
+                console.error('Error loading knowledge base document:', key, result.reason?.name || result.reason?.message);
+            }
+        });
+
+        console.log('Knowledge base:', documents.size, 'documents,', changed.length, 'refreshed');
+        lastListedAt = Date.now();
+    }
+
+    /**
+     * All loaded documents sorted by key: [{ source, version, content }]
+     * forceRefresh lists the prefix immediately (used by the admin purge route)
+     */
+    async function getDocuments({ forceRefresh = false } = {}) {
+        const isFresh = documents.size > 0 && (Date.now() - lastListedAt) < revalidateMs;
+        if (forceRefresh || !isFresh) {
+            // Concurrent requests in the same container share one refresh
+            refreshing = refreshing || refresh().finally(() => {
+                refreshing = null;
+            });
+            try {
+                await refreshing;
+            } catch (error) {
+                console.error('Error listing knowledge base prefix:', error.name || error.message);
+                if (documents.size > 0) {
+                    console.log('Using previously loaded knowledge base due to S3 error');
+                }
+            }
+        }
+
+        return [...documents.values()]
+            .sort((a, b) => a.source.localeCompare(b.source))
+            .map(({ source, version, content }) => ({ source, version, content }));
+    }
+
+    /**
+     * Content of one document by key ('' if it isn't loaded)
+     */
+    async function getDocument(key, options) {
+        const loaded = await getDocuments(options);
+        const match = loaded.find(document => document.source === key);
+        return match ? match.content : '';
+    }
+
+    /**
+     * Version of one loaded document by key (null when it isn't loaded)
+     * Each document keeps its own version, so an edit to one doesn't change the others
+     */
+    function getVersion(key) {
+        return documents.get(key)?.version || null;
+    }
+
+    return {
+        getDocuments,
+        getDocument,
+        getVersion
+    };
+}
+
+module.exports = { createKnowledgeBase, documentVersion, readBody };
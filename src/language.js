@@ -0,0 +1,163 @@
+/**
+ * Language detection and script-aware query normalization
+ * Customers write in English, Hindi, Kannada and Tamil. Each language has its own script, so the
+ * language of a message is the script most of its letters are in: deterministic and with no model call
+ * (romanized Hindi reads as English). Normalization keeps every script's letters and combining marks,
+ * so "बाली पैकेज की कीमत?" and "बाली पैकेज कीमत" share a cache key but no longer collapse to an empty one.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', script: /\p{Script=Latin}/u },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', script: /\p{Script=Devanagari}/u },
+    kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', script: /\p{Script=Kannada}/u },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', script: /\p{Script=Tamil}/u }
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Stop words removed during normalization for better cache hits (articles, copulas, postpositions,
+// conjunctions and question words). English ones are removed from every query, since other-language
+// questions often name packages and places in English
+const STOP_WORDS = {
+    en: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
+        'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
+        'to', 'was', 'were', 'will', 'with', 'what', 'which', 'who',
+        'where', 'when', 'how', 'can', 'could', 'should', 'would'
+    ]),
+    hi: new Set([
+        'का', 'की', 'के', 'है', 'हैं', 'था', 'थे', 'थी', 'में', 'से', 'को', 'और', 'या', 'पर', 'भी', 'तो', 'ही',
+        'एक', 'यह', 'ये', 'वह', 'वे', 'इस', 'उस', 'क्या', 'कौन', 'कौनसा', 'कैसे', 'कहाँ', 'कहां', 'कब', 'लिए'
+    ]),
+    kn: new Set([
+        'ಮತ್ತು', 'ಅಥವಾ', 'ಇದೆ', 'ಇವೆ', 'ಆಗಿದೆ', 'ಒಂದು', 'ಈ', 'ಆ', 'ಬಗ್ಗೆ',
+        'ಏನು', 'ಯಾವ', 'ಯಾರು', 'ಹೇಗೆ', 'ಎಲ್ಲಿ', 'ಯಾವಾಗ'
+    ]),
+    ta: new Set([
+        'மற்றும்', 'அல்லது', 'உள்ளது', 'உள்ளன', 'இருக்கிறது', 'ஒரு', 'இந்த', 'அந்த', 'பற்றி',
+        'என்ன', 'எந்த', 'யார்', 'எப்படி', 'எங்கே', 'எப்போது'
+    ])
+};
+
+// Code points of native zero digits (Devanagari, Tamil, Kannada); each block runs 0-9 from there
+const NATIVE_ZERO_DIGITS = [0x0966, 0x0be6, 0x0ce6];
+
+// Shown when no suggestions could be generated (English call sites keep their own defaults)
+const FALLBACK_SUGGESTIONS = {
+    hi: {
+        initial: ['कौन से पैकेज उपलब्ध हैं?', 'यात्रा के विकल्प दिखाइए', 'कीमतों के बारे में बताइए'],
+        followUp: ['और बताइए', 'आप और किसमें मदद कर सकते हैं?', 'दूसरे पैकेज दिखाइए']
+    },
+    kn: {
+        initial: ['ಯಾವ ಪ್ಯಾಕೇಜ್‌ಗಳು ಲಭ್ಯವಿವೆ?', 'ಪ್ರವಾಸದ ಆಯ್ಕೆಗಳನ್ನು ತೋರಿಸಿ', 'ಬೆಲೆಗಳ ಬಗ್ಗೆ ತಿಳಿಸಿ'],
+        followUp: ['ಇನ್ನಷ್ಟು ತಿಳಿಸಿ', 'ಬೇರೆ ಏನು ಸಹಾಯ ಮಾಡಬಹುದು?', 'ಬೇರೆ ಪ್ಯಾಕೇಜ್‌ಗಳನ್ನು ತೋರಿಸಿ']
+    },
+    ta: {
+        initial: ['என்ன பேக்கேஜ்கள் உள்ளன?', 'பயண விருப்பங்களைக் காட்டுங்கள்', 'விலைகளைப் பற்றி சொல்லுங்கள்'],
+        followUp: ['மேலும் சொல்லுங்கள்', 'வேறு என்ன உதவ முடியும்?', 'மற்ற பேக்கேஜ்களைக் காட்டுங்கள்']
+    }
+};
+
+/**
+ * Language of a text: the supported language whose script most of its letters are in
+ * Returns null when the text has no letters of a supported script (e.g. "5?" or an emoji)
+ */
+function detectLanguage(text) {
+    const counts = new Map();
+    for (const [letter] of (text || '').matchAll(/\p{L}/gu)) {
+        const language = LANGUAGE_CODES.find(code => LANGUAGES[code].script.test(letter));
+        if (language) {
+            counts.set(language, (counts.get(language) || 0) + 1);
+        }
+    }
+    let detected = null;
+    for (const [language, count] of counts) {
+        if (!detected || count > counts.get(detected)) {
+            detected = language;
+        }
+    }
+    return detected;
+}
+
+/**
+ * Language to answer a message in: its own, else that of the newest user turn with letters
+ * (so "5?" in a Hindi conversation stays Hindi), else English
+ */
+function conversationLanguage(input, conversationHistory = []) {
+    const detected = detectLanguage(input);
+    if (detected) {
+        return detected;
+    }
+    for (const turn of [...conversationHistory].reverse()) {
+        const previous = turn.role === 'user' ? detectLanguage(turn.content) : null;
+        if (previous) {
+            return previous;
+        }
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * "Hindi (हिन्दी)" - how prompts name a language
+ */
+function languageLabel(language) {
+    const { name, nativeName } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    return name === nativeName ? name : `${name} (${nativeName})`;
+}
+
+/**
+ * Normalize query text for better cache matching
+ * Handles variations like:
+ * - "What are the travel packages available from Bengaluru to Bangkok?"
+ * - "What are the travel packages from Bengaluru to Bangkok?"
+ * Both normalize to similar strings (lower case, no punctuation or stop words, single spaces).
+ * Letters and combining marks of every script are kept (vowel signs and viramas are part of the word),
+ * native digits become ASCII, and zero-width joiners are dropped.
+ * language: whose stop words to remove besides the English ones (default: detected from the query)
+ */
+function normalizeQuery(query, language = detectLanguage(query) || DEFAULT_LANGUAGE) {
+    if (!query) return '';
+
+    const normalized = query
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u0966-\u096f\u0be6-\u0bef\u0ce6-\u0cef]/g, digit => {
+            const code = digit.charCodeAt(0);
+            return String(code - NATIVE_ZERO_DIGITS.find(zero => code >= zero && code <= zero + 9));
+        })
+        .replace(/[\u200c\u200d]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const languageStopWords = STOP_WORDS[language] || STOP_WORDS[DEFAULT_LANGUAGE];
+    return normalized
+        .split(' ')
+        .filter(word => word.length > 0 && !STOP_WORDS.en.has(word) && !languageStopWords.has(word))
+        .join(' ');
+}
+
+/**
+ * Default suggestions in a language other than English (null for English)
+ */
+function fallbackSuggestions(language, followUp) {
+    const localized = FALLBACK_SUGGESTIONS[language];
+    if (!localized) {
+        return null;
+    }
+    return followUp ? localized.followUp : localized.initial;
+}
+
+module.exports = {
+    detectLanguage,
+    conversationLanguage,
+    languageLabel,
+    normalizeQuery,
+    fallbackSuggestions,
+    LANGUAGES,
+    LANGUAGE_CODES,
+    DEFAULT_LANGUAGE,
+    STOP_WORDS
+};
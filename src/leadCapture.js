@@ -0,0 +1,351 @@
+/**
+ * Booking-intent capture
+ * Detects booking and custom-package requests and collects the fields our team needs to follow up
+ * (package, travel dates, traveller count, budget, contact details) over several chat turns.
+ * Parsing is deterministic, like the catalog intent router: no Bedrock call is made for lead turns.
+ * The draft lives on the session until it is complete (see leadStore.js for the submitted record).
+ */
+const { mentionedPackageIds } = require('./followUps');
+const { formatInr, words } = require('./intentRouter');
+
+// A lead is only started by an explicit request: an imperative ("Book it for us"), "I want to / I'd like to ...",
+// "Can you ..." (and, for bookings, "Can I ..."). Questions about booking ("Is the hotel booking included?",
+// "How far in advance should I book?") and "Can I modify ...?" go to the normal answer path
+const SENTENCE_START = String.raw`(?:^|[.!?;,]\s*)(?:(?:ok(?:ay)?|yes|yeah|sure|great|perfect|then|so)[,!]?\s+)?(?:please\s+)?`;
+const WANT = String.raw`\b(?:(?:i|we)(?:['’]d|\s+would)?\s+(?:like|love|want|need|wish)|let\s+(?:me|us))\s+`;
+const ASK_YOU = String.raw`\b(?:can|could|would|will)\s+you\s+(?:please\s+)?`;
+const ASK_TO_BOOK = String.raw`\b(?:can|could|may)\s+(?:i|we)\s+(?:please\s+)?`;
+const BOOKING_PATTERN = new RegExp(String.raw`(?:${SENTENCE_START}|${WANT}(?:to\s+)?|${ASK_YOU}|${ASK_TO_BOOK})` +
+    String.raw`(?:book|reserve|make\s+a\s+(?:booking|reservation)|sign\s+(?:me|us)\s+up|hold\s+(?:a\s+)?(?:seat|spot)s?)\b`, 'i');
+const CUSTOM_PACKAGE = String.raw`(?:a|an)\s+(?:[\w-]+\s+)?(?:custom(?:i[sz]ed)?|tailor(?:ed|[ -]made)|personali[sz]ed|modified|shorter|longer|cheaper)\s+(?:version|package|trip|tour|holiday|itinerary|plan)\b`;
+const CUSTOM_PATTERN = new RegExp(String.raw`(?:${SENTENCE_START}|${WANT}to\s+|${ASK_YOU})(?:customi[sz]e|tailor|personali[sz]e|modify)\b|` +
+    String.raw`(?:${WANT}|${ASK_YOU}(?:make|plan|create|design|arrange|do)\s+(?:(?:me|us)\s+)?)${CUSTOM_PACKAGE}`, 'i');
+const CANCEL_PATTERN = /^\s*(cancel|stop|never\s*mind|forget\s+(about\s+)?it)(\s+(it|that|the\s+(request|booking)))?\s*[.!]*\s*$/i;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+// +91-98765-43210, 098765 43210: 10-13 digits, optionally grouped with spaces or dashes
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s-]?)?\d(?:[\s-]?\d){9,11}\b/;
+const NAME_PATTERN = /\b(?:[Mm]y name is|[Nn]ame:)\s+([A-Z][\p{L}'-]*(?:\s+[A-Z][\p{L}'-]*){0,3})/u;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERNS = [
+    // 2026-12-10
+    { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: match => ({ year: match[1], month: Number(match[2]), day: match[3] }) },
+    // 10 Dec 2026, 10th December
+    { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\b(?:,?\\s+(\\d{4}))?`, 'gi'), parts: match => ({ year: match[3], month: monthNumber(match[2]), day: match[1] }) },
+    // December 10, 2026
+    { pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'), parts: match => ({ year: match[3], month: monthNumber(match[1]), day: match[2] }) }
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const TRAVELLER_PATTERN = /\b(\d{1,3}|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:of\s+us|people|persons?|pax|travell?ers?|adults?|guests?|passengers?)\b|\b(?:party|group)\s+of\s+(\d{1,3}|one|two|three|four|five|six|seven|eight|nine|ten)\b|\bwe\s+are\s+(\d{1,3}|two|three|four|five|six|seven|eight|nine|ten)\b/i;
+const BUDGET_PATTERN = /(?:₹|\brs\.?\s*|\binr\s*)\s*([\d,]+(?:\.\d+)?)\s*(k|lakhs?|l)?\b|\bbudget\b[^\d₹]{0,20}([\d,]+(?:\.\d+)?)\s*(k|lakhs?|l)?\b|\b([\d,]+(?:\.\d+)?)\s*(k|lakhs?)\b/i;
+
+// Largest group a lead can be filed for (bigger groups are a different sales process)
+const MAX_TRAVELLERS = 20;
+
+// Required fields in the order they are asked for ('packageId' only for bookings)
+const LEAD_FIELDS = ['packageId', 'travelDates', 'travellers', 'budget', 'contact'];
+
+const FIELD_PROMPTS = {
+    packageId: 'which package you would like',
+    travelDates: 'your travel start date (e.g. 2026-12-10)',
+    travellers: 'the number of travellers',
+    budget: 'your total budget in ₹',
+    contact: 'an email address or phone number our team can reach you on'
+};
+
+function monthNumber(name) {
+    return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * Parse a number written as digits or a word ("two")
+ */
+function parseCount(text) {
+    const value = NUMBER_WORDS[text.toLowerCase()] ?? parseInt(text, 10);
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse an amount like "1,50,000", "90k" or "1.5 lakh" into rupees
+ */
+function parseAmount(digits, unit) {
+    const value = Number(digits.replace(/,/g, ''));
+    if (!Number.isFinite(value)) return null;
+    const multiplier = !unit ? 1 : unit.toLowerCase() === 'k' ? 1000 : 100000;
+    return Math.round(value * multiplier);
+}
+
+/**
+ * Dates mentioned in the text, in the order they appear (ISO strings)
+ * A date without a year is the next occurrence on or after today
+ */
+function parseDates(text, today) {
+    const found = [];
+    for (const { pattern, parts } of DATE_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            const { year, month, day } = parts(match);
+            const date = new Date(Date.UTC(year ? Number(year) : today.getUTCFullYear(), month - 1, Number(day)));
+            if (date.getUTCMonth() !== month - 1) continue;
+            if (!year && date < today) {
+                date.setUTCFullYear(date.getUTCFullYear() + 1);
+            }
+            found.push({ index: match.index, date: isoDate(date) });
+        }
+    }
+    return found.sort((a, b) => a.index - b.index).map(entry => entry.date);
+}
+
+/**
+ * Kind of lead a message explicitly asks for: 'custom' (a modified or tailor-made package), 'booking', or null
+ * Sharing an email address or phone number counts as a booking request; questions about booking are not requests
+ */
+function detectLeadIntent(input) {
+    if (CUSTOM_PATTERN.test(input)) return 'custom';
+    if (BOOKING_PATTERN.test(input) || EMAIL_PATTERN.test(input) || PHONE_PATTERN.test(input)) return 'booking';
+    return null;
+}
+
+/**
+ * Whether a message cancels an open lead ("cancel", "never mind")
+ */
+function isLeadCancel(input) {
+    return CANCEL_PATTERN.test(input);
+}
+
+/**
+ * The candidate a reply picks by a word only its name has ("the Gili one" among the Bali packages)
+ */
+function pickCandidate(text, candidates, packages) {
+    const named = candidates.map(id => packages.find(pkg => pkg.id === id)).filter(Boolean);
+    const tokens = new Set(words(text));
+    const picked = named.filter(pkg => words(pkg.name).some(word =>
+        tokens.has(word) && !named.some(other => other !== pkg && words(other.name).includes(word))));
+    return picked.length === 1 ? picked[0].id : null;
+}
+
+/**
+ * Extract lead fields from one message
+ * Contact details and dates are read first and blanked out, so their digits aren't mistaken for
+ * a traveller count or a budget
+ * - candidates: packages an earlier message left ambiguous (a reply can pick one by a distinctive word)
+ * Returns only the fields found: { packageId, packageCandidates, startDate, endDate, travellers, budget, contact }
+ */
+function extractLeadFields(input, packages, { now = Date.now(), candidates = null } = {}) {
+    const fields = {};
+    let text = input;
+
+    const contact = {};
+    const email = text.match(EMAIL_PATTERN);
+    if (email) {
+        contact.email = email[0].toLowerCase();
+        text = text.replace(email[0], ' ');
+    }
+    const phone = text.match(PHONE_PATTERN);
+    if (phone) {
+        contact.phone = phone[0].replace(/[\s-]/g, '');
+        text = text.replace(phone[0], ' ');
+    }
+    const name = input.match(NAME_PATTERN);
+    if (name) {
+        contact.name = name[1];
+    }
+    if (Object.keys(contact).length > 0) {
+        fields.contact = contact;
+    }
+
+    const today = new Date(Math.floor(now / 86400000) * 86400000);
+    const dates = parseDates(text, today);
+    if (dates.length > 0) {
+        fields.startDate = dates[0];
+        if (dates.length > 1) {
+            fields.endDate = dates[1];
+        }
+    }
+    for (const { pattern } of DATE_PATTERNS) {
+        text = text.replace(pattern, ' ');
+    }
+
+    const ids = mentionedPackageIds(text, packages);
+    const picked = ids.length !== 1 && candidates ? pickCandidate(text, candidates, packages) : null;
+    if (ids.length === 1 || picked) {
+        fields.packageId = picked || ids[0];
+    } else if (ids.length > 1) {
+        fields.packageCandidates = ids;
+    }
+
+    const travellers = text.match(TRAVELLER_PATTERN);
+    if (travellers) {
+        fields.travellers = parseCount(travellers[1] || travellers[2] || travellers[3]);
+    } else if (/\b(couple|honeymoon|the\s+two\s+of\s+us)\b/i.test(text)) {
+        fields.travellers = 2;
+    } else if (/\b(solo|just\s+me|by\s+myself)\b/i.test(text)) {
+        fields.travellers = 1;
+    }
+
+    const budget = text.match(BUDGET_PATTERN);
+    if (budget) {
+        const amount = budget[1] ? parseAmount(budget[1], budget[2]) : budget[3] ? parseAmount(budget[3], budget[4]) : parseAmount(budget[5], budget[6]);
+        if (amount) {
+            fields.budget = amount;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Merge newly extracted fields into a draft (new values replace old ones; contact details merge)
+ */
+function mergeLeadFields(draft, fields) {
+    const merged = { ...draft, ...fields, contact: { ...draft.contact, ...fields.contact } };
+    if (fields.packageId) {
+        delete merged.packageCandidates;
+    }
+    // A new start date, or a new package for an end date derived from the old one, resets the end date
+    if (!fields.endDate && (fields.startDate || (fields.packageId && draft.endDateFromPackage))) {
+        delete merged.endDate;
+        delete merged.endDateFromPackage;
+    }
+    return merged;
+}
+
+/**
+ * Validate a draft against the catalog
+ * Invalid values are removed (and asked for again); the end date defaults to the package length
+ * Returns { lead, missing, issues: [{ field, message }], warnings: [{ field, message }] }
+ */
+function checkLead(draft, packages, now = Date.now()) {
+    const lead = { ...draft, contact: { ...draft.contact } };
+    const issues = [];
+    const warnings = [];
+    const reject = (field, message, keys) => {
+        issues.push({ field, message });
+        keys.forEach(key => delete lead[key]);
+    };
+
+    const pkg = lead.packageId ? packages.find(candidate => candidate.id === lead.packageId) : null;
+    if (lead.packageId && !pkg) {
+        reject('packageId', `Package ${lead.packageId} is no longer in our catalog`, ['packageId', 'packageName']);
+    } else if (pkg) {
+        lead.packageName = pkg.name;
+    }
+
+    const today = isoDate(new Date(now));
+    if (lead.startDate && lead.startDate <= today) {
+        reject('travelDates', `The start date ${lead.startDate} has already passed`, ['startDate', 'endDate', 'endDateFromPackage']);
+    } else if (lead.startDate && lead.endDate && lead.endDate <= lead.startDate) {
+        reject('travelDates', `The end date ${lead.endDate} is not after the start date ${lead.startDate}`, ['startDate', 'endDate', 'endDateFromPackage']);
+    } else if (lead.startDate && pkg) {
+        const packageEnd = new Date(`${lead.startDate}T00:00:00Z`);
+        packageEnd.setUTCDate(packageEnd.getUTCDate() + pkg.nights);
+        if (!lead.endDate) {
+            lead.endDate = isoDate(packageEnd);
+            lead.endDateFromPackage = true;
+        } else if (lead.kind === 'booking' && !lead.endDateFromPackage && lead.endDate !== isoDate(packageEnd)) {
+            warnings.push({ field: 'travelDates', message: `The ${pkg.name} is ${pkg.nights} nights; your dates need a custom itinerary` });
+        }
+    }
+
+    if (lead.travellers !== undefined && (lead.travellers < 1 || lead.travellers > MAX_TRAVELLERS)) {
+        reject('travellers', `Leads can be filed for 1 to ${MAX_TRAVELLERS} travellers`, ['travellers']);
+    }
+
+    if (lead.budget !== undefined && pkg && lead.travellers) {
+        const price = pkg.costInr * lead.travellers;
+        if (lead.budget < price) {
+            warnings.push({ field: 'budget', message: `The catalog price for ${lead.travellers} traveller(s) is ${formatInr(price)}` });
+        }
+    }
+
+    const present = {
+        packageId: Boolean(lead.packageId) || lead.kind === 'custom',
+        travelDates: Boolean(lead.startDate),
+        travellers: Boolean(lead.travellers),
+        budget: Boolean(lead.budget),
+        contact: Boolean(lead.contact.email || lead.contact.phone)
+    };
+    return { lead, missing: LEAD_FIELDS.filter(field => !present[field]), issues, warnings };
+}
+
+/**
+ * Join phrases as "a, b and c"
+ */
+function listPhrases(phrases) {
+    return phrases.length > 1 ? `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}` : phrases[0];
+}
+
+/**
+ * Reply asking for the fields a draft still misses (after any validation problems)
+ */
+function renderLeadPrompt({ lead, missing, issues }, packages) {
+    const subject = lead.kind === 'custom'
+        ? `a custom package${lead.packageName ? ` based on the **${lead.packageName}**` : ''}`
+        : lead.packageName ? `the **${lead.packageName}**` : 'your trip';
+    const lines = [`I can pass your request for ${subject} to our team.`];
+    issues.forEach(issue => lines.push(`${issue.message}.`));
+    if (missing.includes('packageId') && lead.packageCandidates) {
+        const names = lead.packageCandidates
+            .map(id => packages.find(pkg => pkg.id === id))
+            .filter(Boolean)
+            .map(pkg => `**${pkg.name}**`);
+        lines.push(`Which package would you like: ${names.join(' or ')}?`);
+    }
+    lines.push(`To do that I still need ${listPhrases(missing.map(field => FIELD_PROMPTS[field]))}.`);
+    lines.push('Say "cancel" at any time to stop.');
+    return lines.join(' ');
+}
+
+/**
+ * Reply confirming a submitted lead
+ */
+function renderLeadConfirmation(lead, leadId) {
+    const what = lead.packageName ? `the **${lead.packageName}**` : 'your custom package';
+    const dates = lead.endDate ? `${lead.startDate} to ${lead.endDate}` : `from ${lead.startDate}`;
+    const reach = lead.contact.email || lead.contact.phone;
+    return `Thank you! Your request for ${what} (${dates}, ${lead.travellers} traveller(s), budget ${formatInr(lead.budget)}) ` +
+        `has been passed to our team under reference **${leadId}**. They will contact you at ${reach}.`;
+}
+
+/**
+ * Lead object returned to clients
+ * status: 'collecting' | 'submitted' | 'cancelled'
+ */
+function toLeadSummary(status, { lead, missing = [], issues = [], warnings = [] }, leadId = null) {
+    return {
+        status,
+        leadId,
+        kind: lead.kind,
+        fields: {
+            packageId: lead.packageId || null,
+            packageName: lead.packageName || null,
+            startDate: lead.startDate || null,
+            endDate: lead.endDate || null,
+            travellers: lead.travellers || null,
+            budget: lead.budget || null,
+            contact: {
+                name: lead.contact?.name || null,
+                email: lead.contact?.email || null,
+                phone: lead.contact?.phone || null
+            }
+        },
+        missing,
+        issues,
+        warnings
+    };
+}
+
+module.exports = {
+    detectLeadIntent,
+    isLeadCancel,
+    extractLeadFields,
+    mergeLeadFields,
+    checkLead,
+    renderLeadPrompt,
+    renderLeadConfirmation,
+    toLeadSummary,
+    LEAD_FIELDS
+};
@@ -0,0 +1,87 @@
+/**
+ * Lead notifiers: publish a submitted lead to the team
+ * Every notifier has { name, publish(lead) }; publish throws if the lead could not be delivered
+ * - sns:  one message per lead on an SNS topic (email/SQS/webhook subscriptions fan it out)
+ * - file: one JSON line per lead appended to a local file (offline dev server and tests)
+ * - none: only logs the lead
+ */
+const fs = require('fs');
+const { PublishCommand } = require('@aws-sdk/client-sns');
+
+const NOTIFIER_TYPES = ['sns', 'file', 'none'];
+
+// SNS subjects are limited to 100 characters
+const SUBJECT_MAX_LENGTH = 100;
+
+/**
+ * One-line summary of a lead for message subjects and logs
+ */
+function leadSubject(lead) {
+    const what = lead.packageName || 'custom package';
+    return `New ${lead.kind} lead: ${what}, ${lead.startDate}, ${lead.travellers} traveller(s)`.slice(0, SUBJECT_MAX_LENGTH);
+}
+
+/**
+ * Notifier publishing to an SNS topic (kind as a message attribute for subscription filters)
+ */
+function createSnsNotifier({ client, topicArn }) {
+    if (!topicArn) {
+        throw new Error('The sns lead notifier needs LEAD_TOPIC_ARN');
+    }
+    return {
+        name: 'sns',
+        async publish(lead) {
+            await client.send(new PublishCommand({
+                TopicArn: topicArn,
+                Subject: leadSubject(lead),
+                Message: JSON.stringify(lead, null, 2),
+                MessageAttributes: {
+                    kind: { DataType: 'String', StringValue: lead.kind }
+                }
+            }));
+        }
+    };
+}
+
+/**
+ * Notifier appending JSON lines to a file
+ */
+function createFileNotifier({ filePath }) {
+    if (!filePath) {
+        throw new Error('The file lead notifier needs LEAD_FILE_PATH');
+    }
+    return {
+        name: 'file',
+        async publish(lead) {
+            await fs.promises.appendFile(filePath, `${JSON.stringify(lead)}\n`, 'utf-8');
+        }
+    };
+}
+
+/**
+ * Create a notifier by type ('sns' | 'file' | 'none')
+ * - sns: { client, topicArn }; file: { filePath }
+ */
+function createLeadNotifier(type, options = {}) {
+    switch (type) {
+        case 'sns':
+            return createSnsNotifier(options);
+        case 'file':
+            return createFileNotifier(options);
+        case 'none':
+            return {
+                name: 'none',
+                async publish(lead) {
+                    console.log('Lead notifier disabled - not publishing:', leadSubject(lead));
+                }
+            };
+        default:
+            throw new Error(`Unknown lead notifier "${type}" (expected ${NOTIFIER_TYPES.join(', ')})`);
+    }
+}
+
+module.exports = {
+    createLeadNotifier,
+    leadSubject,
+    NOTIFIER_TYPES
+};
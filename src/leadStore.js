@@ -0,0 +1,98 @@
+/**
+ * Submitted booking and custom-package leads, stored in DynamoDB for the sales team
+ * (drafts being collected live on the session; see leadCapture.js)
+ *
+ * Item shape:
+ *   leadId (S), sessionId (S), kind (S booking | custom), status (S new), request (S: the message that started the lead),
+ *   packageId (S), packageName (S), startDate (S), endDate (S), travellers (N), budget (N),
+ *   contact (M { name S, email S, phone S }), warnings (L of S), createdAt (N)
+ *   + notifiedVia (S), notifiedAt (N) once the notifier has published it
+ * Optional attributes are omitted when the lead has no value for them.
+ */
+const { PutItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const crypto = require('crypto');
+
+/**
+ * Create the lead store
+ */
+function createLeadStore({ client, tableName }) {
+    /**
+     * Store a complete lead (checkLead output) and return it with its new leadId and createdAt
+     */
+    async function createLead(sessionId, lead, warnings = []) {
+        const record = {
+            leadId: crypto.randomUUID(),
+            sessionId,
+            kind: lead.kind,
+            status: 'new',
+            request: lead.request,
+            packageId: lead.packageId || null,
+            packageName: lead.packageName || null,
+            startDate: lead.startDate,
+            endDate: lead.endDate || null,
+            travellers: lead.travellers,
+            budget: lead.budget,
+            contact: {
+                name: lead.contact.name || null,
+                email: lead.contact.email || null,
+                phone: lead.contact.phone || null
+            },
+            warnings: warnings.map(warning => warning.message),
+            createdAt: Date.now()
+        };
+
+        const item = {
+            leadId: { S: record.leadId },
+            sessionId: { S: sessionId },
+            kind: { S: record.kind },
+            status: { S: record.status },
+            request: { S: record.request },
+            startDate: { S: record.startDate },
+            travellers: { N: String(record.travellers) },
+            budget: { N: String(record.budget) },
+            contact: {
+                M: Object.fromEntries(Object.entries(record.contact)
+                    .filter(([, value]) => value)
+                    .map(([key, value]) => [key, { S: value }]))
+            },
+            warnings: { L: record.warnings.map(message => ({ S: message })) },
+            createdAt: { N: String(record.createdAt) }
+        };
+        for (const key of ['packageId', 'packageName', 'endDate']) {
+            if (record[key]) {
+                item[key] = { S: record[key] };
+            }
+        }
+
+        await client.send(new PutItemCommand({
+            TableName: tableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(leadId)'
+        }));
+        console.log('Stored lead:', record.leadId, record.kind, record.packageId || '(custom)');
+        return record;
+    }
+
+    /**
+     * Record that a lead was published by a notifier
+     */
+    async function markNotified(leadId, notifier) {
+        await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { leadId: { S: leadId } },
+            UpdateExpression: 'SET notifiedVia = :via, notifiedAt = :now',
+            ConditionExpression: 'attribute_exists(leadId)',
+            ExpressionAttributeValues: {
+                ':via': { S: notifier },
+                ':now': { N: String(Date.now()) }
+            }
+        }));
+    }
+
+    return {
+        createLead,
+        markNotified
+    };
+}
+
+module.exports = { createLeadStore };
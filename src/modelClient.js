@@ -0,0 +1,468 @@
+/**
+ * Model client for Bedrock text generation
+ * Adapters translate one request shape ({ system, messages, maxTokens, tools }) into the Anthropic Messages,
+ * Titan Text and Llama 3 InvokeModel bodies, or into the Converse API, and normalize their responses
+ * to { text, usage: { inputTokens, outputTokens }, model, family, guardrail, toolCalls, content }
+ *
+ * Message content is a string or a list of Anthropic-style blocks (text, tool_use, tool_result).
+ * Tools ({ name, description, inputSchema }) are sent to Anthropic models and Converse models; other
+ * models get the request without tools and with tool blocks written out as text, so a fallback model
+ * can still answer mid tool loop. toolCalls lists the model's tool_use requests ({ id, name, input }).
+ *
+ * Models are tried in chain order; throttling, timeouts and 5xx errors move on to the next model
+ * Chain entries are model ids, optionally prefixed with "converse:" to call them through the Converse API
+ */
+const {
+    InvokeModelCommand,
+    InvokeModelWithResponseStreamCommand,
+    ConverseCommand,
+    ConverseStreamCommand
+} = require('@aws-sdk/client-bedrock-runtime');
+const { applyApiKeyAuth } = require('./bedrockAuth');
+
+// Errors that mean "this model can't answer right now" rather than "this request is wrong"
+const FALLBACK_ERROR_NAMES = new Set([
+    'ThrottlingException',
+    'ServiceUnavailableException',
+    'ServiceQuotaExceededException',
+    'InternalServerException',
+    'ModelNotReadyException',
+    'ModelTimeoutException',
+    'ModelStreamErrorException',
+    'TimeoutError',
+    'AbortError'
+]);
+
+/**
+ * Whether an error should move the request on to the next model in the chain
+ */
+function isFallbackError(error) {
+    if (FALLBACK_ERROR_NAMES.has(error.name)) return true;
+    const status = error.$metadata?.httpStatusCode || error.statusCode;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Model family used to keep cache entries from different models apart
+ * Inference profile ids carry a geography prefix ("us.", "eu.", "apac.") before the provider
+ */
+function modelFamily(modelId) {
+    if (/^(?:[a-z]{2,4}\.)?anthropic\./.test(modelId)) return 'anthropic';
+    if (/^amazon\.titan-text/.test(modelId)) return 'titan';
+    if (/^(?:[a-z]{2,4}\.)?meta\.llama/.test(modelId)) return 'llama';
+    return modelId.split('.')[0];
+}
+
+/**
+ * Message content as plain text (tool blocks written out for models without tool support)
+ */
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    return content.map(block => {
+        if (block.type === 'tool_use') return `[Called tool ${block.name} with ${JSON.stringify(block.input)}]`;
+        if (block.type === 'tool_result') return `[Result of tool call: ${block.content}]`;
+        return block.text || '';
+    }).join('\n');
+}
+
+/**
+ * Tool calls requested by Anthropic-style content blocks
+ */
+function toolCallsOf(content) {
+    return content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input || {} }));
+}
+
+/**
+ * Guardrail result carried by InvokeModel bodies (and the final stream chunk)
+ */
+function invokeGuardrail(payload) {
+    const action = payload['amazon-bedrock-guardrailAction'];
+    return action ? { action, trace: payload['amazon-bedrock-trace'] || null } : null;
+}
+
+/**
+ * Token counts Bedrock appends to the final chunk of every InvokeModel stream
+ */
+function invocationMetrics(payload, usage) {
+    const metrics = payload['amazon-bedrock-invocationMetrics'];
+    if (metrics) {
+        usage.inputTokens = usage.inputTokens || metrics.inputTokenCount || 0;
+        usage.outputTokens = usage.outputTokens || metrics.outputTokenCount || 0;
+    }
+}
+
+const anthropicAdapter = {
+    supportsTools: true,
+    buildBody({ system, messages, maxTokens, tools }) {
+        const body = {
+            anthropic_version: 'bedrock-2023-05-31',
+            max_tokens: maxTokens,
+            messages
+        };
+        if (system) body.system = system;
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }));
+        }
+        return body;
+    },
+    parseResponse(body) {
+        const content = body.content || [];
+        return {
+            text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: { inputTokens: body.usage?.input_tokens || 0, outputTokens: body.usage?.output_tokens || 0 },
+            toolCalls: toolCallsOf(content),
+            content
+        };
+    },
+    parseChunk(payload, usage) {
+        if (payload.type === 'message_start' && payload.message?.usage) {
+            usage.inputTokens = payload.message.usage.input_tokens || 0;
+        } else if (payload.type === 'message_delta' && payload.usage) {
+            usage.outputTokens = payload.usage.output_tokens || 0;
+        } else if (payload.type === 'content_block_delta' && payload.delta?.text) {
+            return payload.delta.text;
+        }
+        return '';
+    }
+};
+
+const titanAdapter = {
+    buildBody({ system, messages, maxTokens }) {
+        // Titan Text takes a single prompt in its "User:" / "Bot:" chat convention
+        const turns = messages.map(message => `${message.role === 'user' ? 'User' : 'Bot'}: ${contentText(message.content)}`);
+        const inputText = `${system ? system + '\n\n' : ''}${turns.join('\n')}\nBot:`;
+        return {
+            inputText,
+            textGenerationConfig: { maxTokenCount: maxTokens, temperature: 0.5, topP: 0.9 }
+        };
+    },
+    parseResponse(body) {
+        const result = body.results?.[0] || {};
+        return {
+            text: (result.outputText || '').trim(),
+            usage: { inputTokens: body.inputTextTokenCount || 0, outputTokens: result.tokenCount || 0 }
+        };
+    },
+    parseChunk(payload, usage) {
+        if (payload.inputTextTokenCount) usage.inputTokens = payload.inputTextTokenCount;
+        if (payload.totalOutputTextTokenCount) usage.outputTokens = payload.totalOutputTextTokenCount;
+        return payload.outputText || '';
+    }
+};
+
+const llamaAdapter = {
+    buildBody({ system, messages, maxTokens }) {
+        // Llama 3 instruct chat template
+        let prompt = '<|begin_of_text|>';
+        if (system) {
+            prompt += `<|start_header_id|>system<|end_header_id|>\n\n${system}<|eot_id|>`;
+        }
+        for (const message of messages) {
+            prompt += `<|start_header_id|>${message.role}<|end_header_id|>\n\n${contentText(message.content)}<|eot_id|>`;
+        }
+        prompt += '<|start_header_id|>assistant<|end_header_id|>\n\n';
+        return { prompt, max_gen_len: maxTokens, temperature: 0.5, top_p: 0.9 };
+    },
+    parseResponse(body) {
+        return {
+            text: (body.generation || '').trim(),
+            usage: { inputTokens: body.prompt_token_count || 0, outputTokens: body.generation_token_count || 0 }
+        };
+    },
+    parseChunk(payload, usage) {
+        if (payload.prompt_token_count) usage.inputTokens = payload.prompt_token_count;
+        if (payload.generation_token_count) usage.outputTokens = payload.generation_token_count;
+        return payload.generation || '';
+    }
+};
+
+const ADAPTERS = {
+    anthropic: anthropicAdapter,
+    titan: titanAdapter,
+    llama: llamaAdapter
+};
+
+/**
+ * Parse a chain entry: "anthropic.claude-3-haiku-20240307-v1:0" or "converse:amazon.titan-text-lite-v1"
+ */
+function parseModelSpec(spec) {
+    const trimmed = spec.trim();
+    const converse = trimmed.startsWith('converse:');
+    const modelId = converse ? trimmed.slice('converse:'.length) : trimmed;
+    const family = modelFamily(modelId);
+    if (!converse && !ADAPTERS[family]) {
+        throw new Error(`No InvokeModel adapter for model ${modelId}; use "converse:${modelId}"`);
+    }
+    return { modelId, family, api: converse ? 'converse' : 'invoke' };
+}
+
+/**
+ * Converse content blocks for a message's content
+ */
+function toConverseContent(content) {
+    if (typeof content === 'string') return [{ text: content }];
+    return content.map(block => {
+        if (block.type === 'tool_use') {
+            return { toolUse: { toolUseId: block.id, name: block.name, input: block.input } };
+        }
+        if (block.type === 'tool_result') {
+            return { toolResult: { toolUseId: block.tool_use_id, content: [{ text: block.content }], status: block.is_error ? 'error' : 'success' } };
+        }
+        return { text: block.text };
+    });
+}
+
+/**
+ * Anthropic-style blocks for a Converse response message
+ */
+function fromConverseContent(content) {
+    return content.map(block => (block.toolUse
+        ? { type: 'tool_use', id: block.toolUse.toolUseId, name: block.toolUse.name, input: block.toolUse.input }
+        : { type: 'text', text: block.text || '' }));
+}
+
+/**
+ * Converse API request (messages use content blocks; guardrail is configured inline)
+ */
+function buildConverseInput(model, { system, messages, maxTokens, tools }, guardrail) {
+    const input = {
+        modelId: model.modelId,
+        messages: messages.map(message => ({ role: message.role, content: toConverseContent(message.content) })),
+        inferenceConfig: { maxTokens }
+    };
+    if (system) input.system = [{ text: system }];
+    if (tools && tools.length > 0) {
+        input.toolConfig = {
+            tools: tools.map(tool => ({ toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.inputSchema } } }))
+        };
+    }
+    if (guardrail) {
+        input.guardrailConfig = { guardrailIdentifier: guardrail.id, guardrailVersion: guardrail.version, trace: 'enabled' };
+    }
+    return input;
+}
+
+/**
+ * Converse guardrail traces use inputAssessment/outputAssessments; reshape them to the InvokeModel trace shape
+ */
+function converseGuardrail(stopReason, trace) {
+    if (stopReason !== 'guardrail_intervened') return null;
+    const guardrail = trace?.guardrail || {};
+    return {
+        action: 'INTERVENED',
+        trace: {
+            guardrail: {
+                input: guardrail.inputAssessment || {},
+                outputs: Object.entries(guardrail.outputAssessments || {})
+                    .map(([id, assessments]) => ({ [id]: (assessments || [])[0] || {} }))
+            }
+        }
+    };
+}
+
+/**
+ * Create a model client
+ * - chain: ordered model specs (first is the primary model)
+ * - guardrail: { id, version } applied to every call, or null
+ * - timeoutMs: how long each model gets to start responding (a timeout counts as a fallback trigger)
+ */
+function createModelClient({ client, apiKey, chain, guardrail = null, timeoutMs = 12000 }) {
+    const models = chain.filter(spec => spec && spec.trim()).map(parseModelSpec);
+    if (models.length === 0) {
+        throw new Error('Model chain is empty');
+    }
+
+    /**
+     * Send a command with the API key middleware and a per-attempt timeout
+     */
+    async function send(command) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            return await client.send(applyApiKeyAuth(command, apiKey), { abortSignal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                const timeout = new Error(`Model call timed out after ${timeoutMs}ms`);
+                timeout.name = 'TimeoutError';
+                throw timeout;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * InvokeModel request for a model (guardrail and trace attached when configured)
+     */
+    function invokeInput(model, request) {
+        const input = {
+            modelId: model.modelId,
+            contentType: 'application/json',
+            accept: 'application/json',
+            body: JSON.stringify(ADAPTERS[model.family].buildBody(request))
+        };
+        if (guardrail) {
+            input.guardrailIdentifier = guardrail.id;
+            input.guardrailVersion = guardrail.version;
+            input.trace = 'ENABLED';
+        }
+        return input;
+    }
+
+    /**
+     * The request as a model can take it: without tools, and with tool blocks as text, unless it supports them
+     */
+    function forModel(model, request) {
+        if (!request.tools || model.api === 'converse' || ADAPTERS[model.family].supportsTools) {
+            return request;
+        }
+        const { tools, ...rest } = request;
+        return { ...rest, messages: request.messages.map(message => ({ role: message.role, content: contentText(message.content) })) };
+    }
+
+    async function invokeOnce(model, request) {
+        if (model.api === 'converse') {
+            const response = await send(new ConverseCommand(buildConverseInput(model, request, guardrail)));
+            const content = fromConverseContent(response.output?.message?.content || []);
+            return {
+                text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+                usage: { inputTokens: response.usage?.inputTokens || 0, outputTokens: response.usage?.outputTokens || 0 },
+                guardrail: converseGuardrail(response.stopReason, response.trace),
+                toolCalls: toolCallsOf(content),
+                content
+            };
+        }
+
+        const response = await send(new InvokeModelCommand(invokeInput(model, forModel(model, request))));
+        const body = JSON.parse(new TextDecoder().decode(response.body));
+        const parsed = ADAPTERS[model.family].parseResponse(body);
+        return {
+            toolCalls: [],
+            content: [{ type: 'text', text: parsed.text }],
+            ...parsed,
+            guardrail: invokeGuardrail(body)
+        };
+    }
+
+    async function streamOnce(model, request, onDelta) {
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        let text = '';
+        let guardrailResult = null;
+        const emit = delta => {
+            if (delta) {
+                text += delta;
+                onDelta(delta);
+            }
+        };
+
+        if (model.api === 'converse') {
+            const response = await send(new ConverseStreamCommand(buildConverseInput(model, request, guardrail)));
+            let stopReason = null;
+            for await (const event of response.stream) {
+                throwStreamError(event);
+                if (event.contentBlockDelta?.delta?.text) {
+                    emit(event.contentBlockDelta.delta.text);
+                } else if (event.messageStop) {
+                    stopReason = event.messageStop.stopReason;
+                } else if (event.metadata) {
+                    usage.inputTokens = event.metadata.usage?.inputTokens || 0;
+                    usage.outputTokens = event.metadata.usage?.outputTokens || 0;
+                    guardrailResult = converseGuardrail(stopReason, event.metadata.trace);
+                }
+            }
+            return { text, usage, guardrail: guardrailResult || converseGuardrail(stopReason, null) };
+        }
+
+        const response = await send(new InvokeModelWithResponseStreamCommand(invokeInput(model, request)));
+        const decoder = new TextDecoder();
+        for await (const event of response.body) {
+            throwStreamError(event);
+            if (!event.chunk?.bytes) continue;
+            const payload = JSON.parse(decoder.decode(event.chunk.bytes));
+            guardrailResult = invokeGuardrail(payload) || guardrailResult;
+            emit(ADAPTERS[model.family].parseChunk(payload, usage));
+            invocationMetrics(payload, usage);
+        }
+        return { text, usage, guardrail: guardrailResult };
+    }
+
+    /**
+     * Run an attempt against each model in turn until one answers
+     * A streaming attempt that already emitted text can't fall back (the client has seen it)
+     */
+    async function runChain(label, attempt) {
+        let lastError = null;
+        for (const model of models) {
+            try {
+                const result = await attempt(model);
+                if (model !== models[0]) {
+                    console.log(`${label} answered by fallback model ${model.modelId}`);
+                }
+                return { ...result, model: model.modelId, family: model.family };
+            } catch (error) {
+                lastError = error;
+                if (!isFallbackError(error) || error.partialOutput) {
+                    throw error;
+                }
+                console.warn(`${label} failed on ${model.modelId} (${error.name}) - trying next model`);
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Generate a complete answer: { text, usage, model, family, guardrail, toolCalls, content }
+     * (content is the assistant message as Anthropic-style blocks, to send back in a tool loop)
+     */
+    function invoke(request) {
+        return runChain('Model call', model => invokeOnce(model, request));
+    }
+
+    /**
+     * Stream an answer, calling onDelta(text) for every text delta; resolves with { text, usage, model, family, guardrail }
+     * (streamed requests don't use tools)
+     */
+    function stream(request, onDelta = () => {}) {
+        return runChain('Model stream', async model => {
+            let emitted = false;
+            try {
+                return await streamOnce(model, request, delta => {
+                    emitted = true;
+                    onDelta(delta);
+                });
+            } catch (error) {
+                error.partialOutput = emitted;
+                throw error;
+            }
+        });
+    }
+
+    return {
+        invoke,
+        stream,
+        primaryModel: models[0].modelId,
+        primaryFamily: models[0].family,
+        models: models.map(model => model.modelId)
+    };
+}
+
+/**
+ * Modelled stream errors (throttling, validation, ...) arrive as events, not exceptions
+ */
+function throwStreamError(event) {
+    const errorKey = Object.keys(event).find(key => key.endsWith('Exception'));
+    if (errorKey) {
+        const error = new Error(event[errorKey].message || errorKey);
+        error.name = errorKey.charAt(0).toUpperCase() + errorKey.slice(1);
+        throw error;
+    }
+}
+
+module.exports = {
+    createModelClient,
+    modelFamily,
+    isFallbackError
+};
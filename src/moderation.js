@@ -0,0 +1,184 @@
+/**
+ * Input moderation
+ * - Pre-flight screening: cheap local checks run before the catalog, cache or Bedrock are touched
+ *   (prompt-injection / jailbreak phrasing and PII such as card and Aadhaar numbers)
+ * - Bedrock Guardrails: reads the intervention flag and trace from InvokeModel responses
+ *
+ * Both layers report a trigger category so blocked requests can be answered with a distinct error
+ * (see GUARDRAIL_TEST_PAYLOADS.md for the payloads each layer is expected to block)
+ */
+
+// Prompt-injection and role-play jailbreak phrasing
+const INJECTION_RULES = [
+    {
+        // Telling the assistant to drop its instructions anywhere in a message ("ignore previous instructions",
+        // "I want you to ignore your rules"); rules about something else ("Can I ignore the previous instructions
+        // about my visa?", "forget the rules about meals") are not injections
+        rule: 'ignore_instructions',
+        pattern: /\b(?:ignore|disregard|forget|override)\s+(?:(?:all|any)\s+(?:of\s+)?)?(?:(?:your|the|these|those)\s+)?(?:(?:previous|prior|above|earlier|system|safety|original)\s+)?(?:instructions|prompts?|rules|guidelines|directions|programming)\b(?!\s+(?:about|on|for|regarding)\b)/i
+    },
+    {
+        rule: 'system_override',
+        pattern: /\bsystem\s+override\b|\b(?:bypass|disable|turn\s+off)\s+(?:all\s+|any\s+|the\s+|your\s+)*(?:safety|security|content)\s+(?:checks|filters|features|guidelines|protocols)\b/i
+    },
+    {
+        rule: 'developer_mode',
+        pattern: /\b(?:developer|dev|god|jailbreak|dan|unfiltered)\s+mode\b/i
+    },
+    {
+        rule: 'unrestricted_roleplay',
+        pattern: /\b(?:pretend|act\s+(?:as|like)|imagine|you\s+are\s+now|role-?play)\b.{0,80}?\b(?:without|no)\s+(?:any\s+)?(?:safety\s+|moral\s+|ethical\s+|content\s+)?(?:restrictions|filters|limits|rules|guidelines|morals)\b/i
+    },
+    {
+        rule: 'prompt_extraction',
+        pattern: /\b(?:reveal|show|print|repeat|output|tell\s+me)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|hidden\s+prompt|initial\s+instructions|instructions\s+above)\b/i
+    }
+];
+
+// Candidate digit runs (spaces/dashes allowed between digits)
+const CARD_CANDIDATE = /\b\d(?:[ -]?\d){12,18}\b/g;
+const AADHAAR_CANDIDATE = /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g;
+
+// Verhoeff tables (Aadhaar check digit)
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Luhn checksum (payment card numbers)
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Verhoeff checksum (Aadhaar numbers)
+ */
+function passesVerhoeff(digits) {
+    let check = 0;
+    for (let i = 0; i < digits.length; i++) {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digits[digits.length - 1 - i])]];
+    }
+    return check === 0;
+}
+
+/**
+ * Find PII in text; returns the rule name ('card_number' or 'aadhaar_number') or null
+ * Checksums keep phone numbers, prices and booking references from being flagged
+ */
+function detectPii(text) {
+    for (const match of text.match(AADHAAR_CANDIDATE) || []) {
+        if (passesVerhoeff(match.replace(/\D/g, ''))) {
+            return 'aadhaar_number';
+        }
+    }
+    for (const match of text.match(CARD_CANDIDATE) || []) {
+        if (passesLuhn(match.replace(/\D/g, ''))) {
+            return 'card_number';
+        }
+    }
+    return null;
+}
+
+/**
+ * Pre-flight screening of a user message
+ * Returns null when the input is clean, otherwise { category, rule }
+ * - category: 'prompt_injection' | 'pii'
+ */
+function screenInput(text) {
+    if (!text) return null;
+
+    const normalized = text.normalize('NFKC').replace(/\s+/g, ' ');
+    for (const { rule, pattern } of INJECTION_RULES) {
+        if (pattern.test(normalized)) {
+            return { category: 'prompt_injection', rule };
+        }
+    }
+
+    const piiRule = detectPii(normalized);
+    if (piiRule) {
+        return { category: 'pii', rule: piiRule };
+    }
+    return null;
+}
+
+/**
+ * Map the first blocking assessment in a Bedrock Guardrails trace to a category
+ * Trace shape: { guardrail: { input: { <guardrailId>: assessment }, outputs: [{ <guardrailId>: assessment }] } }
+ * Returns { category, rule, source } where source is 'input' or 'output'
+ */
+function guardrailCategory(trace) {
+    const guardrail = trace?.guardrail || {};
+    const assessments = [
+        ...Object.values(guardrail.input || {}).map(assessment => ({ assessment, source: 'input' })),
+        ...(guardrail.outputs || []).flatMap(output => Object.values(output || {}).map(assessment => ({ assessment, source: 'output' })))
+    ];
+    const blocked = item => item.action === 'BLOCKED';
+
+    for (const { assessment, source } of assessments) {
+        const filter = (assessment.contentPolicy?.filters || []).find(blocked);
+        if (filter) {
+            return { category: filter.type.toLowerCase(), rule: 'content_filter', source };
+        }
+        const topic = (assessment.topicPolicy?.topics || []).find(blocked);
+        if (topic) {
+            return { category: 'denied_topic', rule: topic.name, source };
+        }
+        const pii = [
+            ...(assessment.sensitiveInformationPolicy?.piiEntities || []),
+            ...(assessment.sensitiveInformationPolicy?.regexes || [])
+        ].find(blocked);
+        if (pii) {
+            return { category: 'pii', rule: pii.type || pii.name, source };
+        }
+        const managedWord = (assessment.wordPolicy?.managedWordLists || []).find(blocked);
+        if (managedWord) {
+            return { category: 'profanity', rule: managedWord.type, source };
+        }
+        if ((assessment.wordPolicy?.customWords || []).some(blocked)) {
+            return { category: 'blocked_word', rule: 'custom_words', source };
+        }
+        const grounding = (assessment.contextualGroundingPolicy?.filters || []).find(blocked);
+        if (grounding) {
+            return { category: 'grounding', rule: grounding.type, source };
+        }
+    }
+    return { category: 'guardrail', rule: 'unknown', source: assessments[0]?.source || 'input' };
+}
+
+/**
+ * Error thrown when a guardrail intervenes; carries the category for the 4xx response
+ */
+function contentBlockedError({ category, rule, source }, layer) {
+    const error = new Error(`Request blocked by ${layer} (${category})`);
+    error.name = 'ContentBlocked';
+    error.category = category;
+    error.rule = rule;
+    error.source = source;
+    error.layer = layer;
+    return error;
+}
+
+module.exports = {
+    screenInput,
+    detectPii,
+    guardrailCategory,
+    contentBlockedError
+};
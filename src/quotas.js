@@ -0,0 +1,229 @@
+/**
+ * Per-caller rate limits and daily token quotas stored in DynamoDB
+ * Callers are identified by API key, Cognito subject or source IP (in that order of preference).
+ * Counters are updated with atomic ADD expressions so concurrent Lambda containers share one count.
+ *
+ * Item shapes (quotaKey is the partition key, items expire via ttl):
+ *   rate#<caller>#<epochMinute>  requestCount (N), ttl (N)
+ *   day#<caller>#<YYYY-MM-DD>    requestCount (N), inputTokens (N), outputTokens (N), ttl (N)
+ */
+const { GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+
+/**
+ * Identify the caller from the API Gateway / Function URL request context
+ * Returns { type: 'api_key' | 'user' | 'ip', id, key }
+ */
+function identifyCaller(event) {
+    const context = event.requestContext || {};
+    const apiKeyId = context.identity?.apiKeyId;
+    const subject = context.authorizer?.claims?.sub || context.authorizer?.jwt?.claims?.sub;
+    const sourceIp = context.identity?.sourceIp || context.http?.sourceIp;
+
+    let caller;
+    if (apiKeyId) {
+        caller = { type: 'api_key', id: apiKeyId };
+    } else if (subject) {
+        caller = { type: 'user', id: subject };
+    } else {
+        caller = { type: 'ip', id: sourceIp || 'unknown' };
+    }
+    return { ...caller, key: `${caller.type}:${caller.id}` };
+}
+
+/**
+ * Response headers describing the caller's remaining budget (plus Retry-After when limited)
+ */
+function quotaHeaders(status) {
+    const headers = {};
+    if (status.requestsPerMinute > 0) {
+        headers['X-RateLimit-Limit'] = String(status.requestsPerMinute);
+        headers['X-RateLimit-Remaining'] = String(status.remainingRequests);
+    }
+    if (status.inputTokensRemaining !== null) {
+        headers['X-Quota-Input-Tokens-Remaining'] = String(status.inputTokensRemaining);
+    }
+    if (status.outputTokensRemaining !== null) {
+        headers['X-Quota-Output-Tokens-Remaining'] = String(status.outputTokensRemaining);
+    }
+    if (!status.allowed) {
+        headers['Retry-After'] = String(status.retryAfter);
+    }
+    return headers;
+}
+
+/**
+ * Create a quota store
+ * - requestsPerMinute: requests per caller per clock minute (0 = unlimited)
+ * - dailyInputTokens / dailyOutputTokens: Bedrock tokens per caller per UTC day (0 = unlimited)
+ */
+function createQuotaStore({ client, tableName, requestsPerMinute = 20, dailyInputTokens = 0, dailyOutputTokens = 0 }) {
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+    const dayKey = (caller) => `day#${caller.key}#${new Date().toISOString().slice(0, 10)}`;
+    const secondsUntilMidnight = () => {
+        const midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+        return Math.max(1, Math.ceil((midnight.getTime() - Date.now()) / 1000));
+    };
+    const remaining = (limit, used) => (limit > 0 ? Math.max(0, limit - used) : null);
+
+    /**
+     * Count a request against the per-minute limit
+     * Returns the new count, or null if the limit was already reached
+     */
+    async function countMinute(caller) {
+        const minute = Math.floor(nowSeconds() / 60);
+        try {
+            const response = await client.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: { quotaKey: { S: `rate#${caller.key}#${minute}` } },
+                UpdateExpression: 'ADD requestCount :one SET #ttl = if_not_exists(#ttl, :ttl)',
+                ConditionExpression: 'attribute_not_exists(requestCount) OR requestCount < :limit',
+                ExpressionAttributeNames: { '#ttl': 'ttl' },
+                ExpressionAttributeValues: {
+                    ':one': { N: '1' },
+                    ':limit': { N: String(requestsPerMinute) },
+                    ':ttl': { N: String((minute + 2) * 60) }
+                },
+                ReturnValues: 'UPDATED_NEW'
+            }));
+            return parseInt(response.Attributes?.requestCount?.N || '1', 10);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Tokens used today from a day item's attributes
+     */
+    const tokensUsed = (attributes = {}) => ({
+        inputTokens: parseInt(attributes.inputTokens?.N || '0', 10),
+        outputTokens: parseInt(attributes.outputTokens?.N || '0', 10)
+    });
+
+    /**
+     * Tokens used today, without counting a request (for reporting on rate-limited calls)
+     */
+    async function readDay(caller) {
+        const response = await client.send(new GetItemCommand({
+            TableName: tableName,
+            Key: { quotaKey: { S: dayKey(caller) } }
+        }));
+        return tokensUsed(response.Item);
+    }
+
+    /**
+     * Count a request against today's totals and return the tokens used so far
+     */
+    async function countDay(caller) {
+        const response = await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { quotaKey: { S: dayKey(caller) } },
+            UpdateExpression: 'ADD requestCount :one SET #ttl = if_not_exists(#ttl, :ttl)',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: {
+                ':one': { N: '1' },
+                ':ttl': { N: String(nowSeconds() + secondsUntilMidnight() + 24 * 60 * 60) }
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+        return tokensUsed(response.Attributes);
+    }
+
+    /**
+     * Count one request for the caller and decide whether it may proceed
+     * Returns { allowed, reason, retryAfter, requestsPerMinute, remainingRequests,
+     *           inputTokensRemaining, outputTokensRemaining }
+     * - reason: 'rate_limit' | 'daily_input_tokens' | 'daily_output_tokens' (null when allowed)
+     * Token budgets are checked before the call, so the request that crosses a budget still completes
+     * DynamoDB errors fail open (quota problems shouldn't take the chat down)
+     */
+    async function consume(caller) {
+        const status = {
+            allowed: true,
+            reason: null,
+            retryAfter: 0,
+            requestsPerMinute,
+            remainingRequests: requestsPerMinute,
+            inputTokensRemaining: remaining(dailyInputTokens, 0),
+            outputTokensRemaining: remaining(dailyOutputTokens, 0)
+        };
+
+        const hasTokenBudget = dailyInputTokens > 0 || dailyOutputTokens > 0;
+        const applyUsage = (used) => {
+            status.inputTokensRemaining = remaining(dailyInputTokens, used.inputTokens);
+            status.outputTokensRemaining = remaining(dailyOutputTokens, used.outputTokens);
+        };
+
+        try {
+            if (requestsPerMinute > 0) {
+                const count = await countMinute(caller);
+                if (count === null) {
+                    if (hasTokenBudget) {
+                        applyUsage(await readDay(caller));
+                    }
+                    return {
+                        ...status,
+                        allowed: false,
+                        reason: 'rate_limit',
+                        retryAfter: 60 - (nowSeconds() % 60),
+                        remainingRequests: 0
+                    };
+                }
+                status.remainingRequests = Math.max(0, requestsPerMinute - count);
+            }
+
+            if (hasTokenBudget) {
+                applyUsage(await countDay(caller));
+                if (status.inputTokensRemaining === 0 || status.outputTokensRemaining === 0) {
+                    return {
+                        ...status,
+                        allowed: false,
+                        reason: status.inputTokensRemaining === 0 ? 'daily_input_tokens' : 'daily_output_tokens',
+                        retryAfter: secondsUntilMidnight()
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('Error checking quota (allowing request):', error.name || error.message);
+        }
+        return status;
+    }
+
+    /**
+     * Add Bedrock token usage to the caller's daily totals
+     */
+    async function recordTokens(caller, { inputTokens = 0, outputTokens = 0 }) {
+        if (inputTokens === 0 && outputTokens === 0) {
+            return;
+        }
+        try {
+            await client.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: { quotaKey: { S: dayKey(caller) } },
+                UpdateExpression: 'ADD inputTokens :input, outputTokens :output SET #ttl = if_not_exists(#ttl, :ttl)',
+                ExpressionAttributeNames: { '#ttl': 'ttl' },
+                ExpressionAttributeValues: {
+                    ':input': { N: String(inputTokens) },
+                    ':output': { N: String(outputTokens) },
+                    ':ttl': { N: String(nowSeconds() + secondsUntilMidnight() + 24 * 60 * 60) }
+                }
+            }));
+        } catch (error) {
+            console.error('Error recording token usage:', error.name || error.message);
+        }
+    }
+
+    return {
+        consume,
+        recordTokens
+    };
+}
+
+module.exports = {
+    createQuotaStore,
+    identifyCaller,
+    quotaHeaders
+};
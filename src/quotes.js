@@ -0,0 +1,343 @@
+/**
+ * Price quotes for multi-traveller trips
+ * Catalog prices are per person on twin sharing, in INR. buildQuote() itemises a trip for a traveller
+ * composition (adults, children by age, single rooms) with the configured pricing rules and converts it
+ * with the configured exchange-rate table (see fxRates.js), so totals come from code rather than the model.
+ * Used by POST /quote and, through quoteFromMessage(), by the chat flow.
+ */
+const { mentionedPackageIds, scopeFromHistory } = require('./followUps');
+const { formatInr } = require('./intentRouter');
+
+// PRICING_RULES overrides any of these: {"childMaxAge": 11, "childRate": 0.75, ...}
+const DEFAULT_PRICING_RULES = {
+    // Children up to this age pay childRate of the adult price; older children pay the adult price
+    childMaxAge: 11,
+    childRate: 0.75,
+    // Infants up to this age pay infantRate of the adult price
+    infantMaxAge: 1,
+    infantRate: 0.1,
+    // Extra charge per single room, as a share of the adult price
+    singleSupplementRate: 0.35
+};
+
+// Largest party a quote is given for (matches the lead capture limit)
+const MAX_TRAVELLERS = 20;
+
+const PRICE_PATTERN = /\b(total|quote|cost|costs|price|prices|how much|pay|altogether|in total)\b/i;
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT = '(\\d{1,2}|an?|one|two|three|four|five|six|seven|eight|nine|ten)';
+const ADULTS_PATTERN = new RegExp(`\\b${COUNT}\\s+(?:adults?|grown[\\s-]?ups?)\\b`, 'i');
+const PEOPLE_PATTERN = new RegExp(`\\b${COUNT}\\s+(?:people|persons?|pax|travell?ers?|of\\s+us)\\b`, 'i');
+const CHILDREN_PATTERN = new RegExp(`\\b${COUNT}\\s+(?:child|children|kids?)\\b((?:\\s*\\(?\\s*(?:aged?|ages)?\\s*\\d{1,2}(?:\\s*(?:,|and|&)\\s*\\d{1,2})*\\s*(?:years?(?:\\s+old)?|yrs?)?\\)?)?)`, 'i');
+const INFANTS_PATTERN = new RegExp(`\\b${COUNT}\\s+(?:infants?|bab(?:y|ies)|toddlers?)\\b`, 'i');
+const COUPLE_PATTERN = /\b(couple|the two of us|my (wife|husband|partner) and (i|me))\b/i;
+const SOLO_PATTERN = /\b(solo|just me|only me|by myself|on my own|single traveller)\b/i;
+const SINGLE_ROOMS_PATTERN = new RegExp(`\\b${COUNT}\\s+single\\s+rooms?\\b|\\bsingle\\s+(?:room|occupancy|supplement)\\b`, 'i');
+
+// Currency words and symbols recognised in chat messages
+const CURRENCY_NAMES = {
+    usd: 'USD', dollar: 'USD', dollars: 'USD', '$': 'USD',
+    eur: 'EUR', euro: 'EUR', euros: 'EUR', '€': 'EUR',
+    gbp: 'GBP', pound: 'GBP', pounds: 'GBP', sterling: 'GBP', '£': 'GBP',
+    jpy: 'JPY', yen: 'JPY', '¥': 'JPY',
+    thb: 'THB', baht: 'THB', '฿': 'THB',
+    myr: 'MYR', ringgit: 'MYR',
+    sgd: 'SGD',
+    aed: 'AED', dirham: 'AED', dirhams: 'AED',
+    aud: 'AUD', cad: 'CAD', chf: 'CHF', nzd: 'NZD', idr: 'IDR', rupiah: 'IDR', lkr: 'LKR', vnd: 'VND', dong: 'VND',
+    inr: 'INR', rupee: 'INR', rupees: 'INR', '₹': 'INR'
+};
+const CURRENCY_PATTERN = new RegExp(`(?:^|[^\\p{L}])(${Object.keys(CURRENCY_NAMES)
+    .map(name => name.replace(/[$]/g, '\\$'))
+    .sort((a, b) => b.length - a.length)
+    .join('|')})(?![\\p{L}])`, 'iu');
+
+/**
+ * Merge the PRICING_RULES override into the defaults; invalid values are ignored with a warning
+ */
+function parsePricingRules(value) {
+    if (!value) {
+        return { ...DEFAULT_PRICING_RULES };
+    }
+    let overrides;
+    try {
+        overrides = JSON.parse(value);
+    } catch (error) {
+        console.error('Ignoring invalid PRICING_RULES (expected JSON):', error.message);
+        return { ...DEFAULT_PRICING_RULES };
+    }
+    const rules = { ...DEFAULT_PRICING_RULES };
+    for (const [name, setting] of Object.entries(overrides)) {
+        if (name in DEFAULT_PRICING_RULES && typeof setting === 'number' && setting >= 0) {
+            rules[name] = setting;
+        } else {
+            console.warn('Ignoring invalid pricing rule:', name, setting);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Error for a quote that can't be given (name: 'UnsupportedCurrency' | 'ValidationFailed')
+ */
+function quoteError(name, message, details) {
+    const error = new Error(message);
+    error.name = name;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Decimal places used for amounts in a currency (0 for JPY, 2 for USD)
+ */
+function minorUnits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+function roundTo(amount, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Format an amount in a currency (INR with Indian digit grouping)
+ */
+function formatMoney(amount, currency) {
+    if (currency === 'INR') {
+        return formatInr(amount);
+    }
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Sort travellers into pricing bands
+ * travellers: { adults, children: [ages], singleRooms } (a child's age may be null when unknown: child rate)
+ * A lone adult gets a single room unless singleRooms says otherwise
+ */
+function classifyTravellers({ adults, children = [], singleRooms }, rules) {
+    const ages = children.map(age => (age === null || age === undefined ? null : Number(age)));
+    const infants = ages.filter(age => age !== null && age <= rules.infantMaxAge);
+    const childRate = ages.filter(age => age === null || (age > rules.infantMaxAge && age <= rules.childMaxAge));
+    const adultRate = adults + ages.filter(age => age !== null && age > rules.childMaxAge).length;
+    const rooms = singleRooms ?? (adults === 1 && ages.length === 0 ? 1 : 0);
+
+    const details = [];
+    if (!Number.isInteger(adults) || adults < 1) {
+        details.push({ field: 'travellers.adults', message: 'must be at least 1' });
+    }
+    if (adults + ages.length > MAX_TRAVELLERS) {
+        details.push({ field: 'travellers', message: `must be at most ${MAX_TRAVELLERS} people in total` });
+    }
+    if (!Number.isInteger(rooms) || rooms < 0 || rooms > adults) {
+        details.push({ field: 'travellers.singleRooms', message: 'must be between 0 and the number of adults' });
+    }
+    if (details.length > 0) {
+        throw quoteError('ValidationFailed', `Invalid travellers: ${details[0].field} ${details[0].message}`, details);
+    }
+    return { adults, children: ages, adultRate, childRate, infants, singleRooms: rooms };
+}
+
+/**
+ * Build an itemised quote for a package
+ * - travellers: { adults, children: [ages], singleRooms }
+ * - currency: ISO code; must be in the rates table ({ rates, asOf, source } from fxRates.getRates())
+ * Throws quoteError for an unsupported currency or an invalid traveller composition
+ */
+function buildQuote(pkg, travellers, currency, ratesTable, rules = DEFAULT_PRICING_RULES) {
+    const inrPerUnit = ratesTable.rates[currency];
+    if (!inrPerUnit) {
+        const supported = Object.keys(ratesTable.rates).sort();
+        throw quoteError('UnsupportedCurrency', `Quotes are not available in ${currency}`, [
+            { field: 'currency', message: `must be one of: ${supported.join(', ')}` }
+        ]);
+    }
+    const party = classifyTravellers(travellers, rules);
+    const decimals = minorUnits(currency);
+    const convert = amountInr => roundTo(amountInr / inrPerUnit, decimals);
+
+    const items = [
+        { item: 'adult', description: `Adult (age ${rules.childMaxAge + 1}+)`, quantity: party.adultRate, rate: 1 },
+        { item: 'child', description: `Child (age ${rules.infantMaxAge + 1}-${rules.childMaxAge})`, quantity: party.childRate.length, rate: rules.childRate },
+        { item: 'infant', description: `Infant (under ${rules.infantMaxAge + 1})`, quantity: party.infants.length, rate: rules.infantRate },
+        { item: 'singleSupplement', description: 'Single room supplement', quantity: party.singleRooms, rate: rules.singleSupplementRate }
+    ].filter(line => line.quantity > 0);
+
+    const lines = items.map(({ item, description, quantity, rate }) => {
+        const unitPriceInr = Math.round(pkg.costInr * rate);
+        const unitPrice = convert(unitPriceInr);
+        return { item, description, quantity, unitPrice, amount: roundTo(unitPrice * quantity, decimals), unitPriceInr };
+    });
+    const totalInr = lines.reduce((sum, line) => sum + line.unitPriceInr * line.quantity, 0);
+
+    const notes = [`Catalog price: ${formatInr(pkg.costInr)} ${pkg.costNote}`.trim()];
+    // (a lone adult without a single room is a per-person price, e.g. "how much is it in USD?")
+    if (party.singleRooms === 0 && party.adultRate > 1 && party.adultRate % 2 === 1) {
+        notes.push('Prices assume twin sharing; an odd adult may need a single room (supplement not included)');
+    }
+    if (currency !== 'INR') {
+        notes.push(`Converted at ₹${inrPerUnit} per ${currency}${ratesTable.asOf ? ` (rates as of ${ratesTable.asOf})` : ''}; ` +
+            'the trip is billed in INR, so the final amount may differ');
+    }
+
+    return {
+        packageId: pkg.id,
+        packageName: pkg.name,
+        nights: pkg.nights,
+        days: pkg.days,
+        pricePerPersonInr: pkg.costInr,
+        travellers: { adults: party.adults, children: party.children, singleRooms: party.singleRooms },
+        currency,
+        exchangeRate: currency === 'INR' ? null : { inrPerUnit, asOf: ratesTable.asOf, source: ratesTable.source },
+        lines: lines.map(({ unitPriceInr, ...line }) => line),
+        total: roundTo(lines.reduce((sum, line) => sum + line.amount, 0), decimals),
+        totalInr,
+        notes
+    };
+}
+
+/**
+ * Describe a party in words, e.g. "2 adults, 1 child (age 8)"
+ */
+function describeTravellers({ adults, children }) {
+    const parts = [`${adults} adult${adults === 1 ? '' : 's'}`];
+    if (children.length > 0) {
+        const ages = children.filter(age => age !== null);
+        const agesText = ages.length > 0 ? ` (age${ages.length === 1 ? '' : 's'} ${ages.join(', ')})` : '';
+        parts.push(`${children.length} ${children.length === 1 ? 'child' : 'children'}${agesText}`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Render a quote as a chat answer
+ */
+function renderQuote(quote) {
+    const money = amount => formatMoney(amount, quote.currency);
+    let text = `**Quote for ${quote.packageName}** (${quote.nights} Nights / ${quote.days} Days) – ${describeTravellers(quote.travellers)}:\n`;
+    text += quote.lines.map(line => `• ${line.description}: ${line.quantity} × ${money(line.unitPrice)} = ${money(line.amount)}`).join('\n');
+    text += `\n**Total: ${money(quote.total)}**`;
+    if (quote.currency !== 'INR') {
+        text += ` (${formatInr(quote.totalInr)})`;
+    }
+    text += `\n\n${quote.notes.map(note => `_${note}_`).join('\n')}`;
+    return text;
+}
+
+const parseCount = text => NUMBER_WORDS[text.toLowerCase()] ?? parseInt(text, 10);
+
+/**
+ * Currency a message asks for (ISO code), or null
+ * Recognised currencies the rates table doesn't list still come back, so the reply can say they are unsupported;
+ * other codes ("in HKD") count only when ratesTable lists them, so "flights to BLR" or "a trip to USA" are not currencies
+ */
+function parseCurrency(text, ratesTable = null) {
+    const named = text.match(CURRENCY_PATTERN);
+    if (named) {
+        return CURRENCY_NAMES[named[1].toLowerCase()];
+    }
+    const code = text.match(/\b(?:in|to)\s+([A-Z]{3})\b/);
+    return code && ratesTable?.rates?.[code[1]] !== undefined ? code[1] : null;
+}
+
+/**
+ * Traveller composition a message describes ({ adults, children, singleRooms? }), or null
+ */
+function parseTravellers(text) {
+    const adults = text.match(ADULTS_PATTERN);
+    const people = text.match(PEOPLE_PATTERN);
+    const childMatch = text.match(CHILDREN_PATTERN);
+    const infantMatch = text.match(INFANTS_PATTERN);
+    const rooms = text.match(SINGLE_ROOMS_PATTERN);
+
+    let adultCount = adults ? parseCount(adults[1]) : people ? parseCount(people[1]) : null;
+    if (adultCount === null && COUPLE_PATTERN.test(text)) adultCount = 2;
+    if (adultCount === null && SOLO_PATTERN.test(text)) adultCount = 1;
+
+    const children = [];
+    if (childMatch) {
+        const ages = (childMatch[2].match(/\d{1,2}/g) || []).map(Number);
+        const count = parseCount(childMatch[1]);
+        for (let index = 0; index < count; index++) {
+            children.push(ages[index] ?? null);
+        }
+    }
+    if (infantMatch) {
+        for (let index = 0; index < parseCount(infantMatch[1]); index++) {
+            children.push(0);
+        }
+    }
+
+    if (adultCount === null && children.length === 0 && !rooms) {
+        return null;
+    }
+    // "Me and 2 kids", "for us and a child": someone has to travel with the children
+    const travellers = { adults: adultCount ?? 1, children };
+    if (rooms) {
+        travellers.singleRooms = rooms[1] ? parseCount(rooms[1]) : 1;
+    }
+    return travellers;
+}
+
+/**
+ * Whether a message asks for a price for a party or in another currency
+ * ("total for 2 adults and a child", "how much is Japan Highlights in USD")
+ * ratesTable: codes it lists are recognised as currencies too (see parseCurrency)
+ */
+function isQuoteRequest(input, ratesTable = null) {
+    if (!PRICE_PATTERN.test(input)) return false;
+    const currency = parseCurrency(input, ratesTable);
+    return parseTravellers(input) !== null || (currency !== null && currency !== 'INR');
+}
+
+/**
+ * Answer a chat message asking for a quote
+ * The package is the one the message names, or the one the recent turns were about
+ * Returns { text, intent, quote } (quote is null when the package is unclear or the quote can't be given),
+ * or null when the message isn't a quote request
+ */
+function quoteFromMessage(input, packages, conversationHistory, ratesTable, rules = DEFAULT_PRICING_RULES) {
+    if (!isQuoteRequest(input, ratesTable)) {
+        return null;
+    }
+    const travellers = parseTravellers(input) || { adults: 1, children: [], singleRooms: 0 };
+    const currency = parseCurrency(input, ratesTable) || 'INR';
+    const mentioned = mentionedPackageIds(input, packages);
+    const packageIds = mentioned.length > 0 ? mentioned : scopeFromHistory(conversationHistory, packages);
+    const intent = { type: 'quote', filters: { travellers, currency }, packageIds };
+
+    if (packageIds.length !== 1) {
+        const names = packageIds.map(id => packages.find(pkg => pkg.id === id)?.name).filter(Boolean);
+        const text = names.length > 0
+            ? `Which package should I quote – ${names.map(name => `**${name}**`).join(' or ')}?`
+            : 'Which package would you like a quote for? Tell me its name and I will work out the total.';
+        return { text, intent, quote: null };
+    }
+
+    const pkg = packages.find(candidate => candidate.id === packageIds[0]);
+    try {
+        const quote = buildQuote(pkg, travellers, currency, ratesTable, rules);
+        return { text: renderQuote(quote), intent, quote };
+    } catch (error) {
+        if (error.name === 'UnsupportedCurrency') {
+            return { text: `Sorry, I can't quote in ${currency}. Available currencies: ${error.details[0].message.replace('must be one of: ', '')}.`, intent, quote: null };
+        }
+        if (error.name === 'ValidationFailed') {
+            return { text: `I can only quote for 1 to ${MAX_TRAVELLERS} travellers with at least one adult. ` +
+                'For larger groups, please contact us at travelbuddy@asia.com or +91-98765-43210.', intent, quote: null };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    buildQuote,
+    renderQuote,
+    quoteFromMessage,
+    isQuoteRequest,
+    parseTravellers,
+    parseCurrency,
+    parsePricingRules,
+    formatMoney,
+    DEFAULT_PRICING_RULES,
+    MAX_TRAVELLERS
+};
@@ -0,0 +1,291 @@
+/**
+ * Lexical retrieval over the knowledge base
+ * Splits the markdown into heading-based chunks and ranks them with BM25,
+ * so prompts only carry the sections relevant to the user's question
+ *
+ * Functions taking a `corpus` accept either one markdown string or an array of
+ * documents [{ source, content, version? }]; chunks from a document array carry its `source`
+ */
+
+// BM25 tuning constants (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Heading tokens are counted this many times so a match on a package name outranks a passing mention
+const HEADING_WEIGHT = 3;
+
+// Words that carry no retrieval signal
+const RETRIEVAL_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
+    'has', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+    'to', 'was', 'were', 'will', 'with', 'what', 'which', 'who',
+    'where', 'when', 'how', 'can', 'could', 'should', 'would',
+    'me', 'my', 'i', 'you', 'your', 'show', 'tell', 'about', 'any',
+    'do', 'does', 'there', 'this', 'please', 'package', 'packages'
+]);
+
+// Indexes of the most recently used corpora (the catalog outline and the full knowledge base
+// are indexed separately); rebuilt only when a document changes
+const MAX_CACHED_INDEXES = 4;
+const cachedIndexes = new Map();
+
+/**
+ * Split text into lowercase word tokens, dropping stop words
+ * Unicode-aware so non-Latin scripts are not discarded
+ */
+function tokenize(text) {
+    if (!text) return [];
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 0 && !RETRIEVAL_STOP_WORDS.has(token));
+}
+
+/**
+ * Turn a heading into a stable chunk id, e.g. "1. Bangkok & Pattaya Delight – 4 Nights / 5 Days"
+ * becomes "bangkok-pattaya-delight-4-nights-5-days"
+ */
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/^\d+\.\s*/, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(part => part.length > 0)
+        .join('-');
+}
+
+/**
+ * Strip emoji/decorations from a heading so it reads cleanly in prompts
+ */
+function cleanHeading(text) {
+    return text.replace(/[^\p{L}\p{N}\s&–\-\/.,()']/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a markdown document into chunks at '#', '##' and '###' headings
+ * Each chunk keeps its parent section title (e.g. "Thailand Packages") for context
+ * Returns [{ id, title, section, level, text }]
+ */
+function chunkDocument(markdown) {
+    if (!markdown) return [];
+
+    const lines = markdown.split(/\r?\n/);
+    const chunks = [];
+    const usedIds = new Set();
+    let sectionTitle = '';
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const body = current.lines
+            .filter(line => line.trim() !== '---')
+            .join('\n')
+            .trim();
+        // Section headers that only introduce sub-sections carry no content of their own
+        if (body.length > 0) {
+            let id = slugify(current.title) || `chunk-${chunks.length + 1}`;
+            while (usedIds.has(id)) {
+                id += '-' + (chunks.length + 1);
+            }
+            usedIds.add(id);
+            chunks.push({
+                id,
+                title: current.title,
+                section: current.section,
+                level: current.level,
+                text: body
+            });
+        }
+        current = null;
+    };
+
+    for (const line of lines) {
+        const headingMatch = line.match(/^(#{1,3})\s+(.*)$/);
+        if (headingMatch) {
+            flush();
+            const level = headingMatch[1].length;
+            const title = cleanHeading(headingMatch[2]);
+            if (level <= 2) {
+                sectionTitle = title;
+            }
+            current = {
+                title,
+                section: level === 3 ? sectionTitle : '',
+                level,
+                lines: []
+            };
+        } else if (current) {
+            current.lines.push(line);
+        } else if (line.trim()) {
+            // Text before the first heading becomes a preamble chunk
+            current = { title: 'Overview', section: '', level: 0, lines: [line] };
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Identity of a corpus for index reuse (document versions when known, otherwise the text itself)
+ */
+function corpusKey(corpus) {
+    if (typeof corpus === 'string') {
+        return corpus;
+    }
+    return corpus.map(document => `${document.source}\u0000${document.version || document.content}`).join('\u0001');
+}
+
+/**
+ * Chunk a corpus; chunks of a document array are tagged with their source (and its version when known)
+ * Ids stay as in chunkDocument unless two documents share one, in which case the source is prefixed
+ */
+function chunkCorpus(corpus) {
+    if (typeof corpus === 'string') {
+        return chunkDocument(corpus);
+    }
+
+    const chunks = [];
+    const usedIds = new Set();
+    for (const document of corpus) {
+        const sourceSlug = slugify(document.source.replace(/^.*\//, '').replace(/\.[^.]+$/, ''));
+        for (const chunk of chunkDocument(document.content)) {
+            let id = usedIds.has(chunk.id) ? `${sourceSlug}-${chunk.id}` : chunk.id;
+            while (usedIds.has(id)) {
+                id += '-' + (chunks.length + 1);
+            }
+            usedIds.add(id);
+            chunks.push({ ...chunk, id, source: document.source, ...(document.version ? { version: document.version } : {}) });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Build (or reuse) the BM25 index for a corpus
+ */
+function getIndex(corpus) {
+    const key = corpusKey(corpus);
+    if (cachedIndexes.has(key)) {
+        return cachedIndexes.get(key);
+    }
+
+    const chunks = chunkCorpus(corpus);
+    const documentFrequency = new Map();
+    let totalLength = 0;
+
+    const entries = chunks.map(chunk => {
+        const headingTokens = tokenize(`${chunk.section} ${chunk.title}`);
+        const tokens = tokenize(chunk.text);
+        for (let i = 0; i < HEADING_WEIGHT; i++) {
+            tokens.push(...headingTokens);
+        }
+
+        const termFrequency = new Map();
+        for (const token of tokens) {
+            termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+        }
+        for (const term of termFrequency.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+
+        totalLength += tokens.length;
+        return { chunk, termFrequency, length: tokens.length };
+    });
+
+    const index = {
+        entries,
+        documentFrequency,
+        averageLength: entries.length > 0 ? totalLength / entries.length : 0
+    };
+    if (cachedIndexes.size >= MAX_CACHED_INDEXES) {
+        cachedIndexes.delete(cachedIndexes.keys().next().value);
+    }
+    cachedIndexes.set(key, index);
+    return index;
+}
+
+/**
+ * Score every chunk against the query with BM25
+ * Returns [{ chunk, score }] sorted by descending score
+ */
+function scoreChunks(corpus, query) {
+    const index = getIndex(corpus);
+    const queryTerms = [...new Set(tokenize(query))];
+    const totalChunks = index.entries.length;
+
+    const scored = index.entries.map(entry => {
+        let score = 0;
+        for (const term of queryTerms) {
+            const tf = entry.termFrequency.get(term);
+            if (!tf) continue;
+            const df = index.documentFrequency.get(term) || 0;
+            const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+            const lengthNorm = 1 - BM25_B + BM25_B * (entry.length / (index.averageLength || 1));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+        }
+        return { chunk: entry.chunk, score };
+    });
+
+    return scored.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve the top-K chunks relevant to a query
+ * Chunks with a zero score are never returned; an empty result means nothing matched
+ */
+function retrieveChunks(corpus, query, topK) {
+    return scoreChunks(corpus, query)
+        .filter(result => result.score > 0)
+        .slice(0, topK)
+        .map(result => ({
+            ...result.chunk,
+            score: Math.round(result.score * 1000) / 1000
+        }));
+}
+
+/**
+ * One-line-per-chunk outline of the whole document
+ * Lets the model know every package exists without paying for every package body
+ */
+function buildOutline(markdown) {
+    return getIndex(markdown).entries
+        .filter(entry => entry.chunk.level === 3)
+        .map(entry => `- ${entry.chunk.title}${entry.chunk.section ? ` (${entry.chunk.section})` : ''}`)
+        .join('\n');
+}
+
+/**
+ * Format retrieved chunks as prompt context (tagged with their source document when known)
+ */
+function formatChunksForPrompt(chunks) {
+    return chunks
+        .map(chunk => {
+            const heading = chunk.section ? `${chunk.section} > ${chunk.title}` : chunk.title;
+            const source = chunk.source ? `\n[Source: ${chunk.source}]` : '';
+            return `### ${heading}${source}\n${chunk.text}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Summarize chunks for API responses and cache records (no body text)
+ */
+function describeChunks(chunks) {
+    return chunks.map(chunk => ({
+        id: chunk.id,
+        title: chunk.title,
+        score: chunk.score,
+        ...(chunk.source ? { source: chunk.source } : {})
+    }));
+}
+
+module.exports = {
+    tokenize,
+    chunkDocument,
+    scoreChunks,
+    retrieveChunks,
+    buildOutline,
+    formatChunksForPrompt,
+    describeChunks
+};
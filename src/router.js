@@ -0,0 +1,130 @@
+/**
+ * Request router
+ * Normalizes API Gateway REST (payload v1), HTTP API (payload v2) and Lambda Function URL events
+ * into one request shape and dispatches them by method + path to route handlers.
+ * Unknown paths get 404, known paths with another method get 405 (with an Allow header),
+ * and OPTIONS on a known path is answered as a CORS preflight.
+ * Routes with a schema get their params, query and body validated before the handler runs (400 on failure).
+ */
+const { errorResponse, preflightResponse } = require('./http');
+const { describeFailure, validateRequest } = require('./validation');
+
+/**
+ * Normalize a Lambda HTTP event
+ * Returns { version: 'v1' | 'v2' | 'function_url', method, path, headers, query, body, requestId }
+ * - headers are lower-cased; body is the decoded string ('' when absent)
+ * - HTTP API paths have the stage prefix removed (REST API paths never include it)
+ */
+function normalizeRequest(event) {
+    const context = event.requestContext || {};
+    let version;
+    let method;
+    let path;
+    if (event.version === '2.0' || context.http) {
+        version = /\.lambda-url\./.test(context.domainName || '') ? 'function_url' : 'v2';
+        method = context.http?.method;
+        path = event.rawPath || context.http?.path || '/';
+        if (context.stage && context.stage !== '$default' && path.startsWith(`/${context.stage}/`)) {
+            path = path.slice(context.stage.length + 1);
+        }
+    } else {
+        version = 'v1';
+        method = event.httpMethod;
+        path = event.path || '/';
+    }
+
+    const headers = Object.fromEntries(
+        Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const rawBody = event.body || '';
+    const body = event.isBase64Encoded ? Buffer.from(rawBody, 'base64').toString('utf-8') : rawBody;
+
+    return {
+        version,
+        method: (method || 'GET').toUpperCase(),
+        // Trailing slashes are ignored ("/packages/" routes like "/packages")
+        path: path.length > 1 ? path.replace(/\/+$/, '') : path,
+        headers,
+        query: event.queryStringParameters || {},
+        body,
+        requestId: context.requestId || 'N/A'
+    };
+}
+
+/**
+ * Compile a path template ("/sessions/{id}") into a matcher returning its params or null
+ */
+function compilePath(template) {
+    const names = [];
+    const source = template.replace(/\{(\w+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    const pattern = new RegExp(`^${source}$`);
+    return path => {
+        const match = path.match(pattern);
+        if (!match) return null;
+        try {
+            return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        } catch (error) {
+            // Malformed percent-encoding can't name a resource
+            return null;
+        }
+    };
+}
+
+/**
+ * Create a router from a route table: [{ method, path, handler, schema? }]
+ * - handler(request, event) returns a Lambda proxy response; request.params holds the path parameters
+ *   and request.json the parsed body (when the route has a body schema)
+ * - schema: { params, query, body } JSON Schemas (see validation.js)
+ * - onError(error, request) turns an uncaught handler error into a response
+ * Returns an async (event) => response function
+ */
+function createRouter(routes, { onError }) {
+    const compiled = routes.map(route => ({ ...route, method: route.method.toUpperCase(), match: compilePath(route.path) }));
+
+    return async function route(event) {
+        const request = normalizeRequest(event);
+        const candidates = compiled
+            .map(candidate => ({ candidate, params: candidate.match(request.path) }))
+            .filter(({ params }) => params !== null);
+
+        if (candidates.length === 0) {
+            return errorResponse(404, 'NotFound', `No route for ${request.method} ${request.path}`, { requestId: request.requestId });
+        }
+
+        const methods = [...new Set(candidates.map(({ candidate }) => candidate.method))];
+        if (request.method === 'OPTIONS') {
+            return preflightResponse(methods);
+        }
+
+        const matched = candidates.find(({ candidate }) => candidate.method === request.method);
+        if (!matched) {
+            return errorResponse(405, 'MethodNotAllowed', `${request.method} is not allowed on ${request.path}`, {
+                details: [{ allowedMethods: methods, message: `Allowed methods: ${methods.join(', ')}` }],
+                requestId: request.requestId,
+                headers: { Allow: [...methods, 'OPTIONS'].join(',') }
+            });
+        }
+
+        request.params = matched.params;
+        if (matched.candidate.schema) {
+            const { json, details } = validateRequest(matched.candidate.schema, request);
+            if (details.length > 0) {
+                return errorResponse(400, 'ValidationFailed', describeFailure(details), { details, requestId: request.requestId });
+            }
+            request.json = json;
+        }
+        try {
+            return await matched.candidate.handler(request, event);
+        } catch (error) {
+            return onError(error, request);
+        }
+    };
+}
+
+module.exports = {
+    createRouter,
+    normalizeRequest
+};
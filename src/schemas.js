@@ -0,0 +1,188 @@
+/**
+ * JSON Schemas for route request bodies, query strings and path parameters (see validation.js)
+ * Query string and path values always arrive as strings, so numbers and dates are matched by pattern
+ */
+const { LANGUAGE_CODES } = require('./language');
+const { SORT_ORDERS } = require('./cacheAdmin');
+
+const SESSION_ID = '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+const NUMBER = '^\\d+(\\.\\d+)?$';
+const DATE = '^\\d{4}-\\d{2}-\\d{2}$';
+const PAGE_SIZE = '^([1-9]|[1-9]\\d|100)$';
+const CURRENCY = '^[A-Z]{3}$';
+const REQUEST_ID = '^[A-Za-z0-9-]{1,100}$';
+const ANSWER_KEY = '^answer:[0-9a-f]{64}$';
+
+const numberParam = { type: 'string', pattern: NUMBER, patternMessage: 'must be a non-negative number' };
+const dateParam = { type: 'string', pattern: DATE, patternMessage: 'must be a date in YYYY-MM-DD format' };
+const sessionId = { type: 'string', pattern: SESSION_ID, patternMessage: 'must be a session id returned by a previous response' };
+const cacheKey = { type: 'string', minLength: 1, maxLength: 200 };
+const language = { type: 'string', enum: LANGUAGE_CODES };
+
+/**
+ * Build the route schemas
+ * - maxInputLength: longest chat message (MAX_INPUT_LENGTH)
+ * - maxHistoryTurns: longest conversationHistory a client may send (SESSION_MAX_TURNS)
+ * - maxHistoryMessageLength: longest content of one conversationHistory message
+ * - maxWarmQuestions: most questions one cache warm request may send (CACHE_WARM_MAX_QUESTIONS)
+ */
+function createSchemas({ maxInputLength, maxHistoryTurns, maxHistoryMessageLength, maxWarmQuestions }) {
+    const question = { type: 'string', maxLength: maxInputLength, pattern: '\\S', patternMessage: 'must not be empty' };
+
+    const chatBody = {
+        type: 'object',
+        required: ['input'],
+        additionalProperties: false,
+        properties: {
+            input: question,
+            sessionId: { ...sessionId, type: ['string', 'null'] },
+            // Accepted for older clients but ignored: history is loaded from the session
+            conversationHistory: {
+                type: 'array',
+                maxItems: maxHistoryTurns,
+                items: {
+                    type: 'object',
+                    required: ['role', 'content'],
+                    additionalProperties: false,
+                    properties: {
+                        role: { type: 'string', enum: ['user', 'assistant'] },
+                        content: { type: 'string', maxLength: maxHistoryMessageLength }
+                    }
+                }
+            }
+        }
+    };
+
+    return {
+        chat: { body: chatBody },
+        suggestions: { query: { type: 'object', additionalProperties: false, properties: { language } } },
+        packages: {
+            query: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    country: { type: 'string', maxLength: 100 },
+                    maxPrice: numberParam,
+                    nights: numberParam,
+                    minNights: numberParam,
+                    maxNights: numberParam
+                }
+            }
+        },
+        package: {
+            params: { type: 'object', properties: { id: { type: 'string', minLength: 1, maxLength: 200 } } }
+        },
+        quote: {
+            body: {
+                type: 'object',
+                required: ['packageId', 'travellers'],
+                additionalProperties: false,
+                properties: {
+                    packageId: { type: 'string', minLength: 1, maxLength: 200 },
+                    travellers: {
+                        type: 'object',
+                        required: ['adults'],
+                        additionalProperties: false,
+                        properties: {
+                            adults: { type: 'integer', minimum: 1, maximum: 20 },
+                            children: { type: 'array', maxItems: 10, items: { type: 'integer', minimum: 0, maximum: 17 } },
+                            singleRooms: { type: 'integer', minimum: 0, maximum: 20 }
+                        }
+                    },
+                    currency: { type: 'string', pattern: CURRENCY, patternMessage: 'must be a three-letter currency code such as USD' }
+                }
+            }
+        },
+        session: {
+            params: { type: 'object', properties: { id: sessionId } }
+        },
+        feedback: {
+            body: {
+                type: 'object',
+                required: ['sessionId', 'requestId', 'rating'],
+                additionalProperties: false,
+                properties: {
+                    sessionId,
+                    requestId: { type: 'string', pattern: REQUEST_ID, patternMessage: 'must be the requestId of a previous response' },
+                    rating: { type: 'string', enum: ['up', 'down'] },
+                    comment: { type: 'string', maxLength: 1000 },
+                    queryHash: { type: 'string', pattern: ANSWER_KEY, patternMessage: 'must be the queryHash of a previous response' }
+                }
+            }
+        },
+        usage: {
+            query: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { from: dateParam, to: dateParam }
+            }
+        },
+        feedbackReport: {
+            query: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    limit: { type: 'string', pattern: PAGE_SIZE, patternMessage: 'must be a whole number from 1 to 100' }
+                }
+            }
+        },
+        cachePurge: {
+            body: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { docVersion: { type: 'string', minLength: 1, maxLength: 64 } }
+            }
+        },
+        cacheList: {
+            query: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    limit: { type: 'string', pattern: PAGE_SIZE, patternMessage: 'must be a whole number from 1 to 100' },
+                    cursor: { type: 'string', maxLength: 2000 },
+                    sort: { type: 'string', enum: SORT_ORDERS },
+                    kind: { type: 'string', enum: ['answer', 'suggestions', 'legacy'] }
+                }
+            }
+        },
+        cacheEntry: {
+            params: { type: 'object', properties: { key: cacheKey } }
+        },
+        cacheLookup: {
+            query: {
+                type: 'object',
+                required: ['query'],
+                additionalProperties: false,
+                properties: {
+                    query: question,
+                    model: { type: 'string', minLength: 1, maxLength: 200 },
+                    language
+                }
+            }
+        },
+        cacheDelete: {
+            body: {
+                type: 'object',
+                required: ['pattern'],
+                additionalProperties: false,
+                properties: {
+                    pattern: { type: 'string', minLength: 1, maxLength: 200 },
+                    dryRun: { type: 'boolean' }
+                }
+            }
+        },
+        cacheWarm: {
+            body: {
+                type: 'object',
+                required: ['questions'],
+                additionalProperties: false,
+                properties: {
+                    questions: { type: 'array', minItems: 1, maxItems: maxWarmQuestions, items: question },
+                    concurrency: { type: 'integer', minimum: 1, maximum: 10 }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createSchemas };
@@ -0,0 +1,238 @@
+/**
+ * Server-side conversation sessions stored in DynamoDB
+ * The client only sends a sessionId; turns are appended by the handler after each answer,
+ * so the history sent to Bedrock can't contain client-invented assistant turns
+ *
+ * Item shape:
+ *   sessionId (S), turns (L of M { role, content, timestamp }), createdAt (N), updatedAt (N), ttl (N)
+ *   assistant turns add requestId (S) and, for cached answers, queryHash (S) - what feedback on the answer refers to
+ *   summary (S), summaryThrough (N) - running summary of every turn with timestamp <= summaryThrough
+ *   lead (S JSON) - booking lead being collected (see leadCapture.js), removed once submitted or cancelled
+ */
+const { GetItemCommand, PutItemCommand, UpdateItemCommand, DeleteItemCommand } = require('@aws-sdk/client-dynamodb');
+const crypto = require('crypto');
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Convert a stored turn (DynamoDB map) to { role, content, timestamp, requestId?, queryHash? }
+ */
+function fromTurnItem(item) {
+    const turn = {
+        role: item.M.role.S,
+        content: item.M.content.S,
+        timestamp: parseInt(item.M.timestamp?.N || '0', 10)
+    };
+    for (const key of ['requestId', 'queryHash']) {
+        if (item.M[key]) {
+            turn[key] = item.M[key].S;
+        }
+    }
+    return turn;
+}
+
+/**
+ * Convert a turn to a DynamoDB map
+ */
+function toTurnItem(turn) {
+    const item = {
+        role: { S: turn.role },
+        content: { S: turn.content },
+        timestamp: { N: String(turn.timestamp || Date.now()) }
+    };
+    for (const key of ['requestId', 'queryHash']) {
+        if (turn[key]) {
+            item[key] = { S: turn[key] };
+        }
+    }
+    return { M: item };
+}
+
+/**
+ * Create a session store
+ * - ttlSeconds: session lifetime, refreshed on every append
+ * - maxTurns: turns kept per session (oldest dropped when exceeded)
+ */
+function createSessionStore({ client, tableName, ttlSeconds = 24 * 60 * 60, maxTurns = 40 }) {
+    const expiry = () => Math.floor(Date.now() / 1000) + ttlSeconds;
+
+    /**
+     * Check a client-supplied session id is well formed (UUID v4 as issued by createSession)
+     */
+    function isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    /**
+     * Create an empty session and return it
+     */
+    async function createSession() {
+        const now = Date.now();
+        const session = {
+            sessionId: crypto.randomUUID(),
+            turns: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        await client.send(new PutItemCommand({
+            TableName: tableName,
+            Item: {
+                sessionId: { S: session.sessionId },
+                turns: { L: [] },
+                createdAt: { N: String(now) },
+                updatedAt: { N: String(now) },
+                ttl: { N: String(expiry()) }
+            },
+            ConditionExpression: 'attribute_not_exists(sessionId)'
+        }));
+        console.log('Created session:', session.sessionId);
+        return session;
+    }
+
+    /**
+     * Load a session; returns null if it doesn't exist or has expired
+     * (DynamoDB TTL deletion is lazy, so expiry is also checked on read)
+     */
+    async function getSession(sessionId) {
+        if (!isValidSessionId(sessionId)) {
+            return null;
+        }
+
+        const response = await client.send(new GetItemCommand({
+            TableName: tableName,
+            Key: { sessionId: { S: sessionId } },
+            ConsistentRead: true
+        }));
+
+        const item = response.Item;
+        if (!item) {
+            return null;
+        }
+        if (parseInt(item.ttl?.N || '0', 10) <= Math.floor(Date.now() / 1000)) {
+            console.log('Session expired:', sessionId);
+            return null;
+        }
+
+        return {
+            sessionId,
+            turns: (item.turns?.L || []).map(fromTurnItem),
+            createdAt: parseInt(item.createdAt?.N || '0', 10),
+            updatedAt: parseInt(item.updatedAt?.N || '0', 10),
+            summary: item.summary?.S || null,
+            summaryThrough: parseInt(item.summaryThrough?.N || '0', 10),
+            lead: item.lead ? JSON.parse(item.lead.S) : null
+        };
+    }
+
+    /**
+     * Append turns to a session
+     * Uses an atomic list_append while under maxTurns; past the limit the list is trimmed and rewritten
+     */
+    async function appendTurns(sessionId, newTurns) {
+        const now = Date.now();
+        const stamped = newTurns.map(turn => ({ ...turn, timestamp: turn.timestamp || now }));
+
+        try {
+            await client.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: { sessionId: { S: sessionId } },
+                UpdateExpression: 'SET turns = list_append(if_not_exists(turns, :empty), :newTurns), updatedAt = :now, #ttl = :ttl',
+                ConditionExpression: 'attribute_exists(sessionId) AND size(turns) <= :limit',
+                ExpressionAttributeNames: { '#ttl': 'ttl' },
+                ExpressionAttributeValues: {
+                    ':empty': { L: [] },
+                    ':newTurns': { L: stamped.map(toTurnItem) },
+                    ':now': { N: String(now) },
+                    ':ttl': { N: String(expiry()) },
+                    ':limit': { N: String(maxTurns - stamped.length) }
+                }
+            }));
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+
+            // Session is full (or gone): trim to the newest turns and rewrite
+            const session = await getSession(sessionId);
+            if (!session) {
+                console.warn('Cannot append turns - session not found:', sessionId);
+                return;
+            }
+            const turns = session.turns.concat(stamped).slice(-maxTurns);
+            const item = {
+                sessionId: { S: sessionId },
+                turns: { L: turns.map(toTurnItem) },
+                createdAt: { N: String(session.createdAt) },
+                updatedAt: { N: String(now) },
+                ttl: { N: String(expiry()) }
+            };
+            if (session.summary) {
+                item.summary = { S: session.summary };
+                item.summaryThrough = { N: String(session.summaryThrough) };
+            }
+            if (session.lead) {
+                item.lead = { S: JSON.stringify(session.lead) };
+            }
+            await client.send(new PutItemCommand({
+                TableName: tableName,
+                Item: item
+            }));
+        }
+    }
+
+    /**
+     * Save the running summary of older turns (covers every turn with timestamp <= summaryThrough)
+     */
+    async function saveSummary(sessionId, summary, summaryThrough) {
+        await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { sessionId: { S: sessionId } },
+            UpdateExpression: 'SET summary = :summary, summaryThrough = :through',
+            ConditionExpression: 'attribute_exists(sessionId)',
+            ExpressionAttributeValues: {
+                ':summary': { S: summary },
+                ':through': { N: String(summaryThrough) }
+            }
+        }));
+    }
+
+    /**
+     * Save the lead draft being collected, or remove it (lead = null)
+     */
+    async function saveLead(sessionId, lead) {
+        await client.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: { sessionId: { S: sessionId } },
+            UpdateExpression: lead ? 'SET lead = :lead' : 'REMOVE lead',
+            ConditionExpression: 'attribute_exists(sessionId)',
+            ExpressionAttributeValues: lead ? { ':lead': { S: JSON.stringify(lead) } } : undefined
+        }));
+    }
+
+    /**
+     * Delete a session; returns true if it existed
+     */
+    async function deleteSession(sessionId) {
+        if (!isValidSessionId(sessionId)) {
+            return false;
+        }
+        const response = await client.send(new DeleteItemCommand({
+            TableName: tableName,
+            Key: { sessionId: { S: sessionId } },
+            ReturnValues: 'ALL_OLD'
+        }));
+        return Boolean(response.Attributes);
+    }
+
+    return {
+        isValidSessionId,
+        createSession,
+        getSession,
+        appendTurns,
+        saveSummary,
+        saveLead,
+        deleteSession
+    };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,221 @@
+/**
+ * Usage ledger: one DynamoDB record per Bedrock call and per cache hit, with its USD cost
+ * Cache hits record the tokens (and cost) the cached answer originally took, as the saving
+ *
+ * Item shape (partition key day, sort key recordId, items expire via ttl):
+ *   day (S YYYY-MM-DD), recordId (S <ISO timestamp>#<random>), hour (S YYYY-MM-DDTHH),
+ *   kind (S chat | suggestions | summary | rewrite), model (S), inputTokens (N), outputTokens (N),
+ *   cached (BOOL), costUsd (N), savedUsd (N), ttl (N)
+ */
+const { PutItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const crypto = require('crypto');
+
+// USD per 1M tokens (on-demand pricing); matched against model ids by substring, longest match wins
+const DEFAULT_PRICES = {
+    'anthropic.claude-3-haiku': { input: 0.25, output: 1.25 },
+    'anthropic.claude-3-5-haiku': { input: 0.8, output: 4 },
+    'anthropic.claude-3-sonnet': { input: 3, output: 15 },
+    'anthropic.claude-3-5-sonnet': { input: 3, output: 15 },
+    'anthropic.claude-3-opus': { input: 15, output: 75 },
+    'amazon.titan-text-lite': { input: 0.15, output: 0.2 },
+    'amazon.titan-text-express': { input: 0.2, output: 0.6 },
+    'meta.llama3-8b-instruct': { input: 0.3, output: 0.6 },
+    'meta.llama3-70b-instruct': { input: 2.65, output: 3.5 }
+};
+
+// Longest date range GET /usage aggregates in one request
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Round a USD amount for reporting
+ */
+function roundUsd(amount) {
+    return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Empty aggregate bucket
+ */
+function emptyBucket() {
+    return { bedrockCalls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, savedUsd: 0 };
+}
+
+/**
+ * Add a ledger record to a bucket
+ */
+function addToBucket(bucket, record) {
+    if (record.cached) {
+        bucket.cacheHits++;
+        bucket.savedUsd += record.savedUsd;
+    } else {
+        bucket.bedrockCalls++;
+        bucket.inputTokens += record.inputTokens;
+        bucket.outputTokens += record.outputTokens;
+        bucket.costUsd += record.costUsd;
+    }
+}
+
+/**
+ * Finished bucket for the response: rounded amounts plus the share of calls served from cache
+ */
+function finishBucket(bucket) {
+    const calls = bucket.bedrockCalls + bucket.cacheHits;
+    return {
+        ...bucket,
+        costUsd: roundUsd(bucket.costUsd),
+        savedUsd: roundUsd(bucket.savedUsd),
+        cacheHitRatio: calls > 0 ? Math.round((bucket.cacheHits / calls) * 10000) / 10000 : 0
+    };
+}
+
+/**
+ * Every YYYY-MM-DD date from `from` to `to` inclusive
+ */
+function datesBetween(from, to) {
+    const dates = [];
+    for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        dates.push(day.toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+/**
+ * Create a usage ledger
+ * - prices: overrides for DEFAULT_PRICES (same shape, USD per 1M tokens)
+ * - ttlDays: how long records are kept
+ */
+function createUsageLedger({ client, tableName, prices = {}, ttlDays = 90 }) {
+    const priceTable = { ...DEFAULT_PRICES, ...prices };
+    const unpricedModels = new Set();
+
+    /**
+     * USD cost of a call; unknown models cost 0 (logged once per container)
+     */
+    function costOf(model, inputTokens, outputTokens) {
+        const match = Object.keys(priceTable)
+            .filter(prefix => model && model.includes(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!match) {
+            if (!unpricedModels.has(model)) {
+                unpricedModels.add(model);
+                console.warn('No price configured for model (cost recorded as 0):', model);
+            }
+            return 0;
+        }
+        const price = priceTable[match];
+        return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+    }
+
+    /**
+     * Record a Bedrock call or a cache hit
+     * - kind: 'chat' | 'suggestions' | 'summary' | 'rewrite'
+     * - cached: true when the call was avoided by the cache (tokens are those the cached answer took)
+     * Ledger failures are logged and never fail the request
+     */
+    async function record({ kind, model, inputTokens = 0, outputTokens = 0, cached = false }) {
+        const now = new Date();
+        const iso = now.toISOString();
+        const cost = costOf(model, inputTokens, outputTokens);
+        try {
+            await client.send(new PutItemCommand({
+                TableName: tableName,
+                Item: {
+                    day: { S: iso.slice(0, 10) },
+                    recordId: { S: `${iso}#${crypto.randomBytes(4).toString('hex')}` },
+                    hour: { S: iso.slice(0, 13) },
+                    kind: { S: kind },
+                    model: { S: model || 'unknown' },
+                    inputTokens: { N: String(inputTokens) },
+                    outputTokens: { N: String(outputTokens) },
+                    cached: { BOOL: cached },
+                    costUsd: { N: String(cached ? 0 : cost) },
+                    savedUsd: { N: String(cached ? cost : 0) },
+                    ttl: { N: String(Math.floor(now.getTime() / 1000) + ttlDays * 24 * 60 * 60) }
+                }
+            }));
+        } catch (error) {
+            console.error('Error writing usage ledger record:', error.name || error.message);
+        }
+    }
+
+    /**
+     * All ledger records for one day
+     */
+    async function recordsForDay(day) {
+        const records = [];
+        let exclusiveStartKey;
+        do {
+            const page = await client.send(new QueryCommand({
+                TableName: tableName,
+                KeyConditionExpression: '#day = :day',
+                ExpressionAttributeNames: { '#day': 'day' },
+                ExpressionAttributeValues: { ':day': { S: day } },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            for (const item of page.Items || []) {
+                records.push({
+                    day,
+                    hour: item.hour.S,
+                    kind: item.kind.S,
+                    model: item.model.S,
+                    inputTokens: parseInt(item.inputTokens.N, 10),
+                    outputTokens: parseInt(item.outputTokens.N, 10),
+                    cached: item.cached.BOOL === true,
+                    costUsd: parseFloat(item.costUsd.N),
+                    savedUsd: parseFloat(item.savedUsd.N)
+                });
+            }
+            exclusiveStartKey = page.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return records;
+    }
+
+    /**
+     * Aggregate the ledger between two UTC dates (inclusive, YYYY-MM-DD)
+     * Returns { from, to, totals, byKind, byModel, daily: [{ date, ... }], hourly: [{ hour, ... }] }
+     * where every bucket is { bedrockCalls, cacheHits, cacheHitRatio, inputTokens, outputTokens, costUsd, savedUsd }
+     * (token counts are billed tokens; savedUsd is what the cache hits would have cost)
+     */
+    async function summarize(from, to) {
+        const totals = emptyBucket();
+        const byKind = {};
+        const byModel = {};
+        const daily = {};
+        const hourly = {};
+        const bucketIn = (map, key) => (map[key] = map[key] || emptyBucket());
+
+        for (const day of datesBetween(from, to)) {
+            daily[day] = emptyBucket();
+            for (const record of await recordsForDay(day)) {
+                addToBucket(totals, record);
+                addToBucket(daily[day], record);
+                addToBucket(bucketIn(hourly, record.hour), record);
+                addToBucket(bucketIn(byKind, record.kind), record);
+                addToBucket(bucketIn(byModel, record.model), record);
+            }
+        }
+
+        const finishMap = map => Object.fromEntries(Object.entries(map).map(([key, bucket]) => [key, finishBucket(bucket)]));
+        return {
+            from,
+            to,
+            totals: finishBucket(totals),
+            byKind: finishMap(byKind),
+            byModel: finishMap(byModel),
+            daily: Object.entries(daily).map(([date, bucket]) => ({ date, ...finishBucket(bucket) })),
+            hourly: Object.entries(hourly).sort(([a], [b]) => a.localeCompare(b)).map(([hour, bucket]) => ({ hour, ...finishBucket(bucket) }))
+        };
+    }
+
+    return {
+        record,
+        summarize,
+        costOf
+    };
+}
+
+module.exports = {
+    createUsageLedger,
+    DEFAULT_PRICES,
+    MAX_RANGE_DAYS
+};
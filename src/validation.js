@@ -0,0 +1,140 @@
+/**
+ * Request validation against JSON Schema (the subset the route schemas use)
+ * Supported keywords: type, enum, properties, required, additionalProperties (boolean),
+ * minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems
+ *
+ * Failures are returned as details: [{ field, message }] where field is a path like
+ * "body.conversationHistory[2].role" (empty details = valid)
+ */
+
+/**
+ * JSON Schema type name of a value ('integer' values also match 'number')
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a schema `type` (a name or a list of names)
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * Returns the list of failures; validation stops descending into a value whose type is wrong
+ */
+function validate(schema, value, field = '') {
+    const details = [];
+    const fail = message => details.push({ field, message });
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be of type ${[].concat(schema.type).join(' or ')}`);
+        return details;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters (got ${value.length})`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.patternMessage || `must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items (got ${value.length})`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => details.push(...validate(schema.items, item, `${field}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const child = name => (field ? `${field}.${name}` : name);
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                details.push({ field: child(name), message: 'is required' });
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                if (propertyValue !== undefined) {
+                    details.push(...validate(properties[name], propertyValue, child(name)));
+                }
+            } else if (schema.additionalProperties === false) {
+                details.push({ field: child(name), message: 'is not an allowed property' });
+            }
+        }
+    }
+
+    return details;
+}
+
+/**
+ * Parse and validate the parts of a normalized request that a route schema covers
+ * - schema: { body, query, params } (each optional)
+ * - An empty body validates as {}; a body that isn't JSON is reported on the `body` field
+ * Returns { json, details } where json is the parsed body (undefined without a body schema)
+ */
+function validateRequest(schema, request) {
+    const details = [];
+    let json;
+
+    if (schema.params) {
+        details.push(...validate(schema.params, request.params || {}, 'params'));
+    }
+    if (schema.query) {
+        details.push(...validate(schema.query, request.query || {}, 'query'));
+    }
+    if (schema.body) {
+        try {
+            json = request.body ? JSON.parse(request.body) : {};
+        } catch (parseError) {
+            details.push({ field: 'body', message: 'must be valid JSON' });
+            return { json, details };
+        }
+        details.push(...validate(schema.body, json, 'body'));
+    }
+
+    return { json, details };
+}
+
+/**
+ * One-line message for a failed validation (the first failure; the rest are in details)
+ */
+function describeFailure(details) {
+    const more = details.length > 1 ? ` (and ${details.length - 1} more)` : '';
+    return `Invalid request: ${details[0].field} ${details[0].message}${more}`;
+}
+
+module.exports = {
+    describeFailure,
+    validate,
+    validateRequest
+};
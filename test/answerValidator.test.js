@@ -0,0 +1,44 @@
+/**
+ * Answer validator: catalog prices under the pricing rules, derived prices in context, invented prices and packages
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCatalog } = require('../src/catalog');
+const { validateAnswer } = require('../src/answerValidator');
+const { DEFAULT_PRICING_RULES } = require('../src/quotes');
+
+const { packages } = parseCatalog(fs.readFileSync(path.join(__dirname, '..', 'knowledge_base', 'travel_details.md'), 'utf8'));
+
+test('child, infant and single-room prices and party totals follow the pricing rules', () => {
+    const answer = 'Bangkok & Pattaya Delight is ₹68,000 per person, and kids pay ₹51,000. Infants are ₹6,800, ' +
+        'a single room adds ₹23,800, and two adults with one child come to ₹1,87,000.';
+    assert.deepStrictEqual(validateAnswer(answer, packages, { pricingRules: DEFAULT_PRICING_RULES }), { passed: true, issues: [] });
+
+    // A different child rate changes which amounts are right
+    const halfPrice = validateAnswer(answer, packages, { pricingRules: { childRate: 0.5, infantRate: 0.1, singleSupplementRate: 0.35 } });
+    assert.deepStrictEqual(halfPrice.issues.map(issue => issue.text), ['₹51,000', '₹1,87,000']);
+});
+
+test('prices and durations that are not in the catalog are flagged', () => {
+    const result = validateAnswer('The Bali Romantic Escape costs ₹79,000 for 6 Nights / 7 Days.', packages);
+    assert.deepStrictEqual(result.issues.map(issue => issue.type), ['wrong_price', 'wrong_duration']);
+    assert.match(result.issues[0].message, /Bali Romantic Escape cost of ₹88,000 per person/);
+});
+
+test('derived prices are only accepted next to the travellers or rooms they are for', () => {
+    const rules = { pricingRules: DEFAULT_PRICING_RULES };
+    const flagged = answer => validateAnswer(answer, packages, rules).issues.map(issue => issue.text);
+
+    // ₹66,000 is the Bali child price, ₹30,800 its single room supplement, ₹23,800 the Bangkok one
+    assert.deepStrictEqual(flagged('The Bali Romantic Escape costs ₹66,000 per person.'), ['₹66,000']);
+    assert.deepStrictEqual(flagged('The Bali Romantic Escape costs ₹30,800 per person.'), ['₹30,800']);
+    assert.deepStrictEqual(flagged('A romantic week in Bali costs ₹23,800 per person.'), ['₹23,800']);
+    assert.deepStrictEqual(flagged('The Bali Romantic Escape costs ₹88,000 per person, so ₹1,76,000 for two.'), []);
+    assert.deepStrictEqual(flagged('The Bali Romantic Escape costs ₹88,000 per person.\n- Children: ₹66,000\n- Single room supplement: ₹30,800'), []);
+    assert.deepStrictEqual(flagged('The Bali Romantic Escape for a family of two adults and two kids comes to ₹3,08,000.'), []);
+
+    // Without pricing rules only the adult price and its multiples are accepted
+    assert.deepStrictEqual(validateAnswer('The Bali Romantic Escape costs ₹66,000 for a child.', packages).issues.map(issue => issue.text), ['₹66,000']);
+});
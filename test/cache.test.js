@@ -0,0 +1,149 @@
+/**
+ * Query cache: normalization, hit/miss, generic-query bypass, semantic matches, document versions and TTL expiry
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createLocalApp } = require('../local/harness');
+const { ask, chatCalls } = require('./helpers');
+
+// Catalog questions are answered without Bedrock; these tests exercise the cache → Bedrock path
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false' };
+
+test('normalization maps rephrasings to the same cache entry', async () => {
+    const app = createLocalApp({ env });
+
+    const first = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.source, 'bedrock');
+
+    // Case, punctuation and stop words are ignored
+    const second = await ask(app, 'VISA requirements Bali!!');
+    assert.strictEqual(second.body.source, 'cache');
+    assert.strictEqual(second.body.cacheType, 'exact');
+    assert.strictEqual(second.body.bedrockResponse, first.body.bedrockResponse);
+    assert.strictEqual(chatCalls(app).length, 1);
+});
+
+test('a different question is a cache miss', async () => {
+    const app = createLocalApp({ env });
+
+    await ask(app, 'What are the visa requirements for Bali?');
+    const other = await ask(app, 'What are the visa requirements for Singapore?');
+    assert.strictEqual(other.body.source, 'bedrock');
+    assert.strictEqual(other.body.cached, false);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('cache hits return the original usage without calling Bedrock', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue({ text: 'Visa on arrival is available.', inputTokens: 900, outputTokens: 40 });
+
+    await ask(app, 'Do I need a visa for Bali?');
+    const hit = await ask(app, 'do i need a visa for bali');
+    assert.strictEqual(hit.body.cached, true);
+    assert.strictEqual(hit.body.usage.inputTokens, 900);
+    assert.strictEqual(hit.body.usage.outputTokens, 40);
+    assert.strictEqual(chatCalls(app).length, 1);
+});
+
+test('generic follow-ups bypass the cache', async () => {
+    const app = createLocalApp({ env });
+
+    const first = await ask(app, 'tell me more');
+    const second = await ask(app, 'Tell me more!', first.body.sessionId);
+    assert.strictEqual(first.body.source, 'bedrock');
+    assert.strictEqual(second.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+
+    const cached = app.dynamodb.items('travelbuddy-query-cache').filter(item => item.queryText?.S === 'tell me more');
+    assert.deepStrictEqual(cached, []);
+});
+
+test('short context-dependent replies bypass the cache', async () => {
+    const app = createLocalApp({ env });
+
+    await ask(app, 'yes');
+    await ask(app, 'Yes.');
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('a catalog update makes cached answers stale, an edit to another document does not', async () => {
+    const app = createLocalApp({ env: { ...env, DOCUMENT_REVALIDATE_SECONDS: '0' } });
+    const catalog = fs.readFileSync(path.join(__dirname, '..', 'knowledge_base', 'travel_details.md'), 'utf8');
+
+    await ask(app, 'What are the visa requirements for Bali?');
+    app.s3.putObject('knowledge_base/visa_notes.md', '# Visa notes\n\nBali: visa on arrival.');
+    const unrelated = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(unrelated.body.source, 'cache');
+
+    app.s3.putObject('knowledge_base/travel_details.md', catalog.replace('88,000', '91,000'));
+    const after = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(after.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('an edit to a document an answer was generated from makes it stale', async () => {
+    const app = createLocalApp({ env: { ...env, DOCUMENT_REVALIDATE_SECONDS: '0' } });
+    app.s3.putObject('knowledge_base/visa_notes.md', '# Visa notes\n\n## Bali visa requirements\n\nIndian passport holders get a visa on arrival in Bali.');
+
+    const first = await ask(app, 'What are the visa requirements for Bali?');
+    assert.ok(first.body.contextChunks.some(chunk => chunk.source === 'knowledge_base/visa_notes.md'));
+    app.s3.putObject('knowledge_base/insurance.md', '# Insurance\n\nTravel insurance is optional.');
+    assert.strictEqual((await ask(app, 'What are the visa requirements for Bali?')).body.source, 'cache');
+
+    app.s3.putObject('knowledge_base/visa_notes.md', '# Visa notes\n\n## Bali visa requirements\n\nIndian passport holders need an e-VOA before travelling to Bali.');
+    const after = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(after.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('in semantic mode a reworded question is a semantic hit; a looser match misses at the default threshold', async () => {
+    // The local hashing embedder ignores word order, so a reordering the exact hash misses scores 1
+    const app = createLocalApp({ env: { ...env, CACHE_MODE: 'semantic' } });
+
+    const first = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(first.body.source, 'bedrock');
+
+    const reworded = await ask(app, 'What are the Bali visa requirements?');
+    assert.strictEqual(reworded.body.source, 'cache');
+    assert.strictEqual(reworded.body.cacheType, 'semantic');
+    assert.deepStrictEqual(reworded.body.semanticMatch, { similarity: 1, queryText: 'What are the visa requirements for Bali?', threshold: 0.9 });
+    assert.strictEqual(reworded.body.bedrockResponse, first.body.bedrockResponse);
+    assert.strictEqual(chatCalls(app).length, 1);
+
+    // Similarity 0.6761
+    const looser = await ask(app, 'visa requirements for Bali travel');
+    assert.strictEqual(looser.body.source, 'bedrock');
+    assert.strictEqual(looser.body.semanticMatch, undefined);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('SEMANTIC_CACHE_THRESHOLD decides which near-duplicates are served from the cache', async () => {
+    const app = createLocalApp({ env: { ...env, CACHE_MODE: 'semantic', SEMANTIC_CACHE_THRESHOLD: '0.65' } });
+    await ask(app, 'What are the visa requirements for Bali?');
+
+    const nearDuplicate = await ask(app, 'visa requirements for Bali travel');
+    assert.strictEqual(nearDuplicate.body.cacheType, 'semantic');
+    assert.strictEqual(nearDuplicate.body.semanticMatch.similarity, 0.6761);
+    assert.strictEqual(nearDuplicate.body.semanticMatch.threshold, 0.65);
+
+    // Similarity 0.6: the other destination shares most words but stays below the threshold
+    const otherDestination = await ask(app, 'What are the visa requirements for Japan?');
+    assert.strictEqual(otherDestination.body.source, 'bedrock');
+    assert.strictEqual(otherDestination.body.cached, false);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('expired cache entries are misses', async () => {
+    let clock = Date.now();
+    const app = createLocalApp({ env, now: () => clock });
+
+    await ask(app, 'What are the visa requirements for Bali?');
+    clock += 25 * 60 * 60 * 1000; // past the 24h cache TTL
+
+    const after = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(after.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+});
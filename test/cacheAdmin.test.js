@@ -0,0 +1,207 @@
+/**
+ * Cache admin routes: listing, lookup, deletes, warming and hit counters
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { ask, chatCalls } = require('./helpers');
+
+const TOKEN = 'test-admin-token';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', ADMIN_API_TOKEN: TOKEN };
+
+const admin = (app, method, path, options = {}) =>
+    app.request(method, path, { ...options, headers: { 'X-Admin-Token': TOKEN, ...options.headers } });
+
+/**
+ * App with answers cached for the given questions; each is asked `times` times
+ */
+async function appWithAnswers(questions) {
+    const app = createLocalApp({ env });
+    for (const [question, times = 1] of questions) {
+        for (let i = 0; i < times; i++) {
+            await ask(app, question);
+        }
+    }
+    return app;
+}
+
+test('admin cache routes require the admin token', async () => {
+    const app = createLocalApp({ env });
+    for (const [method, path, body] of [
+        ['GET', '/admin/cache/entries'],
+        ['GET', '/admin/cache/lookup?query=hello'],
+        ['DELETE', '/admin/cache/entries/abc'],
+        ['POST', '/admin/cache/delete', { pattern: '.*' }],
+        ['POST', '/admin/cache/warm', { questions: ['Is Bali safe?'] }]
+    ]) {
+        const [pathname, search] = path.split('?');
+        const query = search ? Object.fromEntries(new URLSearchParams(search)) : undefined;
+        const response = await app.request(method, pathname, { body, query });
+        assert.strictEqual(response.statusCode, 403, `${method} ${path}`);
+        assert.strictEqual(response.body.error.code, 'Forbidden');
+    }
+});
+
+test('wrong admin tokens get a 403, including non-ASCII ones of the same length', async () => {
+    const app = createLocalApp({ env });
+    // 'é' is one character but two bytes, so this has the token's length in characters only
+    for (const token of ['test-admin-tokén', 'test-admin-toke', 'TEST-ADMIN-TOKEN']) {
+        const response = await admin(app, 'GET', '/admin/cache/entries', { headers: { 'X-Admin-Token': token } });
+        assert.strictEqual(response.statusCode, 403, token);
+        assert.strictEqual(response.body.error.code, 'Forbidden');
+    }
+    assert.strictEqual((await admin(app, 'GET', '/admin/cache/entries')).statusCode, 200);
+});
+
+test('cache hits are counted and entries can be sorted by popularity', async () => {
+    const app = await appWithAnswers([
+        ['What is the best time to visit Bali?', 1],
+        ['Do I need a visa for Thailand?', 4],
+        ['Is travel insurance included?', 2]
+    ]);
+
+    const response = await admin(app, 'GET', '/admin/cache/entries', { query: { sort: 'hits', kind: 'answer' } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.body.entries.map(entry => [entry.queryText, entry.hitCount]), [
+        ['Do I need a visa for Thailand?', 3],
+        ['Is travel insurance included?', 1],
+        ['What is the best time to visit Bali?', 0]
+    ]);
+    assert.ok(response.body.entries[0].lastHitAt);
+    assert.strictEqual(response.body.entries[2].lastHitAt, null);
+});
+
+test('entries are listed in pages with a cursor', async () => {
+    const app = await appWithAnswers([
+        ['What is the best time to visit Bali?'],
+        ['Do I need a visa for Thailand?'],
+        ['Is travel insurance included?']
+    ]);
+
+    for (const sort of ['key', 'recent']) {
+        const seen = [];
+        let cursor;
+        do {
+            const response = await admin(app, 'GET', '/admin/cache/entries', { query: { sort, kind: 'answer', limit: '2', ...(cursor ? { cursor } : {}) } });
+            assert.strictEqual(response.statusCode, 200);
+            assert.ok(response.body.entries.length <= 2);
+            seen.push(...response.body.entries.map(entry => entry.queryText));
+            cursor = response.body.nextCursor;
+        } while (cursor);
+        assert.deepStrictEqual([...seen].sort(), ['Do I need a visa for Thailand?', 'Is travel insurance included?', 'What is the best time to visit Bali?'], sort);
+    }
+
+    const mismatched = await admin(app, 'GET', '/admin/cache/entries', { query: { sort: 'hits', limit: '1' } });
+    const response = await admin(app, 'GET', '/admin/cache/entries', { query: { sort: 'key', cursor: mismatched.body.nextCursor } });
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.body.error.details[0].field, 'query.cursor');
+
+    const unknownSort = await admin(app, 'GET', '/admin/cache/entries', { query: { sort: 'oldest' } });
+    assert.strictEqual(unknownSort.statusCode, 400);
+    assert.deepStrictEqual(unknownSort.body.error.details, [{ field: 'query.sort', message: 'must be one of: key, hits, recent' }]);
+});
+
+test('lookup finds the entry a rephrased question would hit', async () => {
+    const app = await appWithAnswers([['What is the best time to visit Bali?']]);
+
+    const response = await admin(app, 'GET', '/admin/cache/lookup', { query: { query: 'best time to visit Bali' } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.body.normalizedQuery, 'best time visit bali');
+    assert.strictEqual(response.body.entry.queryText, 'What is the best time to visit Bali?');
+    assert.strictEqual(response.body.entry.queryHash, response.body.queryHash);
+
+    const missing = await admin(app, 'GET', '/admin/cache/lookup', { query: { query: 'tell me more' } });
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.body.error.code, 'CacheEntryNotFound');
+    assert.strictEqual(missing.body.error.details[0].generic, true);
+});
+
+test('deleting an entry makes the next request go to Bedrock', async () => {
+    const app = await appWithAnswers([['What is the best time to visit Bali?']]);
+    const { body: lookup } = await admin(app, 'GET', '/admin/cache/lookup', { query: { query: 'What is the best time to visit Bali?' } });
+
+    const deleted = await admin(app, 'DELETE', `/admin/cache/entries/${lookup.queryHash}`);
+    assert.strictEqual(deleted.statusCode, 200);
+    assert.strictEqual(deleted.body.entry.queryText, 'What is the best time to visit Bali?');
+    assert.strictEqual((await admin(app, 'GET', `/admin/cache/entries/${lookup.queryHash}`)).statusCode, 404);
+    assert.strictEqual((await admin(app, 'DELETE', `/admin/cache/entries/${lookup.queryHash}`)).statusCode, 404);
+
+    const response = await ask(app, 'What is the best time to visit Bali?');
+    assert.strictEqual(response.body.cached, false);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('pattern deletes match query text ignoring case and support a dry run', async () => {
+    const app = await appWithAnswers([
+        ['What is the best time to visit Bali?'],
+        ['Which Bali hotels are included?'],
+        ['Do I need a visa for Thailand?']
+    ]);
+
+    const dryRun = await admin(app, 'POST', '/admin/cache/delete', { body: { pattern: 'BALI', dryRun: true } });
+    assert.strictEqual(dryRun.statusCode, 200);
+    assert.strictEqual(dryRun.body.matched, 2);
+    assert.strictEqual(dryRun.body.deleted, 0);
+
+    const response = await admin(app, 'POST', '/admin/cache/delete', { body: { pattern: 'bali' } });
+    assert.strictEqual(response.body.deleted, 2);
+    const remaining = await admin(app, 'GET', '/admin/cache/entries', { query: { kind: 'answer' } });
+    assert.deepStrictEqual(remaining.body.entries.map(entry => entry.queryText), ['Do I need a visa for Thailand?']);
+
+    // Patterns are plain text: regular expression syntax matches nothing rather than running as a regex
+    const literal = await admin(app, 'POST', '/admin/cache/delete', { body: { pattern: '(a+)+$', dryRun: true } });
+    assert.strictEqual(literal.statusCode, 200);
+    assert.strictEqual(literal.body.matched, 0);
+    assert.strictEqual((await admin(app, 'POST', '/admin/cache/delete', { body: { pattern: 'visa for', dryRun: true } })).body.matched, 1);
+});
+
+test('warming caches answers within the concurrency limit', async () => {
+    const app = await appWithAnswers([['Do I need a visa for Thailand?']]);
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const send = app.bedrock.send;
+    app.bedrock.send = async (...args) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        try {
+            return await send(...args);
+        } finally {
+            inFlight--;
+        }
+    };
+    app.bedrock.enqueue(...Array.from({ length: 4 }, (value, index) => ({ text: `Warm answer ${index}`, delayMs: 30 })));
+
+    const response = await admin(app, 'POST', '/admin/cache/warm', {
+        body: {
+            concurrency: 2,
+            questions: [
+                'What is the best time to visit Bali?',
+                'Is travel insurance included?',
+                'Which Bali hotels are included?',
+                'Are airport transfers included?',
+                'What is the best time to visit Bali',
+                'Do I need a visa for Thailand?',
+                'tell me more'
+            ]
+        }
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(
+        response.body.results.map(result => [result.status, result.reason]),
+        [['warmed', undefined], ['warmed', undefined], ['warmed', undefined], ['warmed', undefined],
+            ['skipped', 'duplicate'], ['cached', undefined], ['skipped', 'generic']]
+    );
+    assert.strictEqual(response.body.warmed, 4);
+    assert.ok(maxInFlight <= 2, `at most 2 calls in flight (saw ${maxInFlight})`);
+    assert.ok(maxInFlight === 2, 'calls ran concurrently');
+
+    const hit = await ask(app, 'Are airport transfers included?');
+    assert.strictEqual(hit.body.cached, true);
+    assert.strictEqual(hit.body.bedrockResponse.startsWith('Warm answer'), true);
+});
+
+test('warming rejects more questions than CACHE_WARM_MAX_QUESTIONS', async () => {
+    const app = createLocalApp({ env: { ...env, CACHE_WARM_MAX_QUESTIONS: '2' } });
+    const response = await admin(app, 'POST', '/admin/cache/warm', { body: { questions: ['a?', 'b?', 'c?'] } });
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.body.error.details[0].field, 'body.questions');
+});
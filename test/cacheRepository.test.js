@@ -0,0 +1,117 @@
+/**
+ * Cache data model: typed entries, expiry on read and legacy items
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createLocalApp } = require('../local/harness');
+const { ask, chatCalls, suggestionCalls } = require('./helpers');
+
+const TABLE = 'travelbuddy-query-cache';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', ADMIN_API_TOKEN: 'test-admin-token' };
+
+// DynamoDB deletes expired items lazily; a fake clock stuck in the past never reaps them
+const neverReaped = () => 0;
+
+const itemsOfType = (app, type) => app.dynamodb.items(TABLE).filter(item => item.entityType?.S === type);
+
+/**
+ * Move an item's ttl into the past without removing it
+ */
+function expire(app, item) {
+    app.dynamodb.putItem(TABLE, { ...item, ttl: { N: String(Math.floor(Date.now() / 1000) - 60) } });
+}
+
+test('answers and suggestions are stored as separate entity types', async () => {
+    const app = createLocalApp({ env });
+    await app.request('GET', '/suggestions');
+    await ask(app, 'What is the best time to visit Bali?');
+
+    const [answer] = itemsOfType(app, 'answer');
+    assert.match(answer.queryHash.S, /^answer:[0-9a-f]{64}$/);
+    assert.strictEqual(answer.formatVersion.N, '2');
+    assert.ok(answer.usage.M.model.S);
+    assert.ok(answer.usage.M.inputTokens.N);
+
+    const [followUpKey, ...otherKeys] = itemsOfType(app, 'suggestions').map(item => item.queryHash.S).filter(key => key !== 'suggestions:initial');
+    assert.match(followUpKey, /^suggestions:[0-9a-f]{16}$/);
+    assert.deepStrictEqual(otherKeys, []);
+    assert.ok(itemsOfType(app, 'suggestions').some(item => item.queryHash.S === 'suggestions:initial'));
+    for (const item of itemsOfType(app, 'suggestions')) {
+        assert.ok(item.suggestions.L.length > 0);
+        assert.ok(item.usage.M.model.S);
+    }
+    assert.strictEqual(app.dynamodb.items(TABLE).length, 3);
+});
+
+test('an expired answer that has not been reaped is a miss', async () => {
+    const app = createLocalApp({ env, now: neverReaped });
+    await ask(app, 'What is the best time to visit Bali?');
+    expire(app, itemsOfType(app, 'answer')[0]);
+
+    const response = await ask(app, 'What is the best time to visit Bali?');
+    assert.strictEqual(response.body.cached, false);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('expired suggestions that have not been reaped are regenerated', async () => {
+    const app = createLocalApp({ env, now: neverReaped });
+    await app.request('GET', '/suggestions');
+    expire(app, itemsOfType(app, 'suggestions')[0]);
+
+    await app.request('GET', '/suggestions');
+    assert.strictEqual(suggestionCalls(app).length, 2);
+});
+
+test('suggestions use their own TTL', async () => {
+    const app = createLocalApp({ env: { ...env, SUGGESTIONS_CACHE_TTL_SECONDS: '600', CACHE_TTL_SECONDS: '7200' } });
+    await app.request('GET', '/suggestions');
+    await ask(app, 'What is the best time to visit Bali?');
+
+    const now = Math.floor(Date.now() / 1000);
+    const ttlOf = type => parseInt(itemsOfType(app, type)[0].ttl.N, 10) - now;
+    assert.ok(Math.abs(ttlOf('suggestions') - 600) <= 2, `suggestions ttl ${ttlOf('suggestions')}`);
+    assert.ok(Math.abs(ttlOf('answer') - 7200) <= 2, `answer ttl ${ttlOf('answer')}`);
+});
+
+test('legacy items are never served and are removed by the purge', async () => {
+    const app = createLocalApp({ env });
+    // Learn the current document version from a fresh answer, then replace the table with old-format items
+    await ask(app, 'warm up');
+    const docVersion = itemsOfType(app, 'answer')[0].docVersion.S;
+    app.dynamodb.reset();
+
+    const legacyHash = crypto.createHash('sha256').update('anthropic:best time visit bali').digest('hex');
+    const ttl = { N: String(Math.floor(Date.now() / 1000) + 3600) };
+    app.dynamodb.putItem(TABLE, {
+        queryHash: { S: legacyHash },
+        queryText: { S: 'What is the best time to visit Bali?' },
+        response: { S: 'Legacy answer' },
+        usage: { S: JSON.stringify({ inputTokens: 10, outputTokens: 5, model: 'anthropic.claude-3-haiku-20240307-v1:0' }) },
+        docVersion: { S: docVersion },
+        modelFamily: { S: 'anthropic' },
+        timestamp: { N: String(Date.now()) },
+        ttl
+    });
+    app.dynamodb.putItem(TABLE, {
+        queryHash: { S: 'initial_suggestions' },
+        queryText: { S: 'initial_suggestions' },
+        response: { S: '["Legacy suggestion?"]' },
+        usage: { M: { model: { S: 'anthropic.claude-3-haiku-20240307-v1:0' }, inputTokens: { N: '1' }, outputTokens: { N: '1' } } },
+        docVersion: { S: docVersion },
+        ttl
+    });
+
+    const answer = await ask(app, 'What is the best time to visit Bali?');
+    assert.strictEqual(answer.body.cached, false);
+    assert.notStrictEqual(answer.body.bedrockResponse, 'Legacy answer');
+    const suggestions = await app.request('GET', '/suggestions');
+    assert.notDeepStrictEqual(suggestions.body.suggestions, ['Legacy suggestion?']);
+
+    const listed = await app.request('GET', '/admin/cache/entries', { query: { kind: 'legacy' }, headers: { 'X-Admin-Token': 'test-admin-token' } });
+    assert.deepStrictEqual(listed.body.entries.map(entry => entry.queryHash).sort(), [legacyHash, 'initial_suggestions']);
+
+    const purge = await app.request('POST', '/admin/cache/purge', { headers: { 'X-Admin-Token': 'test-admin-token' } });
+    assert.strictEqual(purge.body.purged, 2);
+    assert.ok(app.dynamodb.items(TABLE).every(item => item.entityType));
+});
@@ -0,0 +1,60 @@
+/**
+ * Package catalog: parsing knowledge_base/travel_details.md, malformed sections and filters
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCatalog, filterPackages, parseInr } = require('../src/catalog');
+
+const CATALOG = fs.readFileSync(path.join(__dirname, '..', 'knowledge_base', 'travel_details.md'), 'utf8');
+
+test('the travel catalog parses into ten packages without errors', () => {
+    const { packages, errors } = parseCatalog(CATALOG);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(packages.length, 10);
+
+    const [bangkok] = packages;
+    assert.strictEqual(bangkok.id, 'bangkok-pattaya-delight');
+    assert.strictEqual(bangkok.name, 'Bangkok & Pattaya Delight');
+    assert.strictEqual(bangkok.country, 'Thailand');
+    assert.strictEqual(bangkok.nights, 4);
+    assert.strictEqual(bangkok.days, 5);
+    assert.strictEqual(bangkok.costInr, 68000);
+    assert.strictEqual(bangkok.costNote, 'per person (including flights)');
+    assert.strictEqual(bangkok.highlights.length, 4);
+    assert.strictEqual(bangkok.accommodation.length, 2);
+
+    const japan = packages.find(pkg => pkg.id === 'japan-highlights');
+    assert.strictEqual(japan.country, 'Japan');
+    assert.strictEqual(japan.costInr, 210000);
+});
+
+test('malformed package sections are reported with their line numbers', () => {
+    const markdown = [
+        '## Vietnam Packages',
+        '### 1. Mekong Delta Cruise – 3 Nights / 4 Days',
+        '**Cost:** on request',
+        '**Meals:** Breakfast',
+        '### Hue Heritage Walk'
+    ].join('\n');
+
+    const { packages, errors } = parseCatalog(markdown);
+    assert.deepStrictEqual(packages, []);
+    assert.deepStrictEqual(errors.map(error => [error.line, error.message]), [
+        [3, 'Cost "on request" has no ₹ amount'],
+        [2, 'Missing **Highlights:** list'],
+        [5, 'Package heading must look like "### N. Name – X Nights / Y Days"']
+    ]);
+});
+
+test('filters and INR amounts', () => {
+    const { packages } = parseCatalog(CATALOG);
+    assert.deepStrictEqual(filterPackages(packages, { country: 'singapore' }).map(pkg => pkg.id), [
+        'singapore-family-fun',
+        'singapore-bintan-island-combo'
+    ]);
+    assert.deepStrictEqual(filterPackages(packages, { maxPrice: 80000, minNights: 5 }).map(pkg => pkg.id), ['kuala-lumpur-langkawi-explorer']);
+    assert.strictEqual(parseInr('₹1,05,000 per person'), 105000);
+    assert.strictEqual(parseInr('on request'), null);
+});
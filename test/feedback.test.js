@@ -0,0 +1,103 @@
+/**
+ * Answer feedback: ratings, vote counts on cache entries, eviction at the score threshold and the worst-rated report
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { ask, chatCalls } = require('./helpers');
+
+const TOKEN = 'test-admin-token';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', ADMIN_API_TOKEN: TOKEN };
+
+const QUESTION = 'Is the Bali trip good for a honeymoon?';
+
+const rate = (app, response, rating, extra = {}) => app.request('POST', '/feedback', {
+    body: { sessionId: response.body.sessionId, requestId: response.body.requestId, rating, ...extra }
+});
+
+const answerEntry = app => app.dynamodb.items('travelbuddy-query-cache').find(item => item.queryHash.S.startsWith('answer:'));
+
+test('ratings are stored and counted on the cached answer; a changed rating replaces the earlier one', async () => {
+    const app = createLocalApp({ env });
+    const answered = await ask(app, QUESTION);
+    const hit = await ask(app, QUESTION);
+    assert.strictEqual(hit.body.queryHash, answered.body.queryHash);
+
+    const down = await rate(app, answered, 'down', { comment: 'Says nothing about the resort', queryHash: answered.body.queryHash });
+    assert.strictEqual(down.statusCode, 200);
+    assert.deepStrictEqual(down.body.votes, { upVotes: 0, downVotes: 1 });
+    assert.strictEqual(down.body.evicted, false);
+
+    await rate(app, hit, 'up');
+    const changed = await rate(app, answered, 'up');
+    assert.strictEqual(changed.body.previousRating, 'down');
+    assert.deepStrictEqual(changed.body.votes, { upVotes: 2, downVotes: 0 });
+
+    const [stored] = app.dynamodb.items('travelbuddy-answer-feedback').filter(item => item.requestId.S === answered.body.requestId);
+    assert.strictEqual(stored.rating.S, 'up');
+    assert.strictEqual(stored.comment, undefined);
+    assert.strictEqual(stored.queryText.S, QUESTION);
+    assert.strictEqual(answerEntry(app).upVotes.N, '2');
+});
+
+test('an answer whose score reaches FEEDBACK_EVICTION_SCORE is evicted and regenerated on its next request', async () => {
+    const app = createLocalApp({ env: { ...env, FEEDBACK_EVICTION_SCORE: '-2' } });
+    const responses = [await ask(app, QUESTION), await ask(app, QUESTION)];
+    assert.strictEqual(chatCalls(app).length, 1);
+
+    assert.strictEqual((await rate(app, responses[0], 'down')).body.evicted, false);
+    const evicting = await rate(app, responses[1], 'down');
+    assert.deepStrictEqual(evicting.body.votes, { upVotes: 0, downVotes: 2 });
+    assert.strictEqual(evicting.body.evicted, true);
+    assert.strictEqual(answerEntry(app), undefined);
+
+    app.bedrock.enqueue('Yes - the Bali Romantic Escape includes a private pool villa and a candlelit dinner.');
+    const regenerated = await ask(app, QUESTION);
+    assert.strictEqual(regenerated.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+    // The new answer starts with its own counts: late ratings of the evicted one are stored but not counted
+    const late = await rate(app, responses[0], 'down');
+    assert.strictEqual(late.body.votes, null);
+    assert.strictEqual(answerEntry(app).downVotes, undefined);
+});
+
+test('feedback must name an answer served in the session', async () => {
+    const app = createLocalApp({ env });
+    const answered = await ask(app, QUESTION);
+
+    const unknown = await rate(app, { body: { ...answered.body, requestId: 'not-a-request' } }, 'down');
+    assert.strictEqual(unknown.statusCode, 404);
+    assert.strictEqual(unknown.body.error.code, 'AnswerNotFound');
+
+    const otherKey = await rate(app, answered, 'down', { queryHash: `answer:${'0'.repeat(64)}` });
+    assert.strictEqual(otherKey.statusCode, 400);
+    assert.strictEqual(otherKey.body.error.details[0].field, 'body.queryHash');
+
+    const invalid = await rate(app, answered, 'meh');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.body.error.details[0].field, 'body.rating');
+    assert.strictEqual(app.dynamodb.items('travelbuddy-answer-feedback').length, 0);
+});
+
+test('the report lists the worst-rated questions first and requires the admin token', async () => {
+    const app = createLocalApp({ env });
+    const bali = await ask(app, QUESTION);
+    const baliAgain = await ask(app, QUESTION);
+    const japan = await ask(app, 'What is included in Japan Highlights?');
+    const thailand = await ask(app, 'Which Thailand package is the cheapest?');
+    await rate(app, bali, 'down', { comment: 'Too vague' });
+    await rate(app, baliAgain, 'down');
+    await rate(app, japan, 'down');
+    await rate(app, thailand, 'up');
+
+    assert.strictEqual((await app.request('GET', '/admin/feedback')).statusCode, 403);
+    const report = await app.request('GET', '/admin/feedback', { headers: { 'X-Admin-Token': TOKEN } });
+    assert.strictEqual(report.statusCode, 200);
+    assert.strictEqual(report.body.totalRatings, 4);
+    assert.deepStrictEqual(report.body.queries.map(query => [query.queryText, query.score]), [
+        [QUESTION, -2],
+        ['What is included in Japan Highlights?', -1]
+    ]);
+    assert.strictEqual(report.body.queries[0].queryHash, bali.body.queryHash);
+    assert.deepStrictEqual(report.body.queries[0].comments.map(entry => entry.comment), ['Too vague']);
+});
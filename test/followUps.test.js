@@ -0,0 +1,105 @@
+/**
+ * Follow-up cache keys: reference detection, entity-scoped keys, rewrites and bypasses
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { detectReferences, scopeFromHistory } = require('../src/followUps');
+const { ask, chatCalls, rewriteCalls, seedSession } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false' };
+
+const packages = [
+    { id: 'bali-romantic-escape', name: 'Bali Romantic Escape', country: 'Indonesia', accommodation: ['3 nights in Ubud'] },
+    { id: 'japan-highlights', name: 'Japan Highlights', country: 'Japan', accommodation: ['4 nights in Tokyo'] }
+];
+
+const baliTurns = [
+    { role: 'user', content: 'Tell me about the Bali Romantic Escape' },
+    { role: 'assistant', content: 'Bali Romantic Escape is 6 nights in Ubud and Seminyak.' }
+];
+const japanTurns = [
+    { role: 'user', content: 'Tell me about Japan Highlights' },
+    { role: 'assistant', content: 'Japan Highlights covers Tokyo, Kyoto and Osaka.' }
+];
+
+test('references to the conversation are detected', () => {
+    const types = input => detectReferences(input, input.toLowerCase().replace(/[?]/g, ''), packages).map(ref => ref.type);
+
+    assert.deepStrictEqual(types('What about the meals?'), ['ellipsis']);
+    assert.deepStrictEqual(types('How much is it?'), ['pronoun']);
+    assert.deepStrictEqual(types('Is that one cheaper?'), ['demonstrative']);
+    assert.deepStrictEqual(types('Book the second one'), ['ordinal']);
+    assert.deepStrictEqual(types('meals'), ['fragment']);
+    // Naming a package or asking "is there" makes the question standalone
+    assert.deepStrictEqual(types('Bali'), []);
+    assert.deepStrictEqual(types('Is there a Japan package with a ryokan stay'), []);
+});
+
+test('the scope is the packages of the newest turn that names any', () => {
+    assert.deepStrictEqual(scopeFromHistory([...japanTurns, ...baliTurns], packages), ['bali-romantic-escape']);
+    assert.deepStrictEqual(scopeFromHistory([...baliTurns, { role: 'user', content: 'And flights?' }], packages), ['bali-romantic-escape']);
+    assert.deepStrictEqual(scopeFromHistory([{ role: 'user', content: 'Hello' }], packages), []);
+});
+
+test('the same follow-up in different conversations gets different entries', async () => {
+    const app = createLocalApp({ env });
+
+    const bali = await ask(app, 'What about the meals?', seedSession(app, baliTurns));
+    assert.strictEqual(bali.body.source, 'bedrock');
+    assert.strictEqual(bali.body.cacheKey.strategy, 'entities');
+    assert.deepStrictEqual(bali.body.cacheKey.scope, ['bali-gili-islands-adventure', 'bali-romantic-escape']);
+
+    const japan = await ask(app, 'What about the meals?', seedSession(app, japanTurns));
+    assert.strictEqual(japan.body.source, 'bedrock');
+    assert.deepStrictEqual(japan.body.cacheKey.scope, ['japan-highlights']);
+
+    // Another conversation about the same packages shares the entry
+    const baliAgain = await ask(app, 'what about the meals', seedSession(app, baliTurns));
+    assert.strictEqual(baliAgain.body.source, 'cache');
+    assert.strictEqual(baliAgain.body.bedrockResponse, bali.body.bedrockResponse);
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('rewritten follow-ups are cached under the standalone question', async () => {
+    const app = createLocalApp({ env: { ...env, FOLLOW_UP_CACHE_STRATEGY: 'rewrite' } });
+    app.bedrock.enqueue('What meals are included in the Bali Romantic Escape?');
+
+    const followUp = await ask(app, 'What about the meals?', seedSession(app, baliTurns));
+    assert.strictEqual(followUp.body.cacheKey.strategy, 'rewrite');
+    assert.strictEqual(followUp.body.cacheKey.rewrittenQuery, 'What meals are included in the Bali Romantic Escape?');
+    assert.strictEqual(rewriteCalls(app).length, 1);
+    assert.match(rewriteCalls(app)[0].messages[0].content, /Follow-up question: What about the meals\?/);
+
+    // The standalone question hits the entry directly
+    const standalone = await ask(app, 'What meals are included in the Bali Romantic Escape?');
+    assert.strictEqual(standalone.body.source, 'cache');
+    assert.strictEqual(standalone.body.cacheKey.strategy, 'input');
+    assert.strictEqual(chatCalls(app).length, 1);
+});
+
+test('follow-ups that cannot be resolved bypass the cache', async () => {
+    const app = createLocalApp({ env });
+    const turns = [
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi! Where would you like to travel?' }
+    ];
+
+    const first = await ask(app, 'How much is it?', seedSession(app, turns));
+    assert.strictEqual(first.body.cacheKey.strategy, 'bypass');
+    assert.strictEqual(first.body.cacheKey.reason, 'unresolved');
+
+    const second = await ask(app, 'How much is it?', seedSession(app, turns));
+    assert.strictEqual(second.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 2);
+});
+
+test('standalone questions keep their own key inside a conversation', async () => {
+    const app = createLocalApp({ env });
+
+    await ask(app, 'What are the visa requirements for Bali?');
+    const inConversation = await ask(app, 'What are the visa requirements for Bali?', seedSession(app, japanTurns));
+    assert.strictEqual(inConversation.body.source, 'cache');
+    assert.strictEqual(inConversation.body.cacheKey.strategy, 'input');
+    assert.deepStrictEqual(inConversation.body.cacheKey.references, []);
+});
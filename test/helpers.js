@@ -0,0 +1,59 @@
+/**
+ * Shared helpers for the handler tests (see local/harness.js for the app itself)
+ */
+const crypto = require('crypto');
+
+const isSuggestionCall = call => call.system.includes('JSON array');
+const isRewriteCall = call => call.system.includes('standalone questions');
+
+/**
+ * Bedrock calls made for chat answers (suggestion prompts ask for a JSON array)
+ */
+function chatCalls(app) {
+    return app.bedrock.calls.filter(call => call.api !== 'embed' && !isSuggestionCall(call) && !isRewriteCall(call));
+}
+
+/**
+ * Bedrock calls made to rewrite follow-ups as standalone questions
+ */
+function rewriteCalls(app) {
+    return app.bedrock.calls.filter(call => call.api !== 'embed' && isRewriteCall(call));
+}
+
+/**
+ * Bedrock calls made for suggestions
+ */
+function suggestionCalls(app) {
+    return app.bedrock.calls.filter(call => call.api !== 'embed' && isSuggestionCall(call));
+}
+
+/**
+ * POST /hello
+ */
+function ask(app, input, sessionId) {
+    return app.request('POST', '/hello', { body: { input, sessionId } });
+}
+
+/**
+ * Store a session with the given turns ([{ role, content }]) and return its id
+ */
+function seedSession(app, turns, tableName = 'travelbuddy-sessions') {
+    const sessionId = crypto.randomUUID();
+    const now = Date.now();
+    app.dynamodb.putItem(tableName, {
+        sessionId: { S: sessionId },
+        turns: { L: turns.map((turn, index) => ({ M: { role: { S: turn.role }, content: { S: turn.content }, timestamp: { N: String(now + index) } } })) },
+        createdAt: { N: String(now) },
+        updatedAt: { N: String(now) },
+        ttl: { N: String(Math.floor(now / 1000) + 3600) }
+    });
+    return sessionId;
+}
+
+module.exports = {
+    ask,
+    chatCalls,
+    rewriteCalls,
+    seedSession,
+    suggestionCalls
+};
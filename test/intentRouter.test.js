@@ -0,0 +1,49 @@
+/**
+ * Intent router: catalog answers for price, duration and lookup questions; anything else falls through to the LLM
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createLocalApp } = require('../local/harness');
+const { parseCatalog } = require('../src/catalog');
+const { routeQuery } = require('../src/intentRouter');
+const { ask, chatCalls } = require('./helpers');
+
+const { packages } = parseCatalog(fs.readFileSync(path.join(__dirname, '..', 'knowledge_base', 'travel_details.md'), 'utf8'));
+
+test('day counts are read as nights ("5 day packages" → 4 nights)', () => {
+    const routed = routeQuery('5 day packages', packages);
+    assert.strictEqual(routed.intent.type, 'duration_filter');
+    assert.strictEqual(routed.intent.filters.nights, 4);
+    assert.deepStrictEqual(routed.intent.packageIds, ['bangkok-pattaya-delight', 'singapore-family-fun']);
+    assert.match(routed.text, /Singapore Family Fun\*\* – 4 Nights \/ 5 Days – ₹84,000 per person/);
+});
+
+test('price ceilings and package lookups are answered from the catalog', () => {
+    const cheap = routeQuery('Thailand packages under 80k', packages);
+    assert.strictEqual(cheap.intent.type, 'price_filter');
+    assert.deepStrictEqual(cheap.intent.packageIds, ['bangkok-pattaya-delight']);
+
+    const japan = routeQuery('How much does the Japan Highlights package cost?', packages);
+    assert.strictEqual(japan.text, 'The **Japan Highlights** (9 Nights / 10 Days) costs **₹2,10,000 per person (including flights)**.');
+});
+
+test('questions with unknown terms or comparisons fall through to the LLM', () => {
+    assert.strictEqual(routeQuery('Is Bali safe for solo travellers?', packages), null);
+    assert.strictEqual(routeQuery('5 day packages with scuba diving', packages), null);
+    assert.strictEqual(routeQuery('Compare the Bali packages', packages), null);
+});
+
+test('routed questions are answered without calling Bedrock', async () => {
+    const app = createLocalApp({ env: { QUOTAS_ENABLED: 'false' } });
+
+    const routed = await ask(app, '5 day packages');
+    assert.strictEqual(routed.body.source, 'catalog');
+    assert.deepStrictEqual(routed.body.intent.packageIds, ['bangkok-pattaya-delight', 'singapore-family-fun']);
+    assert.strictEqual(chatCalls(app).length, 0);
+
+    const fallthrough = await ask(app, 'Is Bali safe for solo travellers?');
+    assert.strictEqual(fallthrough.body.source, 'bedrock');
+    assert.strictEqual(chatCalls(app).length, 1);
+});
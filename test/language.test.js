@@ -0,0 +1,106 @@
+/**
+ * Languages: detection, script-aware normalization, language-keyed cache entries and localized suggestions
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { detectLanguage, conversationLanguage, normalizeQuery } = require('../src/language');
+const { ask, chatCalls, seedSession, suggestionCalls } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'true', QUOTAS_ENABLED: 'false' };
+
+const BALI_PRICE = 'बाली के पैकेज की कीमत क्या है?';
+const BALI_ANSWER = 'Bali Romantic Escape की कीमत ₹88,000 प्रति व्यक्ति है।';
+
+const answerKeys = app => app.dynamodb.items('travelbuddy-query-cache')
+    .filter(item => item.queryHash.S.startsWith('answer:'));
+
+test('the language is the script most letters are in', () => {
+    assert.strictEqual(detectLanguage('What does the Bali package cost?'), 'en');
+    assert.strictEqual(detectLanguage('Bali पैकेज की कीमत?'), 'hi');
+    assert.strictEqual(detectLanguage('ಬಾಲಿ ಪ್ಯಾಕೇಜ್ ಬೆಲೆ ಏನು?'), 'kn');
+    assert.strictEqual(detectLanguage('பாலி பேக்கேஜ் விலை என்ன?'), 'ta');
+    assert.strictEqual(detectLanguage('5?'), null);
+
+    // A message without letters keeps the language of the conversation
+    assert.strictEqual(conversationLanguage('5?', [{ role: 'user', content: BALI_PRICE }, { role: 'assistant', content: 'Sure' }]), 'hi');
+    assert.strictEqual(conversationLanguage('5?', []), 'en');
+});
+
+test('normalization keeps non-Latin words and drops per-language stop words', () => {
+    assert.strictEqual(normalizeQuery(BALI_PRICE), 'बाली पैकेज कीमत');
+    assert.strictEqual(normalizeQuery('बाली पैकेज की कीमत'), 'बाली पैकेज कीमत');
+    assert.strictEqual(normalizeQuery('थाईलैंड के पैकेज'), 'थाईलैंड पैकेज');
+    assert.strictEqual(normalizeQuery('ಬಾಲಿ ಪ್ಯಾಕೇಜ್ ಬೆಲೆ ಏನು?'), 'ಬಾಲಿ ಪ್ಯಾಕೇಜ್ ಬೆಲೆ');
+    assert.strictEqual(normalizeQuery('பாலி பேக்கேஜ் விலை என்ன?'), 'பாலி பேக்கேஜ் விலை');
+    assert.strictEqual(normalizeQuery('५ रातों वाले पैकेज'), '5 रातों वाले पैकेज');
+    assert.strictEqual(normalizeQuery('What are the travel packages from Bengaluru to Bangkok?'), 'travel packages bengaluru bangkok');
+});
+
+test('a Hindi question is answered in Hindi and cached under its own language-keyed entry', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue(BALI_ANSWER);
+
+    const first = await ask(app, BALI_PRICE);
+    assert.strictEqual(first.body.source, 'bedrock');
+    assert.strictEqual(first.body.language, 'hi');
+    assert.strictEqual(first.body.cacheKey.language, 'hi');
+    assert.match(chatCalls(app)[0].system, /Reply in Hindi \(हिन्दी\)/);
+    assert.match(suggestionCalls(app)[0].system, /Write the questions in Hindi/);
+    const [entry] = answerKeys(app);
+    assert.strictEqual(entry.language.S, 'hi');
+
+    // Same question, other wording: a hit; another Hindi question no longer shares its key
+    const reworded = await ask(app, 'बाली पैकेज की कीमत');
+    assert.strictEqual(reworded.body.source, 'cache');
+    assert.strictEqual(reworded.body.bedrockResponse, BALI_ANSWER);
+
+    const other = await ask(app, 'थाईलैंड के पैकेज कौन से हैं?');
+    assert.strictEqual(other.body.source, 'bedrock');
+    assert.strictEqual(answerKeys(app).length, 2);
+});
+
+test('English questions get no language instruction and are stored as English', async () => {
+    const app = createLocalApp({ env: { ...env, INTENT_ROUTER_ENABLED: 'false' } });
+
+    const response = await ask(app, 'Is the Bali trip good for a honeymoon?');
+    assert.strictEqual(response.body.language, 'en');
+    assert.doesNotMatch(chatCalls(app)[0].system, /LANGUAGE:/);
+    assert.strictEqual(answerKeys(app)[0].language.S, 'en');
+});
+
+test('a question without letters in a Hindi conversation is answered in Hindi', async () => {
+    const app = createLocalApp({ env });
+    const sessionId = seedSession(app, [
+        { role: 'user', content: BALI_PRICE },
+        { role: 'assistant', content: BALI_ANSWER }
+    ]);
+
+    const response = await ask(app, '2?', sessionId);
+    assert.strictEqual(response.body.language, 'hi');
+    assert.match(chatCalls(app)[0].system, /Reply in Hindi/);
+});
+
+test('initial suggestions are generated, cached and defaulted per language', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('["பாலி பேக்கேஜில் என்ன உள்ளது?"]');
+
+    const tamil = await app.request('GET', '/suggestions', { query: { language: 'ta' } });
+    assert.deepStrictEqual(tamil.body.suggestions, ['பாலி பேக்கேஜில் என்ன உள்ளது?']);
+    assert.strictEqual(tamil.body.language, 'ta');
+    assert.match(suggestionCalls(app)[0].system, /Write the questions in Tamil \(தமிழ்\)/);
+    const cached = app.dynamodb.items('travelbuddy-query-cache').find(item => item.queryHash.S === 'suggestions:initial:ta');
+    assert.strictEqual(cached.queryText.S, 'initial_suggestions');
+
+    // English starters have their own entry
+    await app.request('GET', '/suggestions');
+    assert.strictEqual(suggestionCalls(app).length, 2);
+
+    app.bedrock.enqueue({ error: 'ValidationException', message: 'Malformed input request' });
+    const fallback = await app.request('GET', '/suggestions', { query: { language: 'kn' } });
+    assert.deepStrictEqual(fallback.body.suggestions, ['ಯಾವ ಪ್ಯಾಕೇಜ್‌ಗಳು ಲಭ್ಯವಿವೆ?', 'ಪ್ರವಾಸದ ಆಯ್ಕೆಗಳನ್ನು ತೋರಿಸಿ', 'ಬೆಲೆಗಳ ಬಗ್ಗೆ ತಿಳಿಸಿ']);
+
+    const invalid = await app.request('GET', '/suggestions', { query: { language: 'fr' } });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.body.error.details[0].field, 'query.language');
+});
@@ -0,0 +1,176 @@
+/**
+ * Booking-intent capture: field extraction, multi-turn collection, validation, storage and notifiers
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createLocalApp } = require('../local/harness');
+const { detectLeadIntent, extractLeadFields } = require('../src/leadCapture');
+const { ask, chatCalls, seedSession } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false' };
+
+const nextYear = new Date().getUTCFullYear() + 1;
+const packages = [
+    { id: 'japan-highlights', name: 'Japan Highlights', country: 'Japan', accommodation: [], nights: 9, costInr: 210000 }
+];
+
+/**
+ * App whose file notifier writes to a fresh temporary file
+ */
+function createApp(overrides = {}) {
+    const leadFile = path.join(os.tmpdir(), `travelbuddy-leads-${crypto.randomUUID()}.jsonl`);
+    const app = createLocalApp({ env: { ...env, LEAD_FILE_PATH: leadFile, ...overrides } });
+    return { app, leadFile };
+}
+
+const storedSession = (app, sessionId) => app.dynamodb.items('travelbuddy-sessions').find(item => item.sessionId.S === sessionId);
+
+test('lead fields are extracted without mixing up their digits', () => {
+    const fields = extractLeadFields(
+        `Book Japan Highlights for 2 people from 10 March ${nextYear}, budget 4.5 lakh. My name is Priya Sharma, call +91 98765 43210`,
+        packages
+    );
+    assert.deepStrictEqual(fields, {
+        contact: { phone: '+919876543210', name: 'Priya Sharma' },
+        startDate: `${nextYear}-03-10`,
+        packageId: 'japan-highlights',
+        travellers: 2,
+        budget: 450000
+    });
+    assert.deepStrictEqual(extractLeadFields(`${nextYear}-05-01 to ${nextYear}-05-10, ₹1,50,000, priya@example.com`, packages), {
+        contact: { email: 'priya@example.com' },
+        startDate: `${nextYear}-05-01`,
+        endDate: `${nextYear}-05-10`,
+        budget: 150000
+    });
+});
+
+test('a booking request collects the missing fields over several turns', async () => {
+    const { app, leadFile } = createApp();
+
+    const first = await ask(app, `I want to book Japan Highlights for 2 people from ${nextYear}-03-10`);
+    assert.strictEqual(first.body.source, 'lead');
+    assert.strictEqual(first.body.lead.status, 'collecting');
+    assert.deepStrictEqual(first.body.lead.missing, ['budget', 'contact']);
+    assert.strictEqual(first.body.lead.fields.endDate, `${nextYear}-03-19`);
+    assert.match(first.body.bedrockResponse, /budget/);
+
+    const second = await ask(app, 'Budget is 5 lakh, email me at priya@example.com', first.body.sessionId);
+    assert.strictEqual(second.body.lead.status, 'submitted');
+    assert.deepStrictEqual(second.body.lead.missing, []);
+    assert.ok(second.body.bedrockResponse.includes(second.body.lead.leadId));
+    assert.strictEqual(chatCalls(app).length, 0);
+
+    const [record] = app.dynamodb.items('travelbuddy-leads');
+    assert.strictEqual(record.leadId.S, second.body.lead.leadId);
+    assert.strictEqual(record.packageId.S, 'japan-highlights');
+    assert.strictEqual(record.travellers.N, '2');
+    assert.strictEqual(record.budget.N, '500000');
+    assert.strictEqual(record.contact.M.email.S, 'priya@example.com');
+    assert.strictEqual(record.notifiedVia.S, 'file');
+
+    const published = fs.readFileSync(leadFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].leadId, record.leadId.S);
+    assert.strictEqual(storedSession(app, first.body.sessionId).lead, undefined);
+    fs.rmSync(leadFile, { force: true });
+});
+
+test('questions asked while a lead is open are answered and report the lead', async () => {
+    const { app } = createApp();
+
+    const first = await ask(app, 'Can I book the Bali trip?');
+    assert.deepStrictEqual(first.body.lead.missing, ['packageId', 'travelDates', 'travellers', 'budget', 'contact']);
+    assert.match(first.body.bedrockResponse, /Bali Romantic Escape/);
+
+    const question = await ask(app, 'Do I need a visa for Japan?', first.body.sessionId);
+    assert.strictEqual(question.body.source, 'bedrock');
+    assert.strictEqual(question.body.lead.status, 'collecting');
+
+    // A distinctive word picks one of the packages the request was ambiguous between
+    const pick = await ask(app, 'The Gili one', first.body.sessionId);
+    assert.strictEqual(pick.body.source, 'lead');
+    assert.strictEqual(pick.body.lead.fields.packageId, 'bali-gili-islands-adventure');
+});
+
+test('only explicit requests start a lead; questions about booking are answered', async () => {
+    for (const [input, kind] of [
+        ['I want to book Japan Highlights', 'booking'],
+        ['Book it for us', 'booking'],
+        ['Can I book the Bali trip?', 'booking'],
+        ['Could you make us a shorter version of the Bali trip?', 'custom'],
+        ['My email is priya@example.com', 'booking']
+    ]) {
+        assert.strictEqual(detectLeadIntent(input), kind, input);
+    }
+
+    const { app } = createApp();
+    for (const question of [
+        'What is the booking cancellation policy?',
+        'Is the hotel booking included?',
+        'How far in advance should I book the Bali package?',
+        'Can I modify the itinerary after booking?'
+    ]) {
+        assert.strictEqual(detectLeadIntent(question), null, question);
+        const response = await ask(app, question);
+        assert.strictEqual(response.body.source, 'bedrock', question);
+        assert.strictEqual(response.body.lead, undefined, question);
+    }
+    assert.strictEqual(app.dynamodb.items('travelbuddy-leads').length, 0);
+});
+
+test('invalid values are rejected and asked for again', async () => {
+    const { app } = createApp();
+
+    const response = await ask(app, 'Book Japan Highlights for 50 people from 2020-01-10');
+    assert.deepStrictEqual(response.body.lead.issues.map(issue => issue.field), ['travelDates', 'travellers']);
+    assert.deepStrictEqual(response.body.lead.missing, ['travelDates', 'travellers', 'budget', 'contact']);
+    assert.strictEqual(response.body.lead.fields.startDate, null);
+});
+
+test('"book it" refers to the package of the conversation and cancel drops the lead', async () => {
+    const { app } = createApp();
+    const sessionId = seedSession(app, [
+        { role: 'user', content: 'Tell me about Japan Highlights' },
+        { role: 'assistant', content: 'Japan Highlights covers Tokyo, Kyoto and Osaka.' }
+    ]);
+
+    const booking = await ask(app, "I'd like to book it", sessionId);
+    assert.strictEqual(booking.body.lead.fields.packageId, 'japan-highlights');
+    assert.ok(storedSession(app, sessionId).lead);
+
+    const cancelled = await ask(app, 'Never mind', sessionId);
+    assert.strictEqual(cancelled.body.lead.status, 'cancelled');
+    assert.strictEqual(storedSession(app, sessionId).lead, undefined);
+    assert.strictEqual(app.dynamodb.items('travelbuddy-leads').length, 0);
+});
+
+test('custom-package requests become custom leads without a package', async () => {
+    const { app } = createApp();
+
+    const response = await ask(app, `Can you customize a trip for a couple from 1 May ${nextYear}? Budget 3 lakh, priya@example.com`);
+    assert.strictEqual(response.body.lead.kind, 'custom');
+    assert.strictEqual(response.body.lead.status, 'submitted');
+    assert.strictEqual(app.dynamodb.items('travelbuddy-leads')[0].request.S, response.body.message);
+});
+
+test('the SNS notifier publishes each lead, and a failed publish keeps the stored lead', async () => {
+    const { app } = createApp({ LEAD_NOTIFIER: 'sns', LEAD_TOPIC_ARN: 'arn:aws:sns:us-east-1:123456789012:travelbuddy-leads' });
+    const request = `Book Japan Highlights for 2 people from ${nextYear}-03-10, budget 5 lakh, priya@example.com`;
+
+    await ask(app, request);
+    assert.strictEqual(app.sns.messages.length, 1);
+    assert.strictEqual(app.sns.messages[0].TopicArn, 'arn:aws:sns:us-east-1:123456789012:travelbuddy-leads');
+    assert.strictEqual(app.sns.messages[0].MessageAttributes.kind.StringValue, 'booking');
+    assert.strictEqual(JSON.parse(app.sns.messages[0].Message).packageName, 'Japan Highlights');
+
+    app.sns.fail('NotFoundException');
+    const failed = await ask(app, request);
+    assert.strictEqual(failed.body.lead.status, 'submitted');
+    const unsent = app.dynamodb.items('travelbuddy-leads').find(item => item.leadId.S === failed.body.lead.leadId);
+    assert.strictEqual(unsent.notifiedVia, undefined);
+});
@@ -0,0 +1,52 @@
+/**
+ * Model fallback chain: throttling and timeouts move a request on to the next model
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { modelFamily } = require('../src/modelClient');
+const { ask, chatCalls } = require('./helpers');
+
+const PRIMARY = 'anthropic.claude-3-haiku-20240307-v1:0';
+const FALLBACK = 'amazon.titan-text-lite-v1';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', BEDROCK_MODEL_ID: PRIMARY, MODEL_FALLBACK_IDS: FALLBACK };
+
+test('a throttled primary model falls back to the next model', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.throttle(1);
+
+    const response = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.body.usage.model, FALLBACK);
+    assert.deepStrictEqual(chatCalls(app).map(call => call.modelId), [PRIMARY, FALLBACK]);
+});
+
+test('a slow primary model times out and falls back', async () => {
+    const app = createLocalApp({ env: { ...env, MODEL_TIMEOUT_MS: '50' } });
+    app.bedrock.enqueue({ text: 'too late', delayMs: 1000 });
+
+    const response = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(response.body.usage.model, FALLBACK);
+});
+
+test('a throttled chain without fallbacks returns a 500 envelope', async () => {
+    const app = createLocalApp({ env: { ...env, MODEL_FALLBACK_IDS: '' } });
+    app.bedrock.throttle(1);
+
+    const response = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(response.statusCode, 500);
+    assert.strictEqual(response.body.error.code, 'ThrottlingException');
+});
+
+test('inference profile ids with a geography prefix resolve to their provider family', async () => {
+    const profile = 'apac.anthropic.claude-3-5-sonnet-20240620-v1:0';
+    assert.strictEqual(modelFamily(profile), 'anthropic');
+    assert.strictEqual(modelFamily('us.meta.llama3-2-3b-instruct-v1:0'), 'llama');
+
+    const app = createLocalApp({ env: { ...env, BEDROCK_MODEL_ID: profile } });
+    app.bedrock.throttle(1);
+
+    const response = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(chatCalls(app).map(call => call.modelId), [profile, FALLBACK]);
+});
@@ -0,0 +1,59 @@
+/**
+ * Quotas: per-caller rate limits and daily token budgets, Retry-After on 429s and failing open
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { createQuotaStore } = require('../src/quotas');
+const { ask, chatCalls } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'false' };
+
+test('callers over the per-minute limit get a 429 with Retry-After; other callers are unaffected', async () => {
+    const app = createLocalApp({ env: { ...env, RATE_LIMIT_PER_MINUTE: '2' } });
+
+    assert.strictEqual((await ask(app, 'What are the visa requirements for Bali?')).statusCode, 200);
+    assert.strictEqual((await ask(app, 'What are the visa requirements for Bali?')).statusCode, 200);
+
+    const limited = await ask(app, 'What are the visa requirements for Bali?');
+    assert.strictEqual(limited.statusCode, 429);
+    assert.strictEqual(limited.body.error.code, 'QuotaExceeded');
+    assert.strictEqual(limited.body.error.details[0].reason, 'rate_limit');
+    assert.strictEqual(limited.headers['X-RateLimit-Remaining'], '0');
+    const retryAfter = Number(limited.headers['Retry-After']);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.strictEqual(limited.body.error.details[0].retryAfter, retryAfter);
+
+    const other = await app.request('POST', '/hello', { body: { input: 'What are the visa requirements for Bali?' }, sourceIp: '10.0.0.2' });
+    assert.strictEqual(other.statusCode, 200);
+});
+
+test('a caller over the daily token budget is limited until midnight UTC', async () => {
+    const app = createLocalApp({ env: { ...env, DAILY_OUTPUT_TOKEN_QUOTA: '50' } });
+    app.bedrock.enqueue({ text: 'Visa on arrival is available.', inputTokens: 900, outputTokens: 60 });
+
+    assert.strictEqual((await ask(app, 'Do I need a visa for Bali?')).statusCode, 200);
+    const limited = await ask(app, 'Do I need a visa for Japan?');
+    assert.strictEqual(limited.statusCode, 429);
+    assert.strictEqual(limited.body.error.details[0].reason, 'daily_output_tokens');
+    assert.strictEqual(limited.headers['X-Quota-Output-Tokens-Remaining'], '0');
+    assert.ok(Number(limited.headers['Retry-After']) <= 24 * 60 * 60);
+    assert.strictEqual(chatCalls(app).length, 1);
+});
+
+test('quota table errors fail open', async () => {
+    const client = {
+        async send() {
+            const error = new Error('Throughput exceeds the current capacity of your table');
+            error.name = 'ProvisionedThroughputExceededException';
+            throw error;
+        }
+    };
+    const store = createQuotaStore({ client, tableName: 'travelbuddy-quotas', requestsPerMinute: 2, dailyOutputTokens: 50 });
+    const caller = { type: 'ip', id: '127.0.0.1', key: 'ip:127.0.0.1' };
+
+    const status = await store.consume(caller);
+    assert.strictEqual(status.allowed, true);
+    assert.strictEqual(status.reason, null);
+    await store.recordTokens(caller, { inputTokens: 10, outputTokens: 10 });
+});
@@ -0,0 +1,140 @@
+/**
+ * Price quotes: pricing rules, currency conversion, POST /quote and quote answers in chat
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { buildQuote, parseCurrency, parseTravellers, parsePricingRules, isQuoteRequest } = require('../src/quotes');
+const { ask, chatCalls, seedSession } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'true', QUOTAS_ENABLED: 'false' };
+
+const japan = { id: 'japan-highlights', name: 'Japan Highlights', country: 'Japan', nights: 9, days: 10, costInr: 210000, costNote: 'per person (including flights)' };
+const rates = { rates: { INR: 1, USD: 84, JPY: 0.56 }, asOf: '2026-10-01', source: 'env' };
+
+const quote = (app, body) => app.request('POST', '/quote', { body });
+
+test('children, infants and single rooms are priced by the pricing rules', () => {
+    const result = buildQuote(japan, { adults: 1, children: [14, 8, 1] }, 'INR', rates);
+    assert.deepStrictEqual(result.lines.map(line => [line.item, line.quantity, line.unitPrice]), [
+        ['adult', 2, 210000],
+        ['child', 1, 157500],
+        ['infant', 1, 21000]
+    ]);
+    assert.strictEqual(result.total, 598500);
+    assert.strictEqual(result.exchangeRate, null);
+
+    // A lone adult is quoted a single room unless told otherwise
+    const solo = buildQuote(japan, { adults: 1 }, 'INR', rates, parsePricingRules('{"singleSupplementRate": 0.5, "childRate": "half"}'));
+    assert.deepStrictEqual(solo.lines.map(line => [line.item, line.amount]), [['adult', 210000], ['singleSupplement', 105000]]);
+    assert.strictEqual(buildQuote(japan, { adults: 1, singleRooms: 0 }, 'INR', rates).total, 210000);
+});
+
+test('converted quotes are rounded to the currency and keep the INR total', () => {
+    const usd = buildQuote(japan, { adults: 2, children: [null] }, 'USD', rates);
+    assert.deepStrictEqual(usd.lines.map(line => [line.unitPrice, line.amount]), [[2500, 5000], [1875, 1875]]);
+    assert.strictEqual(usd.total, 6875);
+    assert.strictEqual(usd.totalInr, 577500);
+    assert.deepStrictEqual(usd.exchangeRate, { inrPerUnit: 84, asOf: '2026-10-01', source: 'env' });
+
+    const yen = buildQuote({ ...japan, costInr: 68001 }, { adults: 1, singleRooms: 0 }, 'JPY', rates);
+    assert.strictEqual(yen.total, 121430);
+    assert.throws(() => buildQuote(japan, { adults: 1 }, 'CHF', rates), { name: 'UnsupportedCurrency' });
+    assert.throws(() => buildQuote(japan, { adults: 2, singleRooms: 3 }, 'INR', rates), { name: 'ValidationFailed' });
+});
+
+test('traveller compositions are read from chat messages', () => {
+    assert.deepStrictEqual(parseTravellers('total for 2 adults and a child in USD'), { adults: 2, children: [null] });
+    assert.deepStrictEqual(parseTravellers('two adults, 2 kids aged 9 and 4 and a baby'), { adults: 2, children: [9, 4, 0] });
+    assert.deepStrictEqual(parseTravellers('price for a couple'), { adults: 2, children: [] });
+    assert.deepStrictEqual(parseTravellers('3 people with 2 single rooms'), { adults: 3, children: [], singleRooms: 2 });
+    assert.strictEqual(parseTravellers('how much is the Japan trip?'), null);
+});
+
+test('POST /quote returns an itemised quote and rejects unknown packages, currencies and rooms', async () => {
+    const app = createLocalApp({ env });
+
+    const response = await quote(app, { packageId: 'japan-highlights', travellers: { adults: 2, children: [8] }, currency: 'USD' });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.body.quote.currency, 'USD');
+    assert.strictEqual(response.body.quote.totalInr, 577500);
+    assert.strictEqual(response.body.quote.exchangeRate.source, 'env');
+    assert.match(response.body.text, /Total: \$/);
+
+    const missing = await quote(app, { packageId: 'mars-explorer', travellers: { adults: 1 } });
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.body.error.code, 'PackageNotFound');
+
+    const currency = await quote(app, { packageId: 'japan-highlights', travellers: { adults: 1 }, currency: 'CHF' });
+    assert.strictEqual(currency.statusCode, 400);
+    assert.strictEqual(currency.body.error.code, 'UnsupportedCurrency');
+    assert.match(currency.body.error.details[0].message, /USD/);
+
+    const rooms = await quote(app, { packageId: 'japan-highlights', travellers: { adults: 1, singleRooms: 2 } });
+    assert.strictEqual(rooms.body.error.code, 'ValidationFailed');
+    assert.strictEqual(rooms.body.error.details[0].field, 'body.travellers.singleRooms');
+
+    const invalid = await quote(app, { packageId: 'japan-highlights', travellers: { adults: 0 }, currency: 'usd' });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.deepStrictEqual(invalid.body.error.details.map(detail => detail.field), ['body.travellers.adults', 'body.currency']);
+});
+
+test('only recognised currencies or codes in the rates table are read as currencies', () => {
+    assert.strictEqual(parseCurrency('How much is Japan Highlights in USD?'), 'USD');
+    assert.strictEqual(parseCurrency('Price of the Bali trip in dollars'), 'USD');
+    assert.strictEqual(parseCurrency('How much is it in CHF?'), 'CHF');
+    assert.strictEqual(parseCurrency('How much is it in HKD?'), null);
+    assert.strictEqual(parseCurrency('How much is it in HKD?', { rates: { HKD: 10.8 } }), 'HKD');
+
+    for (const question of ['What is the price of flights to BLR?', 'How much does a trip to USA cost?']) {
+        assert.strictEqual(parseCurrency(question, rates), null, question);
+        assert.strictEqual(isQuoteRequest(question, rates), false, question);
+    }
+});
+
+test('the rates table in S3 takes precedence over FX_RATES', async () => {
+    const app = createLocalApp({ env: { ...env, FX_RATES_S3_KEY: 'config/fx_rates.json' } });
+    app.s3.putObject('config/fx_rates.json', JSON.stringify({ asOf: '2026-10-15', rates: { USD: 100, XX: 3 } }));
+
+    const response = await quote(app, { packageId: 'japan-highlights', travellers: { adults: 2 }, currency: 'USD' });
+    assert.strictEqual(response.body.quote.total, 4200);
+    assert.deepStrictEqual(response.body.quote.exchangeRate, { inrPerUnit: 100, asOf: '2026-10-15', source: 's3' });
+});
+
+test('chat quotes are computed without Bedrock, using the package of the conversation', async () => {
+    const app = createLocalApp({ env });
+    const sessionId = seedSession(app, [
+        { role: 'user', content: 'Tell me about Japan Highlights' },
+        { role: 'assistant', content: 'Japan Highlights covers Tokyo, Kyoto and Osaka.' }
+    ]);
+
+    const response = await ask(app, "What's the total for 2 adults and a child in USD?", sessionId);
+    assert.strictEqual(response.body.source, 'catalog');
+    assert.strictEqual(response.body.intent.type, 'quote');
+    assert.deepStrictEqual(response.body.intent.packageIds, ['japan-highlights']);
+    assert.strictEqual(response.body.quote.totalInr, 577500);
+    assert.ok(response.body.bedrockResponse.includes('₹5,77,500'));
+    assert.strictEqual(chatCalls(app).length, 0);
+
+    const ambiguous = await ask(app, 'How much for a couple on the Bali trip?');
+    assert.strictEqual(ambiguous.body.quote, null);
+    assert.match(ambiguous.body.bedrockResponse, /Bali Romantic Escape/);
+
+    // A place code after "to" is not a currency, so the question is not answered as a quote
+    const flights = await ask(app, 'How much does a trip to USA cost?');
+    assert.strictEqual(flights.body.source, 'bedrock');
+    assert.strictEqual(flights.body.quote, undefined);
+});
+
+test('a price question while a lead is open is answered, not added to the lead', async () => {
+    const app = createLocalApp({ env });
+
+    const lead = await ask(app, 'I want to book Japan Highlights');
+    assert.strictEqual(lead.body.source, 'lead');
+
+    const question = await ask(app, 'How much would that be for 3 adults in USD?', lead.body.sessionId);
+    assert.strictEqual(question.body.source, 'catalog');
+    assert.strictEqual(question.body.quote.lines[0].quantity, 3);
+    assert.strictEqual(question.body.lead.status, 'collecting');
+    assert.ok(question.body.lead.missing.includes('travellers'));
+});
@@ -0,0 +1,43 @@
+/**
+ * Retrieval: heading chunks of the travel catalog, BM25 ranking and the heading weight
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { chunkDocument, retrieveChunks } = require('../src/retrieval');
+
+const CATALOG = fs.readFileSync(path.join(__dirname, '..', 'knowledge_base', 'travel_details.md'), 'utf8');
+
+test('the catalog splits into one chunk per package under its country section', () => {
+    const packages = chunkDocument(CATALOG).filter(chunk => chunk.level === 3);
+    assert.strictEqual(packages.length, 10);
+    assert.strictEqual(packages[0].id, 'bangkok-pattaya-delight-4-nights-5-days');
+    assert.strictEqual(packages[0].section, 'Thailand Packages');
+});
+
+test('BM25 ranks the package a question is about first and drops chunks that do not match', () => {
+    const bali = retrieveChunks(CATALOG, 'Bali honeymoon villa', 3);
+    assert.deepStrictEqual(bali.map(chunk => chunk.id), [
+        'bali-romantic-escape-5-nights-6-days',
+        'bali-gili-islands-adventure-8-nights-9-days'
+    ]);
+    assert.ok(bali[0].score > bali[1].score);
+
+    assert.deepStrictEqual(retrieveChunks(CATALOG, 'Langkawi', 3).map(chunk => chunk.id), ['kuala-lumpur-langkawi-explorer-5-nights-6-days']);
+    assert.deepStrictEqual(retrieveChunks(CATALOG, 'quantum physics', 3), []);
+});
+
+test('a term in a heading outweighs the same term in another section body', () => {
+    const markdown = [
+        '### Hanoi Walking Tour',
+        'Old quarter streets and street food stalls.',
+        '### Ho Chi Minh City',
+        'Day trip to Hanoi by flight, Cu Chi tunnels and markets.'
+    ].join('\n');
+
+    const [first, second] = retrieveChunks(markdown, 'Hanoi', 2);
+    assert.strictEqual(first.id, 'hanoi-walking-tour');
+    assert.strictEqual(second.id, 'ho-chi-minh-city');
+    assert.ok(first.score > second.score);
+});
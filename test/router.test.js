@@ -0,0 +1,144 @@
+/**
+ * Request router: event normalization across payload formats, 404/405/preflight responses and schema checks
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { createRouter, normalizeRequest } = require('../src/router');
+
+const echo = async request => ({ statusCode: 200, headers: {}, body: JSON.stringify({ params: request.params, json: request.json }) });
+
+const router = createRouter([
+    { method: 'GET', path: '/sessions/{id}', handler: echo },
+    { method: 'DELETE', path: '/sessions/{id}', handler: echo },
+    {
+        method: 'POST',
+        path: '/notes',
+        handler: echo,
+        schema: { body: { type: 'object', required: ['text'], additionalProperties: false, properties: { text: { type: 'string', minLength: 1 } } } }
+    },
+    { method: 'GET', path: '/boom', handler: async () => { throw new Error('handler failed'); } }
+], { onError: (error, request) => ({ statusCode: 500, headers: {}, body: JSON.stringify({ message: error.message, path: request.path }) }) });
+
+const restEvent = (httpMethod, path, body) => ({ httpMethod, path, headers: {}, body: body === undefined ? null : JSON.stringify(body), requestContext: { requestId: 'req-1' } });
+
+test('REST (v1), HTTP API (v2) and Function URL events normalize to the same request', () => {
+    const rest = normalizeRequest({
+        httpMethod: 'post',
+        path: '/hello/',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Token': 'secret' },
+        queryStringParameters: { lang: 'en' },
+        body: Buffer.from('{"input":"Hi"}').toString('base64'),
+        isBase64Encoded: true,
+        requestContext: { requestId: 'rest-1', stage: 'prod' }
+    });
+    assert.deepStrictEqual(rest, {
+        version: 'v1',
+        method: 'POST',
+        path: '/hello',
+        headers: { 'content-type': 'application/json', 'x-admin-token': 'secret' },
+        query: { lang: 'en' },
+        body: '{"input":"Hi"}',
+        requestId: 'rest-1'
+    });
+
+    const httpApi = normalizeRequest({
+        version: '2.0',
+        rawPath: '/prod/sessions/abc',
+        headers: { 'content-type': 'application/json' },
+        requestContext: { requestId: 'v2-1', stage: 'prod', domainName: 'abc123.execute-api.us-east-1.amazonaws.com', http: { method: 'GET', path: '/prod/sessions/abc' } }
+    });
+    assert.strictEqual(httpApi.version, 'v2');
+    assert.strictEqual(httpApi.method, 'GET');
+    assert.strictEqual(httpApi.path, '/sessions/abc');
+    assert.deepStrictEqual(httpApi.query, {});
+    assert.strictEqual(httpApi.body, '');
+
+    const defaultStage = normalizeRequest({
+        version: '2.0',
+        rawPath: '/prod/sessions/abc',
+        requestContext: { stage: '$default', http: { method: 'GET', path: '/prod/sessions/abc' } }
+    });
+    assert.strictEqual(defaultStage.path, '/prod/sessions/abc');
+    assert.strictEqual(defaultStage.requestId, 'N/A');
+
+    const functionUrl = normalizeRequest({
+        version: '2.0',
+        rawPath: '/',
+        body: '{"input":"Hi"}',
+        requestContext: { requestId: 'url-1', domainName: 'xyz.lambda-url.us-east-1.on.aws', http: { method: 'POST', path: '/' } }
+    });
+    assert.strictEqual(functionUrl.version, 'function_url');
+    assert.strictEqual(functionUrl.method, 'POST');
+    assert.strictEqual(functionUrl.path, '/');
+    assert.strictEqual(functionUrl.body, '{"input":"Hi"}');
+});
+
+test('unknown paths get 404 and other methods on a known path get 405 with an Allow header', async () => {
+    const missing = await router(restEvent('GET', '/nowhere'));
+    assert.strictEqual(missing.statusCode, 404);
+    const missingBody = JSON.parse(missing.body);
+    assert.strictEqual(missingBody.error.code, 'NotFound');
+    assert.strictEqual(missingBody.error.requestId, 'req-1');
+
+    const wrongMethod = await router(restEvent('PUT', '/sessions/abc'));
+    assert.strictEqual(wrongMethod.statusCode, 405);
+    assert.strictEqual(wrongMethod.headers.Allow, 'GET,DELETE,OPTIONS');
+    assert.strictEqual(wrongMethod.headers['Access-Control-Allow-Origin'], '*');
+    const wrongMethodBody = JSON.parse(wrongMethod.body);
+    assert.strictEqual(wrongMethodBody.error.code, 'MethodNotAllowed');
+    assert.deepStrictEqual(wrongMethodBody.error.details[0].allowedMethods, ['GET', 'DELETE']);
+});
+
+test('OPTIONS on a known path is answered as a CORS preflight', async () => {
+    const preflight = await router(restEvent('OPTIONS', '/sessions/abc'));
+    assert.strictEqual(preflight.statusCode, 204);
+    assert.strictEqual(preflight.body, '');
+    assert.strictEqual(preflight.headers['Access-Control-Allow-Origin'], '*');
+    assert.strictEqual(preflight.headers['Access-Control-Allow-Methods'], 'GET,DELETE,OPTIONS');
+    assert.match(preflight.headers['Access-Control-Allow-Headers'], /X-Admin-Token/);
+    assert.strictEqual(preflight.headers['Access-Control-Max-Age'], '600');
+
+    assert.strictEqual((await router(restEvent('OPTIONS', '/nowhere'))).statusCode, 404);
+});
+
+test('path parameters, schema checks and handler errors', async () => {
+    const session = await router(restEvent('GET', '/sessions/a%20b'));
+    assert.deepStrictEqual(JSON.parse(session.body).params, { id: 'a b' });
+    assert.strictEqual((await router(restEvent('GET', '/sessions/%E0%A4'))).statusCode, 404);
+
+    const note = await router(restEvent('POST', '/notes', { text: 'Window seat' }));
+    assert.deepStrictEqual(JSON.parse(note.body).json, { text: 'Window seat' });
+
+    const invalid = await router(restEvent('POST', '/notes', { text: '', color: 'red' }));
+    assert.strictEqual(invalid.statusCode, 400);
+    const invalidBody = JSON.parse(invalid.body);
+    assert.strictEqual(invalidBody.error.code, 'ValidationFailed');
+    assert.deepStrictEqual(invalidBody.error.details.map(detail => detail.field).sort(), ['body.color', 'body.text']);
+
+    const notJson = await router({ ...restEvent('POST', '/notes'), body: '{"text":' });
+    assert.deepStrictEqual(JSON.parse(notJson.body).error.details, [{ field: 'body', message: 'must be valid JSON' }]);
+
+    const failed = await router(restEvent('GET', '/boom'));
+    assert.strictEqual(failed.statusCode, 500);
+    assert.deepStrictEqual(JSON.parse(failed.body), { message: 'handler failed', path: '/boom' });
+});
+
+test('the API routes HTTP API and REST events alike', async () => {
+    const app = createLocalApp({ env: { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false' } });
+
+    const rest = await app.request('GET', '/packages/bali-romantic-escape');
+    const httpApi = await app.handler({
+        version: '2.0',
+        rawPath: '/prod/packages/bali-romantic-escape',
+        headers: {},
+        requestContext: { requestId: 'v2-1', stage: 'prod', http: { method: 'GET', path: '/prod/packages/bali-romantic-escape', sourceIp: '127.0.0.1' } }
+    });
+    assert.strictEqual(httpApi.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(httpApi.body), rest.body);
+
+    const wrongMethod = await app.request('POST', '/packages');
+    assert.strictEqual(wrongMethod.statusCode, 405);
+    assert.strictEqual(wrongMethod.headers.Allow, 'GET,OPTIONS');
+    assert.strictEqual((await app.request('OPTIONS', '/hello')).headers['Access-Control-Allow-Methods'], 'POST,OPTIONS');
+});
@@ -0,0 +1,86 @@
+/**
+ * Suggested questions: parsing the model's reply, caching and the fallback lists
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { ask, suggestionCalls } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false' };
+
+const getSuggestions = app => app.request('GET', '/suggestions');
+
+test('initial suggestions come from the model and are cached', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('["Which Thailand packages do you have?", "What is the cheapest trip?"]');
+
+    const first = await getSuggestions(app);
+    assert.strictEqual(first.statusCode, 200);
+    assert.deepStrictEqual(first.body.suggestions, ['Which Thailand packages do you have?', 'What is the cheapest trip?']);
+
+    const second = await getSuggestions(app);
+    assert.deepStrictEqual(second.body.suggestions, first.body.suggestions);
+    assert.strictEqual(suggestionCalls(app).length, 1);
+});
+
+test('a JSON array inside other text is extracted', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('Here you go:\n```json\n["Is breakfast included?"]\n```');
+
+    const response = await getSuggestions(app);
+    assert.deepStrictEqual(response.body.suggestions, ['Is breakfast included?']);
+});
+
+test('a numbered list is used when the reply has no JSON array', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('1. What about Bali?\n2) Which package is cheapest?\n- Any trips to Vietnam?');
+
+    const response = await getSuggestions(app);
+    assert.deepStrictEqual(response.body.suggestions, ['What about Bali?', 'Which package is cheapest?', 'Any trips to Vietnam?']);
+});
+
+test('an unparseable array falls back to the default initial suggestions', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('[What about Bali?]');
+
+    const response = await getSuggestions(app);
+    assert.deepStrictEqual(response.body.suggestions, [
+        'What packages are available to Thailand?',
+        'Show me Singapore travel packages',
+        'What are the best destinations?',
+        'Tell me about package pricing'
+    ]);
+});
+
+test('a model error returns uncached default suggestions', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue({ error: 'ValidationException', message: 'Malformed input request' });
+
+    const response = await getSuggestions(app);
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.body.suggestions, ['What packages are available?', 'Show me travel options', 'Tell me about pricing']);
+
+    // Defaults aren't cached, so the next request asks the model again
+    await getSuggestions(app);
+    assert.strictEqual(suggestionCalls(app).length, 2);
+});
+
+test('throttled suggestion calls are retried', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.throttle(1);
+    app.bedrock.enqueue('["Retried question?"]');
+
+    const response = await getSuggestions(app);
+    assert.deepStrictEqual(response.body.suggestions, ['Retried question?']);
+    assert.strictEqual(suggestionCalls(app).length, 2);
+});
+
+test('follow-up suggestions fall back when the model fails', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue('Bali Romantic Escape is our most popular package.');
+    app.bedrock.enqueue({ error: 'ValidationException' });
+
+    const response = await ask(app, 'Which Bali trip do you recommend?');
+    assert.strictEqual(response.body.source, 'bedrock');
+    assert.deepStrictEqual(response.body.suggestions, ['Tell me more', 'What else can you help with?', 'Show me other packages']);
+});
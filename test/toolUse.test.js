@@ -0,0 +1,93 @@
+/**
+ * Bedrock tool use: catalog tools, the multi-turn tool loop, its iteration guard and what gets cached
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { ask, chatCalls } = require('./helpers');
+
+const env = { INTENT_ROUTER_ENABLED: 'true', QUOTAS_ENABLED: 'false' };
+
+const COMPARISON = 'Compare Thailand and Malaysia packages';
+
+test('a comparison runs the tool loop, reports its traces and caches only the final text', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue(
+        { toolUse: [{ name: 'search_packages', input: { destination: 'Thailand' } }, { name: 'search_packages', input: { destination: 'Malaysia' } }], inputTokens: 100, outputTokens: 20 },
+        { toolUse: [{ name: 'compare_packages', input: { packageIds: ['bangkok-pattaya-delight', 'kuala-lumpur-langkawi-explorer'] } }], inputTokens: 300, outputTokens: 20 },
+        { text: 'The Bangkok & Pattaya Delight (₹68,000) is cheaper than the Kuala Lumpur & Langkawi Explorer (₹78,000).', inputTokens: 600, outputTokens: 40 }
+    );
+
+    const response = await ask(app, COMPARISON);
+    assert.strictEqual(response.body.source, 'bedrock');
+    assert.match(response.body.bedrockResponse, /^The Bangkok & Pattaya Delight/);
+    assert.deepStrictEqual(response.body.toolCalls.map(call => [call.iteration, call.name]), [
+        [1, 'search_packages'], [1, 'search_packages'], [2, 'compare_packages']
+    ]);
+    assert.deepStrictEqual(response.body.toolCalls[0].output.packages.map(pkg => pkg.id), ['bangkok-pattaya-delight', 'phuket-krabi-explorer']);
+    assert.strictEqual(response.body.toolCalls[2].output.cheapest, 'bangkok-pattaya-delight');
+    assert.deepStrictEqual([response.body.usage.inputTokens, response.body.usage.outputTokens], [1000, 80]);
+
+    const calls = chatCalls(app);
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(calls[0].tools, ['search_packages', 'get_package', 'compare_packages', 'get_quote']);
+    // Tool results go back to the model as the next user turn
+    assert.match(calls[1].messages[calls[1].messages.length - 1].content, /^\[tool_result toolu_[^\]]+\] \{"count":2/);
+
+    const [entry] = app.dynamodb.items('travelbuddy-query-cache').filter(item => item.queryHash.S.startsWith('answer:'));
+    assert.strictEqual(entry.response.S, response.body.bedrockResponse);
+
+    const hit = await ask(app, COMPARISON);
+    assert.strictEqual(hit.body.source, 'cache');
+    assert.strictEqual(hit.body.toolCalls, undefined);
+    assert.strictEqual(chatCalls(app).length, 3);
+});
+
+test('the loop stops at TOOL_USE_MAX_ITERATIONS model calls', async () => {
+    const app = createLocalApp({ env: { ...env, TOOL_USE_MAX_ITERATIONS: '2' } });
+    const search = { toolUse: [{ name: 'search_packages', input: {} }] };
+    app.bedrock.enqueue(search, search);
+
+    const response = await ask(app, COMPARISON);
+    const calls = chatCalls(app);
+    assert.strictEqual(calls.length, 2);
+    assert.match(calls[1].system, /used all your tool calls/);
+    assert.strictEqual(response.body.toolCalls.length, 1);
+    assert.match(response.body.bedrockResponse, /could not finish looking that up/);
+});
+
+test('bad tool input is returned to the model as an error, and tool-computed totals pass validation', async () => {
+    const app = createLocalApp({ env });
+    app.bedrock.enqueue(
+        { toolUse: [{ name: 'get_package', input: { packageId: 'japan-express' } }, { name: 'get_quote', input: { packageId: 'japan-highlights', adults: 2, childAges: [8] } }] },
+        { text: 'Japan Highlights for 2 adults and a child aged 8 comes to ₹5,77,500 in total.' }
+    );
+
+    const response = await ask(app, 'Is Japan Highlights a good fit for our family with an 8 year old?');
+    assert.match(response.body.toolCalls[0].error, /No package with id "japan-express"/);
+    assert.strictEqual(response.body.toolCalls[1].output.totalInr, 577500);
+    assert.match(chatCalls(app)[1].messages.at(-1).content, /\{"error":"No package with id/);
+    assert.deepStrictEqual(response.body.validation, { passed: true, issues: [], action: 'none' });
+});
+
+test('a fallback model without tool support gets the tool turns as text', async () => {
+    const app = createLocalApp({ env: { ...env, MODEL_FALLBACK_IDS: 'amazon.titan-text-lite-v1' } });
+    app.bedrock.enqueue({ toolUse: [{ name: 'search_packages', input: { destination: 'Bali' } }] });
+    app.bedrock.throttle(1);
+    app.bedrock.enqueue('We have two Bali packages: Bali Romantic Escape and Bali & Gili Islands Adventure.');
+
+    const response = await ask(app, 'Compare the Bali packages');
+    assert.strictEqual(response.body.usage.model, 'amazon.titan-text-lite-v1');
+    const titanCall = chatCalls(app).at(-1);
+    assert.strictEqual(titanCall.modelId, 'amazon.titan-text-lite-v1');
+    assert.match(titanCall.messages[0].content, /\[Called tool search_packages with \{"destination":"Bali"\}\]/);
+    assert.match(titanCall.messages[0].content, /\[Result of tool call: \{"count":2/);
+});
+
+test('TOOL_USE_ENABLED=false sends no tools', async () => {
+    const app = createLocalApp({ env: { ...env, TOOL_USE_ENABLED: 'false' } });
+
+    const response = await ask(app, COMPARISON);
+    assert.deepStrictEqual(chatCalls(app)[0].tools, []);
+    assert.strictEqual(response.body.toolCalls, undefined);
+});
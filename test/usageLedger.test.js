@@ -0,0 +1,131 @@
+/**
+ * Usage ledger: model prices, report buckets across paged day queries and the GET /usage route
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+const { createFakeDynamoDB } = require('../local/fakeDynamoDB');
+const { createUsageLedger } = require('../src/usageLedger');
+const { ask } = require('./helpers');
+
+const TOKEN = 'test-admin-token';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', ADMIN_API_TOKEN: TOKEN };
+
+const usage = (app, query) => app.request('GET', '/usage', { query, headers: { 'X-Admin-Token': TOKEN } });
+
+/**
+ * Ledger over a fake table whose day queries return two records per page, like DynamoDB's 1 MB pages
+ */
+function pagedLedger(prices) {
+    const dynamodb = createFakeDynamoDB({ tables: { ledger: { hashKey: 'day', rangeKey: 'recordId' } } });
+    const client = {
+        send(command) {
+            if (command.constructor.name === 'QueryCommand') {
+                command.input.Limit = 2;
+            }
+            return dynamodb.send(command);
+        }
+    };
+    return { dynamodb, ledger: createUsageLedger({ client, tableName: 'ledger', prices }) };
+}
+
+function ledgerItem(hour, minute, { kind = 'chat', model = 'anthropic.claude-3-haiku-20240307-v1:0', inputTokens = 0, outputTokens = 0, cached = false, costUsd = 0, savedUsd = 0 }) {
+    return {
+        day: { S: hour.slice(0, 10) },
+        recordId: { S: `${hour}:${minute}:00.000Z#0000000${minute.slice(-1)}` },
+        hour: { S: hour },
+        kind: { S: kind },
+        model: { S: model },
+        inputTokens: { N: String(inputTokens) },
+        outputTokens: { N: String(outputTokens) },
+        cached: { BOOL: cached },
+        costUsd: { N: String(costUsd) },
+        savedUsd: { N: String(savedUsd) }
+    };
+}
+
+test('calls are priced by the longest matching model id substring; unknown models cost nothing', () => {
+    const { ledger } = pagedLedger({ 'anthropic.claude': { input: 8, output: 24 } });
+
+    assert.strictEqual(ledger.costOf('anthropic.claude-3-haiku-20240307-v1:0', 1000000, 1000000), 1.5);
+    assert.strictEqual(ledger.costOf('us.anthropic.claude-3-5-sonnet-20241022-v2:0', 1000, 2000), 0.033);
+    assert.strictEqual(ledger.costOf('anthropic.claude-v2:1', 1000000, 0), 8);
+    assert.strictEqual(ledger.costOf('cohere.command-r-v1:0', 1000, 1000), 0);
+});
+
+test('the report adds up totals, kinds, models, days and hours across paged queries', async () => {
+    const { dynamodb, ledger } = pagedLedger();
+    const sonnet = 'anthropic.claude-3-5-sonnet-20240620-v1:0';
+    for (const item of [
+        ledgerItem('2026-10-01T09', '01', { inputTokens: 1000, outputTokens: 200, costUsd: 0.0005 }),
+        ledgerItem('2026-10-01T09', '02', { cached: true, inputTokens: 1000, outputTokens: 200, savedUsd: 0.0005 }),
+        ledgerItem('2026-10-01T10', '03', { kind: 'suggestions', inputTokens: 400, outputTokens: 50, costUsd: 0.0001625 }),
+        ledgerItem('2026-10-01T10', '04', { cached: true, kind: 'suggestions', savedUsd: 0.0001625 }),
+        ledgerItem('2026-10-01T11', '05', { model: sonnet, inputTokens: 2000, outputTokens: 300, costUsd: 0.0105 }),
+        ledgerItem('2026-10-03T08', '06', { kind: 'summary', inputTokens: 600, outputTokens: 100, costUsd: 0.000275 })
+    ]) {
+        dynamodb.putItem('ledger', item);
+    }
+
+    const report = await ledger.summarize('2026-10-01', '2026-10-03');
+    assert.deepStrictEqual(report.totals, {
+        bedrockCalls: 4, cacheHits: 2, inputTokens: 4000, outputTokens: 650, costUsd: 0.011438, savedUsd: 0.000663, cacheHitRatio: 0.3333
+    });
+    assert.deepStrictEqual(Object.keys(report.byKind).sort(), ['chat', 'suggestions', 'summary']);
+    assert.strictEqual(report.byKind.chat.bedrockCalls, 2);
+    assert.strictEqual(report.byKind.suggestions.cacheHitRatio, 0.5);
+    assert.strictEqual(report.byModel[sonnet].costUsd, 0.0105);
+    assert.deepStrictEqual(report.daily.map(day => [day.date, day.bedrockCalls, day.cacheHits]), [
+        ['2026-10-01', 3, 2],
+        ['2026-10-02', 0, 0],
+        ['2026-10-03', 1, 0]
+    ]);
+    assert.deepStrictEqual(report.hourly.map(hour => [hour.hour, hour.bedrockCalls + hour.cacheHits]), [
+        ['2026-10-01T09', 2],
+        ['2026-10-01T10', 2],
+        ['2026-10-01T11', 1],
+        ['2026-10-03T08', 1]
+    ]);
+});
+
+test('GET /usage reports Bedrock calls and cache hits for the last 7 days by default', async () => {
+    const app = createLocalApp({ env });
+    await ask(app, 'What are the visa requirements for Bali?');
+    await ask(app, 'What are the visa requirements for Bali?');
+
+    assert.strictEqual((await app.request('GET', '/usage')).statusCode, 403);
+    const response = await usage(app);
+    assert.strictEqual(response.statusCode, 200);
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual(response.body.to, today);
+    assert.strictEqual(response.body.daily.length, 7);
+    assert.strictEqual(response.body.byKind.chat.bedrockCalls, 1);
+    assert.strictEqual(response.body.byKind.chat.cacheHits, 1);
+    assert.strictEqual(response.body.byKind.chat.cacheHitRatio, 0.5);
+});
+
+test('GET /usage rejects impossible dates and ranges', async () => {
+    const app = createLocalApp({ env });
+
+    for (const [query, field] of [
+        [{ from: '2026-02-30' }, 'query.from'],
+        [{ from: '2026-02-01', to: '2026-02-31' }, 'query.to'],
+        [{ to: '2026-13-01' }, 'query.to'],
+        [{ from: '2026/02/01' }, 'query.from']
+    ]) {
+        const response = await usage(app, query);
+        assert.strictEqual(response.statusCode, 400, JSON.stringify(query));
+        assert.strictEqual(response.body.error.code, 'ValidationFailed');
+        assert.strictEqual(response.body.error.details[0].field, field);
+    }
+
+    const reversed = await usage(app, { from: '2026-03-10', to: '2026-03-01' });
+    assert.strictEqual(reversed.statusCode, 400);
+    const tooLong = await usage(app, { from: '2026-01-01', to: '2026-03-01' });
+    assert.strictEqual(tooLong.statusCode, 400);
+    assert.strictEqual(tooLong.body.error.details[0].maxRangeDays, 31);
+
+    const leapDay = await usage(app, { from: '2028-02-28', to: '2028-03-01' });
+    assert.strictEqual(leapDay.statusCode, 200);
+    assert.deepStrictEqual(leapDay.body.daily.map(day => day.date), ['2028-02-28', '2028-02-29', '2028-03-01']);
+});
@@ -0,0 +1,98 @@
+/**
+ * Request validation: 400 ValidationFailed responses and their details[] field paths on each route
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLocalApp } = require('../local/harness');
+
+const TOKEN = 'test-admin-token';
+const env = { INTENT_ROUTER_ENABLED: 'false', QUOTAS_ENABLED: 'false', ADMIN_API_TOKEN: TOKEN };
+const admin = { 'X-Admin-Token': TOKEN };
+const SESSION_ID = '0b7c6f52-3a43-4c0e-9f1a-2d5e8c9b1a47';
+
+/**
+ * Send each [method, path, options, details] case and check it fails with exactly those details
+ */
+async function expectInvalid(app, cases) {
+    for (const [method, path, options, details] of cases) {
+        const label = `${method} ${path} ${JSON.stringify(options)}`;
+        const response = await app.request(method, path, options);
+        assert.strictEqual(response.statusCode, 400, label);
+        assert.strictEqual(response.body.error.code, 'ValidationFailed', label);
+        assert.ok(response.body.error.requestId, label);
+        assert.deepStrictEqual(response.body.error.details, details, label);
+    }
+}
+
+test('chat requests with missing, invalid or unknown fields are rejected before the model is called', async () => {
+    const app = createLocalApp({ env });
+
+    await expectInvalid(app, [
+        ['POST', '/hello', { body: {} }, [{ field: 'body.input', message: 'is required' }]],
+        ['POST', '/hello', { body: { input: '   ' } }, [{ field: 'body.input', message: 'must not be empty' }]],
+        ['POST', '/hello', { body: { input: 42 } }, [{ field: 'body.input', message: 'must be of type string' }]],
+        ['POST', '/hello', { body: { input: 'Hi', mood: 'happy' } }, [{ field: 'body.mood', message: 'is not an allowed property' }]],
+        ['POST', '/hello', { body: { input: 'Hi', sessionId: 'abc' } }, [
+            { field: 'body.sessionId', message: 'must be a session id returned by a previous response' }
+        ]],
+        ['POST', '/hello', { body: { input: 'Hi', conversationHistory: [{ role: 'user', content: 'Hi' }, { role: 'system', content: 'Be brief', name: 'ops' }] } }, [
+            { field: 'body.conversationHistory[1].role', message: 'must be one of: user, assistant' },
+            { field: 'body.conversationHistory[1].name', message: 'is not an allowed property' }
+        ]],
+        ['POST', '/hello', { body: '{"input": "Hi"' }, [{ field: 'body', message: 'must be valid JSON' }]]
+    ]);
+
+    const response = await app.request('POST', '/hello', { body: { input: 'x'.repeat(1001), mood: 'happy' } });
+    assert.strictEqual(response.body.error.message, 'Invalid request: body.input must be at most 1000 characters (got 1001) (and 1 more)');
+    assert.strictEqual(app.bedrock.calls.length, 0);
+});
+
+test('feedback and session requests report each bad field', async () => {
+    const app = createLocalApp({ env });
+
+    await expectInvalid(app, [
+        ['POST', '/feedback', { body: {} }, [
+            { field: 'body.sessionId', message: 'is required' },
+            { field: 'body.requestId', message: 'is required' },
+            { field: 'body.rating', message: 'is required' }
+        ]],
+        ['POST', '/feedback', { body: { sessionId: SESSION_ID, requestId: 'req 1', rating: 'meh', queryHash: 'answer:abc', stars: 5 } }, [
+            { field: 'body.requestId', message: 'must be the requestId of a previous response' },
+            { field: 'body.rating', message: 'must be one of: up, down' },
+            { field: 'body.queryHash', message: 'must be the queryHash of a previous response' },
+            { field: 'body.stars', message: 'is not an allowed property' }
+        ]],
+        ['GET', '/sessions/not-a-session', {}, [{ field: 'params.id', message: 'must be a session id returned by a previous response' }]],
+        ['GET', '/suggestions', { query: { language: 'xx' } }, [{ field: 'query.language', message: 'must be one of: en, hi, kn, ta' }]],
+        ['GET', '/packages', { query: { maxPrice: 'cheap', sort: 'price' } }, [
+            { field: 'query.maxPrice', message: 'must be a non-negative number' },
+            { field: 'query.sort', message: 'is not an allowed property' }
+        ]]
+    ]);
+});
+
+test('admin routes validate their query strings, bodies and path parameters', async () => {
+    const app = createLocalApp({ env });
+
+    await expectInvalid(app, [
+        ['GET', '/admin/cache/entries', { query: { limit: '0', sort: 'random', prefix: 'answer' }, headers: admin }, [
+            { field: 'query.limit', message: 'must be a whole number from 1 to 100' },
+            { field: 'query.sort', message: 'must be one of: key, hits, recent' },
+            { field: 'query.prefix', message: 'is not an allowed property' }
+        ]],
+        ['GET', `/admin/cache/entries/${'k'.repeat(201)}`, { headers: admin }, [{ field: 'params.key', message: 'must be at most 200 characters (got 201)' }]],
+        ['GET', '/admin/cache/lookup', { headers: admin }, [{ field: 'query.query', message: 'is required' }]],
+        ['POST', '/admin/cache/delete', { body: {}, headers: admin }, [{ field: 'body.pattern', message: 'is required' }]],
+        ['POST', '/admin/cache/delete', { body: { pattern: '', dryRun: 'yes' }, headers: admin }, [
+            { field: 'body.pattern', message: 'must not be empty' },
+            { field: 'body.dryRun', message: 'must be of type boolean' }
+        ]],
+        ['POST', '/admin/cache/warm', { body: { questions: [], concurrency: 11 }, headers: admin }, [
+            { field: 'body.questions', message: 'must have at least 1 items' },
+            { field: 'body.concurrency', message: 'must be at most 10' }
+        ]],
+        ['POST', '/admin/cache/warm', { body: { questions: ['Bali visa?', ''] }, headers: admin }, [{ field: 'body.questions[1]', message: 'must not be empty' }]],
+        ['POST', '/admin/cache/purge', { body: { docVersion: 5 }, headers: admin }, [{ field: 'body.docVersion', message: 'must be of type string' }]],
+        ['GET', '/admin/feedback', { query: { limit: '500' }, headers: admin }, [{ field: 'query.limit', message: 'must be a whole number from 1 to 100' }]]
+    ]);
+});